@@ -0,0 +1,108 @@
+// config.js
+// Central configuration of the API, used by server.js and migrate.js. Every setting is an
+// environment variable (a .env file is loaded first). CONFIG_FILE can name a JSON file with the
+// same variable names, which provides the values the environment doesn't set:
+//   { "PORT": 8080, "DB_CLIENT": "sqlite", "BASE_PATH": "/crypto", "CORS_ORIGINS": ["https://example.com"] }
+// Each area reads its own variables (listed in the module named below); the server itself uses:
+//
+//   PORT                port to listen on (default 5000)
+//   HOST                address to listen on (default: every interface)
+//   BASE_PATH           sub-path everything is served under, e.g. /crypto behind a reverse proxy
+//                       that forwards https://example.com/crypto/... unchanged (default: none)
+//   FRONTEND_BUILD_DIR  the dashboard's production build (frontend/build) to serve next to the
+//                       API, with index.html for every other page (default: not served)
+//   TRUST_PROXY         Express 'trust proxy' setting behind a reverse proxy, e.g. 1, so rate
+//                       limits use the real client IP
+// Relative paths are resolved from the working directory.
+const fs = require('fs');
+const path = require('path');
+const { loadSecurityConfig } = require('./lib/security');
+const { loadMonitoringConfig } = require('./lib/metrics');
+const { loadStorageConfig } = require('./storage');
+const { loadCacheConfig } = require('./lib/cache');
+const { loadRollupConfig } = require('./lib/rollups');
+const { loadAuthConfig } = require('./lib/auth');
+const { loadAnomalyConfig } = require('./lib/anomalies');
+const { loadIngestionConfig } = require('./ingestion');
+
+const DEFAULT_PORT = 5000;
+
+// Variables from CONFIG_FILE as strings, like environment variables; lists become comma-separated
+function readConfigFile(filePath) {
+    if (!filePath) {
+        return {};
+    }
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read CONFIG_FILE '${filePath}': ${err.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`CONFIG_FILE '${filePath}' must contain a JSON object of settings.`);
+    }
+    const settings = {};
+    Object.entries(values).forEach(([name, value]) => {
+        if (value !== null && value !== undefined) {
+            settings[name] = Array.isArray(value) ? value.join(',') : String(value);
+        }
+    });
+    return settings;
+}
+
+// '' for no base path, otherwise '/segment[/segment...]' without a trailing slash
+function normalizeBasePath(value) {
+    const trimmed = (value || '').trim().replace(/\/+$/, '');
+    if (!trimmed) {
+        return '';
+    }
+    const basePath = trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+    if (!/^(\/[A-Za-z0-9._~-]+)+$/.test(basePath)) {
+        throw new Error(`Invalid BASE_PATH '${value}'. Use a path such as /crypto or /apps/crypto.`);
+    }
+    return basePath;
+}
+
+function parsePort(value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_PORT;
+    }
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid PORT '${value}'. Use a number from 0 to 65535.`);
+    }
+    return port;
+}
+
+// Reads the server settings (see the list above)
+function loadServerConfig(env = process.env) {
+    return {
+        port: parsePort(env.PORT),
+        host: env.HOST || undefined,
+        basePath: normalizeBasePath(env.BASE_PATH),
+        frontendBuildDir: env.FRONTEND_BUILD_DIR ? path.resolve(env.FRONTEND_BUILD_DIR) : null,
+        trustProxy: !env.TRUST_PROXY ? null : /^\d+$/.test(env.TRUST_PROXY) ? Number(env.TRUST_PROXY) : env.TRUST_PROXY,
+    };
+}
+
+// Every setting of the API from `env` and CONFIG_FILE. Throws for invalid server settings or an
+// unreadable config file, so a misconfigured server stops before it starts listening.
+function loadConfig(env = process.env) {
+    const settings = { ...readConfigFile(env.CONFIG_FILE), ...env };
+    return {
+        server: loadServerConfig(settings),
+        security: loadSecurityConfig(settings), // lib/security.js
+        monitoring: loadMonitoringConfig(settings), // lib/metrics.js
+        storage: loadStorageConfig(settings), // storage/index.js
+        cache: loadCacheConfig(settings), // lib/cache.js
+        rollup: loadRollupConfig(settings), // lib/rollups.js
+        auth: loadAuthConfig(settings), // lib/auth.js
+        anomaly: loadAnomalyConfig(settings), // lib/anomalies.js
+        ingestion: loadIngestionConfig(settings), // ingestion/index.js
+    };
+}
+
+module.exports = {
+    loadServerConfig,
+    loadConfig,
+};
@@ -0,0 +1,150 @@
+// ingestion/index.js
+// In-process ingestion: fetches market data from a provider on a schedule, validates it,
+// writes it through the price repository and notifies the server directly, without the
+// Python ETL or a POST to /api/notify-update.
+//
+//   INGESTION_PROVIDER=coingecko|file|mock   enables ingestion (unset: rely on the Python ETL)
+//   INGESTION_INTERVAL_MS                    time between runs (default 300000 = 5 minutes)
+//   INGESTION_FILE                           JSON or CSV file for the file provider
+//   INGESTION_MOCK_SEED                      seed of the mock provider (default 42)
+//   INGESTION_RETRIES, INGESTION_RETRY_DELAY_MS   retries per run and the first backoff delay
+const { createCoinGeckoProvider } = require('./providers/coingecko');
+const { createFileProvider } = require('./providers/file');
+const { createMockProvider } = require('./providers/mock');
+const { validateMarketItems } = require('./validate');
+const { withRetry } = require('./retry');
+const { ratesPerUsd } = require('../lib/currency');
+
+// A provider is { name, fetchMarkets(), fetchExchangeRates()? }.
+// fetchMarkets resolves to CoinGecko-style items: { symbol, name, current_price, market_cap, total_volume }.
+const PROVIDERS = {
+    coingecko: config => createCoinGeckoProvider({ baseUrl: config.coingeckoUrl }),
+    file: config => createFileProvider({ filePath: config.filePath }),
+    mock: config => createMockProvider({ seed: config.mockSeed }),
+};
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+const parseInteger = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+// Reads the ingestion settings from environment variables. `provider` is null when disabled.
+function loadIngestionConfig(env = process.env) {
+    return {
+        provider: env.INGESTION_PROVIDER ? env.INGESTION_PROVIDER.toLowerCase() : null,
+        intervalMs: parseInteger(env.INGESTION_INTERVAL_MS, DEFAULT_INTERVAL_MS),
+        filePath: env.INGESTION_FILE || null,
+        coingeckoUrl: env.COINGECKO_API_BASE_URL || undefined,
+        mockSeed: parseInteger(env.INGESTION_MOCK_SEED, 42),
+        retries: parseInteger(env.INGESTION_RETRIES, 3),
+        retryDelayMs: parseInteger(env.INGESTION_RETRY_DELAY_MS, 1000),
+    };
+}
+
+function createProvider(config) {
+    const create = PROVIDERS[config.provider];
+    if (!create) {
+        throw new Error(`Unknown INGESTION_PROVIDER '${config.provider}'. Supported providers: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return create(config);
+}
+
+// `onIngested(result)` is called after every run that stored at least one row,
+// which is where the server broadcasts to its WebSocket clients.
+function createIngestionService({ provider, prices, currencyService = null, intervalMs = DEFAULT_INTERVAL_MS, retries = 3, retryDelayMs = 1000, onIngested = () => {} }) {
+    let timer = null;
+    let running = null; // Promise of the run in progress, so runs never overlap
+
+    const retryOptions = (label) => ({
+        retries,
+        baseDelayMs: retryDelayMs,
+        onRetry: (err, attempt, delayMs) => {
+            console.warn(`⚠️ ${provider.name} ${label} failed (attempt ${attempt}/${retries + 1}): ${err.message}. Retrying in ${delayMs} ms...`);
+        },
+    });
+
+    // Exchange rates are optional: prices are still usable in USD without them
+    async function ingestExchangeRates(timestamp) {
+        if (!provider.fetchExchangeRates || !currencyService) {
+            return 0;
+        }
+        try {
+            const rates = ratesPerUsd(await withRetry(() => provider.fetchExchangeRates(), retryOptions('exchange rate fetch')));
+            return await currencyService.insertRates(rates, timestamp);
+        } catch (err) {
+            console.error(`❌ Error ingesting exchange rates from ${provider.name}:`, err.message);
+            return 0;
+        }
+    }
+
+    async function ingest() {
+        const items = await withRetry(() => provider.fetchMarkets(), retryOptions('market fetch'));
+        const timestamp = new Date();
+        const { records, skipped } = validateMarketItems(items, timestamp);
+        skipped.forEach(item => {
+            console.log(`Skipping incomplete data for crypto: ${(item && item.name) || 'N/A'}`);
+        });
+        if (records.length === 0) {
+            console.log('No valid records to insert.');
+            return { inserted: 0, skipped: skipped.length, rates: 0, timestamp };
+        }
+
+        await prices.insertPrices(records);
+        const rates = await ingestExchangeRates(timestamp);
+        console.log(`✅ Ingested ${records.length} records from ${provider.name} at ${timestamp.toISOString()}.`);
+        const result = { inserted: records.length, skipped: skipped.length, rates, timestamp };
+        onIngested(result);
+        return result;
+    }
+
+    // Runs one ingestion now (or joins the one in progress). Never rejects: failures are
+    // logged and reported as { error } so the schedule keeps going.
+    function runOnce() {
+        if (!running) {
+            running = ingest()
+                .catch(err => {
+                    console.error(`❌ Ingestion from ${provider.name} failed:`, err.message);
+                    return { error: err.message };
+                })
+                .finally(() => {
+                    running = null;
+                });
+        }
+        return running;
+    }
+
+    // Runs immediately, then every `intervalMs` after the previous run finished
+    function start() {
+        if (timer !== null) {
+            return;
+        }
+        const loop = async () => {
+            await runOnce();
+            if (timer !== null) {
+                timer = setTimeout(loop, intervalMs);
+            }
+        };
+        console.log(`Starting ${provider.name} ingestion every ${intervalMs / 1000} seconds.`);
+        timer = setTimeout(loop, 0);
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    return {
+        provider: provider.name,
+        runOnce,
+        start,
+        stop,
+    };
+}
+
+module.exports = {
+    loadIngestionConfig,
+    createProvider,
+    createIngestionService,
+};
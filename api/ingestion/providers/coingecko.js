@@ -0,0 +1,46 @@
+// ingestion/providers/coingecko.js
+// CoinGecko /coins/markets provider, the same source and parameters as the Python ETL.
+// Also provides the exchange rates used for quote currency conversion.
+
+const DEFAULT_BASE_URL = 'https://api.coingecko.com/api/v3';
+
+async function fetchJson(url, timeoutMs) {
+    // Added a timeout to prevent indefinite hangs
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+        throw new Error(`CoinGecko request failed: ${response.status} ${response.statusText} (${url})`);
+    }
+    return response.json();
+}
+
+function createCoinGeckoProvider({ baseUrl = DEFAULT_BASE_URL, perPage = 100, timeoutMs = 10000 } = {}) {
+    return {
+        name: 'coingecko',
+
+        // Top `perPage` cryptocurrencies by market cap, priced in USD
+        async fetchMarkets() {
+            const params = new URLSearchParams({
+                vs_currency: 'usd',
+                order: 'market_cap_desc',
+                per_page: String(perPage),
+                page: '1',
+                sparkline: 'false',
+            });
+            const data = await fetchJson(`${baseUrl}/coins/markets?${params}`, timeoutMs);
+            if (!Array.isArray(data)) {
+                throw new Error('CoinGecko markets response is not an array.');
+            }
+            return data;
+        },
+
+        // CoinGecko returns every rate relative to 1 BTC; they are converted to 1 USD by the caller
+        async fetchExchangeRates() {
+            const data = await fetchJson(`${baseUrl}/exchange_rates`, timeoutMs);
+            return data.rates || null;
+        },
+    };
+}
+
+module.exports = {
+    createCoinGeckoProvider,
+};
@@ -0,0 +1,84 @@
+// ingestion/providers/file.js
+// Reads market items from a local JSON or CSV file on every run, e.g. for replaying
+// captured data. The file is re-read each time, so it can be updated while the API runs.
+//
+//   JSON: an array of items, or { "data": [...] }, with CoinGecko market field names
+//   CSV:  a header row with symbol,name,current_price,market_cap,total_volume
+const fs = require('fs/promises');
+const path = require('path');
+
+// Splits one CSV line, honouring double-quoted fields ("a, b" and "" escapes)
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        return [];
+    }
+    const header = parseCsvLine(lines[0]).map(column => column.trim());
+    return lines.slice(1).map(line => {
+        const values = parseCsvLine(line);
+        return Object.fromEntries(header.map((column, i) => [column, values[i] !== undefined ? values[i].trim() : '']));
+    });
+}
+
+function parseJson(text) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data && data.data;
+    if (!Array.isArray(items)) {
+        throw new Error("JSON market file must contain an array or { \"data\": [...] }.");
+    }
+    return items;
+}
+
+// `format` is 'json' or 'csv' and defaults to the file extension
+function createFileProvider({ filePath, format = null }) {
+    if (!filePath) {
+        throw new Error('The file provider needs a file path (INGESTION_FILE).');
+    }
+    const fileFormat = (format || path.extname(filePath).slice(1)).toLowerCase();
+    if (!['json', 'csv'].includes(fileFormat)) {
+        throw new Error(`Unsupported market file format '${fileFormat}'. Use a .json or .csv file.`);
+    }
+
+    return {
+        name: 'file',
+
+        async fetchMarkets() {
+            const text = await fs.readFile(filePath, 'utf8');
+            return fileFormat === 'csv' ? parseCsv(text) : parseJson(text);
+        },
+    };
+}
+
+module.exports = {
+    parseCsv,
+    createFileProvider,
+};
@@ -0,0 +1,79 @@
+// ingestion/providers/mock.js
+// Deterministic fake market data for offline development: run N of a given seed always
+// returns the same prices, so dashboards, alerts and deltas can be exercised without network.
+
+const COINS = [
+    { symbol: 'btc', name: 'Bitcoin', price: 65000, supply: 19700000 },
+    { symbol: 'eth', name: 'Ethereum', price: 3200, supply: 120000000 },
+    { symbol: 'usdt', name: 'Tether', price: 1, supply: 110000000000 },
+    { symbol: 'bnb', name: 'BNB', price: 580, supply: 146000000 },
+    { symbol: 'sol', name: 'Solana', price: 150, supply: 465000000 },
+    { symbol: 'xrp', name: 'XRP', price: 0.55, supply: 56000000000 },
+    { symbol: 'ada', name: 'Cardano', price: 0.45, supply: 35000000000 },
+    { symbol: 'doge', name: 'Dogecoin', price: 0.12, supply: 145000000000 },
+];
+
+// Fixed fiat rates per 1 USD, so converted prices only move with the mock prices
+const FIAT_RATES = [
+    { code: 'usd', name: 'US Dollar', unitsPerUsd: 1 },
+    { code: 'eur', name: 'Euro', unitsPerUsd: 0.92 },
+    { code: 'gbp', name: 'British Pound Sterling', unitsPerUsd: 0.79 },
+    { code: 'jpy', name: 'Japanese Yen', unitsPerUsd: 151.5 },
+    { code: 'chf', name: 'Swiss Franc', unitsPerUsd: 0.9 },
+    { code: 'cad', name: 'Canadian Dollar', unitsPerUsd: 1.36 },
+    { code: 'aud', name: 'Australian Dollar', unitsPerUsd: 1.52 },
+    { code: 'inr', name: 'Indian Rupee', unitsPerUsd: 83.3 },
+];
+
+// Small seeded PRNG (mulberry32), good enough for reproducible random walks
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// `volatility` is the largest per-run move as a fraction of the price (0.01 = 1%)
+function createMockProvider({ seed = 42, volatility = 0.01 } = {}) {
+    const random = createRandom(seed);
+    const prices = new Map(COINS.map(coin => [coin.symbol, coin.price]));
+
+    return {
+        name: 'mock',
+
+        async fetchMarkets() {
+            return COINS.map(coin => {
+                const change = (random() * 2 - 1) * volatility;
+                const price = prices.get(coin.symbol) * (1 + change);
+                prices.set(coin.symbol, price);
+                const marketCap = price * coin.supply;
+                return {
+                    symbol: coin.symbol,
+                    name: coin.name,
+                    current_price: price,
+                    market_cap: marketCap,
+                    total_volume: marketCap * (0.02 + random() * 0.03),
+                };
+            });
+        },
+
+        // BTC-based rates in CoinGecko's format ({ code: { name, unit, value, type } }), from the
+        // latest mock BTC price and FIAT_RATES; doesn't advance the random walk
+        async fetchExchangeRates() {
+            const btcInUsd = prices.get('btc');
+            const rates = { btc: { name: 'Bitcoin', unit: 'BTC', value: 1, type: 'crypto' } };
+            FIAT_RATES.forEach(({ code, name, unitsPerUsd }) => {
+                rates[code] = { name, unit: code.toUpperCase(), value: btcInUsd * unitsPerUsd, type: 'fiat' };
+            });
+            return rates;
+        },
+    };
+}
+
+module.exports = {
+    createMockProvider,
+};
@@ -0,0 +1,25 @@
+// ingestion/retry.js
+// Retries a failing async call with exponential backoff (base, 2x base, 4x base, ... capped).
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls `fn` up to `retries + 1` times and rethrows the last error.
+// `onRetry(err, attempt, delayMs)` is called before each wait.
+async function withRetry(fn, { retries = 3, baseDelayMs = 1000, maxDelayMs = 30000, onRetry = () => {} } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt > retries) {
+                throw err;
+            }
+            const delayMs = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+            onRetry(err, attempt, delayMs);
+            await sleep(delayMs);
+        }
+    }
+}
+
+module.exports = {
+    withRetry,
+};
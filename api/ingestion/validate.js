@@ -0,0 +1,45 @@
+// ingestion/validate.js
+// Turns provider market items into `prices` records, with the same rules as the
+// Python ETL (etl/crypto_etl.py): rows without a symbol, name or current price are skipped.
+
+// Accepts numbers and numeric strings (CSV files); anything else becomes null
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Returns { records, skipped }: records ready for prices.insertPrices() stamped with
+// `timestamp`, and the items that were skipped for missing essential fields
+function validateMarketItems(items, timestamp) {
+    const records = [];
+    const skipped = [];
+
+    (items || []).forEach(item => {
+        const symbol = item && typeof item.symbol === 'string' ? item.symbol.trim() : '';
+        const name = item && typeof item.name === 'string' ? item.name.trim() : '';
+        const currentPrice = item ? toNumber(item.current_price) : null;
+
+        // Check for essential fields
+        if (symbol && name && currentPrice !== null) {
+            records.push({
+                symbol: symbol.toLowerCase(), // Store symbols in lowercase for consistency with the ETL
+                name,
+                current_price: currentPrice,
+                market_cap: toNumber(item.market_cap),
+                total_volume: toNumber(item.total_volume),
+                timestamp,
+            });
+        } else {
+            skipped.push(item);
+        }
+    });
+
+    return { records, skipped };
+}
+
+module.exports = {
+    validateMarketItems,
+};
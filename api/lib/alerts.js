@@ -0,0 +1,234 @@
+// lib/alerts.js
+// Price alert rules: storage, validation and evaluation against the latest prices.
+//
+// Supported rule types:
+//   price_above     - latest price >= threshold
+//   price_below     - latest price <= threshold
+//   percent_change  - price moved by `threshold` percent within `window_minutes`
+//                     (negative threshold = drop, e.g. -5 means "drops 5% within the window")
+//   volume_spike    - 24h volume >= `threshold` times its average over `window_minutes`
+//
+// Alerts are edge-triggered: an alert fires once when its condition becomes true and
+// re-arms only after the condition is false again, so "BTC above 70k" does not fire on
+// every ETL run while BTC stays above 70k.
+
+const ALERT_TYPES = {
+    price_above: { defaultWindow: null },
+    price_below: { defaultWindow: null },
+    percent_change: { defaultWindow: 60 },
+    volume_spike: { defaultWindow: 24 * 60 },
+};
+
+const MAX_WINDOW_MINUTES = 30 * 24 * 60;
+
+// Validates a create (partial = false) or update (partial = true) request body.
+// Returns { errors: [...] } or { values: {...} } with normalized column values.
+function validateAlertInput(body, { partial = false } = {}) {
+    const errors = [];
+    const values = {};
+    const input = body || {};
+
+    if (!partial || input.symbol !== undefined) {
+        if (typeof input.symbol !== 'string' || !input.symbol.trim()) {
+            errors.push("'symbol' must be a non-empty string.");
+        } else {
+            values.symbol = input.symbol.trim().toLowerCase();
+        }
+    }
+
+    if (!partial || input.type !== undefined) {
+        if (!ALERT_TYPES[input.type]) {
+            errors.push(`'type' must be one of: ${Object.keys(ALERT_TYPES).join(', ')}.`);
+        } else {
+            values.type = input.type;
+        }
+    }
+
+    if (!partial || input.threshold !== undefined) {
+        const threshold = Number(input.threshold);
+        if (input.threshold === null || input.threshold === '' || !Number.isFinite(threshold)) {
+            errors.push("'threshold' must be a number.");
+        } else {
+            values.threshold = threshold;
+        }
+    }
+
+    if (input.window_minutes !== undefined && input.window_minutes !== null) {
+        const windowMinutes = Number(input.window_minutes);
+        if (!Number.isInteger(windowMinutes) || windowMinutes <= 0 || windowMinutes > MAX_WINDOW_MINUTES) {
+            errors.push(`'window_minutes' must be an integer between 1 and ${MAX_WINDOW_MINUTES}.`);
+        } else {
+            values.window_minutes = windowMinutes;
+        }
+    } else if (values.type) {
+        values.window_minutes = ALERT_TYPES[values.type].defaultWindow;
+    }
+
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') {
+            errors.push("'enabled' must be a boolean.");
+        } else {
+            values.enabled = input.enabled;
+        }
+    }
+
+    if (values.type === 'volume_spike' && values.threshold !== undefined && values.threshold <= 0) {
+        errors.push("'threshold' for volume_spike is a multiplier and must be greater than 0.");
+    }
+    if (values.type === 'percent_change' && values.threshold === 0) {
+        errors.push("'threshold' for percent_change must be non-zero (negative for drops, positive for rises).");
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+    if (partial && Object.keys(values).length === 0) {
+        return { errors: ['Nothing to update.'] };
+    }
+    return { values };
+}
+
+const formatUsd = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 4 })}`;
+
+// Returns { met, value, message } for one alert, given the latest row for its symbol.
+// `stats` holds the window data needed by percent_change / volume_spike alerts.
+function checkCondition(alert, latest, stats) {
+    const symbol = alert.symbol.toUpperCase();
+    const price = latest.current_price;
+
+    switch (alert.type) {
+        case 'price_above':
+            return { met: price >= alert.threshold, value: price, message: `${symbol} is above ${formatUsd(alert.threshold)} (now ${formatUsd(price)})` };
+        case 'price_below':
+            return { met: price <= alert.threshold, value: price, message: `${symbol} is below ${formatUsd(alert.threshold)} (now ${formatUsd(price)})` };
+        case 'percent_change': {
+            if (!stats.referencePrice) {
+                return { met: false };
+            }
+            const change = ((price - stats.referencePrice) / stats.referencePrice) * 100;
+            const met = alert.threshold < 0 ? change <= alert.threshold : change >= alert.threshold;
+            const direction = change < 0 ? 'dropped' : 'rose';
+            return { met, value: change, message: `${symbol} ${direction} ${Math.abs(change).toFixed(2)}% within ${alert.window_minutes} min (now ${formatUsd(price)})` };
+        }
+        case 'volume_spike': {
+            if (!stats.averageVolume || latest.total_volume === null) {
+                return { met: false };
+            }
+            const ratio = latest.total_volume / stats.averageVolume;
+            return { met: ratio >= alert.threshold, value: ratio, message: `${symbol} volume spike: ${ratio.toFixed(2)}x its ${alert.window_minutes}-min average` };
+        }
+        default:
+            return { met: false };
+    }
+}
+
+// SQLite returns booleans as 0/1; keep the API output identical across backends
+function normalizeAlert(row) {
+    return row && { ...row, enabled: Boolean(row.enabled), triggered: Boolean(row.triggered) };
+}
+
+// `db` is a storage client and `prices` the price repository (see storage/index.js)
+function createAlertService(db, prices) {
+    async function list() {
+        return (await db.query('SELECT * FROM alerts ORDER BY created_at DESC, id DESC;')).map(normalizeAlert);
+    }
+
+    async function get(id) {
+        const rows = await db.query('SELECT * FROM alerts WHERE id = $1;', [id]);
+        return normalizeAlert(rows[0]) || null;
+    }
+
+    async function create(values) {
+        const rows = await db.query(
+            `INSERT INTO alerts (symbol, type, threshold, window_minutes, enabled, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *;`,
+            [values.symbol, values.type, values.threshold, values.window_minutes, values.enabled !== false, new Date()]
+        );
+        return normalizeAlert(rows[0]);
+    }
+
+    async function update(id, values) {
+        const columns = Object.keys(values);
+        const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+        // Changing the rule re-arms it, so it can fire again against the new condition
+        const rows = await db.query(
+            `UPDATE alerts SET ${assignments.join(', ')}, triggered = FALSE WHERE id = $1 RETURNING *;`,
+            [id, ...columns.map(column => values[column])]
+        );
+        return normalizeAlert(rows[0]) || null;
+    }
+
+    async function remove(id) {
+        const rows = await db.query('DELETE FROM alerts WHERE id = $1 RETURNING id;', [id]);
+        return rows.length > 0;
+    }
+
+    async function history(limit) {
+        return db.query('SELECT * FROM alert_history ORDER BY triggered_at DESC, id DESC LIMIT $1;', [limit]);
+    }
+
+    // Loads the window data an alert needs, relative to the latest row's timestamp
+    async function loadStats(alert, latest) {
+        if (!alert.window_minutes) {
+            return {};
+        }
+        const latestTime = new Date(latest.timestamp);
+        const windowStart = new Date(latestTime.getTime() - alert.window_minutes * 60 * 1000);
+
+        if (alert.type === 'percent_change') {
+            return { referencePrice: await prices.getFirstPriceSince(alert.symbol, windowStart) };
+        }
+        if (alert.type === 'volume_spike') {
+            return { averageVolume: await prices.getAverageVolume(alert.symbol, windowStart, latestTime) };
+        }
+        return {};
+    }
+
+    // Evaluates all enabled alerts against the latest rows and returns the history
+    // entries of the alerts that fired during this run.
+    async function evaluate(latestRows) {
+        const latestBySymbol = new Map(latestRows.map(row => [row.symbol, row]));
+        const alerts = (await db.query('SELECT * FROM alerts WHERE enabled = TRUE;')).map(normalizeAlert);
+        const fired = [];
+
+        for (const alert of alerts) {
+            const latest = latestBySymbol.get(alert.symbol);
+            if (!latest || latest.current_price === null || isNaN(latest.current_price)) {
+                continue;
+            }
+
+            const { met, value, message } = checkCondition(alert, latest, await loadStats(alert, latest));
+
+            if (met && !alert.triggered) {
+                const now = new Date();
+                await db.query('UPDATE alerts SET triggered = TRUE, last_triggered_at = $2 WHERE id = $1;', [alert.id, now]);
+                const entries = await db.query(
+                    `INSERT INTO alert_history (alert_id, symbol, type, threshold, value, message, triggered_at)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *;`,
+                    [alert.id, alert.symbol, alert.type, alert.threshold, value, message, now]
+                );
+                fired.push(entries[0]);
+            } else if (!met && alert.triggered) {
+                await db.query('UPDATE alerts SET triggered = FALSE WHERE id = $1;', [alert.id]);
+            }
+        }
+
+        return fired;
+    }
+
+    return {
+        list,
+        get,
+        create,
+        update,
+        remove,
+        history,
+        evaluate,
+    };
+}
+
+module.exports = {
+    ALERT_TYPES,
+    validateAlertInput,
+    createAlertService,
+};
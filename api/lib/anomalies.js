@@ -0,0 +1,190 @@
+// lib/anomalies.js
+// Flags bad or suspicious rows in the raw `prices` history of a coin, so a bad CoinGecko
+// response shows up on the chart instead of silently skewing indicators and comparisons:
+//   price_jump                a price move whose log return is an outlier (z-score) against
+//                             the returns just before it
+//   non_positive_value        a price or market cap of zero or less, or a negative volume
+//   market_cap_discontinuity  market cap moving out of step with the price, i.e. the implied
+//                             circulating supply (market_cap / price) jumping between two runs
+// and ingestion gaps: stretches where at least one expected ingestion run is missing.
+//
+//   ANOMALY_Z_THRESHOLD             |z-score| from which a price move is a jump (default 4)
+//   ANOMALY_WINDOW                  preceding returns a z-score is measured against (default 48, 4 hours of runs)
+//   ANOMALY_SUPPLY_JUMP_PERCENT     implied supply change that counts as a discontinuity (default 10)
+//   ANOMALY_EXPECTED_INTERVAL_MS    time between ingestion runs (default INGESTION_INTERVAL_MS with
+//                                   in-process ingestion, otherwise 300000 = the ETL's 5 minutes)
+
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+// Fewer preceding returns than this give no meaningful spread, so no z-score is computed
+const MIN_WINDOW = 10;
+
+// A gap is a time between two rows of more than this many expected intervals, which leaves
+// room for runs that are slow or late without calling them missing
+const GAP_TOLERANCE = 1.5;
+
+const parsePositiveInteger = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+const parsePositiveNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// Reads the detection settings from environment variables
+function loadAnomalyConfig(env = process.env) {
+    const ingestionIntervalMs = env.INGESTION_PROVIDER ? parsePositiveInteger(env.INGESTION_INTERVAL_MS, FIVE_MINUTES) : FIVE_MINUTES;
+    return {
+        zThreshold: parsePositiveNumber(env.ANOMALY_Z_THRESHOLD, 4),
+        window: Math.max(MIN_WINDOW, parsePositiveInteger(env.ANOMALY_WINDOW, 48)),
+        supplyJumpPercent: parsePositiveNumber(env.ANOMALY_SUPPLY_JUMP_PERCENT, 10),
+        expectedIntervalMs: parsePositiveInteger(env.ANOMALY_EXPECTED_INTERVAL_MS, ingestionIntervalMs),
+    };
+}
+
+const timeOf = (row) => new Date(row.timestamp).getTime();
+
+function meanAndDeviation(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return { mean, deviation: Math.sqrt(variance) };
+}
+
+// Zero or negative values in one row
+function findNonPositiveValues(row) {
+    const found = [];
+    if (row.current_price <= 0) {
+        found.push({ field: 'current_price', value: row.current_price });
+    }
+    if (row.market_cap !== null && row.market_cap <= 0) {
+        found.push({ field: 'market_cap', value: row.market_cap });
+    }
+    if (row.total_volume !== null && row.total_volume < 0) {
+        found.push({ field: 'total_volume', value: row.total_volume });
+    }
+    return found.map(({ field, value }) => ({
+        timestamp: row.timestamp,
+        type: 'non_positive_value',
+        field,
+        value,
+        message: `${field} is ${value}`,
+    }));
+}
+
+// Anomalies in `rows` (one symbol, ordered by timestamp), ordered by timestamp
+function detectAnomalies(rows, config) {
+    const anomalies = [];
+    const returns = []; // Log returns of the recent rows that weren't jumps themselves
+    let previous = null; // Last row with a positive price
+
+    rows.forEach(row => {
+        anomalies.push(...findNonPositiveValues(row));
+        if (!(row.current_price > 0)) {
+            return; // Leaves the row out of returns and supply, which it would only distort
+        }
+
+        if (previous) {
+            const logReturn = Math.log(row.current_price / previous.current_price);
+            let isJump = false;
+            if (returns.length >= MIN_WINDOW) {
+                const { mean, deviation } = meanAndDeviation(returns);
+                const score = deviation > 0 ? (logReturn - mean) / deviation : 0;
+                if (Math.abs(score) >= config.zThreshold) {
+                    isJump = true;
+                    const percent = (Math.exp(logReturn) - 1) * 100;
+                    anomalies.push({
+                        timestamp: row.timestamp,
+                        type: 'price_jump',
+                        field: 'current_price',
+                        value: row.current_price,
+                        previous_value: previous.current_price,
+                        score: Number(score.toFixed(2)),
+                        message: `Price moved ${percent > 0 ? '+' : ''}${percent.toFixed(2)}% in one run (z-score ${score.toFixed(1)})`,
+                    });
+                }
+            }
+            // A jump stays out of the window, so one bad row doesn't hide the next by widening the spread
+            if (!isJump) {
+                returns.push(logReturn);
+                if (returns.length > config.window) {
+                    returns.shift();
+                }
+            }
+
+            if (row.market_cap > 0 && previous.market_cap > 0) {
+                const supply = row.market_cap / row.current_price;
+                const previousSupply = previous.market_cap / previous.current_price;
+                const supplyChange = (supply / previousSupply - 1) * 100;
+                if (Math.abs(supplyChange) >= config.supplyJumpPercent) {
+                    anomalies.push({
+                        timestamp: row.timestamp,
+                        type: 'market_cap_discontinuity',
+                        field: 'market_cap',
+                        value: row.market_cap,
+                        previous_value: previous.market_cap,
+                        message: `Market cap implies a ${supplyChange > 0 ? '+' : ''}${supplyChange.toFixed(2)}% change in circulating supply`,
+                    });
+                }
+            }
+        }
+        previous = row;
+    });
+
+    return anomalies;
+}
+
+// Ingestion gaps in `rows` (ordered by timestamp): every stretch between two rows, or between
+// the last row and `end`, longer than the tolerance. The time before the first row isn't a gap,
+// since there may simply be no older data.
+function detectGaps(rows, { end, expectedIntervalMs }) {
+    const gaps = [];
+    const maxStep = expectedIntervalMs * GAP_TOLERANCE;
+    const times = rows.map(timeOf);
+    if (times.length > 0 && end.getTime() > times[times.length - 1]) {
+        times.push(end.getTime());
+    }
+    for (let i = 1; i < times.length; i++) {
+        const step = times[i] - times[i - 1];
+        if (step > maxStep) {
+            gaps.push({
+                start: new Date(times[i - 1]).toISOString(),
+                end: new Date(times[i]).toISOString(),
+                missed_runs: Math.max(1, Math.round(step / expectedIntervalMs) - 1),
+            });
+        }
+    }
+    return gaps;
+}
+
+// `prices` is the price repository; `config` comes from loadAnomalyConfig()
+function createAnomalyService({ prices, config }) {
+    // Scans the raw rows of `symbol` in [start, end). The window before `start` is read too,
+    // so the first rows of the range are measured against the returns that preceded them.
+    async function scan(symbol, start, end) {
+        const lookbackStart = new Date(start.getTime() - (config.window + 1) * config.expectedIntervalMs * GAP_TOLERANCE);
+        const rows = await prices.getHistory(symbol, { start: lookbackStart, end });
+        // A range that reaches the present ends now: later runs haven't happened yet
+        const gapEnd = new Date(Math.min(end.getTime(), Date.now()));
+
+        return {
+            anomalies: detectAnomalies(rows, config).filter(anomaly => timeOf(anomaly) >= start.getTime()),
+            // Including gaps that started before the range but end inside it
+            gaps: detectGaps(rows, { end: gapEnd, expectedIntervalMs: config.expectedIntervalMs })
+                .filter(gap => new Date(gap.end) > start),
+            row_count: rows.filter(row => timeOf(row) >= start.getTime()).length,
+        };
+    }
+
+    return {
+        scan,
+    };
+}
+
+module.exports = {
+    loadAnomalyConfig,
+    detectAnomalies,
+    detectGaps,
+    createAnomalyService,
+};
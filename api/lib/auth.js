@@ -0,0 +1,72 @@
+// lib/auth.js
+// JSON Web Tokens for user sessions. Login and registration return a token that clients send
+// as `Authorization: Bearer <token>` on REST requests, or in an `authenticate` WebSocket message.
+//
+//   JWT_SECRET       HMAC secret for signing tokens (unset: a random one per process, so every
+//                    restart logs all users out)
+//   JWT_EXPIRES_IN   token lifetime, e.g. 12h or 7d (default 7d)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_ALGORITHM = 'HS256';
+
+// Reads the auth settings from environment variables
+function loadAuthConfig(env = process.env) {
+    return {
+        secret: env.JWT_SECRET || null,
+        expiresIn: env.JWT_EXPIRES_IN || '7d',
+    };
+}
+
+function createTokenService({ secret, expiresIn }) {
+    const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+
+    // Token for a user returned by the user service
+    function issue(user) {
+        return jwt.sign({ username: user.username }, signingSecret, {
+            algorithm: TOKEN_ALGORITHM,
+            subject: String(user.id),
+            expiresIn,
+        });
+    }
+
+    // Returns { id, username } for a valid, unexpired token, or null
+    function verify(token) {
+        if (typeof token !== 'string' || !token) {
+            return null;
+        }
+        try {
+            const payload = jwt.verify(token, signingSecret, { algorithms: [TOKEN_ALGORITHM] });
+            return { id: Number(payload.sub), username: payload.username };
+        } catch (err) {
+            return null;
+        }
+    }
+
+    return {
+        issue,
+        verify,
+    };
+}
+
+// Middleware that requires a valid bearer token and sets req.user
+function createRequireUser(tokenService) {
+    return (req, res, next) => {
+        const [scheme, token] = (req.get('authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ error: 'Authentication required (Authorization: Bearer <token>).' });
+        }
+        const user = tokenService.verify(token);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired token. Please log in again.' });
+        }
+        req.user = user;
+        next();
+    };
+}
+
+module.exports = {
+    loadAuthConfig,
+    createTokenService,
+    createRequireUser,
+};
@@ -0,0 +1,160 @@
+// lib/cache.js
+// In-process response caching for the read endpoints. Prices only change when new data is
+// ingested (every few minutes), so the latest snapshot is cached until the next ingestion
+// notification, and history responses are kept in an LRU cache. Cached responses carry an
+// ETag and Last-Modified, so clients that send If-None-Match / If-Modified-Since get a 304.
+//
+//   CACHE_TTL_MS              upper bound on any entry's age, in case a notification is missed (default 300000)
+//   CACHE_HISTORY_MAX_ENTRIES history responses kept (default 100)
+const crypto = require('crypto');
+
+const parsePositive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Reads the cache settings from environment variables
+function loadCacheConfig(env = process.env) {
+    return {
+        ttlMs: parsePositive(env.CACHE_TTL_MS, 5 * 60 * 1000),
+        historyMaxEntries: parsePositive(env.CACHE_HISTORY_MAX_ENTRIES, 100),
+    };
+}
+
+// Least-recently-used cache with a maximum size and entry lifetime. A Map keeps insertion
+// order, so re-inserting on every read leaves the least recently used key first.
+function createLruCache({ maxEntries, ttlMs }) {
+    const entries = new Map(); // key -> { value, expiresAt }
+    const pending = new Map(); // key -> Promise, so concurrent misses share one computation
+    let generation = 0; // Bumped by invalidation, so computations that started before it aren't stored
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            return undefined;
+        }
+        entries.set(key, entry);
+        return entry.value;
+    }
+
+    function set(key, value) {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    // Returns the cached value, or computes, stores and returns it. Failures are not cached.
+    async function getOrCompute(key, compute) {
+        const cached = get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+        if (pending.has(key)) {
+            return pending.get(key);
+        }
+        const startedIn = generation;
+        const promise = (async () => {
+            try {
+                const value = await compute();
+                if (startedIn === generation) {
+                    set(key, value);
+                }
+                return value;
+            } finally {
+                if (pending.get(key) === promise) {
+                    pending.delete(key);
+                }
+            }
+        })();
+        pending.set(key, promise);
+        return promise;
+    }
+
+    // Removes the entries whose value matches `predicate`
+    function deleteWhere(predicate) {
+        entries.forEach((entry, key) => {
+            if (predicate(entry.value)) {
+                entries.delete(key);
+            }
+        });
+        pending.clear(); // Computations already running may have read the old data
+        generation++;
+    }
+
+    function clear() {
+        entries.clear();
+        pending.clear();
+        generation++;
+    }
+
+    return {
+        get,
+        set,
+        getOrCompute,
+        deleteWhere,
+        clear,
+        size: () => entries.size,
+    };
+}
+
+// A cacheable JSON response: the serialized body with its validators.
+// `headers` are extra response headers (X-Next-Cursor...), `lastModified` the newest data
+// timestamp in the body, and `volatile` marks responses that new data can change.
+function createResponseEntry(body, { headers = {}, lastModified = null, volatile = true } = {}) {
+    const json = JSON.stringify(body);
+    return {
+        json,
+        etag: `"${crypto.createHash('sha1').update(json).digest('base64url')}"`,
+        headers,
+        lastModified: lastModified ? new Date(lastModified) : null,
+        volatile,
+    };
+}
+
+// Newest timestamp of a list of rows/candles, for Last-Modified
+function newestTimestamp(rows) {
+    return rows.reduce((newest, row) => {
+        const time = new Date(row.timestamp);
+        return !newest || time > newest ? time : newest;
+    }, null);
+}
+
+// Sends a cached entry, or 304 Not Modified when the client's copy is still current.
+// Cache-Control: no-cache makes browsers revalidate every time instead of guessing freshness.
+function sendCachedResponse(req, res, entry) {
+    res.set(entry.headers);
+    res.set('ETag', entry.etag);
+    res.set('Cache-Control', 'no-cache');
+    if (entry.lastModified) {
+        res.set('Last-Modified', entry.lastModified.toUTCString());
+    }
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.type('json').send(entry.json);
+}
+
+// Cache key of a request: its path and query parameters in a fixed order. The API key is
+// left out, since responses don't depend on who asked.
+function requestCacheKey(req) {
+    const params = Object.keys(req.query)
+        .filter(name => name !== 'api_key')
+        .sort()
+        .map(name => `${name}=${[].concat(req.query[name]).join(',')}`);
+    return `${req.path}?${params.join('&')}`;
+}
+
+module.exports = {
+    loadCacheConfig,
+    createLruCache,
+    createResponseEntry,
+    newestTimestamp,
+    sendCachedResponse,
+    requestCacheKey,
+};
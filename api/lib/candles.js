@@ -0,0 +1,96 @@
+// lib/candles.js
+// Groups raw `prices` rows into OHLC candles for the history endpoint.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// Supported candle intervals and their bucket size in milliseconds
+const INTERVALS = {
+    '5m': 5 * MINUTE,
+    '1h': HOUR,
+    '4h': 4 * HOUR,
+    '1d': DAY,
+    '1w': WEEK,
+};
+
+// The Unix epoch fell on a Thursday, so weekly buckets are shifted by 4 days
+// to make them start on Monday 00:00 UTC like most exchanges do.
+const WEEK_OFFSET = 4 * DAY;
+
+// Whether `value` names one of the INTERVALS. Only own keys count, so query values such as
+// 'toString' or 'constructor' don't pass.
+function isInterval(value) {
+    return typeof value === 'string' && Object.hasOwn(INTERVALS, value);
+}
+
+// Returns the start (in ms since epoch, UTC) of the bucket a timestamp belongs to
+function bucketStart(time, interval) {
+    const size = INTERVALS[interval];
+    const offset = interval === '1w' ? WEEK_OFFSET : 0;
+    return Math.floor((time - offset) / size) * size + offset;
+}
+
+// Aggregates price rows (already ordered by timestamp ASC) into candles.
+// `volume` is the closing total_volume of the bucket: CoinGecko reports a rolling
+// 24h volume on every row, so summing it across a bucket would overcount.
+// Rows that are themselves buckets (hourly/daily rollups, see lib/rollups.js) carry their
+// own open/high/low and sample_count, which are kept instead of the single price.
+function aggregateCandles(rows, interval) {
+    if (!isInterval(interval)) {
+        throw new Error(`Unsupported interval: ${interval}`);
+    }
+
+    const candles = [];
+    let current = null;
+
+    rows.forEach(row => {
+        const time = new Date(row.timestamp).getTime();
+        if (isNaN(time) || row.current_price === null || isNaN(row.current_price)) {
+            return; // Skip rows we cannot place on the time axis or price axis
+        }
+
+        const start = bucketStart(time, interval);
+        const price = row.current_price;
+        const high = row.high ?? price;
+        const low = row.low ?? price;
+
+        if (!current || current.start !== start) {
+            current = {
+                start,
+                symbol: row.symbol,
+                name: row.name,
+                open: row.open ?? price,
+                high,
+                low,
+                close: price,
+                volume: row.total_volume,
+                market_cap: row.market_cap,
+                count: 0,
+            };
+            candles.push(current);
+        }
+
+        current.high = Math.max(current.high, high);
+        current.low = Math.min(current.low, low);
+        current.close = price;
+        current.volume = row.total_volume;
+        current.market_cap = row.market_cap;
+        current.count += row.sample_count ?? 1;
+    });
+
+    return candles.map(({ start, symbol, name, ...ohlc }) => ({
+        symbol,
+        name,
+        timestamp: new Date(start).toISOString(),
+        ...ohlc,
+    }));
+}
+
+module.exports = {
+    INTERVALS,
+    isInterval,
+    bucketStart,
+    aggregateCandles,
+};
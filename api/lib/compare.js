@@ -0,0 +1,74 @@
+// lib/compare.js
+// Aligns the price history of several coins on one shared time axis, so they can be
+// plotted together, optionally rebased to percent change from the start of the range.
+const { INTERVALS, aggregateCandles } = require('./candles');
+
+// Upper bound on points per series when the interval is picked automatically
+const MAX_AUTO_POINTS = 800;
+
+// Smallest candle interval that keeps a [start, end) range within MAX_AUTO_POINTS buckets
+function pickInterval(start, end) {
+    const span = new Date(end).getTime() - new Date(start).getTime();
+    const entries = Object.entries(INTERVALS);
+    const fitting = entries.find(([, size]) => span / size <= MAX_AUTO_POINTS);
+    return fitting ? fitting[0] : entries[entries.length - 1][0];
+}
+
+// Builds aligned series from price rows of several symbols (ordered by timestamp ASC).
+// Each series holds the closing price of every bucket on the shared axis; a coin without
+// a row in some bucket keeps its previous close, and is null before its first row.
+// Returns { timestamps, series: [{ symbol, name, values, first, last, change_pct }] }.
+function alignSeries(rows, symbols, interval) {
+    const closesBySymbol = new Map();
+    const names = new Map();
+    const bucketTimes = new Set();
+
+    symbols.forEach(symbol => {
+        const candles = aggregateCandles(rows.filter(row => row.symbol === symbol), interval);
+        closesBySymbol.set(symbol, new Map(candles.map(candle => [candle.timestamp, candle.close])));
+        candles.forEach(candle => bucketTimes.add(candle.timestamp));
+        if (candles.length > 0) {
+            names.set(symbol, candles[0].name);
+        }
+    });
+
+    const timestamps = Array.from(bucketTimes).sort();
+
+    const series = symbols.map(symbol => {
+        const closes = closesBySymbol.get(symbol);
+        let previous = null;
+        const values = timestamps.map(timestamp => {
+            if (closes.has(timestamp)) {
+                previous = closes.get(timestamp);
+            }
+            return previous;
+        });
+        const known = values.filter(value => value !== null);
+        const first = known.length > 0 ? known[0] : null;
+        const last = known.length > 0 ? known[known.length - 1] : null;
+        return {
+            symbol,
+            name: names.get(symbol) || symbol.toUpperCase(),
+            values,
+            first,
+            last,
+            change_pct: first ? ((last - first) / first) * 100 : null,
+        };
+    });
+
+    return { timestamps, series };
+}
+
+// Replaces each series' prices with the percent change from its first known price
+function rebaseSeries(series) {
+    return series.map(entry => ({
+        ...entry,
+        values: entry.values.map(value => (value === null || !entry.first ? null : ((value - entry.first) / entry.first) * 100)),
+    }));
+}
+
+module.exports = {
+    pickInterval,
+    alignSeries,
+    rebaseSeries,
+};
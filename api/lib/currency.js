@@ -0,0 +1,152 @@
+// lib/currency.js
+// Quote currency conversion. Prices are stored in USD; the ETL also stores CoinGecko's
+// exchange rates in `fx_rates` (fiat and crypto, e.g. EUR, GBP, BTC, ETH) as
+// "units of the currency per 1 USD", so converting is a single multiplication.
+
+const BASE_CURRENCY = 'usd';
+
+// Columns of a price row that are denominated in the quote currency (open/high/low only
+// exist on hourly and daily rollup rows)
+const CONVERTED_FIELDS = ['current_price', 'market_cap', 'total_volume', 'open', 'high', 'low'];
+
+// Multiplies the money columns of each row by the rate in effect at the row's timestamp.
+// `rates` is ordered by timestamp ASC; rows older than the first rate use the first rate.
+function convertRows(rows, rates) {
+    if (rates.length === 0) {
+        return rows;
+    }
+
+    const rateTimes = rates.map(rate => new Date(rate.timestamp).getTime());
+    let rateIndex = 0;
+
+    // Rows are usually ordered by time, so walk the rates forward instead of searching each time
+    const sortedByTime = rows.every((row, i) => i === 0 || new Date(rows[i - 1].timestamp) <= new Date(row.timestamp));
+
+    return rows.map(row => {
+        const time = new Date(row.timestamp).getTime();
+        if (!sortedByTime) {
+            rateIndex = 0;
+        }
+        while (rateIndex + 1 < rates.length && rateTimes[rateIndex + 1] <= time) {
+            rateIndex++;
+        }
+
+        const rate = rates[rateIndex].units_per_usd;
+        const converted = { ...row };
+        CONVERTED_FIELDS.forEach(field => {
+            if (converted[field] !== null && converted[field] !== undefined) {
+                converted[field] = converted[field] * rate;
+            }
+        });
+        return converted;
+    });
+}
+
+// Converts CoinGecko's BTC-based exchange rates ({ code: { name, type, value } }) into
+// fx_rates rows relative to 1 USD, like the ETL does. Returns [] without a USD rate.
+function ratesPerUsd(btcRates) {
+    const usdRate = btcRates && btcRates.usd && btcRates.usd.value;
+    if (!usdRate) {
+        return [];
+    }
+    return Object.entries(btcRates)
+        .filter(([, rate]) => rate && rate.value !== null && rate.value !== undefined)
+        .map(([code, rate]) => ({
+            currency: code.toLowerCase(),
+            name: rate.name || null,
+            type: rate.type || null,
+            units_per_usd: rate.value / usdRate,
+        }));
+}
+
+// `db` is a storage client (see storage/index.js)
+function createCurrencyService(db) {
+    // Latest rate of every known currency, with USD always present
+    async function listCurrencies() {
+        const rows = await db.query(`
+            SELECT r1.currency, r1.name, r1.type, r1.units_per_usd, r1.timestamp
+            FROM fx_rates r1
+            INNER JOIN (
+                SELECT currency, MAX(timestamp) AS max_timestamp
+                FROM fx_rates
+                GROUP BY currency
+            ) r2
+            ON r1.currency = r2.currency AND r1.timestamp = r2.max_timestamp
+            ORDER BY r1.currency;
+        `);
+        const currencies = rows.filter(row => row.currency !== BASE_CURRENCY);
+        currencies.unshift({ currency: BASE_CURRENCY, name: 'US Dollar', type: 'fiat', units_per_usd: 1, timestamp: null });
+        return currencies;
+    }
+
+    async function isSupported(currency) {
+        if (currency === BASE_CURRENCY) {
+            return true;
+        }
+        const rows = await db.query('SELECT 1 AS found FROM fx_rates WHERE currency = $1 LIMIT 1;', [currency]);
+        return rows.length > 0;
+    }
+
+    // Converts rows using the latest known rate (for the latest-prices snapshot)
+    async function convertLatest(rows, currency) {
+        if (currency === BASE_CURRENCY) {
+            return rows;
+        }
+        const rates = await db.query(
+            'SELECT units_per_usd, timestamp FROM fx_rates WHERE currency = $1 ORDER BY timestamp DESC LIMIT 1;',
+            [currency]
+        );
+        return convertRows(rows, rates);
+    }
+
+    // Converts historical rows using the rate that was in effect at each row's timestamp
+    async function convertHistory(rows, currency) {
+        if (currency === BASE_CURRENCY || rows.length === 0) {
+            return rows;
+        }
+        const times = rows.map(row => new Date(row.timestamp).getTime());
+        const start = new Date(times.reduce((min, time) => Math.min(min, time), Infinity));
+        const end = new Date(times.reduce((max, time) => Math.max(max, time), -Infinity));
+        // The last rate before the range start covers the first rows of the range
+        const rates = await db.query(`
+            SELECT units_per_usd, timestamp FROM (
+                SELECT units_per_usd, timestamp FROM fx_rates
+                WHERE currency = $1 AND timestamp < $2
+                ORDER BY timestamp DESC LIMIT 1
+            ) AS before_range
+            UNION ALL
+            SELECT units_per_usd, timestamp FROM fx_rates
+            WHERE currency = $1 AND timestamp >= $2 AND timestamp <= $3
+            ORDER BY timestamp ASC;
+        `, [currency, start, end]);
+        return convertRows(rows, rates);
+    }
+
+    // Stores one set of rates taken at `timestamp`; a second insert for the same time is ignored
+    async function insertRates(rates, timestamp) {
+        for (const rate of rates) {
+            await db.query(
+                `INSERT INTO fx_rates (currency, name, type, units_per_usd, timestamp)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (currency, timestamp) DO NOTHING;`,
+                [rate.currency, rate.name, rate.type, rate.units_per_usd, timestamp]
+            );
+        }
+        return rates.length;
+    }
+
+    return {
+        listCurrencies,
+        isSupported,
+        convertLatest,
+        convertHistory,
+        insertRates,
+    };
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    convertRows,
+    ratesPerUsd,
+    createCurrencyService,
+};
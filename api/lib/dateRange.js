@@ -0,0 +1,52 @@
+// lib/dateRange.js
+// startDate/endDate query parameters (YYYY-MM-DD days in the request's `tz`, UTC by default,
+// see lib/timezones.js) as a [start, end) timestamp range.
+const { DEFAULT_TIME_ZONE, startOfDay, dayInZone } = require('./timezones');
+
+// Parses a YYYY-MM-DD query parameter as the start of that day in `timeZone`, or null if invalid
+function parseDay(value, timeZone = DEFAULT_TIME_ZONE) {
+    return startOfDay(value, timeZone);
+}
+
+// The start of the day after `value` (YYYY-MM-DD) in `timeZone`, i.e. the exclusive end of that
+// day, or null if invalid. Not always 24 hours after its start: DST changes make days 23 or 25 hours.
+function parseDayEnd(value, timeZone = DEFAULT_TIME_ZONE) {
+    if (!parseDay(value, timeZone)) {
+        return null;
+    }
+    const nextDay = new Date(`${value}T00:00:00.000Z`);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    return startOfDay(nextDay.toISOString().split('T')[0], timeZone);
+}
+
+// Today's date (YYYY-MM-DD) in `timeZone`
+const today = (timeZone = DEFAULT_TIME_ZONE) => dayInZone(new Date(), timeZone);
+
+// Returns { start, end } ISO strings, either omitted when its parameter is missing, or null
+// when a date is invalid. The end is exclusive: the start of the day after endDate, so every
+// timestamp up to the last millisecond of endDate is included.
+function toDayRange(startDate, endDate, timeZone = DEFAULT_TIME_ZONE) {
+    const range = {};
+    if (startDate) {
+        const start = parseDay(startDate, timeZone);
+        if (!start) {
+            return null;
+        }
+        range.start = start.toISOString();
+    }
+    if (endDate) {
+        const end = parseDayEnd(endDate, timeZone);
+        if (!end) {
+            return null;
+        }
+        range.end = end.toISOString();
+    }
+    return range;
+}
+
+module.exports = {
+    parseDay,
+    parseDayEnd,
+    today,
+    toDayRange,
+};
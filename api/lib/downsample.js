@@ -0,0 +1,64 @@
+// lib/downsample.js
+// Largest-Triangle-Three-Buckets (LTTB) downsampling: reduces a time series to a target
+// number of points while keeping its visual shape (peaks and dips survive, flat runs don't).
+// See Sveinn Steinarsson, "Downsampling Time Series for Visual Representation" (2013).
+
+const timeOf = row => new Date(row.timestamp).getTime();
+const priceOf = row => row.current_price;
+
+// Returns at most `maxPoints` of `rows` (ordered by time), always keeping the first and last.
+// `valueOf` picks the plotted value of a row.
+function lttb(rows, maxPoints, valueOf = priceOf) {
+    if (maxPoints >= rows.length || maxPoints < 3) {
+        return rows;
+    }
+
+    const sampled = [rows[0]];
+    // The first and last points are fixed, the rest is split into maxPoints - 2 buckets
+    const bucketSize = (rows.length - 2) / (maxPoints - 2);
+    let selected = 0;
+
+    for (let bucket = 0; bucket < maxPoints - 2; bucket++) {
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.floor((bucket + 1) * bucketSize) + 1;
+
+        // Average of the next bucket (or the last point) is the third triangle corner
+        const nextStart = end;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, rows.length);
+        let avgTime = 0;
+        let avgValue = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            avgTime += timeOf(rows[i]);
+            avgValue += valueOf(rows[i]);
+        }
+        const nextCount = nextEnd - nextStart;
+        avgTime /= nextCount;
+        avgValue /= nextCount;
+
+        // Keep the point of this bucket that forms the largest triangle with the previous pick
+        const selectedTime = timeOf(rows[selected]);
+        const selectedValue = valueOf(rows[selected]);
+        let maxArea = -1;
+        let maxIndex = start;
+        for (let i = start; i < end; i++) {
+            const area = Math.abs(
+                (selectedTime - avgTime) * (valueOf(rows[i]) - selectedValue) -
+                (selectedTime - timeOf(rows[i])) * (avgValue - selectedValue)
+            );
+            if (area > maxArea) {
+                maxArea = area;
+                maxIndex = i;
+            }
+        }
+
+        sampled.push(rows[maxIndex]);
+        selected = maxIndex;
+    }
+
+    sampled.push(rows[rows.length - 1]);
+    return sampled;
+}
+
+module.exports = {
+    lttb,
+};
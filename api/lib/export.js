@@ -0,0 +1,126 @@
+// lib/export.js
+// Streaming writers for price exports in CSV, JSON Lines and XLSX. Rows are written as they
+// arrive (page by page), so large history ranges never have to be held in memory.
+// Timestamps are written as ISO 8601 with the offset of the export's time zone (lib/timezones.js);
+// spreadsheet cells have no zone, so XLSX gets that zone's wall-clock time.
+const ExcelJS = require('exceljs');
+const { DEFAULT_TIME_ZONE, formatTimestamp, wallClockDate } = require('./timezones');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Exported columns, in order, with their XLSX column widths
+const EXPORT_COLUMNS = [
+    { key: 'symbol', width: 10 },
+    { key: 'name', width: 24 },
+    { key: 'current_price', width: 16 },
+    { key: 'market_cap', width: 20 },
+    { key: 'total_volume', width: 20 },
+    { key: 'timestamp', width: 26 },
+];
+
+const toIsoTimestamp = (value, timeZone) => (value ? formatTimestamp(value, timeZone) : null);
+
+// Quotes a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writes a chunk and waits for the stream to drain when its buffer is full.
+// Resolves early if the client goes away, so an aborted download doesn't hang the export.
+function writeChunk(stream, chunk) {
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+    });
+}
+
+function createCsvWriter(stream, timeZone) {
+    let wroteHeader = false;
+    return {
+        async write(rows) {
+            let chunk = '';
+            if (!wroteHeader) {
+                chunk += `${EXPORT_COLUMNS.map(column => column.key).join(',')}\n`;
+                wroteHeader = true;
+            }
+            rows.forEach(row => {
+                chunk += `${EXPORT_COLUMNS.map(({ key }) => csvField(key === 'timestamp' ? toIsoTimestamp(row[key], timeZone) : row[key])).join(',')}\n`;
+            });
+            await writeChunk(stream, chunk);
+        },
+        async end() {
+            if (!wroteHeader) {
+                await this.write([]); // An empty export still gets its header row
+            }
+            stream.end();
+        },
+    };
+}
+
+function createJsonLinesWriter(stream, timeZone) {
+    return {
+        async write(rows) {
+            const chunk = rows.map(row => JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(({ key }) => [
+                key,
+                key === 'timestamp' ? toIsoTimestamp(row[key], timeZone) : row[key],
+            ])))).join('\n');
+            if (chunk) {
+                await writeChunk(stream, `${chunk}\n`);
+            }
+        },
+        async end() {
+            stream.end();
+        },
+    };
+}
+
+function createXlsxWriter(stream, timeZone) {
+    // Shared strings and styles would have to be kept in memory until the end, so both are off
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Prices');
+    sheet.columns = EXPORT_COLUMNS.map(({ key, width }) => ({ header: key, key, width }));
+
+    return {
+        async write(rows) {
+            rows.forEach(row => {
+                sheet.addRow({ ...row, timestamp: wallClockDate(row.timestamp, timeZone) }).commit();
+            });
+        },
+        async end() {
+            sheet.commit();
+            await workbook.commit(); // Finishes the zip, which ends the stream
+        },
+    };
+}
+
+const WRITERS = {
+    csv: createCsvWriter,
+    jsonl: createJsonLinesWriter,
+    xlsx: createXlsxWriter,
+};
+
+// Returns { write(rows), end() } for `format` (a key of EXPORT_FORMATS), writing to `stream`
+function createExportWriter(format, stream, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+    return WRITERS[format](stream, timeZone);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    createExportWriter,
+};
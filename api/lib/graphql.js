@@ -0,0 +1,414 @@
+// lib/graphql.js
+// GraphQL schema over the latest prices, price history and market totals, for tools that
+// want several coins with their history in one round trip:
+//
+//   {
+//     coins(symbols: ["btc", "eth"], currency: "eur") {
+//       symbol current_price market_cap change_24h
+//       history(start: "2024-05-01T00:00:00Z") { timestamp current_price }
+//     }
+//     market { total_market_cap btc_dominance }
+//   }
+//
+// Field names match the REST responses. History defaults to the last 24 hours and, like the
+// REST history, is read from the hourly or daily rollups for longer ranges (lib/rollups.js).
+// The history of every coin in a query is loaded with one statement per range (DataLoader),
+// not one per coin. An explicit `resolution` can only cover the range that resolution is
+// read at anyway, and validate() limits the depth and cost of operations, so aliases can't
+// multiply the history a single request loads.
+//
+//   subscription { priceUpdates(symbols: ["btc"]) { seq coins { symbol current_price } } }
+// receives the rows that changed with each broadcast, the same deltas the WebSocket sends.
+const { EventEmitter, on } = require('events');
+const DataLoader = require('dataloader');
+const {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLEnumType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLString,
+    GraphQLFloat,
+    GraphQLInt,
+    GraphQLError,
+    Kind,
+    specifiedRules,
+    validate: validateDocument,
+} = require('graphql');
+const { pickResolution, maxSpan } = require('./rollups');
+const { BASE_CURRENCY } = require('./currency');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const DEFAULT_HISTORY_MS = DAY;
+const MAX_HISTORY_DAYS = 5 * 365;
+const MAX_SYMBOLS = 50;
+
+// Limits per operation. Every field costs 1 and every `history` field HISTORY_FIELD_COST, since
+// it loads the history of each coin in its list; aliases and fragment spreads count every time
+// they appear. The depth allows the standard introspection query (about 13 levels).
+const MAX_QUERY_DEPTH = 15;
+const MAX_QUERY_COST = 1000;
+const HISTORY_FIELD_COST = 100;
+
+const DELTA_EVENT = 'delta';
+
+// Client errors carry the BAD_USER_INPUT code, the way GraphQL servers commonly mark them
+const badInput = (message) => new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+
+const nonNull = (type) => new GraphQLNonNull(type);
+const listOf = (type) => nonNull(new GraphQLList(nonNull(type)));
+
+// Timestamps are sent as ISO 8601 strings in UTC whatever the storage backend returns
+const isoTimestamp = {
+    type: nonNull(GraphQLString),
+    resolve: (row) => new Date(row.timestamp).toISOString(),
+};
+
+// Up to MAX_SYMBOLS lowercase symbols, or null for every coin
+function normalizeSymbols(symbols) {
+    if (!symbols) {
+        return null;
+    }
+    if (symbols.length > MAX_SYMBOLS) {
+        throw badInput(`'symbols' can list at most ${MAX_SYMBOLS} symbols.`);
+    }
+    return Array.from(new Set(symbols.map(symbol => symbol.trim().toLowerCase()).filter(Boolean)));
+}
+
+function parseTime(value, name) {
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw badInput(`'${name}' must be an ISO 8601 date or date-time.`);
+    }
+    return time;
+}
+
+// The [start, end) range of a history field: defaults to the 24 hours before `end` (or `now`)
+function parseHistoryRange({ start, end }, now) {
+    const rangeEnd = end ? parseTime(end, 'end') : now;
+    const rangeStart = start ? parseTime(start, 'start') : new Date(rangeEnd.getTime() - DEFAULT_HISTORY_MS);
+    if (rangeEnd <= rangeStart) {
+        throw badInput("'start' must be before 'end'.");
+    }
+    if (rangeEnd - rangeStart > MAX_HISTORY_DAYS * DAY) {
+        throw badInput(`The requested range cannot exceed ${MAX_HISTORY_DAYS} days.`);
+    }
+    return { start: rangeStart, end: rangeEnd };
+}
+
+// Depth and cost (see MAX_QUERY_COST) of a selection set with its fragments expanded. Fragment
+// results are memoized in `fragments`, so fragments spread many times can't make this slow,
+// and a fragment cycle (reported by NoFragmentCyclesRule) counts as empty.
+function measureSelectionSet(selectionSet, context, fragments) {
+    let depth = 0;
+    let cost = 0;
+    selectionSet.selections.forEach(selection => {
+        let measured;
+        if (selection.kind === Kind.FIELD) {
+            const inner = selection.selectionSet ? measureSelectionSet(selection.selectionSet, context, fragments) : { depth: 0, cost: 0 };
+            measured = { depth: inner.depth + 1, cost: inner.cost + (selection.name.value === 'history' ? HISTORY_FIELD_COST : 1) };
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            measured = measureSelectionSet(selection.selectionSet, context, fragments);
+        } else {
+            const name = selection.name.value;
+            if (!fragments.has(name)) {
+                const fragment = context.getFragment(name);
+                fragments.set(name, { depth: 0, cost: 0 }); // Until measured, so cycles end
+                fragments.set(name, fragment ? measureSelectionSet(fragment.selectionSet, context, fragments) : { depth: 0, cost: 0 });
+            }
+            measured = fragments.get(name);
+        }
+        depth = Math.max(depth, measured.depth);
+        cost += measured.cost;
+    });
+    return { depth, cost };
+}
+
+// Validation rule rejecting operations beyond MAX_QUERY_DEPTH or MAX_QUERY_COST
+function QueryLimitsRule(context) {
+    const fragments = new Map();
+    return {
+        OperationDefinition(operation) {
+            const { depth, cost } = measureSelectionSet(operation.selectionSet, context, fragments);
+            if (depth > MAX_QUERY_DEPTH) {
+                context.reportError(new GraphQLError(`The operation is nested ${depth} levels deep; at most ${MAX_QUERY_DEPTH} are allowed.`, { nodes: operation }));
+            }
+            if (cost > MAX_QUERY_COST) {
+                context.reportError(new GraphQLError(
+                    `The operation costs ${cost}, more than the ${MAX_QUERY_COST} allowed. Every field costs 1 and every history field ${HISTORY_FIELD_COST}, aliases included.`,
+                    { nodes: operation }
+                ));
+            }
+        },
+    };
+}
+
+// graphql's validate() with the query limits added, for every way operations come in
+const validate = (schema, document) => validateDocument(schema, document, [...specifiedRules, QueryLimitsRule]);
+
+const ResolutionType = new GraphQLEnumType({
+    name: 'Resolution',
+    description: 'Granularity history is read at',
+    values: {
+        RAW: { value: 'raw', description: 'Every stored price (about every 5 minutes)' },
+        HOURLY: { value: '1h', description: 'Hourly rollups' },
+        DAILY: { value: '1d', description: 'Daily rollups' },
+    },
+});
+
+const PricePointType = new GraphQLObjectType({
+    name: 'PricePoint',
+    description: 'A historical price. Rollup points also have the open/high/low of their bucket (current_price is the close).',
+    fields: {
+        timestamp: isoTimestamp,
+        current_price: { type: nonNull(GraphQLFloat) },
+        market_cap: { type: GraphQLFloat },
+        total_volume: { type: GraphQLFloat },
+        open: { type: GraphQLFloat },
+        high: { type: GraphQLFloat },
+        low: { type: GraphQLFloat },
+        sample_count: { type: GraphQLInt, description: 'Raw prices the bucket was built from' },
+    },
+});
+
+// Coins are latest-price rows (already in the requested currency) with that currency attached
+const CoinType = new GraphQLObjectType({
+    name: 'Coin',
+    description: 'A coin with its latest price',
+    fields: {
+        symbol: { type: nonNull(GraphQLString) },
+        name: { type: nonNull(GraphQLString) },
+        currency: { type: nonNull(GraphQLString), description: 'Quote currency of the prices' },
+        current_price: { type: nonNull(GraphQLFloat) },
+        market_cap: { type: GraphQLFloat },
+        total_volume: { type: GraphQLFloat },
+        change_1h: { type: GraphQLFloat, description: 'Price change over the last hour in percent' },
+        change_24h: { type: GraphQLFloat, description: 'Price change over the last 24 hours in percent' },
+        change_7d: { type: GraphQLFloat, description: 'Price change over the last 7 days in percent' },
+        timestamp: isoTimestamp,
+        history: {
+            type: listOf(PricePointType),
+            description: 'Prices in [start, end), oldest first. Defaults to the last 24 hours at a resolution picked from the range.',
+            args: {
+                start: { type: GraphQLString, description: 'ISO 8601 date or date-time (default: 24 hours before end)' },
+                end: { type: GraphQLString, description: 'ISO 8601 date or date-time, exclusive (default: now)' },
+                resolution: { type: ResolutionType },
+            },
+            resolve: (coin, args, context) => {
+                const { start, end } = parseHistoryRange(args, context.now);
+                const span = args.resolution && maxSpan(args.resolution);
+                if (span && end - start > span) {
+                    const { name } = ResolutionType.getValues().find(value => value.value === args.resolution);
+                    throw badInput(`${name} history can cover at most ${span / DAY} days. Use a coarser resolution, or leave it out to pick one from the range.`);
+                }
+                const resolution = args.resolution || pickResolution({ start, end }, context.rollupConfig);
+                return context.loaders.history.load({ symbol: coin.symbol, start, end, resolution, currency: coin.currency });
+            },
+        },
+    },
+});
+
+// Totals over the latest prices of every coin (already in the requested currency)
+function marketTotals(rows) {
+    const sum = (field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const totalMarketCap = sum('market_cap');
+    const btc = rows.find(row => row.symbol === 'btc');
+    const times = rows.map(row => new Date(row.timestamp).getTime());
+    return {
+        timestamp: rows.length > 0 ? new Date(Math.max(...times)) : null,
+        coin_count: rows.length,
+        total_market_cap: totalMarketCap,
+        total_volume: sum('total_volume'),
+        btc_dominance: btc && totalMarketCap > 0 ? (btc.market_cap / totalMarketCap) * 100 : null,
+    };
+}
+
+const currencyArg = { type: GraphQLString, description: 'Quote currency (default usd, see /api/currencies)' };
+const symbolsArg = { type: new GraphQLList(nonNull(GraphQLString)), description: `Coins to include (default: all, at most ${MAX_SYMBOLS})` };
+
+// Coins of the snapshot, in market cap order, narrowed to `symbols` and `limit`
+const selectCoins = (coins, { symbols, limit }) => {
+    const wanted = normalizeSymbols(symbols);
+    const selected = wanted ? coins.filter(coin => wanted.includes(coin.symbol)) : coins;
+    return limit === undefined || limit === null ? selected : selected.slice(0, Math.max(0, limit));
+};
+
+const MarketSnapshotType = new GraphQLObjectType({
+    name: 'MarketSnapshot',
+    description: 'Totals over the latest prices of every tracked coin',
+    fields: {
+        timestamp: { type: GraphQLString, description: 'Newest price in the snapshot', resolve: (market) => (market.timestamp ? market.timestamp.toISOString() : null) },
+        currency: { type: nonNull(GraphQLString) },
+        coin_count: { type: nonNull(GraphQLInt) },
+        total_market_cap: { type: nonNull(GraphQLFloat) },
+        total_volume: { type: nonNull(GraphQLFloat) },
+        btc_dominance: { type: GraphQLFloat, description: "Bitcoin's share of the total market cap in percent" },
+        coins: {
+            type: listOf(CoinType),
+            description: 'Coins by market cap, largest first',
+            args: { symbols: symbolsArg, limit: { type: GraphQLInt } },
+            resolve: (market, args) => selectCoins(market.coins, args),
+        },
+    },
+});
+
+const PriceUpdateType = new GraphQLObjectType({
+    name: 'PriceUpdate',
+    description: 'Latest prices that changed in one broadcast. Sequence numbers are contiguous, like the WebSocket deltas.',
+    fields: {
+        seq: { type: nonNull(GraphQLInt) },
+        currency: { type: nonNull(GraphQLString) },
+        coins: { type: listOf(CoinType) },
+    },
+});
+
+// Execution errors that aren't GraphQLErrors (database failures and the like) are logged and
+// replaced by a generic message, like the REST routes' 500 responses
+function maskErrors(result) {
+    if (!result.errors) {
+        return result;
+    }
+    const errors = result.errors.map(error => {
+        if (!error.originalError || error.originalError instanceof GraphQLError) {
+            return error;
+        }
+        console.error(`GraphQL Error at ${(error.path || []).join('.')}:`, error.originalError);
+        return new GraphQLError('Internal server error', { nodes: error.nodes, path: error.path });
+    });
+    return { ...result, errors };
+}
+
+// `resolveCurrency(value)` validates a currency like the REST routes; `getLatestRows()` returns
+// the latest snapshot with price changes (in USD); `rollupConfig` comes from loadRollupConfig()
+function createGraphqlService({ prices, currencyService, resolveCurrency, getLatestRows, rollupConfig }) {
+    const updates = new EventEmitter();
+    updates.setMaxListeners(0); // One listener per subscription
+
+    const checkCurrency = async (value) => {
+        const { currency, error } = await resolveCurrency(value);
+        if (error) {
+            throw badInput(error);
+        }
+        return currency;
+    };
+
+    const withCurrency = (rows, currency) => rows.map(row => ({ ...row, currency }));
+
+    // History requests of one query, grouped into one statement per range, resolution and currency
+    const loadHistory = async (requests) => {
+        const groups = new Map();
+        requests.forEach(request => {
+            const key = [request.start.getTime(), request.end.getTime(), request.resolution, request.currency].join('|');
+            if (!groups.has(key)) {
+                groups.set(key, { ...request, symbols: new Set() });
+            }
+            groups.get(key).symbols.add(request.symbol);
+        });
+
+        const rowsByKey = new Map(); // group key + symbol -> rows
+        await Promise.all(Array.from(groups.entries()).map(async ([key, { start, end, resolution, currency, symbols }]) => {
+            const rows = await currencyService.convertHistory(
+                await prices.getHistoryForSymbols(Array.from(symbols), start, end, resolution),
+                currency
+            );
+            rows.forEach(row => {
+                const rowKey = `${key}|${row.symbol}`;
+                if (!rowsByKey.has(rowKey)) {
+                    rowsByKey.set(rowKey, []);
+                }
+                rowsByKey.get(rowKey).push(row);
+            });
+        }));
+
+        return requests.map(request => rowsByKey.get(
+            [request.start.getTime(), request.end.getTime(), request.resolution, request.currency, request.symbol].join('|')
+        ) || []);
+    };
+
+    // Fresh loaders per operation, so nothing is cached across requests. `now` is fixed per
+    // operation too, so the default ranges of every coin match and load in one statement.
+    function createContext() {
+        const latestInCurrency = new DataLoader(async (currencies) => {
+            const rows = await getLatestRows();
+            return Promise.all(currencies.map(async currency => withCurrency(await currencyService.convertLatest(rows, currency), currency)));
+        });
+        return {
+            now: new Date(),
+            rollupConfig,
+            loaders: {
+                latest: latestInCurrency,
+                history: new DataLoader(loadHistory, { cacheKeyFn: (request) => JSON.stringify(request) }),
+            },
+        };
+    }
+
+    const QueryType = new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+            coins: {
+                type: listOf(CoinType),
+                description: 'Latest prices by market cap, largest first',
+                args: { symbols: symbolsArg, currency: currencyArg, limit: { type: GraphQLInt } },
+                resolve: async (_, args, context) => {
+                    const currency = await checkCurrency(args.currency);
+                    return selectCoins(await context.loaders.latest.load(currency), args);
+                },
+            },
+            coin: {
+                type: CoinType,
+                args: { symbol: { type: nonNull(GraphQLString) }, currency: currencyArg },
+                resolve: async (_, { symbol, currency: value }, context) => {
+                    const currency = await checkCurrency(value);
+                    const coins = await context.loaders.latest.load(currency);
+                    return coins.find(coin => coin.symbol === symbol.trim().toLowerCase()) || null;
+                },
+            },
+            market: {
+                type: nonNull(MarketSnapshotType),
+                args: { currency: currencyArg },
+                resolve: async (_, args, context) => {
+                    const currency = await checkCurrency(args.currency);
+                    const coins = await context.loaders.latest.load(currency);
+                    return { ...marketTotals(coins), currency, coins };
+                },
+            },
+        },
+    });
+
+    const SubscriptionType = new GraphQLObjectType({
+        name: 'Subscription',
+        fields: {
+            priceUpdates: {
+                type: nonNull(PriceUpdateType),
+                description: 'The coins whose latest price changed, after every ingestion run',
+                args: { symbols: symbolsArg, currency: currencyArg },
+                subscribe: async (_, args) => {
+                    normalizeSymbols(args.symbols); // Validates before the subscription starts
+                    await checkCurrency(args.currency);
+                    return on(updates, DELTA_EVENT);
+                },
+                // Each event is the [delta] published below; converted per subscriber. The currency
+                // was validated when subscribing.
+                resolve: async ([{ seq, changed }], args) => {
+                    const currency = (args.currency || BASE_CURRENCY).toLowerCase();
+                    const coins = selectCoins(withCurrency(await currencyService.convertLatest(changed, currency), currency), args);
+                    return { seq, currency, coins };
+                },
+            },
+        },
+    });
+
+    return {
+        schema: new GraphQLSchema({ query: QueryType, subscription: SubscriptionType }),
+        validate,
+        createContext,
+        // Called by the broadcast with each delta from the snapshot tracker (lib/snapshots.js)
+        publish: (delta) => updates.emit(DELTA_EVENT, delta),
+    };
+}
+
+module.exports = {
+    maskErrors,
+    createGraphqlService,
+};
@@ -0,0 +1,183 @@
+// lib/indicators.js
+// Technical indicators computed from a price series for the history endpoint:
+//   sma:20         simple moving average
+//   ema:50         exponential moving average
+//   rsi:14         relative strength index (Wilder's smoothing)
+//   bbands:20:2    Bollinger Bands: SMA +/- k standard deviations
+//   macd:12:26:9   MACD line, signal line and histogram
+// Every function returns an array aligned with its input, with null until enough values exist.
+
+const MAX_INDICATORS = 10;
+const MAX_PERIOD = 500;
+
+// Parameter names and defaults of each indicator, in `type:a:b:c` order
+const INDICATORS = {
+    sma: { params: [['period', 20]] },
+    ema: { params: [['period', 20]] },
+    rsi: { params: [['period', 14]] },
+    bbands: { params: [['period', 20], ['stdDev', 2]] },
+    macd: { params: [['fast', 12], ['slow', 26], ['signal', 9]] },
+};
+
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    values.forEach((value, i) => {
+        sum += value;
+        if (i >= period) {
+            sum -= values[i - period];
+        }
+        if (i >= period - 1) {
+            result[i] = sum / period;
+        }
+    });
+    return result;
+}
+
+// Seeded with the SMA of the first `period` values. Null entries in `values` (e.g. the warm-up
+// of another indicator) are skipped, so an EMA can be taken of another series.
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    const k = 2 / (period + 1);
+    let seen = 0;
+    let seedSum = 0;
+    let previous = null;
+    values.forEach((value, i) => {
+        if (value === null) {
+            return;
+        }
+        seen++;
+        if (previous === null) {
+            seedSum += value;
+            if (seen === period) {
+                previous = seedSum / period;
+                result[i] = previous;
+            }
+            return;
+        }
+        previous = value * k + previous * (1 - k);
+        result[i] = previous;
+    });
+    return result;
+}
+
+function rsi(values, period) {
+    const result = new Array(values.length).fill(null);
+    let averageGain = 0;
+    let averageLoss = 0;
+    for (let i = 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        if (i <= period) {
+            averageGain += gain / period;
+            averageLoss += loss / period;
+        } else {
+            averageGain = (averageGain * (period - 1) + gain) / period;
+            averageLoss = (averageLoss * (period - 1) + loss) / period;
+        }
+        if (i >= period) {
+            result[i] = averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss);
+        }
+    }
+    return result;
+}
+
+function bbands(values, period, stdDev) {
+    const middle = sma(values, period);
+    return middle.map((mean, i) => {
+        if (mean === null) {
+            return null;
+        }
+        const window = values.slice(i - period + 1, i + 1);
+        const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+        return { middle: mean, upper: mean + stdDev * deviation, lower: mean - stdDev * deviation };
+    });
+}
+
+function macd(values, fast, slow, signalPeriod) {
+    const fastEma = ema(values, fast);
+    const slowEma = ema(values, slow);
+    const macdLine = values.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+    const signalLine = ema(macdLine, signalPeriod);
+    return macdLine.map((value, i) => (value === null ? null : {
+        macd: value,
+        signal: signalLine[i],
+        histogram: signalLine[i] === null ? null : value - signalLine[i],
+    }));
+}
+
+const CALCULATORS = {
+    sma: (values, { period }) => sma(values, period),
+    ema: (values, { period }) => ema(values, period),
+    rsi: (values, { period }) => rsi(values, period),
+    bbands: (values, { period, stdDev }) => bbands(values, period, stdDev),
+    macd: (values, { fast, slow, signal }) => macd(values, fast, slow, signal),
+};
+
+// Parses "sma:20,ema:50,rsi:14,bbands:20:2,macd". Missing parameters use the defaults.
+// Returns { indicators: [{ key, type, params }] } with canonical keys such as "macd:12:26:9",
+// or { error } with a message for a 400 response.
+function parseIndicators(value) {
+    const specs = String(value).split(',').map(spec => spec.trim().toLowerCase()).filter(Boolean);
+    if (specs.length === 0 || specs.length > MAX_INDICATORS) {
+        return { error: `'indicators' must list between 1 and ${MAX_INDICATORS} indicators.` };
+    }
+
+    const indicators = [];
+    for (const spec of specs) {
+        const [type, ...args] = spec.split(':');
+        // Own keys only, so names such as 'constructor' are unknown indicators too
+        const definition = Object.hasOwn(INDICATORS, type) ? INDICATORS[type] : null;
+        if (!definition) {
+            return { error: `Unknown indicator '${type}'. Supported indicators: ${Object.keys(INDICATORS).join(', ')}.` };
+        }
+        if (args.length > definition.params.length) {
+            return { error: `Too many parameters for '${spec}'. Use ${type}:${definition.params.map(([name]) => name).join(':')}.` };
+        }
+
+        const params = {};
+        for (let i = 0; i < definition.params.length; i++) {
+            const [name, fallback] = definition.params[i];
+            const number = args[i] === undefined || args[i] === '' ? fallback : Number(args[i]);
+            // Standard deviations may be fractional; periods are whole numbers of points
+            const valid = name === 'stdDev'
+                ? Number.isFinite(number) && number > 0 && number <= 10
+                : Number.isInteger(number) && number >= 1 && number <= MAX_PERIOD;
+            if (!valid) {
+                return { error: `Invalid ${name} '${args[i]}' in '${spec}'.` };
+            }
+            params[name] = number;
+        }
+        if (type === 'macd' && params.fast >= params.slow) {
+            return { error: `In '${spec}' the fast period must be shorter than the slow period.` };
+        }
+
+        const key = [type, ...definition.params.map(([name]) => params[name])].join(':');
+        if (!indicators.some(indicator => indicator.key === key)) {
+            indicators.push({ key, type, params });
+        }
+    }
+    return { indicators };
+}
+
+// Adds an `indicators` object ({ [key]: value }) to every point. `valueOf` picks the
+// series the indicators are computed from (current_price for rows, close for candles).
+function attachIndicators(points, indicators, valueOf) {
+    const values = points.map(valueOf);
+    const results = indicators.map(({ key, type, params }) => [key, CALCULATORS[type](values, params)]);
+    return points.map((point, i) => ({
+        ...point,
+        indicators: Object.fromEntries(results.map(([key, series]) => [key, series[i]])),
+    }));
+}
+
+module.exports = {
+    sma,
+    ema,
+    rsi,
+    bbands,
+    macd,
+    parseIndicators,
+    attachIndicators,
+};
@@ -0,0 +1,152 @@
+// lib/metrics.js
+// Health checks and Prometheus metrics for the API. /metrics exposes:
+//   crypto_api_http_request_duration_seconds   REST latency per method, route and status
+//   crypto_api_db_query_duration_seconds        database time per statement type
+//   crypto_api_websocket_clients                connected WebSocket clients
+//   crypto_api_sse_clients                      connected Server-Sent Events clients (/api/stream)
+//   crypto_api_websocket_broadcasts_total       price updates broadcast after an ingestion
+//   crypto_api_websocket_messages_sent_total    messages those broadcasts sent, per type (both transports)
+//   crypto_api_newest_price_age_seconds         age of the newest `prices` row (-1 with no rows)
+// plus the default Node.js process metrics under the same prefix.
+//
+//   STALE_DATA_AFTER_SECONDS  newest row age after which /api/ready reports stale data (default 900)
+//   READY_TIMEOUT_MS          how long the readiness check waits for the database (default 2000)
+const client = require('prom-client');
+
+const PREFIX = 'crypto_api_';
+
+// Latency buckets in seconds: REST requests range from cached responses to long history reads
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const DB_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+// Statement types used as the `operation` label; anything else is counted as 'other'
+const DB_OPERATIONS = ['select', 'insert', 'update', 'delete', 'create'];
+
+const parsePositive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Reads the health check settings from environment variables
+function loadMonitoringConfig(env = process.env) {
+    return {
+        staleAfterSeconds: parsePositive(env.STALE_DATA_AFTER_SECONDS, 15 * 60),
+        readyTimeoutMs: parsePositive(env.READY_TIMEOUT_MS, 2000),
+    };
+}
+
+// First keyword of a SQL statement, lowercased, for the `operation` label
+function sqlOperation(sql) {
+    const match = /^\s*(\w+)/.exec(sql);
+    const keyword = match ? match[1].toLowerCase() : '';
+    return DB_OPERATIONS.includes(keyword) ? keyword : 'other';
+}
+
+// Route pattern of a request (/api/crypto/history/:symbol), so label values don't grow with
+// every symbol or id. Requests no route handled (404s, rejected API keys) share one label.
+function routeLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+// Seconds between `time` and now, or null without a time
+function ageSeconds(time, now = Date.now()) {
+    return time ? Math.max(0, (now - new Date(time).getTime()) / 1000) : null;
+}
+
+// Creates the metric registry. The gauges are read when /metrics is scraped:
+// `getNewestPriceTime` returns the newest `prices` timestamp (or null) and
+// `getWebSocketClientCount` / `getSseClientCount` the number of connected clients.
+function createMetrics({ getNewestPriceTime, getWebSocketClientCount, getSseClientCount }) {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+    const httpRequestDuration = new client.Histogram({
+        name: `${PREFIX}http_request_duration_seconds`,
+        help: 'Duration of HTTP requests in seconds',
+        labelNames: ['method', 'route', 'status_code'],
+        buckets: HTTP_BUCKETS,
+        registers: [registry],
+    });
+
+    const dbQueryDuration = new client.Histogram({
+        name: `${PREFIX}db_query_duration_seconds`,
+        help: 'Duration of database queries in seconds',
+        labelNames: ['operation'],
+        buckets: DB_BUCKETS,
+        registers: [registry],
+    });
+
+    new client.Gauge({
+        name: `${PREFIX}websocket_clients`,
+        help: 'Number of connected WebSocket clients',
+        registers: [registry],
+        collect() {
+            this.set(getWebSocketClientCount());
+        },
+    });
+
+    new client.Gauge({
+        name: `${PREFIX}sse_clients`,
+        help: 'Number of connected Server-Sent Events clients',
+        registers: [registry],
+        collect() {
+            this.set(getSseClientCount());
+        },
+    });
+
+    const broadcasts = new client.Counter({
+        name: `${PREFIX}websocket_broadcasts_total`,
+        help: 'Price updates broadcast to WebSocket clients',
+        registers: [registry],
+    });
+
+    const messagesSent = new client.Counter({
+        name: `${PREFIX}websocket_messages_sent_total`,
+        help: 'Messages sent to WebSocket and SSE clients by broadcasts',
+        labelNames: ['type'],
+        registers: [registry],
+    });
+
+    new client.Gauge({
+        name: `${PREFIX}newest_price_age_seconds`,
+        help: 'Age of the newest row in the prices table in seconds (-1 when the table is empty or unreadable)',
+        registers: [registry],
+        async collect() {
+            try {
+                const age = ageSeconds(await getNewestPriceTime());
+                this.set(age === null ? -1 : age);
+            } catch (err) {
+                console.error('DB Query Error (metrics newest price):', err.message);
+                this.set(-1);
+            }
+        },
+    });
+
+    // Middleware timing every request from arrival until the response is sent
+    function requestTimer(req, res, next) {
+        const stop = httpRequestDuration.startTimer();
+        res.on('finish', () => {
+            stop({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+        });
+        next();
+    }
+
+    return {
+        requestTimer,
+        // For createStorage's onQuery hook
+        observeQuery: (sql, seconds) => dbQueryDuration.observe({ operation: sqlOperation(sql) }, seconds),
+        // One broadcast, which sent `count` messages of `type`
+        recordBroadcast: (type, count) => {
+            broadcasts.inc();
+            messagesSent.inc({ type }, count);
+        },
+        contentType: registry.contentType,
+        render: () => registry.metrics(),
+    };
+}
+
+module.exports = {
+    loadMonitoringConfig,
+    createMetrics,
+    ageSeconds,
+};
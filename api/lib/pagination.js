@@ -0,0 +1,67 @@
+// lib/pagination.js
+// Query parameters that bound the size of history responses:
+//   maxPoints  downsample the range to at most this many points (for charts, see lib/downsample.js)
+//   limit      page size for reading a range in full (for exports), with
+//   cursor     the opaque X-Next-Cursor value returned with the previous page
+
+const MIN_MAX_POINTS = 3; // LTTB keeps the first and last point plus at least one bucket
+const MAX_MAX_POINTS = 10000;
+const MAX_PAGE_LIMIT = 10000;
+
+// Cursors encode the timestamp of the last row of a page; the next page starts after it
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify({ after: new Date(row.timestamp).toISOString() })).toString('base64url');
+}
+
+// Returns the ISO timestamp stored in a cursor, or null if the cursor is malformed
+function decodeCursor(cursor) {
+    try {
+        const { after } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return typeof after === 'string' && !isNaN(new Date(after).getTime()) ? after : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+const parseInteger = (value) => (/^\d+$/.test(String(value)) ? Number(value) : NaN);
+
+// Validates maxPoints/limit/cursor. Returns { maxPoints, limit, after } (unset values are null)
+// or { error } with a message for a 400 response.
+function parsePagingParams(query) {
+    const paging = { maxPoints: null, limit: null, after: null };
+
+    if (query.maxPoints !== undefined) {
+        paging.maxPoints = parseInteger(query.maxPoints);
+        if (!(paging.maxPoints >= MIN_MAX_POINTS && paging.maxPoints <= MAX_MAX_POINTS)) {
+            return { error: `'maxPoints' must be an integer between ${MIN_MAX_POINTS} and ${MAX_MAX_POINTS}.` };
+        }
+    }
+    if (query.limit !== undefined) {
+        paging.limit = parseInteger(query.limit);
+        if (!(paging.limit >= 1 && paging.limit <= MAX_PAGE_LIMIT)) {
+            return { error: `'limit' must be an integer between 1 and ${MAX_PAGE_LIMIT}.` };
+        }
+    }
+    if (query.cursor !== undefined) {
+        if (paging.limit === null) {
+            return { error: "'cursor' requires 'limit'." };
+        }
+        paging.after = decodeCursor(String(query.cursor));
+        if (!paging.after) {
+            return { error: "Invalid 'cursor'. Use the X-Next-Cursor value of the previous page." };
+        }
+    }
+    // Downsampling looks at the whole range, so it can't be combined with reading it page by page
+    if (paging.maxPoints !== null && paging.limit !== null) {
+        return { error: "'maxPoints' cannot be combined with 'limit'/'cursor'." };
+    }
+
+    return paging;
+}
+
+module.exports = {
+    MAX_PAGE_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    parsePagingParams,
+};
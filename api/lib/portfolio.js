@@ -0,0 +1,251 @@
+// lib/portfolio.js
+// Portfolio holdings built from buy/sell transactions, valued with the latest prices
+// and the `prices` history. P&L uses the average-cost method: a sell realizes
+// (sell price - average cost) * quantity and leaves the average cost of the rest unchanged.
+const { aggregateCandles } = require('./candles');
+const { DEFAULT_TIME_ZONE, startOfDay } = require('./timezones');
+
+const SIDES = ['buy', 'sell'];
+
+// Quantities left over by floating point arithmetic after selling everything
+const QUANTITY_EPSILON = 1e-9;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Validates a new transaction body: { symbol, side, quantity, price, date }.
+// A YYYY-MM-DD `date` is the start of that day in `timeZone`.
+function validateTransactionInput(body, timeZone = DEFAULT_TIME_ZONE) {
+    const errors = [];
+    const input = body || {};
+    const values = {};
+
+    if (typeof input.symbol !== 'string' || !input.symbol.trim()) {
+        errors.push("'symbol' must be a non-empty string.");
+    } else {
+        values.symbol = input.symbol.trim().toLowerCase();
+    }
+
+    if (!SIDES.includes(input.side)) {
+        errors.push(`'side' must be one of: ${SIDES.join(', ')}.`);
+    } else {
+        values.side = input.side;
+    }
+
+    const quantity = Number(input.quantity);
+    if (input.quantity === null || input.quantity === '' || !Number.isFinite(quantity) || quantity <= 0) {
+        errors.push("'quantity' must be a number greater than 0.");
+    } else {
+        values.quantity = quantity;
+    }
+
+    const price = Number(input.price);
+    if (input.price === null || input.price === '' || !Number.isFinite(price) || price < 0) {
+        errors.push("'price' must be a number of at least 0.");
+    } else {
+        values.price = price;
+    }
+
+    // `date` accepts YYYY-MM-DD or a full ISO timestamp and defaults to now
+    const executedAt = input.date === undefined ? new Date()
+        : /^\d{4}-\d{2}-\d{2}$/.test(input.date) ? startOfDay(input.date, timeZone)
+            : new Date(input.date);
+    if (!executedAt || isNaN(executedAt.getTime())) {
+        errors.push("'date' must be a valid date (YYYY-MM-DD or ISO 8601).");
+    } else if (executedAt.getTime() > Date.now() + DAY) {
+        errors.push("'date' cannot be in the future.");
+    } else {
+        values.executed_at = executedAt;
+    }
+
+    return errors.length > 0 ? { errors } : { values };
+}
+
+// Replays transactions in date order into per-symbol positions.
+// Returns { positions } or { error } if a sell exceeds the quantity held at that time.
+function replayTransactions(transactions, until = null) {
+    const positions = new Map(); // symbol -> { quantity, costBasis, realizedPnl }
+    const ordered = [...transactions].sort((a, b) =>
+        new Date(a.executed_at) - new Date(b.executed_at) || (a.id || 0) - (b.id || 0)
+    );
+
+    for (const tx of ordered) {
+        if (until !== null && new Date(tx.executed_at).getTime() > until) {
+            break;
+        }
+        const position = positions.get(tx.symbol) || { quantity: 0, costBasis: 0, realizedPnl: 0 };
+
+        if (tx.side === 'buy') {
+            position.quantity += tx.quantity;
+            position.costBasis += tx.quantity * tx.price;
+        } else {
+            if (tx.quantity > position.quantity + QUANTITY_EPSILON) {
+                return { error: `Cannot sell ${tx.quantity} ${tx.symbol.toUpperCase()}: only ${position.quantity} held on ${new Date(tx.executed_at).toISOString().split('T')[0]}.` };
+            }
+            const averageCost = position.quantity > 0 ? position.costBasis / position.quantity : 0;
+            position.realizedPnl += tx.quantity * (tx.price - averageCost);
+            position.quantity -= tx.quantity;
+            position.costBasis -= tx.quantity * averageCost;
+            if (position.quantity < QUANTITY_EPSILON) {
+                position.quantity = 0;
+                position.costBasis = 0;
+            }
+        }
+        positions.set(tx.symbol, position);
+    }
+
+    return { positions };
+}
+
+// Builds holdings and totals from positions and the latest price rows
+function summarizePositions(positions, latestRows) {
+    const latestBySymbol = new Map(latestRows.map(row => [row.symbol, row]));
+    const holdings = [];
+    const totals = { market_value: 0, cost_basis: 0, unrealized_pnl: 0, realized_pnl: 0 };
+
+    positions.forEach((position, symbol) => {
+        totals.realized_pnl += position.realizedPnl;
+        if (position.quantity === 0) {
+            return; // Fully sold: only contributes realized P&L
+        }
+
+        const latest = latestBySymbol.get(symbol);
+        const currentPrice = latest ? latest.current_price : null;
+        const marketValue = currentPrice !== null ? position.quantity * currentPrice : null;
+        const unrealizedPnl = marketValue !== null ? marketValue - position.costBasis : null;
+
+        holdings.push({
+            symbol,
+            name: latest ? latest.name : symbol.toUpperCase(),
+            quantity: position.quantity,
+            average_cost: position.costBasis / position.quantity,
+            cost_basis: position.costBasis,
+            current_price: currentPrice,
+            market_value: marketValue,
+            unrealized_pnl: unrealizedPnl,
+            unrealized_pnl_pct: unrealizedPnl !== null && position.costBasis > 0 ? (unrealizedPnl / position.costBasis) * 100 : null,
+            realized_pnl: position.realizedPnl,
+            price_timestamp: latest ? latest.timestamp : null,
+        });
+
+        totals.cost_basis += position.costBasis;
+        if (marketValue !== null) {
+            totals.market_value += marketValue;
+            totals.unrealized_pnl += unrealizedPnl;
+        }
+    });
+
+    holdings.forEach(holding => {
+        holding.allocation_pct = holding.market_value !== null && totals.market_value > 0
+            ? (holding.market_value / totals.market_value) * 100
+            : null;
+    });
+    holdings.sort((a, b) => (b.market_value || 0) - (a.market_value || 0));
+
+    return { holdings, totals };
+}
+
+// `db` is a storage client and `prices` the price repository (see storage/index.js).
+// Holdings are valued with prices.getLatestPrices(), the same rows /api/crypto returns.
+function createPortfolioService(db, prices) {
+    async function listTransactions() {
+        return db.query('SELECT * FROM portfolio_transactions ORDER BY executed_at DESC, id DESC;');
+    }
+
+    // Inserts a transaction unless it would sell more than was held at the time.
+    // Returns { transaction } or { error }.
+    async function addTransaction(values) {
+        const existing = await listTransactions();
+        const { error } = replayTransactions([...existing, { ...values, id: Infinity }]);
+        if (error) {
+            return { error };
+        }
+        const rows = await db.query(
+            `INSERT INTO portfolio_transactions (symbol, side, quantity, price, executed_at, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *;`,
+            [values.symbol, values.side, values.quantity, values.price, values.executed_at, new Date()]
+        );
+        return { transaction: rows[0] };
+    }
+
+    // Deletes a transaction unless that would leave a later sell uncovered.
+    // Returns { deleted: boolean } or { error }.
+    async function removeTransaction(id) {
+        const existing = await listTransactions();
+        if (!existing.some(tx => tx.id === id)) {
+            return { deleted: false };
+        }
+        const { error } = replayTransactions(existing.filter(tx => tx.id !== id));
+        if (error) {
+            return { error: `Deleting this transaction would break a later sell. ${error}` };
+        }
+        await db.query('DELETE FROM portfolio_transactions WHERE id = $1;', [id]);
+        return { deleted: true };
+    }
+
+    async function getSummary() {
+        const [transactions, latestRows] = await Promise.all([listTransactions(), prices.getLatestPrices()]);
+        const { positions } = replayTransactions(transactions);
+        return summarizePositions(positions, latestRows);
+    }
+
+    // Daily portfolio value between `start` and `end` (Date objects, end exclusive).
+    // Each day uses the closing price of that day, carried forward over days without data.
+    async function getValueHistory(start, end) {
+        const transactions = await listTransactions();
+        const symbols = Array.from(new Set(transactions.map(tx => tx.symbol)));
+        if (symbols.length === 0) {
+            return [];
+        }
+
+        // Daily rollups hold exactly these closes, without reading every raw row of the range
+        const rows = await prices.getHistoryForSymbols(symbols, start, end, '1d');
+
+        // symbol -> Map(dayStart -> close)
+        const closesBySymbol = new Map(symbols.map(symbol => [symbol, new Map()]));
+        symbols.forEach(symbol => {
+            const candles = aggregateCandles(rows.filter(row => row.symbol === symbol), '1d');
+            candles.forEach(candle => closesBySymbol.get(symbol).set(new Date(candle.timestamp).getTime(), candle.close));
+        });
+
+        const points = [];
+        const lastClose = new Map();
+        for (let day = Math.floor(start.getTime() / DAY) * DAY; day < end.getTime(); day += DAY) {
+            symbols.forEach(symbol => {
+                if (closesBySymbol.get(symbol).has(day)) {
+                    lastClose.set(symbol, closesBySymbol.get(symbol).get(day));
+                }
+            });
+
+            const { positions } = replayTransactions(transactions, day + DAY - 1);
+            let value = 0;
+            let costBasis = 0;
+            let priced = false;
+            positions.forEach((position, symbol) => {
+                costBasis += position.costBasis;
+                if (position.quantity > 0 && lastClose.has(symbol)) {
+                    value += position.quantity * lastClose.get(symbol);
+                    priced = true;
+                }
+            });
+
+            if (priced) {
+                points.push({ timestamp: new Date(day).toISOString(), market_value: value, cost_basis: costBasis });
+            }
+        }
+        return points;
+    }
+
+    return {
+        listTransactions,
+        addTransaction,
+        removeTransaction,
+        getSummary,
+        getValueHistory,
+    };
+}
+
+module.exports = {
+    validateTransactionInput,
+    replayTransactions,
+    createPortfolioService,
+};
@@ -0,0 +1,39 @@
+// lib/priceChanges.js
+// 1h / 24h / 7d percentage changes for the latest-prices rows, computed from `prices` history.
+
+const HOUR = 60 * 60 * 1000;
+
+// Row field -> look-back period
+const CHANGE_PERIODS = {
+    change_1h: HOUR,
+    change_24h: 24 * HOUR,
+    change_7d: 7 * 24 * HOUR,
+};
+
+// Adds change_1h, change_24h and change_7d (percent, null without history that old) to each row.
+// The reference price is the last one at or before (newest row timestamp - period), and no more
+// than one extra period older, so a gap in the history doesn't pass for a recent change. Changes are
+// computed in USD, so they stay the same whatever quote currency the rows are later converted to.
+async function addPriceChanges(prices, rows) {
+    if (rows.length === 0) {
+        return rows;
+    }
+    const newest = rows.reduce((max, row) => Math.max(max, new Date(row.timestamp).getTime()), -Infinity);
+    const references = await Promise.all(
+        Object.values(CHANGE_PERIODS).map(period => prices.getPricesAt(new Date(newest - period), new Date(newest - 2 * period)))
+    );
+
+    return rows.map(row => {
+        const changes = {};
+        Object.keys(CHANGE_PERIODS).forEach((field, i) => {
+            const reference = references[i].get(row.symbol);
+            changes[field] = reference ? ((row.current_price - reference) / reference) * 100 : null;
+        });
+        return { ...row, ...changes };
+    });
+}
+
+module.exports = {
+    CHANGE_PERIODS,
+    addPriceChanges,
+};
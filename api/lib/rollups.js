@@ -0,0 +1,215 @@
+// lib/rollups.js
+// Keeps years of history affordable: raw 5-minute rows are rolled up into hourly and daily
+// OHLC buckets (prices_hourly, prices_daily) and deleted once they are older than the raw
+// retention window. History reads pick the coarsest resolution that still fits the request.
+//
+//   ROLLUP_INTERVAL_MS     time between rollup + retention runs (default 3600000 = 1 hour)
+//   RAW_RETENTION_DAYS     days of raw rows to keep (default 30, at least 8 for the 7d change)
+//   HOURLY_RETENTION_DAYS  days of hourly buckets to keep (default 730, 0 = forever)
+// Daily buckets are kept forever.
+const { INTERVALS, bucketStart, aggregateCandles } = require('./candles');
+
+const HOUR = INTERVALS['1h'];
+const DAY = INTERVALS['1d'];
+
+// The 7d price change (lib/priceChanges.js) reads raw rows up to 14 days old, so raw rows are
+// kept at least past 7 days plus a margin; shorter settings are raised to this
+const MIN_RAW_RETENTION_DAYS = 8;
+
+// Resolutions from finest to coarsest; buckets of `source` rows are rolled into each rollup
+const RESOLUTIONS = ['raw', '1h', '1d'];
+const ROLLUPS = [
+    { resolution: '1h', source: 'raw', chunkMs: DAY }, // A day of raw rows per query
+    { resolution: '1d', source: '1h', chunkMs: 30 * DAY }, // Daily buckets are built from hourly ones
+];
+
+// Longest range read at each resolution without a candle interval: a week of raw rows
+// (~2k per coin) or 90 days of hourly ones, beyond that daily buckets
+const MAX_SPAN = { raw: 7 * DAY, '1h': 90 * DAY };
+
+// Coarsest resolution that still gives every candle of an interval exactly
+const INTERVAL_RESOLUTIONS = { '5m': 'raw', '1h': '1h', '4h': '1h', '1d': '1d', '1w': '1d' };
+
+const parseInteger = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+// Reads the rollup and retention settings from environment variables
+function loadRollupConfig(env = process.env) {
+    return {
+        intervalMs: parseInteger(env.ROLLUP_INTERVAL_MS, HOUR) || HOUR,
+        rawRetentionDays: Math.max(MIN_RAW_RETENTION_DAYS, parseInteger(env.RAW_RETENTION_DAYS, 30)),
+        hourlyRetentionDays: parseInteger(env.HOURLY_RETENTION_DAYS, 730),
+    };
+}
+
+// Days of history a resolution keeps (0 = forever)
+function retentionDays(resolution, config) {
+    if (resolution === 'raw') {
+        return config.rawRetentionDays;
+    }
+    return resolution === '1h' ? config.hourlyRetentionDays : 0;
+}
+
+// Whether a resolution still holds rows from `start` onwards (no start = all history)
+function coversStart(resolution, start, config, now) {
+    const days = retentionDays(resolution, config);
+    if (days === 0) {
+        return true;
+    }
+    return start !== null && new Date(start).getTime() >= now - days * DAY;
+}
+
+// `resolution`, or the next coarser one that retention hasn't removed `start` from yet
+function coarsenForRetention(resolution, start, config, now) {
+    let index = RESOLUTIONS.indexOf(resolution);
+    while (index < RESOLUTIONS.length - 1 && !coversStart(RESOLUTIONS[index], start, config, now)) {
+        index++;
+    }
+    return RESOLUTIONS[index];
+}
+
+// Resolution to read a [start, end) range at (either may be null). With a candle `interval`
+// it's the coarsest one that still builds exact candles, otherwise it follows the range
+// length. Either way it moves to a coarser one when retention already removed the start.
+function pickResolution({ start = null, end = null, interval = null }, config, now = Date.now()) {
+    if (interval) {
+        return coarsenForRetention(INTERVAL_RESOLUTIONS[interval], start, config, now);
+    }
+    const span = start ? (end ? new Date(end).getTime() : now) - new Date(start).getTime() : Infinity;
+    const bySpan = RESOLUTIONS.find(resolution => !MAX_SPAN[resolution] || span <= MAX_SPAN[resolution]);
+    return coarsenForRetention(bySpan, start, config, now);
+}
+
+// Longest range in ms that may be read at `resolution` (e.g. when a client picks it), or null
+// when there is no limit
+function maxSpan(resolution) {
+    return MAX_SPAN[resolution] || null;
+}
+
+// Finest resolution that still holds rows from `start` onwards, for reads that want every
+// row there is (exports)
+function finestResolution(start, config, now = Date.now()) {
+    return coarsenForRetention('raw', start, config, now);
+}
+
+// `prices` is the price repository; `config` comes from loadRollupConfig()
+function createRollupService({ prices, config }) {
+    let timer = null;
+    let queue = Promise.resolve(); // Rollups and retention runs never overlap
+
+    const exclusive = (task) => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    // Rebuilds the buckets of one rollup from its newest (possibly still open) bucket onwards.
+    // Returns the number of buckets written.
+    async function rollupResolution({ resolution, source, chunkMs }) {
+        const newestSource = await prices.getNewestTimestamp(source);
+        const resumeFrom = (await prices.getNewestTimestamp(resolution)) || (await prices.getOldestTimestamp(source));
+        if (!newestSource || !resumeFrom) {
+            return 0;
+        }
+
+        const until = new Date(newestSource).getTime();
+        let written = 0;
+        for (let chunkStart = bucketStart(new Date(resumeFrom).getTime(), resolution); chunkStart <= until; chunkStart += chunkMs) {
+            const rows = await prices.getHistoryForAllSymbols(new Date(chunkStart), new Date(chunkStart + chunkMs), source);
+            // Rows come grouped by symbol; candles are built per symbol
+            const bySymbol = new Map();
+            rows.forEach(row => {
+                if (!bySymbol.has(row.symbol)) {
+                    bySymbol.set(row.symbol, []);
+                }
+                bySymbol.get(row.symbol).push(row);
+            });
+            const buckets = Array.from(bySymbol.values()).flatMap(symbolRows => aggregateCandles(symbolRows, resolution));
+            written += await prices.upsertRollups(resolution, buckets);
+        }
+        return written;
+    }
+
+    // Brings the hourly and daily buckets up to date with the raw rows. Cheap when run after
+    // every ingestion, since only the newest buckets are rebuilt.
+    function rollup() {
+        return exclusive(async () => {
+            const written = {};
+            for (const definition of ROLLUPS) {
+                written[definition.resolution] = await rollupResolution(definition);
+            }
+            return written;
+        });
+    }
+
+    // Deletes raw and hourly rows past their retention window, but never rows that aren't
+    // in the next coarser rollup yet. Returns the number of rows deleted per resolution.
+    function applyRetention(now = Date.now()) {
+        return exclusive(async () => {
+            const deleted = {};
+            for (const { resolution, source } of ROLLUPS) {
+                const days = retentionDays(source, config);
+                const rolledUpTo = await prices.getNewestTimestamp(resolution);
+                if (days === 0 || !rolledUpTo) {
+                    deleted[source] = 0;
+                    continue;
+                }
+                const cutoff = Math.min(now - days * DAY, new Date(rolledUpTo).getTime());
+                deleted[source] = await prices.deleteHistoryBefore(source, new Date(cutoff));
+            }
+            return deleted;
+        });
+    }
+
+    // One scheduled run. Never rejects: failures are logged so the schedule keeps going.
+    async function runOnce() {
+        try {
+            const written = await rollup();
+            const deleted = await applyRetention();
+            console.log(`🗄️ Rolled up ${written['1h']} hourly and ${written['1d']} daily bucket(s); deleted ${deleted.raw} raw and ${deleted['1h']} hourly row(s) past retention.`);
+            return { written, deleted };
+        } catch (err) {
+            console.error('❌ Price rollup failed:', err.message);
+            return { error: err.message };
+        }
+    }
+
+    // Runs immediately, then every `intervalMs` after the previous run finished
+    function start() {
+        if (timer !== null) {
+            return;
+        }
+        const loop = async () => {
+            await runOnce();
+            if (timer !== null) {
+                timer = setTimeout(loop, config.intervalMs);
+            }
+        };
+        console.log(`Starting price rollups every ${config.intervalMs / 1000} seconds (raw rows kept ${config.rawRetentionDays} days).`);
+        timer = setTimeout(loop, 0);
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    return {
+        rollup,
+        applyRetention,
+        runOnce,
+        start,
+        stop,
+    };
+}
+
+module.exports = {
+    RESOLUTIONS,
+    loadRollupConfig,
+    pickResolution,
+    maxSpan,
+    finestResolution,
+    createRollupService,
+};
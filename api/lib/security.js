@@ -0,0 +1,290 @@
+// lib/security.js
+// Request authentication and throttling for the API:
+//   - HMAC-SHA256 signed ingestion notifications with timestamp replay protection
+//   - API keys for the REST endpoints, except for the dashboard's own browser traffic
+//   - fixed-window rate limiting per API key (or per IP without one)
+//   - the CORS origin allowlist
+//
+//   NOTIFY_SECRET            shared secret of the ETL and the API (unset: only localhost may notify)
+//   NOTIFY_TOLERANCE_SECONDS how old a signed notification may be (default 300)
+//   API_KEYS                 comma-separated valid keys (unset: no key required)
+//   RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX   requests allowed per window (default 120 per 60000 ms)
+//   DASHBOARD_ORIGINS        comma-separated origins the dashboard is served from besides the
+//                            API's own, e.g. http://localhost:3000 for `npm start` (default: none)
+//   DASHBOARD_RATE_LIMIT_MAX requests the dashboard traffic of one IP may make per window (default 300)
+//   CORS_ORIGINS             comma-separated allowed origins (unset: any origin)
+//
+// The dashboard runs in the browser, so any key built into it would be public. Its requests
+// pass without a key instead (see isDashboardRequest) and are limited per IP.
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-signature';
+const TIMESTAMP_HEADER = 'x-signature-timestamp';
+const API_KEY_HEADER = 'x-api-key';
+
+// Response headers that browser clients are allowed to read
+const EXPOSED_HEADERS = [
+    'ETag',
+    'Last-Modified',
+    'X-Quote-Currency',
+    'X-Resolution',
+    'X-Time-Zone',
+    'X-Next-Cursor',
+    'X-Total-Count',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
+    'Retry-After',
+];
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parsePositive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Reads the security settings from environment variables
+function loadSecurityConfig(env = process.env) {
+    return {
+        notifySecret: env.NOTIFY_SECRET || null,
+        notifyToleranceSeconds: parsePositive(env.NOTIFY_TOLERANCE_SECONDS, 300),
+        apiKeys: splitList(env.API_KEYS),
+        rateLimit: {
+            windowMs: parsePositive(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+            max: parsePositive(env.RATE_LIMIT_MAX, 120),
+        },
+        dashboardOrigins: splitList(env.DASHBOARD_ORIGINS),
+        dashboardRateLimit: {
+            windowMs: parsePositive(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+            max: parsePositive(env.DASHBOARD_RATE_LIMIT_MAX, 300),
+        },
+        corsOrigins: splitList(env.CORS_ORIGINS),
+    };
+}
+
+// Keeps the exact request bytes for signature checks; pass as express.json({ verify })
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+// Signature of a notification: hex HMAC-SHA256 of "<unix seconds>.<raw request body>"
+function computeSignature(secret, timestamp, body = '') {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Middleware for /api/notify-update. Requires `X-Signature-Timestamp: <unix seconds>` and
+// `X-Signature: sha256=<hex>`. Timestamps outside the tolerance are rejected, and each
+// signature is accepted only once while it is within the tolerance, so captured requests
+// can't be replayed. Without a secret, only loopback clients are allowed (local development).
+function createSignatureVerifier({ secret, toleranceSeconds = 300 }) {
+    const seenSignatures = new Map(); // signature -> expiry (ms)
+
+    const forgetExpired = (now) => {
+        seenSignatures.forEach((expiresAt, signature) => {
+            if (expiresAt <= now) {
+                seenSignatures.delete(signature);
+            }
+        });
+    };
+
+    return (req, res, next) => {
+        if (!secret) {
+            if (LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+                return next();
+            }
+            return res.status(401).json({ error: 'Notifications are only accepted from localhost unless NOTIFY_SECRET is configured.' });
+        }
+
+        const timestamp = req.get(TIMESTAMP_HEADER);
+        const signatureHeader = req.get(SIGNATURE_HEADER) || '';
+        if (!timestamp || !/^\d+$/.test(timestamp) || !signatureHeader.startsWith('sha256=')) {
+            return res.status(401).json({ error: `Missing or malformed ${TIMESTAMP_HEADER} / ${SIGNATURE_HEADER} headers.` });
+        }
+
+        const now = Date.now();
+        if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+            return res.status(401).json({ error: 'Notification timestamp is outside the allowed window.' });
+        }
+
+        const signature = signatureHeader.slice('sha256='.length);
+        const expected = computeSignature(secret, timestamp, req.rawBody || '');
+        if (!safeEqual(signature, expected)) {
+            return res.status(401).json({ error: 'Invalid notification signature.' });
+        }
+
+        forgetExpired(now);
+        if (seenSignatures.has(signature)) {
+            return res.status(409).json({ error: 'Notification was already received (replay rejected).' });
+        }
+        seenSignatures.set(signature, now + toleranceSeconds * 1000 * 2);
+        next();
+    };
+}
+
+// The API key of a request, from the X-API-Key header or the `api_key` query parameter
+// (for clients that can't set headers, e.g. download links)
+function getRequestApiKey(req) {
+    return req.get(API_KEY_HEADER) || (typeof req.query.api_key === 'string' ? req.query.api_key : null);
+}
+
+// Checks `key` against the configured `keys`. Returns {} when it may pass (always, with no
+// keys configured) or { error } with the reason it may not. Shared by the REST middleware and
+// the WebSocket upgrades, which aren't Express requests.
+function checkApiKey(keys, key) {
+    if (keys.length === 0) {
+        return {};
+    }
+    if (!key) {
+        return { error: `An API key is required (${API_KEY_HEADER} header or api_key parameter).` };
+    }
+    if (!keys.some(validKey => safeEqual(key, validKey))) {
+        return { error: 'Invalid API key.' };
+    }
+    return {};
+}
+
+// The API key of a WebSocket upgrade request (a plain http.IncomingMessage), from the
+// X-API-Key header or the `api_key` query parameter, since browsers can't set headers there
+function getUpgradeApiKey(req) {
+    const headerKey = req.headers[API_KEY_HEADER.toLowerCase()];
+    return headerKey || new URL(req.url, 'http://localhost').searchParams.get('api_key') || null;
+}
+
+// A URL such as an Origin or Referer header parsed, or null
+function parseUrl(value) {
+    try {
+        return new URL(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Whether a request (an Express request or a WebSocket upgrade) comes from the dashboard in a
+// browser: from the API's own origin (the build served with FRONTEND_BUILD_DIR) or from one of
+// `dashboardOrigins`. Browsers set Sec-Fetch-Site, Origin and Referer themselves and pages can't
+// change them, but other clients can copy them, so this tells the dashboard's traffic apart for
+// its per-IP limit rather than authenticating it. Download links only send a Referer.
+function isDashboardRequest(req, dashboardOrigins) {
+    const { headers } = req;
+    if (headers['sec-fetch-site'] === 'same-origin') {
+        return true;
+    }
+    const url = parseUrl(headers.origin || headers.referer);
+    if (!url) {
+        return false;
+    }
+    return dashboardOrigins.includes(url.origin) || url.host === headers.host;
+}
+
+// Middleware that requires one of `keys`. With no keys configured every request passes.
+// With `dashboardOrigins`, dashboard requests without a key pass too and are marked with
+// `req.dashboard`, so they can be rate limited per IP.
+function createApiKeyAuth({ keys, dashboardOrigins = null }) {
+    return (req, res, next) => {
+        const key = getRequestApiKey(req);
+        if (keys.length > 0 && !key && dashboardOrigins && isDashboardRequest(req, dashboardOrigins)) {
+            req.dashboard = true;
+            return next();
+        }
+        const { error } = checkApiKey(keys, key);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+        if (keys.length > 0) {
+            req.apiKey = key;
+        }
+        next();
+    };
+}
+
+// The client a request is counted against: its API key, or its IP without one
+const rateLimitClient = (apiKey, ip) => (apiKey ? `key:${apiKey}` : `ip:${ip}`);
+
+// Fixed-window limiter: each API key (or client IP) may make `max` requests per `windowMs`.
+// Sets X-RateLimit-* headers and answers 429 with Retry-After once the budget is used up.
+// `limiter.hit(client)` counts a request made outside Express (e.g. a GraphQL subscription)
+// against the same windows and returns { limited, retryAfterSeconds }.
+function createRateLimiter({ windowMs, max }) {
+    const windows = new Map(); // client -> { count, resetAt }
+    let nextSweep = Date.now() + windowMs;
+
+    // Counts one request of `client` and returns its current window
+    const count = (client, now) => {
+        if (now >= nextSweep) {
+            windows.forEach((window, key) => {
+                if (window.resetAt <= now) {
+                    windows.delete(key);
+                }
+            });
+            nextSweep = now + windowMs;
+        }
+
+        let window = windows.get(client);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(client, window);
+        }
+        window.count++;
+        return window;
+    };
+
+    const limiter = (req, res, next) => {
+        const now = Date.now();
+        const window = count(rateLimitClient(req.apiKey, req.ip), now);
+
+        res.set('X-RateLimit-Limit', String(max));
+        res.set('X-RateLimit-Remaining', String(Math.max(0, max - window.count)));
+        res.set('X-RateLimit-Reset', String(Math.ceil(window.resetAt / 1000)));
+
+        if (window.count > max) {
+            res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+            return res.status(429).json({ error: 'Too many requests. Please slow down.' });
+        }
+        next();
+    };
+
+    limiter.hit = (client) => {
+        const now = Date.now();
+        const window = count(client, now);
+        return { limited: window.count > max, retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000) };
+    };
+
+    return limiter;
+}
+
+// Whether a request from `origin` is allowed: any origin without an allowlist, otherwise only
+// listed ones. Requests without an Origin header (curl, the ETL, same-origin) always are.
+const isOriginAllowed = (origins, origin) => origins.length === 0 || !origin || origins.includes(origin);
+
+// Options for the cors middleware, see isOriginAllowed()
+function createCorsOptions({ origins }) {
+    const options = { exposedHeaders: EXPOSED_HEADERS };
+    if (origins.length > 0) {
+        options.origin = (origin, callback) => callback(null, isOriginAllowed(origins, origin));
+    }
+    return options;
+}
+
+module.exports = {
+    loadSecurityConfig,
+    captureRawBody,
+    computeSignature,
+    createSignatureVerifier,
+    checkApiKey,
+    getUpgradeApiKey,
+    isDashboardRequest,
+    createApiKeyAuth,
+    rateLimitClient,
+    createRateLimiter,
+    isOriginAllowed,
+    createCorsOptions,
+};
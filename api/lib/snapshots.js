@@ -0,0 +1,62 @@
+// lib/snapshots.js
+// Remembers the last latest-prices snapshot that was broadcast, so that only the
+// rows that changed since then need to go over the WebSocket. The most recent deltas
+// are kept too, so a reconnecting SSE client can be sent just the updates it missed.
+
+// Fields that make a row "changed". The timestamp is left out on purpose: the ETL
+// stamps every row on every run, so comparing it would turn each delta into a full snapshot.
+// The change_* percentages move with the reference prices even when the latest price doesn't.
+const COMPARED_FIELDS = ['name', 'current_price', 'market_cap', 'total_volume', 'change_1h', 'change_24h', 'change_7d'];
+
+// Deltas kept for resuming clients; one that missed more gets a full snapshot instead
+const MAX_RETAINED_DELTAS = 50;
+
+function hasChanged(previous, row) {
+    return !previous || COMPARED_FIELDS.some(field => previous[field] !== row[field]);
+}
+
+function createSnapshotTracker() {
+    let sequence = 0;
+    let snapshot = new Map(); // symbol -> row
+    let deltas = []; // [{ seq, changed }], oldest first
+
+    return {
+        // Stores a freshly queried snapshot and returns the rows that differ from the previous one.
+        // The sequence number only advances when something changed.
+        update(rows) {
+            const changed = rows.filter(row => hasChanged(snapshot.get(row.symbol), row));
+            snapshot = new Map(rows.map(row => [row.symbol, row]));
+            if (changed.length > 0) {
+                sequence++;
+                deltas.push({ seq: sequence, changed });
+                if (deltas.length > MAX_RETAINED_DELTAS) {
+                    deltas = deltas.slice(-MAX_RETAINED_DELTAS);
+                }
+            }
+            return { seq: sequence, changed };
+        },
+
+        // The deltas after sequence number `seq` in order, or null when some are no longer kept
+        // (or `seq` is from the future, e.g. from before a server restart)
+        deltasSince(seq) {
+            if (seq > sequence) {
+                return null;
+            }
+            const missed = deltas.filter(delta => delta.seq > seq);
+            return missed.length === sequence - seq ? missed : null;
+        },
+
+        // The last broadcast snapshot (in query order) and its sequence number
+        current() {
+            return { seq: sequence, rows: Array.from(snapshot.values()) };
+        },
+
+        isEmpty() {
+            return snapshot.size === 0;
+        },
+    };
+}
+
+module.exports = {
+    createSnapshotTracker,
+};
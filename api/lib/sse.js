@@ -0,0 +1,82 @@
+// lib/sse.js
+// Server-Sent Events connections for GET /api/stream, the live transport for networks whose
+// proxies block WebSocket upgrades. Every message a WebSocket client would get is sent as
+// an event named after its `type`, with the JSON message as data:
+//
+//   id: k3x9a2:42
+//   event: latest_crypto_delta
+//   data: {"type":"latest_crypto_delta","seq":42,"currency":"usd","data":[...]}
+//
+// Price updates carry an id of "<server run>:<seq>". Browsers send the last one back in the
+// Last-Event-ID header when they reconnect, so the server can replay just the missed deltas;
+// ids from an earlier server run can't be resumed and get a full snapshot instead.
+
+const HEARTBEAT_MS = 25 * 1000; // Comment lines keep proxies from closing an idle stream
+const RETRY_MS = 3000; // Reconnect delay the browser should use
+
+// Identifies this server process, since sequence numbers restart with it
+const RUN_ID = Date.now().toString(36);
+
+// Event id of a sequence number
+const eventId = (seq) => `${RUN_ID}:${seq}`;
+
+// The sequence number to resume after, from the Last-Event-ID header (or a `lastEventId`
+// query parameter, for clients that can't set headers). Null when missing or not resumable.
+function parseLastEventId(req) {
+    const value = req.get('Last-Event-ID') || (typeof req.query.lastEventId === 'string' ? req.query.lastEventId : '');
+    const match = /^([0-9a-z]+):(\d+)$/.exec(value);
+    if (!match || match[1] !== RUN_ID) {
+        return null;
+    }
+    return parseInt(match[2], 10);
+}
+
+// Starts an event stream on `res`. Returns the connection, which the server treats like a
+// WebSocket client (see the live client helpers in server.js). `onClose(connection)` is
+// called once the client goes away.
+function createSseConnection(req, res, { onClose = () => {}, heartbeatMs = HEARTBEAT_MS } = {}) {
+    let open = true;
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stops nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, heartbeatMs);
+
+    const connection = {
+        transport: 'sse',
+        isOpen: () => open && !res.writableEnded,
+        // Sends a message; price updates (messages with a `seq`) get a resumable id
+        send(payload) {
+            if (!connection.isOpen()) {
+                return;
+            }
+            const id = Number.isInteger(payload.seq) ? `id: ${eventId(payload.seq)}\n` : '';
+            res.write(`${id}event: ${payload.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+        },
+        close() {
+            res.end();
+        },
+    };
+
+    req.on('close', () => {
+        open = false;
+        clearInterval(heartbeat);
+        onClose(connection);
+    });
+
+    return connection;
+}
+
+module.exports = {
+    parseLastEventId,
+    createSseConnection,
+};
@@ -0,0 +1,139 @@
+// lib/subscriptions.js
+// Per-client symbol subscriptions for the WebSocket server.
+//
+// Message protocol (client -> server):
+//   { "type": "subscribe",   "symbols": ["btc", "eth"] }
+//   { "type": "unsubscribe", "symbols": ["eth"] }
+// The server answers every request with:
+//   { "type": "subscription_ack", "action": "subscribe", "symbols": ["btc"] }
+// where `symbols` is the client's full subscription list after the change,
+// or with { "type": "error", "message": "..." } if the request is malformed.
+//
+// A client that never sent a subscribe message receives every coin, so older
+// dashboards keep working. The "*" symbol subscribes to the whole market.
+//
+// Clients can also pick the quote currency of the prices they receive:
+//   { "type": "set_currency", "currency": "eur" }
+// answered with { "type": "currency_ack", "currency": "eur" }. The default is USD.
+//
+// Logged-in users can authenticate the connection with their login token and limit it to their watchlist:
+//   { "type": "authenticate", "token": "<jwt>" }     (token null = log out)
+//   { "type": "set_scope", "scope": "watchlist" }    ("all" = back to every coin)
+// Scoping applies on top of subscriptions: a watchlist-scoped client only receives coins that
+// are both subscribed to and on its watchlist.
+
+const WILDCARD = '*';
+
+// Keyed by WebSocket instance (or SSE connection, see lib/sse.js) so entries disappear together with the socket
+const clientSubscriptions = new WeakMap();
+const clientCurrencies = new WeakMap();
+const clientUsers = new WeakMap();
+const clientScopes = new WeakMap(); // ws -> Set of watchlist symbols, for watchlist-scoped clients
+
+function normalizeSymbols(symbols) {
+    if (!Array.isArray(symbols) || symbols.length === 0 || symbols.some(symbol => typeof symbol !== 'string' || !symbol.trim())) {
+        return null;
+    }
+    return symbols.map(symbol => symbol.trim().toLowerCase());
+}
+
+// Returns the client's subscribed symbols, or null if it receives everything
+function getSubscriptions(ws) {
+    const subscriptions = clientSubscriptions.get(ws);
+    if (!subscriptions || subscriptions.has(WILDCARD)) {
+        return null;
+    }
+    return subscriptions;
+}
+
+function subscribe(ws, symbols) {
+    const subscriptions = clientSubscriptions.get(ws) || new Set();
+    symbols.forEach(symbol => subscriptions.add(symbol));
+    clientSubscriptions.set(ws, subscriptions);
+    return subscriptions;
+}
+
+function unsubscribe(ws, symbols) {
+    const subscriptions = clientSubscriptions.get(ws) || new Set();
+    symbols.forEach(symbol => subscriptions.delete(symbol));
+    clientSubscriptions.set(ws, subscriptions);
+    return subscriptions;
+}
+
+// Applies a parsed subscription message. Returns the reply to send back and,
+// for subscribe requests, the symbols that were just added (so the caller can
+// push their current prices right away). Returns null for non-subscription messages.
+function handleSubscriptionMessage(ws, message) {
+    if (!message || (message.type !== 'subscribe' && message.type !== 'unsubscribe')) {
+        return null;
+    }
+
+    const symbols = normalizeSymbols(message.symbols);
+    if (!symbols) {
+        return { reply: { type: 'error', message: `'${message.type}' requires a non-empty string array in 'symbols'.` } };
+    }
+
+    const subscriptions = message.type === 'subscribe' ? subscribe(ws, symbols) : unsubscribe(ws, symbols);
+    return {
+        reply: { type: 'subscription_ack', action: message.type, symbols: Array.from(subscriptions).sort() },
+        added: message.type === 'subscribe' ? symbols : [],
+    };
+}
+
+// Narrows a list of price rows down to what the client subscribed to (and its watchlist scope)
+function filterRowsForClient(ws, rows) {
+    const subscriptions = getSubscriptions(ws);
+    const scope = clientScopes.get(ws);
+    if (!subscriptions && !scope) {
+        return rows;
+    }
+    return rows.filter(row => (!subscriptions || subscriptions.has(row.symbol)) && (!scope || scope.has(row.symbol)));
+}
+
+function getClientCurrency(ws, defaultCurrency) {
+    return clientCurrencies.get(ws) || defaultCurrency;
+}
+
+function setClientCurrency(ws, currency) {
+    clientCurrencies.set(ws, currency);
+}
+
+// The user ({ id, username }) a client authenticated as, or null
+function getClientUser(ws) {
+    return clientUsers.get(ws) || null;
+}
+
+// Logging out (user null) also drops the watchlist scope
+function setClientUser(ws, user) {
+    if (user) {
+        clientUsers.set(ws, user);
+    } else {
+        clientUsers.delete(ws);
+        clientScopes.delete(ws);
+    }
+}
+
+function isWatchlistScoped(ws) {
+    return clientScopes.has(ws);
+}
+
+// Limits the client to `watchlist` (an array of symbols), or removes the limit with null
+function setClientScope(ws, watchlist) {
+    if (watchlist) {
+        clientScopes.set(ws, new Set(watchlist));
+    } else {
+        clientScopes.delete(ws);
+    }
+}
+
+module.exports = {
+    WILDCARD,
+    handleSubscriptionMessage,
+    filterRowsForClient,
+    getClientCurrency,
+    setClientCurrency,
+    getClientUser,
+    setClientUser,
+    isWatchlistScoped,
+    setClientScope,
+};
@@ -0,0 +1,11 @@
+// lib/symbols.js
+// Parsing of comma-separated symbol lists in query parameters and paths.
+
+// Splits "btc,ETH, sol" into unique lowercase symbols, in the given order
+function parseSymbolList(value) {
+    return Array.from(new Set(String(value || '').split(',').map(symbol => symbol.trim().toLowerCase()).filter(Boolean)));
+}
+
+module.exports = {
+    parseSymbolList,
+};
@@ -0,0 +1,127 @@
+// lib/timezones.js
+// Time zones for the `tz` query parameter. Prices are stored in UTC; a `tz` (an IANA name such
+// as Europe/Berlin, default UTC) decides which midnight a YYYY-MM-DD date range starts and ends
+// at, and which offset the returned timestamps are written with:
+//   /api/crypto/history/btc?startDate=2024-03-31&tz=Europe/Berlin
+//   -> range starts at 2024-03-30T23:00:00.000Z, rows read "timestamp": "2024-03-31T01:05:00.000+01:00"
+// Timestamps are always ISO 8601 with an explicit offset, so clients never have to guess.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// One formatter per zone; creating them is comparatively slow
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Validates a `tz` parameter (case-insensitive, defaults to UTC).
+// Returns { timeZone } with the zone's canonical name or { error } for a 400 response.
+function resolveTimeZone(value) {
+    if (value === undefined || value === null || value === '') {
+        return { timeZone: DEFAULT_TIME_ZONE };
+    }
+    try {
+        const timeZone = new Intl.DateTimeFormat('en-US', { timeZone: String(value) }).resolvedOptions().timeZone;
+        return { timeZone: timeZone === 'Etc/UTC' ? DEFAULT_TIME_ZONE : timeZone };
+    } catch (e) {
+        return { error: `Unknown time zone '${value}'. Use an IANA name such as 'UTC' or 'Europe/Berlin'.` };
+    }
+}
+
+// Minutes `timeZone` is ahead of UTC at the instant `time` (e.g. 120 for Berlin in summer)
+function offsetMinutes(timeZone, time) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(time).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const wholeSeconds = time.getTime() - time.getUTCMilliseconds();
+    return Math.round((wallClock - wholeSeconds) / 60000);
+}
+
+// The instant of local midnight on `day` (YYYY-MM-DD) in `timeZone`, or null for an invalid day.
+// On the rare days that skip midnight (DST at 00:00) this is the first moment of the day.
+function startOfDay(day, timeZone = DEFAULT_TIME_ZONE) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+        return null;
+    }
+    const utcMidnight = new Date(`${day}T00:00:00.000Z`);
+    if (isNaN(utcMidnight.getTime()) || utcMidnight.toISOString().slice(0, 10) !== day) {
+        return null;
+    }
+    // Guess with the offset at UTC midnight, then again with the offset at that guess in case
+    // it changes in between. The second guess misses the day only when midnight was skipped.
+    const first = utcMidnight.getTime() - offsetMinutes(timeZone, utcMidnight) * 60000;
+    const second = utcMidnight.getTime() - offsetMinutes(timeZone, new Date(first)) * 60000;
+    return new Date(dayInZone(new Date(second), timeZone) === day ? second : first);
+}
+
+// The date (YYYY-MM-DD) it is in `timeZone` at the instant `time`
+function dayInZone(time, timeZone = DEFAULT_TIME_ZONE) {
+    const local = new Date(time.getTime() + offsetMinutes(timeZone, time) * 60000);
+    return local.toISOString().slice(0, 10);
+}
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// A stored timestamp (Date or UTC string) as ISO 8601 in `timeZone` with its offset, e.g.
+// 2024-03-31T01:05:00.000+02:00. Values that aren't timestamps are returned unchanged.
+function formatTimestamp(value, timeZone = DEFAULT_TIME_ZONE) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    const time = value instanceof Date ? value : new Date(value);
+    if (isNaN(time.getTime())) {
+        return value;
+    }
+    const offset = offsetMinutes(timeZone, time);
+    const local = new Date(time.getTime() + offset * 60000).toISOString().slice(0, -1); // Drops the Z
+    const sign = offset < 0 ? '-' : '+';
+    return `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// A Date whose UTC fields read the wall-clock time of `value` in `timeZone`, for formats without
+// time zones (spreadsheet cells), or null for a missing timestamp
+function wallClockDate(value, timeZone = DEFAULT_TIME_ZONE) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const time = value instanceof Date ? value : new Date(value);
+    return new Date(time.getTime() + offsetMinutes(timeZone, time) * 60000);
+}
+
+// Copies of `rows` with the timestamp `fields` written in `timeZone`
+function withZonedTimestamps(rows, timeZone, fields = ['timestamp']) {
+    return rows.map(row => {
+        const zoned = { ...row };
+        fields.forEach(field => {
+            if (field in zoned) {
+                zoned[field] = formatTimestamp(zoned[field], timeZone);
+            }
+        });
+        return zoned;
+    });
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    resolveTimeZone,
+    startOfDay,
+    dayInZone,
+    formatTimestamp,
+    wallClockDate,
+    withZonedTimestamps,
+};
@@ -0,0 +1,216 @@
+// lib/users.js
+// User accounts with their watchlists and dashboard preferences.
+//
+// Passwords are stored as "scrypt$<salt hex>$<hash hex>" (Node's built-in scrypt, a random
+// 16-byte salt per user), never in plain text.
+//
+// Preferences (all optional, null = use the dashboard default):
+//   default_symbol   coin selected when the dashboard opens
+//   range_days       length of the default date range, ending today
+//   chart_type       line, bar or candlestick, the coin page's chart types
+//                    (CHART_TYPES in frontend/src/utils/chartState.js)
+const crypto = require('crypto');
+
+const CHART_TYPES = ['line', 'bar', 'candlestick'];
+const MAX_RANGE_DAYS = 5 * 365;
+const MAX_WATCHLIST_SIZE = 100;
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Hashed once, so logins for unknown users take as long as logins with a wrong password
+const dummyHashPromise = hashPassword('not-a-real-password');
+
+// Validates a register/login body. Returns { errors: [...] } or { values: { username, password } }.
+// Usernames are case-insensitive and stored in lowercase.
+function validateCredentials(body) {
+    const errors = [];
+    const input = body || {};
+    const username = typeof input.username === 'string' ? input.username.trim().toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+        errors.push("'username' must be 3-32 characters: letters, digits, '_', '.' or '-'.");
+    }
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH || input.password.length > MAX_PASSWORD_LENGTH) {
+        errors.push(`'password' must be a string of ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters.`);
+    }
+    return errors.length > 0 ? { errors } : { values: { username, password: input.password } };
+}
+
+// Validates a preferences update; every field is optional and null resets it to the default.
+// Returns { errors: [...] } or { values: {...} } with the columns to update.
+function validatePreferences(body) {
+    const errors = [];
+    const values = {};
+    const input = body || {};
+
+    if (input.default_symbol !== undefined) {
+        if (input.default_symbol === null) {
+            values.default_symbol = null;
+        } else if (typeof input.default_symbol !== 'string' || !input.default_symbol.trim()) {
+            errors.push("'default_symbol' must be a non-empty string or null.");
+        } else {
+            values.default_symbol = input.default_symbol.trim().toLowerCase();
+        }
+    }
+
+    if (input.range_days !== undefined) {
+        const rangeDays = Number(input.range_days);
+        if (input.range_days === null) {
+            values.range_days = null;
+        } else if (!Number.isInteger(rangeDays) || rangeDays < 1 || rangeDays > MAX_RANGE_DAYS) {
+            errors.push(`'range_days' must be an integer between 1 and ${MAX_RANGE_DAYS}, or null.`);
+        } else {
+            values.range_days = rangeDays;
+        }
+    }
+
+    if (input.chart_type !== undefined) {
+        if (input.chart_type !== null && !CHART_TYPES.includes(input.chart_type)) {
+            errors.push(`'chart_type' must be one of: ${CHART_TYPES.join(', ')}, or null.`);
+        } else {
+            values.chart_type = input.chart_type;
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+    if (Object.keys(values).length === 0) {
+        return { errors: ['Nothing to update.'] };
+    }
+    return { values };
+}
+
+const DEFAULT_PREFERENCES = { default_symbol: null, range_days: null, chart_type: null };
+
+// Public fields of a user row (never the password hash)
+const toPublicUser = (row) => row && { id: row.id, username: row.username, created_at: row.created_at };
+
+// `db` is a storage client (see storage/index.js)
+function createUserService(db) {
+    // Creates a user; returns null if the username is taken
+    async function register(username, password) {
+        const existing = await db.query('SELECT id FROM users WHERE username = $1;', [username]);
+        if (existing.length > 0) {
+            return null;
+        }
+        let rows;
+        try {
+            rows = await db.query(
+                'INSERT INTO users (username, password_hash, created_at) VALUES ($1, $2, $3) RETURNING *;',
+                [username, await hashPassword(password), new Date()]
+            );
+        } catch (err) {
+            // Registered by a concurrent request since the check above
+            if (db.isUniqueViolation(err)) {
+                return null;
+            }
+            throw err;
+        }
+        return toPublicUser(rows[0]);
+    }
+
+    // Returns the user for valid credentials, or null
+    async function authenticate(username, password) {
+        const rows = await db.query('SELECT * FROM users WHERE username = $1;', [username]);
+        if (rows.length === 0) {
+            await verifyPassword(password, await dummyHashPromise);
+            return null;
+        }
+        return (await verifyPassword(password, rows[0].password_hash)) ? toPublicUser(rows[0]) : null;
+    }
+
+    async function get(id) {
+        const rows = await db.query('SELECT * FROM users WHERE id = $1;', [id]);
+        return toPublicUser(rows[0]) || null;
+    }
+
+    // Symbols in the order they were added
+    async function getWatchlist(userId) {
+        const rows = await db.query('SELECT symbol FROM watchlist_items WHERE user_id = $1 ORDER BY added_at ASC, symbol ASC;', [userId]);
+        return rows.map(row => row.symbol);
+    }
+
+    // Adds a symbol (no-op if already present). Returns the new watchlist, or null if it is full.
+    async function addToWatchlist(userId, symbol) {
+        const watchlist = await getWatchlist(userId);
+        if (watchlist.includes(symbol)) {
+            return watchlist;
+        }
+        if (watchlist.length >= MAX_WATCHLIST_SIZE) {
+            return null;
+        }
+        await db.query(
+            'INSERT INTO watchlist_items (user_id, symbol, added_at) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING;',
+            [userId, symbol, new Date()]
+        );
+        return getWatchlist(userId);
+    }
+
+    async function removeFromWatchlist(userId, symbol) {
+        await db.query('DELETE FROM watchlist_items WHERE user_id = $1 AND symbol = $2;', [userId, symbol]);
+        return getWatchlist(userId);
+    }
+
+    async function getPreferences(userId) {
+        const rows = await db.query('SELECT default_symbol, range_days, chart_type FROM user_preferences WHERE user_id = $1;', [userId]);
+        return { ...DEFAULT_PREFERENCES, ...rows[0] };
+    }
+
+    // Merges `values` into the stored preferences and returns the result
+    async function updatePreferences(userId, values) {
+        const preferences = { ...(await getPreferences(userId)), ...values };
+        await db.query(
+            `INSERT INTO user_preferences (user_id, default_symbol, range_days, chart_type)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (user_id) DO UPDATE SET
+                default_symbol = EXCLUDED.default_symbol,
+                range_days = EXCLUDED.range_days,
+                chart_type = EXCLUDED.chart_type;`,
+            [userId, preferences.default_symbol, preferences.range_days, preferences.chart_type]
+        );
+        return preferences;
+    }
+
+    return {
+        register,
+        authenticate,
+        get,
+        getWatchlist,
+        addToWatchlist,
+        removeFromWatchlist,
+        getPreferences,
+        updatePreferences,
+    };
+}
+
+module.exports = {
+    CHART_TYPES,
+    MAX_WATCHLIST_SIZE,
+    validateCredentials,
+    validatePreferences,
+    createUserService,
+};
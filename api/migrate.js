@@ -0,0 +1,52 @@
+// migrate.js
+// Schema migrations from the command line, using the same storage settings as the server
+// (environment and CONFIG_FILE, see config.js):
+//
+//   npm run migrate                 apply every pending migration
+//   npm run migrate -- up [version] apply pending migrations up to `version`
+//   npm run migrate -- down [steps] revert the last `steps` migrations (default 1)
+//   npm run migrate -- status       list the migrations and whether they are applied
+require('dotenv').config();
+const { loadConfig } = require('./config');
+const { createStorage } = require('./storage');
+const { createMigrator } = require('./storage/migrations');
+
+const USAGE = 'Usage: node migrate.js [up [version] | down [steps] | status]';
+
+const parseCount = (value, fallback) => {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = parseInt(value, 10);
+    if (!Number.isInteger(number) || number < 1 || String(number) !== value) {
+        throw new Error(`'${value}' is not a positive whole number. ${USAGE}`);
+    }
+    return number;
+};
+
+async function main([command = 'up', argument]) {
+    const { db } = createStorage(loadConfig().storage);
+    const migrator = createMigrator(db);
+    try {
+        if (command === 'up') {
+            const applied = await migrator.migrate({ to: parseCount(argument, Infinity) });
+            console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s).` : '✅ Schema is up to date.');
+        } else if (command === 'down') {
+            const reverted = await migrator.rollback({ steps: parseCount(argument, 1) });
+            console.log(`✅ Reverted ${reverted.length} migration(s).`);
+        } else if (command === 'status') {
+            (await migrator.status()).forEach(({ version, name, applied, applied_at }) => {
+                console.log(`${applied ? '[x]' : '[ ]'} ${version}_${name}${applied ? ` (applied ${new Date(applied_at).toISOString()})` : ''}`);
+            });
+        } else {
+            throw new Error(`Unknown command '${command}'. ${USAGE}`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(`❌ Migration failed: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,96 @@
+// migrations/001_initial_schema.js
+// The tables the API started with. Each used to be created on startup by its service, and
+// `prices` / `fx_rates` by hand for the ETL, so everything is IF NOT EXISTS: on an existing
+// database this migration only records that the schema is there.
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS prices (
+                symbol VARCHAR(50) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                current_price ${db.types.numeric} NOT NULL,
+                market_cap ${db.types.numeric},
+                total_volume ${db.types.numeric},
+                timestamp ${db.types.timestamp} NOT NULL
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS fx_rates (
+                currency VARCHAR(10) NOT NULL,
+                name VARCHAR(100),
+                type VARCHAR(20),
+                units_per_usd DOUBLE PRECISION NOT NULL,
+                timestamp ${db.types.timestamp} NOT NULL,
+                PRIMARY KEY (currency, timestamp)
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS alerts (
+                id ${db.types.id},
+                symbol VARCHAR(50) NOT NULL,
+                type VARCHAR(20) NOT NULL,
+                threshold DOUBLE PRECISION NOT NULL,
+                window_minutes INTEGER,
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                triggered BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at ${db.types.timestamptz} NOT NULL,
+                last_triggered_at ${db.types.timestamptz}
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS alert_history (
+                id ${db.types.id},
+                alert_id INTEGER REFERENCES alerts(id) ON DELETE SET NULL,
+                symbol VARCHAR(50) NOT NULL,
+                type VARCHAR(20) NOT NULL,
+                threshold DOUBLE PRECISION NOT NULL,
+                value DOUBLE PRECISION,
+                message TEXT NOT NULL,
+                triggered_at ${db.types.timestamptz} NOT NULL
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS portfolio_transactions (
+                id ${db.types.id},
+                symbol VARCHAR(50) NOT NULL,
+                side VARCHAR(4) NOT NULL CHECK (side IN ('buy', 'sell')),
+                quantity DOUBLE PRECISION NOT NULL CHECK (quantity > 0),
+                price DOUBLE PRECISION NOT NULL CHECK (price >= 0),
+                executed_at ${db.types.timestamptz} NOT NULL,
+                created_at ${db.types.timestamptz} NOT NULL
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id ${db.types.id},
+                username VARCHAR(32) NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                created_at ${db.types.timestamptz} NOT NULL
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS watchlist_items (
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                symbol VARCHAR(50) NOT NULL,
+                added_at ${db.types.timestamptz} NOT NULL,
+                PRIMARY KEY (user_id, symbol)
+            );
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS user_preferences (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                default_symbol VARCHAR(50),
+                range_days INTEGER,
+                chart_type VARCHAR(30)
+            );
+        `);
+    },
+
+    // Referencing tables are dropped before the tables they reference
+    async down(db) {
+        for (const table of ['user_preferences', 'watchlist_items', 'users', 'portfolio_transactions', 'alert_history', 'alerts', 'fx_rates', 'prices']) {
+            await db.query(`DROP TABLE IF EXISTS ${table};`);
+        }
+    },
+};
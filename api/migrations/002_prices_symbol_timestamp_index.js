@@ -0,0 +1,13 @@
+// migrations/002_prices_symbol_timestamp_index.js
+// Every price read filters by symbol and a time range (history, candles, latest per symbol),
+// so one composite index serves them all instead of scanning the whole table.
+
+module.exports = {
+    async up(db) {
+        await db.query('CREATE INDEX IF NOT EXISTS idx_prices_symbol_timestamp ON prices (symbol, timestamp);');
+    },
+
+    async down(db) {
+        await db.query('DROP INDEX IF EXISTS idx_prices_symbol_timestamp;');
+    },
+};
@@ -0,0 +1,83 @@
+// migrations/003_latest_prices.js
+// One row per symbol with its newest price, so the latest snapshot is a primary key read
+// instead of a GROUP BY over all of `prices`. A trigger keeps it current on every insert,
+// whether the row comes from the API's own ingestion or the Python ETL. Rows that arrive
+// out of order don't overwrite a newer price.
+
+const LATEST_COLUMNS = 'symbol, name, current_price, market_cap, total_volume, timestamp';
+
+// Shared by both dialects' triggers: upsert the inserted row unless a newer one is stored
+const UPSERT_NEW_ROW = `
+    INSERT INTO latest_prices (${LATEST_COLUMNS})
+    VALUES (NEW.symbol, NEW.name, NEW.current_price, NEW.market_cap, NEW.total_volume, NEW.timestamp)
+    ON CONFLICT (symbol) DO UPDATE SET
+        name = excluded.name,
+        current_price = excluded.current_price,
+        market_cap = excluded.market_cap,
+        total_volume = excluded.total_volume,
+        timestamp = excluded.timestamp
+    WHERE latest_prices.timestamp <= excluded.timestamp;
+`;
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE latest_prices (
+                symbol VARCHAR(50) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                current_price ${db.types.numeric} NOT NULL,
+                market_cap ${db.types.numeric},
+                total_volume ${db.types.numeric},
+                timestamp ${db.types.timestamp} NOT NULL
+            );
+        `);
+
+        // Existing data: the newest row per symbol (the first one, if a symbol has two at the same time).
+        // WHERE true keeps SQLite from reading ON CONFLICT as part of the join.
+        await db.query(`
+            INSERT INTO latest_prices (${LATEST_COLUMNS})
+            SELECT t1.symbol, t1.name, t1.current_price, t1.market_cap, t1.total_volume, t1.timestamp
+            FROM prices t1
+            INNER JOIN (
+                SELECT symbol, MAX(timestamp) AS max_timestamp
+                FROM prices
+                GROUP BY symbol
+            ) t2
+            ON t1.symbol = t2.symbol AND t1.timestamp = t2.max_timestamp
+            WHERE true
+            ON CONFLICT (symbol) DO NOTHING;
+        `);
+
+        if (db.dialect === 'postgres') {
+            await db.query(`
+                CREATE FUNCTION update_latest_prices() RETURNS trigger AS $body$
+                BEGIN
+                    ${UPSERT_NEW_ROW}
+                    RETURN NEW;
+                END;
+                $body$ LANGUAGE plpgsql;
+            `);
+            await db.query(`
+                CREATE TRIGGER prices_update_latest AFTER INSERT ON prices
+                FOR EACH ROW EXECUTE FUNCTION update_latest_prices();
+            `);
+        } else {
+            await db.query(`
+                CREATE TRIGGER prices_update_latest AFTER INSERT ON prices
+                BEGIN
+                    ${UPSERT_NEW_ROW}
+                END;
+            `);
+        }
+    },
+
+    async down(db) {
+        if (db.dialect === 'postgres') {
+            await db.query('DROP TRIGGER IF EXISTS prices_update_latest ON prices;');
+            await db.query('DROP FUNCTION IF EXISTS update_latest_prices();');
+        } else {
+            await db.query('DROP TRIGGER IF EXISTS prices_update_latest;');
+        }
+        await db.query('DROP TABLE IF EXISTS latest_prices;');
+    },
+};
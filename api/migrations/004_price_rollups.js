@@ -0,0 +1,34 @@
+// migrations/004_price_rollups.js
+// Hourly and daily OHLC buckets of `prices`, filled by the rollup job (lib/rollups.js) so raw
+// rows can be deleted after the retention window. `timestamp` is the start of the bucket,
+// `close` its last price, and market_cap / total_volume the values at the close.
+
+const ROLLUP_TABLES = ['prices_hourly', 'prices_daily'];
+
+module.exports = {
+    async up(db) {
+        for (const table of ROLLUP_TABLES) {
+            await db.query(`
+                CREATE TABLE ${table} (
+                    symbol VARCHAR(50) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    open ${db.types.numeric} NOT NULL,
+                    high ${db.types.numeric} NOT NULL,
+                    low ${db.types.numeric} NOT NULL,
+                    close ${db.types.numeric} NOT NULL,
+                    market_cap ${db.types.numeric},
+                    total_volume ${db.types.numeric},
+                    sample_count INTEGER NOT NULL,
+                    timestamp ${db.types.timestamp} NOT NULL,
+                    PRIMARY KEY (symbol, timestamp)
+                );
+            `);
+        }
+    },
+
+    async down(db) {
+        for (const table of ROLLUP_TABLES) {
+            await db.query(`DROP TABLE IF EXISTS ${table};`);
+        }
+    },
+};
@@ -0,0 +1,83 @@
+// routes/account.js
+// The logged-in user's watchlist and dashboard preferences. Mounted behind requireUser,
+// so req.user is always set.
+const express = require('express');
+const { MAX_WATCHLIST_SIZE, validatePreferences } = require('../lib/users');
+
+const SYMBOL_PATTERN = /^[a-z0-9-]{1,50}$/;
+
+// `onWatchlistChange(userId, watchlist)` is called after every change, e.g. to rescope WebSocket feeds
+function createAccountRouter({ userService, onWatchlistChange = () => {} }) {
+    const router = express.Router();
+
+    // GET /api/me/watchlist - symbols in the order they were added
+    router.get('/watchlist', async (req, res) => {
+        try {
+            res.json(await userService.getWatchlist(req.user.id));
+        } catch (err) {
+            console.error(`DB Query Error (watchlist of user ${req.user.id}):`, err);
+            res.status(500).json({ error: 'Failed to fetch watchlist' });
+        }
+    });
+
+    // POST /api/me/watchlist - body: { symbol }
+    router.post('/watchlist', async (req, res) => {
+        const symbol = typeof (req.body || {}).symbol === 'string' ? req.body.symbol.trim().toLowerCase() : '';
+        if (!SYMBOL_PATTERN.test(symbol)) {
+            return res.status(400).json({ error: "'symbol' must be a coin symbol such as 'btc'." });
+        }
+        try {
+            const watchlist = await userService.addToWatchlist(req.user.id, symbol);
+            if (!watchlist) {
+                return res.status(400).json({ error: `A watchlist can hold at most ${MAX_WATCHLIST_SIZE} coins.` });
+            }
+            onWatchlistChange(req.user.id, watchlist);
+            res.json(watchlist);
+        } catch (err) {
+            console.error(`DB Query Error (add to watchlist of user ${req.user.id}):`, err);
+            res.status(500).json({ error: 'Failed to update watchlist' });
+        }
+    });
+
+    // DELETE /api/me/watchlist/:symbol
+    router.delete('/watchlist/:symbol', async (req, res) => {
+        try {
+            const watchlist = await userService.removeFromWatchlist(req.user.id, req.params.symbol.toLowerCase());
+            onWatchlistChange(req.user.id, watchlist);
+            res.json(watchlist);
+        } catch (err) {
+            console.error(`DB Query Error (remove from watchlist of user ${req.user.id}):`, err);
+            res.status(500).json({ error: 'Failed to update watchlist' });
+        }
+    });
+
+    // GET /api/me/preferences
+    router.get('/preferences', async (req, res) => {
+        try {
+            res.json(await userService.getPreferences(req.user.id));
+        } catch (err) {
+            console.error(`DB Query Error (preferences of user ${req.user.id}):`, err);
+            res.status(500).json({ error: 'Failed to fetch preferences' });
+        }
+    });
+
+    // PATCH /api/me/preferences - any subset of { default_symbol, range_days, chart_type }
+    router.patch('/preferences', async (req, res) => {
+        const { errors, values } = validatePreferences(req.body);
+        if (errors) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        try {
+            res.json(await userService.updatePreferences(req.user.id, values));
+        } catch (err) {
+            console.error(`DB Query Error (update preferences of user ${req.user.id}):`, err);
+            res.status(500).json({ error: 'Failed to update preferences' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAccountRouter,
+};
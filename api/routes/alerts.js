@@ -0,0 +1,119 @@
+// routes/alerts.js
+// REST endpoints for managing price alert rules and reading their trigger history.
+const express = require('express');
+const { validateAlertInput } = require('../lib/alerts');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function createAlertsRouter(alertService) {
+    const router = express.Router();
+
+    // GET /api/alerts - list all alert rules
+    router.get('/', async (req, res) => {
+        try {
+            res.json(await alertService.list());
+        } catch (err) {
+            console.error('DB Query Error (list alerts):', err);
+            res.status(500).json({ error: 'Failed to fetch alerts' });
+        }
+    });
+
+    // GET /api/alerts/history?limit=50 - most recent triggered alerts first
+    router.get('/history', async (req, res) => {
+        const limit = req.query.limit === undefined ? DEFAULT_HISTORY_LIMIT : parseId(req.query.limit);
+        if (!limit || limit > MAX_HISTORY_LIMIT) {
+            return res.status(400).json({ error: `'limit' must be an integer between 1 and ${MAX_HISTORY_LIMIT}.` });
+        }
+        try {
+            res.json(await alertService.history(limit));
+        } catch (err) {
+            console.error('DB Query Error (alert history):', err);
+            res.status(500).json({ error: 'Failed to fetch alert history' });
+        }
+    });
+
+    // GET /api/alerts/:id
+    router.get('/:id', async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ error: 'Invalid alert id' });
+        }
+        try {
+            const alert = await alertService.get(id);
+            if (!alert) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+            res.json(alert);
+        } catch (err) {
+            console.error(`DB Query Error (get alert ${id}):`, err);
+            res.status(500).json({ error: 'Failed to fetch alert' });
+        }
+    });
+
+    // POST /api/alerts - body: { symbol, type, threshold, window_minutes?, enabled? }
+    router.post('/', async (req, res) => {
+        const { errors, values } = validateAlertInput(req.body);
+        if (errors) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        try {
+            const alert = await alertService.create(values);
+            console.log(`Created ${alert.type} alert #${alert.id} for ${alert.symbol}.`);
+            res.status(201).json(alert);
+        } catch (err) {
+            console.error('DB Query Error (create alert):', err);
+            res.status(500).json({ error: 'Failed to create alert' });
+        }
+    });
+
+    // PATCH /api/alerts/:id - any subset of the POST fields
+    router.patch('/:id', async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ error: 'Invalid alert id' });
+        }
+        const { errors, values } = validateAlertInput(req.body, { partial: true });
+        if (errors) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        try {
+            const alert = await alertService.update(id, values);
+            if (!alert) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+            res.json(alert);
+        } catch (err) {
+            console.error(`DB Query Error (update alert ${id}):`, err);
+            res.status(500).json({ error: 'Failed to update alert' });
+        }
+    });
+
+    // DELETE /api/alerts/:id - history entries are kept
+    router.delete('/:id', async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ error: 'Invalid alert id' });
+        }
+        try {
+            if (!(await alertService.remove(id))) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+            res.status(204).end();
+        } catch (err) {
+            console.error(`DB Query Error (delete alert ${id}):`, err);
+            res.status(500).json({ error: 'Failed to delete alert' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAlertsRouter,
+};
@@ -0,0 +1,74 @@
+// routes/anomalies.js
+// Data quality of one coin's raw price history: outliers and ingestion gaps (see lib/anomalies.js).
+const express = require('express');
+const { parseDay, parseDayEnd, today } = require('../lib/dateRange');
+const { resolveTimeZone, startOfDay, dayInZone, formatTimestamp, withZonedTimestamps } = require('../lib/timezones');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+// Detection reads raw rows, which are only kept for a limited time (RAW_RETENTION_DAYS)
+const MAX_RANGE_DAYS = 31;
+
+// `anomalyService` and `config` come from createAnomalyService() and loadAnomalyConfig()
+function createAnomaliesRouter({ anomalyService, config }) {
+    const router = express.Router();
+
+    // GET /api/anomalies?symbol=btc&startDate=2024-03-01&endDate=2024-03-07
+    //   tz  time zone of startDate/endDate and of the returned timestamps (default UTC)
+    // Defaults to the last 7 days. Longer ranges are scanned over their last 31 days only; the
+    // response then has `truncated: true` and the `requested_start`. Returns the anomalies and the
+    // gaps (start/end of the missing stretch, number of missed runs), both ordered by time.
+    router.get('/', async (req, res) => {
+        const symbol = String(req.query.symbol || '').trim().toLowerCase();
+        if (!symbol) {
+            return res.status(400).json({ error: "'symbol' is required." });
+        }
+        const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+        if (timeZoneError) {
+            return res.status(400).json({ error: timeZoneError });
+        }
+
+        const { startDate, endDate } = req.query;
+        const start = startDate ? parseDay(startDate, timeZone) : null;
+        // End is exclusive: the start of the day after endDate (or after today)
+        const rangeEnd = parseDayEnd(endDate || today(timeZone), timeZone);
+        if ((startDate && !start) || !rangeEnd) {
+            return res.status(400).json({ error: "'startDate' and 'endDate' must use the YYYY-MM-DD format." });
+        }
+        const requestedStart = start || new Date(rangeEnd.getTime() - DEFAULT_RANGE_DAYS * DAY);
+        if (rangeEnd <= requestedStart) {
+            return res.status(400).json({ error: "'startDate' must not be after 'endDate'." });
+        }
+        // The earliest start allowed: midnight MAX_RANGE_DAYS days before the end, in the range's zone
+        const lastDay = dayInZone(new Date(rangeEnd.getTime() - 1), timeZone);
+        const earliestStart = startOfDay(new Date(Date.parse(lastDay) - (MAX_RANGE_DAYS - 1) * DAY).toISOString().slice(0, 10), timeZone);
+        const truncated = requestedStart < earliestStart;
+        const rangeStart = truncated ? earliestStart : requestedStart;
+
+        try {
+            const { anomalies, gaps, row_count } = await anomalyService.scan(symbol, rangeStart, rangeEnd);
+            res.set('X-Time-Zone', timeZone);
+            res.json({
+                symbol,
+                start: formatTimestamp(rangeStart, timeZone),
+                end: formatTimestamp(rangeEnd, timeZone),
+                time_zone: timeZone,
+                truncated,
+                ...(truncated && { requested_start: formatTimestamp(requestedStart, timeZone) }),
+                expected_interval_seconds: config.expectedIntervalMs / 1000,
+                row_count,
+                anomalies: withZonedTimestamps(anomalies, timeZone),
+                gaps: withZonedTimestamps(gaps, timeZone, ['start', 'end']),
+            });
+        } catch (err) {
+            console.error(`DB Query Error for anomalies of ${symbol}:`, err);
+            res.status(500).json({ error: 'Failed to scan for anomalies' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAnomaliesRouter,
+};
@@ -0,0 +1,70 @@
+// routes/auth.js
+// Registration and login. Both return { token, user }; see lib/auth.js for how tokens are used.
+const express = require('express');
+const { validateCredentials } = require('../lib/users');
+
+function createAuthRouter({ userService, tokenService, requireUser }) {
+    const router = express.Router();
+
+    // POST /api/auth/register - body: { username, password }
+    router.post('/register', async (req, res) => {
+        const { errors, values } = validateCredentials(req.body);
+        if (errors) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        try {
+            const user = await userService.register(values.username, values.password);
+            if (!user) {
+                return res.status(409).json({ error: `Username '${values.username}' is already taken.` });
+            }
+            console.log(`Registered user #${user.id} (${user.username}).`);
+            res.status(201).json({ token: tokenService.issue(user), user });
+        } catch (err) {
+            console.error('DB Query Error (register user):', err);
+            res.status(500).json({ error: 'Failed to register user' });
+        }
+    });
+
+    // POST /api/auth/login - body: { username, password }
+    router.post('/login', async (req, res) => {
+        const { errors, values } = validateCredentials(req.body);
+        if (errors) {
+            // Same answer as a wrong password, so the rules don't reveal anything about accounts
+            return res.status(401).json({ error: 'Invalid username or password.' });
+        }
+        try {
+            const user = await userService.authenticate(values.username, values.password);
+            if (!user) {
+                return res.status(401).json({ error: 'Invalid username or password.' });
+            }
+            res.json({ token: tokenService.issue(user), user });
+        } catch (err) {
+            console.error('DB Query Error (login):', err);
+            res.status(500).json({ error: 'Failed to log in' });
+        }
+    });
+
+    // GET /api/auth/me - the logged-in user with their watchlist and preferences
+    router.get('/me', requireUser, async (req, res) => {
+        try {
+            const user = await userService.get(req.user.id);
+            if (!user) {
+                return res.status(401).json({ error: 'This account no longer exists.' });
+            }
+            res.json({
+                user,
+                watchlist: await userService.getWatchlist(user.id),
+                preferences: await userService.getPreferences(user.id),
+            });
+        } catch (err) {
+            console.error(`DB Query Error (get user ${req.user.id}):`, err);
+            res.status(500).json({ error: 'Failed to fetch account' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAuthRouter,
+};
@@ -0,0 +1,97 @@
+// routes/compare.js
+// Several coins on one time axis, for "how did SOL do against ETH this month" charts.
+const express = require('express');
+const { INTERVALS, isInterval } = require('../lib/candles');
+const { pickInterval, alignSeries, rebaseSeries } = require('../lib/compare');
+const { parseDay, parseDayEnd, today } = require('../lib/dateRange');
+const { resolveTimeZone, formatTimestamp } = require('../lib/timezones');
+const { parseSymbolList } = require('../lib/symbols');
+const { pickResolution } = require('../lib/rollups');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 5 * 365;
+const MAX_COMPARE_SYMBOLS = 10;
+
+// `resolveCurrency(value)` validates a currency parameter like the other price routes;
+// `rollupConfig` (lib/rollups.js) decides which resolution the range is read at
+function createCompareRouter({ prices, currencyService, resolveCurrency, rollupConfig }) {
+    const router = express.Router();
+
+    // GET /api/crypto/compare?symbols=btc,eth,sol&startDate=2024-01-01&endDate=2024-01-31
+    //   interval  bucket size of the shared axis (5m, 1h, 4h, 1d, 1w; default: picked from the range)
+    //   rebase    true for percent change from each coin's first price in the range
+    //   currency  quote currency of the prices (default usd)
+    //   tz        time zone of startDate/endDate and of the returned timestamps (default UTC)
+    // Defaults to the last 30 days.
+    router.get('/compare', async (req, res) => {
+        const symbols = parseSymbolList(req.query.symbols);
+        if (symbols.length < 1 || symbols.length > MAX_COMPARE_SYMBOLS) {
+            return res.status(400).json({ error: `'symbols' must list between 1 and ${MAX_COMPARE_SYMBOLS} comma-separated symbols.` });
+        }
+        const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+        if (timeZoneError) {
+            return res.status(400).json({ error: timeZoneError });
+        }
+
+        const { startDate, endDate, interval } = req.query;
+        const start = startDate ? parseDay(startDate, timeZone) : null;
+        // End is exclusive: the start of the day after endDate (or after today)
+        const rangeEnd = parseDayEnd(endDate || today(timeZone), timeZone);
+        if ((startDate && !start) || !rangeEnd) {
+            return res.status(400).json({ error: "'startDate' and 'endDate' must use the YYYY-MM-DD format." });
+        }
+        const rangeStart = start || new Date(rangeEnd.getTime() - DEFAULT_RANGE_DAYS * DAY);
+        if (rangeEnd <= rangeStart) {
+            return res.status(400).json({ error: "'startDate' must not be after 'endDate'." });
+        }
+        if (rangeEnd - rangeStart > MAX_RANGE_DAYS * DAY) {
+            return res.status(400).json({ error: `The requested range cannot exceed ${MAX_RANGE_DAYS} days.` });
+        }
+
+        if (interval && !isInterval(interval)) {
+            return res.status(400).json({
+                error: `Invalid interval '${interval}'. Supported intervals: ${Object.keys(INTERVALS).join(', ')}`,
+            });
+        }
+        const bucketInterval = interval || pickInterval(rangeStart, rangeEnd);
+        const rebase = req.query.rebase === 'true' || req.query.rebase === '1';
+
+        try {
+            const { currency, error } = await resolveCurrency(req.query.currency);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            // Buckets of 1h or more are built from the hourly or daily rollups
+            const resolution = pickResolution({ start: rangeStart, end: rangeEnd, interval: bucketInterval }, rollupConfig);
+            const rows = await currencyService.convertHistory(
+                await prices.getHistoryForSymbols(symbols, rangeStart, rangeEnd, resolution),
+                currency
+            );
+            const { timestamps, series } = alignSeries(rows, symbols, bucketInterval);
+
+            res.set('X-Quote-Currency', currency.toUpperCase());
+            res.set('X-Resolution', resolution);
+            res.set('X-Time-Zone', timeZone);
+            res.json({
+                start: formatTimestamp(rangeStart, timeZone),
+                end: formatTimestamp(rangeEnd, timeZone),
+                interval: bucketInterval,
+                currency,
+                time_zone: timeZone,
+                rebased: rebase,
+                timestamps: timestamps.map(timestamp => formatTimestamp(timestamp, timeZone)),
+                series: rebase ? rebaseSeries(series) : series,
+            });
+        } catch (err) {
+            console.error(`DB Query Error for comparison of ${symbols.join(', ')}:`, err);
+            res.status(500).json({ error: 'Failed to fetch comparison data' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createCompareRouter,
+};
@@ -0,0 +1,145 @@
+// routes/export.js
+// Download endpoints for the latest prices and price history as CSV, JSON Lines or XLSX.
+// History exports are read and written page by page, so any range can be exported.
+const express = require('express');
+const { EXPORT_FORMATS, createExportWriter } = require('../lib/export');
+const { toDayRange, today } = require('../lib/dateRange');
+const { resolveTimeZone } = require('../lib/timezones');
+const { parseSymbolList } = require('../lib/symbols');
+const { finestResolution } = require('../lib/rollups');
+
+const EXPORT_PAGE_SIZE = 1000;
+const MAX_EXPORT_SYMBOLS = 50;
+
+// The requested format, or null when it isn't one of EXPORT_FORMATS (own keys only, so values
+// such as 'constructor' don't pass)
+function parseFormat(value) {
+    const format = (value || 'csv').toString().toLowerCase();
+    return Object.hasOwn(EXPORT_FORMATS, format) ? format : null;
+}
+
+const formatError = (value) => `Invalid format '${value}'. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+
+function sendAttachmentHeaders(res, format, basename, currency, timeZone) {
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${basename}.${EXPORT_FORMATS[format].extension}"`);
+    res.set('X-Quote-Currency', currency.toUpperCase());
+    res.set('X-Time-Zone', timeZone);
+}
+
+// `resolveCurrency(value)` validates a currency parameter like the other price routes;
+// `rollupConfig` (lib/rollups.js) tells which resolutions still cover a history range
+function createExportRouter({ prices, currencyService, resolveCurrency, rollupConfig }) {
+    const router = express.Router();
+
+    // GET /api/crypto/export?format=csv&currency=eur&symbols=btc,eth - latest prices (all coins by default)
+    // Timestamps are written in `tz` (default UTC), like the other price routes
+    router.get('/export', async (req, res) => {
+        const format = parseFormat(req.query.format);
+        if (!format) {
+            return res.status(400).json({ error: formatError(req.query.format) });
+        }
+        const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+        if (timeZoneError) {
+            return res.status(400).json({ error: timeZoneError });
+        }
+        const symbols = parseSymbolList(req.query.symbols);
+
+        try {
+            const { currency, error } = await resolveCurrency(req.query.currency);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            let rows = await prices.getLatestPrices();
+            if (symbols.length > 0) {
+                rows = rows.filter(row => symbols.includes(row.symbol));
+            }
+            rows = await currencyService.convertLatest(rows, currency);
+
+            sendAttachmentHeaders(res, format, `crypto-latest-${today(timeZone)}`, currency, timeZone);
+            const writer = createExportWriter(format, res, { timeZone });
+            await writer.write(rows);
+            await writer.end();
+        } catch (err) {
+            console.error('DB Query Error (export latest crypto):', err);
+            if (!res.headersSent) {
+                res.removeHeader('Content-Disposition');
+                res.status(500).json({ error: 'Failed to export data' });
+            } else {
+                res.destroy(err);
+            }
+        }
+    });
+
+    // GET /api/crypto/history/btc,eth/export?format=xlsx&startDate=2024-01-01&endDate=2024-01-31&currency=eur
+    // One or more comma-separated symbols, each exported in timestamp order, one after the other.
+    // startDate/endDate are days in `tz` (default UTC), which the timestamps are written in too.
+    router.get('/history/:symbols/export', async (req, res) => {
+        const format = parseFormat(req.query.format);
+        if (!format) {
+            return res.status(400).json({ error: formatError(req.query.format) });
+        }
+        const symbols = parseSymbolList(req.params.symbols);
+        if (symbols.length === 0 || symbols.length > MAX_EXPORT_SYMBOLS) {
+            return res.status(400).json({ error: `Export between 1 and ${MAX_EXPORT_SYMBOLS} symbols at once.` });
+        }
+        const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+        if (timeZoneError) {
+            return res.status(400).json({ error: timeZoneError });
+        }
+        const { startDate, endDate } = req.query;
+        const range = toDayRange(startDate, endDate, timeZone);
+        if (!range) {
+            return res.status(400).json({ error: "'startDate' and 'endDate' must use the YYYY-MM-DD format." });
+        }
+
+        let rowCount = 0;
+        try {
+            const { currency, error } = await resolveCurrency(req.query.currency);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            // Raw rows where they are still kept, otherwise the finest rollup that covers the range
+            const resolution = finestResolution(range.start, rollupConfig);
+
+            const dates = [startDate, endDate].filter(Boolean).join('_');
+            sendAttachmentHeaders(res, format, `${symbols.join('-')}-history${dates ? `-${dates}` : ''}`, currency, timeZone);
+            res.set('X-Resolution', resolution);
+            const writer = createExportWriter(format, res, { timeZone });
+
+            for (const symbol of symbols) {
+                let after = null;
+                let page;
+                do {
+                    page = await prices.getHistory(symbol, { ...range, after, limit: EXPORT_PAGE_SIZE, resolution });
+                    if (page.length > 0) {
+                        after = new Date(page[page.length - 1].timestamp).toISOString();
+                        await writer.write(await currencyService.convertHistory(page, currency));
+                        rowCount += page.length;
+                    }
+                    if (res.destroyed) {
+                        console.log(`History export of ${symbols.join(', ')} aborted by the client after ${rowCount} rows.`);
+                        return;
+                    }
+                } while (page.length === EXPORT_PAGE_SIZE);
+            }
+
+            await writer.end();
+            console.log(`Exported ${rowCount} historical rows of ${symbols.join(', ')} as ${format}.`);
+        } catch (err) {
+            console.error(`DB Query Error for history export of ${symbols.join(', ')} with range ${startDate}-${endDate}:`, err);
+            if (!res.headersSent) {
+                res.removeHeader('Content-Disposition');
+                res.status(500).json({ error: 'Failed to export historical data' });
+            } else {
+                res.destroy(err);
+            }
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createExportRouter,
+};
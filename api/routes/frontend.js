@@ -0,0 +1,63 @@
+// routes/frontend.js
+// Serves the dashboard's production build (FRONTEND_BUILD_DIR, see config.js), so one process
+// runs the API and the dashboard. Files of the build are served as they are; every other page
+// request gets index.html, where the dashboard's router takes over (/coin/btc, ...).
+//
+// The build uses relative asset paths ("homepage": "." in frontend/package.json), so it works
+// under any BASE_PATH without rebuilding: index.html is sent with a <base> element for the base
+// path and the runtime config the dashboard reads (window.__APP_CONFIG__, see
+// frontend/src/utils/config.js).
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Requests under these paths are API calls, which get the API's own 404 instead of the dashboard
+const API_PREFIXES = ['/api', '/graphql', '/metrics'];
+
+// Hashed file names under static/ never change their content
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const isApiPath = (requestPath) => API_PREFIXES.some(prefix => requestPath === prefix || requestPath.startsWith(`${prefix}/`));
+
+// index.html with the <base> element and runtime config at the top of <head>
+function renderIndexHtml(html, basePath) {
+    // `<` is escaped so no value can close the script element
+    const runtimeConfig = JSON.stringify({ basePath }).replace(/</g, '\\u003c');
+    const injected = `<base href="${basePath}/"><script>window.__APP_CONFIG__ = ${runtimeConfig};</script>`;
+    return html.replace(/<head[^>]*>/i, match => `${match}${injected}`);
+}
+
+// Throws when `buildDir` has no index.html, i.e. the dashboard hasn't been built
+function createFrontendRouter({ buildDir, basePath }) {
+    const indexPath = path.join(buildDir, 'index.html');
+    if (!fs.existsSync(indexPath)) {
+        throw new Error(`FRONTEND_BUILD_DIR '${buildDir}' has no index.html. Run \`npm run build\` in frontend/ first.`);
+    }
+    const indexHtml = renderIndexHtml(fs.readFileSync(indexPath, 'utf8'), basePath);
+
+    const router = express.Router();
+
+    router.use(express.static(buildDir, {
+        index: false, // The page itself always comes from the fallback below, with the runtime config
+        setHeaders: (res, filePath) => {
+            if (path.relative(buildDir, filePath).startsWith(`static${path.sep}`)) {
+                res.set('Cache-Control', IMMUTABLE_CACHE_CONTROL);
+            }
+        },
+    }));
+
+    // SPA fallback: page requests (not API calls, not files) get index.html
+    router.use((req, res, next) => {
+        if ((req.method !== 'GET' && req.method !== 'HEAD') || isApiPath(req.path) || !req.accepts('html')) {
+            return next();
+        }
+        res.set('Cache-Control', 'no-cache'); // A new build takes effect on the next page load
+        res.type('html').send(indexHtml);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createFrontendRouter,
+};
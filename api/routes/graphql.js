@@ -0,0 +1,86 @@
+// routes/graphql.js
+// GraphQL over HTTP for the schema in lib/graphql.js. Queries are sent as
+//   POST /graphql   { "query": "...", "variables": { ... }, "operationName": "..." }
+//   GET  /graphql?query=...&variables=<JSON>&operationName=...
+// Requests that can't run (syntax or validation errors, including operations beyond the depth
+// and cost limits of lib/graphql.js) get a 400, anything that ran a 200 with `data` and
+// possibly `errors`. Subscriptions go over the WebSocket at the same path (graphql-transport-ws
+// protocol, see server.js).
+const express = require('express');
+const { parse, execute, getOperationAST, GraphQLError } = require('graphql');
+const { maskErrors } = require('../lib/graphql');
+
+// The { query, variables, operationName } of a request, or { error }
+function readParams(req) {
+    const source = req.method === 'GET' ? req.query : (req.body || {});
+    const { query, operationName } = source;
+    let { variables } = source;
+    if (typeof query !== 'string' || !query.trim()) {
+        return { error: "'query' must be a non-empty string." };
+    }
+    if (typeof variables === 'string') {
+        try {
+            variables = JSON.parse(variables);
+        } catch (e) {
+            return { error: "'variables' must be a JSON object." };
+        }
+    }
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+        return { error: "'variables' must be a JSON object." };
+    }
+    return { query, variables: variables || undefined, operationName: operationName || undefined };
+}
+
+const errorResponse = (res, status, errors) => res.status(status).json({ errors: errors.map(error => ({ message: error.message, locations: error.locations })) });
+
+// `schema`, `validate()` and `createContext()` come from createGraphqlService() in lib/graphql.js
+function createGraphqlRouter({ schema, validate, createContext }) {
+    const router = express.Router();
+
+    const handleRequest = async (req, res) => {
+        const { query, variables, operationName, error } = readParams(req);
+        if (error) {
+            return errorResponse(res, 400, [new GraphQLError(error)]);
+        }
+
+        let document;
+        try {
+            document = parse(query);
+        } catch (syntaxError) {
+            return errorResponse(res, 400, [syntaxError]);
+        }
+        const validationErrors = validate(schema, document);
+        if (validationErrors.length > 0) {
+            return errorResponse(res, 400, validationErrors);
+        }
+
+        const operation = getOperationAST(document, operationName);
+        if (!operation) {
+            return errorResponse(res, 400, [new GraphQLError(operationName
+                ? `Unknown operation '${operationName}'.`
+                : 'Name the operation to run with operationName.')]);
+        }
+        if (operation.operation !== 'query') {
+            return errorResponse(res, 400, [new GraphQLError(`${operation.operation} operations are not supported over HTTP. Subscribe over the WebSocket at /graphql.`)]);
+        }
+
+        try {
+            const result = await execute({ schema, document, variableValues: variables, operationName, contextValue: createContext() });
+            // No `data` means the operation never started, e.g. because of invalid variables
+            res.status(result.data === undefined ? 400 : 200).json(maskErrors(result));
+        } catch (err) {
+            // Invalid variables and the like are reported in `errors`; this is for the unexpected
+            console.error('GraphQL Error (execution):', err);
+            res.status(500).json({ errors: [{ message: 'Failed to run the query' }] });
+        }
+    };
+
+    router.get('/', handleRequest);
+    router.post('/', handleRequest);
+
+    return router;
+}
+
+module.exports = {
+    createGraphqlRouter,
+};
@@ -0,0 +1,69 @@
+// routes/health.js
+// Liveness and readiness checks for load balancers and orchestrators. Both are served
+// without an API key (see server.js) and say nothing about the data beyond its age.
+const express = require('express');
+const { ageSeconds } = require('../lib/metrics');
+
+// Rejects when `promise` takes longer than `ms`
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// `config` is loadMonitoringConfig() from lib/metrics.js
+function createHealthRouter({ db, prices, config }) {
+    const router = express.Router();
+
+    // GET /api/health
+    // Liveness: the process is up and serving requests. Doesn't touch the database, so a
+    // database outage makes the API unready rather than getting it restarted.
+    router.get('/health', (req, res) => {
+        res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+    });
+
+    // GET /api/ready
+    // Readiness: the database answers. 503 when it doesn't. Stale data is reported in `data`
+    // but doesn't make the API unready, since it can still serve what it has.
+    router.get('/ready', async (req, res) => {
+        const started = Date.now();
+        try {
+            await withTimeout(db.query('SELECT 1'), config.readyTimeoutMs);
+        } catch (err) {
+            console.error('DB Query Error (readiness check):', err.message);
+            return res.status(503).json({
+                status: 'unavailable',
+                checks: { database: { status: 'error', error: err.message } },
+            });
+        }
+        const latencyMs = Date.now() - started;
+
+        let data = null;
+        try {
+            const newest = await withTimeout(prices.getNewestTimestamp(), config.readyTimeoutMs);
+            const age = ageSeconds(newest);
+            data = {
+                newest_timestamp: newest ? new Date(newest).toISOString() : null,
+                age_seconds: age === null ? null : Math.round(age),
+                stale_after_seconds: config.staleAfterSeconds,
+                stale: age === null || age > config.staleAfterSeconds,
+            };
+        } catch (err) {
+            console.error('DB Query Error (readiness newest price):', err.message);
+        }
+
+        res.json({
+            status: 'ready',
+            checks: { database: { status: 'ok', latency_ms: latencyMs } },
+            data,
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createHealthRouter,
+};
@@ -0,0 +1,133 @@
+// routes/portfolio.js
+// REST endpoints for portfolio transactions, holdings/P&L and value over time.
+const express = require('express');
+const { validateTransactionInput } = require('../lib/portfolio');
+const { parseDay, parseDayEnd, today } = require('../lib/dateRange');
+const { resolveTimeZone, dayInZone, withZonedTimestamps } = require('../lib/timezones');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_DAYS = 5 * 365;
+const TRANSACTION_TIMESTAMPS = ['executed_at', 'created_at'];
+
+function createPortfolioRouter(portfolioService) {
+    const router = express.Router();
+
+    // GET /api/portfolio - holdings with current value, unrealized/realized P&L and allocation
+    router.get('/', async (req, res) => {
+        try {
+            res.json(await portfolioService.getSummary());
+        } catch (err) {
+            console.error('DB Query Error (portfolio summary):', err);
+            res.status(500).json({ error: 'Failed to fetch portfolio' });
+        }
+    });
+
+    // GET /api/portfolio/history?startDate=2024-01-01&endDate=2024-01-31 - daily portfolio value.
+    // Defaults to the date of the first transaction up to today. With `tz` (default UTC) the dates
+    // are days in that zone and the timestamps carry its offset.
+    router.get('/history', async (req, res) => {
+        const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+        if (timeZoneError) {
+            return res.status(400).json({ error: timeZoneError });
+        }
+        const { startDate, endDate } = req.query;
+        const start = startDate ? parseDay(startDate, timeZone) : null;
+        // End is exclusive: the start of the day after endDate (or after today)
+        const rangeEnd = parseDayEnd(endDate || today(timeZone), timeZone);
+        if ((startDate && !start) || !rangeEnd) {
+            return res.status(400).json({ error: "'startDate' and 'endDate' must use the YYYY-MM-DD format." });
+        }
+
+        try {
+            let rangeStart = start;
+            if (!rangeStart) {
+                const transactions = await portfolioService.listTransactions();
+                if (transactions.length === 0) {
+                    return res.json([]);
+                }
+                const firstTime = Math.min(...transactions.map(tx => new Date(tx.executed_at).getTime()));
+                rangeStart = parseDay(dayInZone(new Date(firstTime), timeZone), timeZone);
+            }
+
+            if (rangeEnd <= rangeStart) {
+                return res.status(400).json({ error: "'startDate' must not be after 'endDate'." });
+            }
+            if (rangeEnd - rangeStart > MAX_HISTORY_DAYS * DAY) {
+                return res.status(400).json({ error: `The requested range cannot exceed ${MAX_HISTORY_DAYS} days.` });
+            }
+
+            res.set('X-Time-Zone', timeZone);
+            res.json(withZonedTimestamps(await portfolioService.getValueHistory(rangeStart, rangeEnd), timeZone));
+        } catch (err) {
+            console.error('DB Query Error (portfolio history):', err);
+            res.status(500).json({ error: 'Failed to fetch portfolio history' });
+        }
+    });
+
+    // GET /api/portfolio/transactions?tz=Europe/Berlin - newest first, timestamps with the zone's offset
+    router.get('/transactions', async (req, res) => {
+        const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+        if (timeZoneError) {
+            return res.status(400).json({ error: timeZoneError });
+        }
+        try {
+            res.set('X-Time-Zone', timeZone);
+            res.json(withZonedTimestamps(await portfolioService.listTransactions(), timeZone, TRANSACTION_TIMESTAMPS));
+        } catch (err) {
+            console.error('DB Query Error (list portfolio transactions):', err);
+            res.status(500).json({ error: 'Failed to fetch transactions' });
+        }
+    });
+
+    // POST /api/portfolio/transactions?tz=Europe/Berlin - body: { symbol, side: 'buy' | 'sell', quantity, price, date? }
+    // A YYYY-MM-DD `date` is a day in `tz` (default UTC).
+    router.post('/transactions', async (req, res) => {
+        const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+        if (timeZoneError) {
+            return res.status(400).json({ error: timeZoneError });
+        }
+        const { errors, values } = validateTransactionInput(req.body, timeZone);
+        if (errors) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        try {
+            const { transaction, error } = await portfolioService.addTransaction(values);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            console.log(`Recorded portfolio ${transaction.side} of ${transaction.quantity} ${transaction.symbol}.`);
+            res.set('X-Time-Zone', timeZone);
+            res.status(201).json(withZonedTimestamps([transaction], timeZone, TRANSACTION_TIMESTAMPS)[0]);
+        } catch (err) {
+            console.error('DB Query Error (add portfolio transaction):', err);
+            res.status(500).json({ error: 'Failed to record transaction' });
+        }
+    });
+
+    // DELETE /api/portfolio/transactions/:id
+    router.delete('/transactions/:id', async (req, res) => {
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id) || id <= 0) {
+            return res.status(400).json({ error: 'Invalid transaction id' });
+        }
+        try {
+            const { deleted, error } = await portfolioService.removeTransaction(id);
+            if (error) {
+                return res.status(409).json({ error });
+            }
+            if (!deleted) {
+                return res.status(404).json({ error: 'Transaction not found' });
+            }
+            res.status(204).end();
+        } catch (err) {
+            console.error(`DB Query Error (delete portfolio transaction ${id}):`, err);
+            res.status(500).json({ error: 'Failed to delete transaction' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createPortfolioRouter,
+};
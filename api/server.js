@@ -1,141 +1,401 @@
 require('dotenv').config();
+const { loadConfig } = require('./config');
 const express = require('express');
 const cors = require('cors');
 const http = require('http'); // Import http module
 const WebSocket = require('ws'); // Import ws module
-const { Pool } = require('pg'); // NEW: Import Pool from pg
+const { useServer: useGraphqlWebSocketServer } = require('graphql-ws/use/ws');
+const { GraphQLError } = require('graphql');
+const { INTERVALS, isInterval, aggregateCandles } = require('./lib/candles');
+const { lttb } = require('./lib/downsample');
+const { encodeCursor, parsePagingParams } = require('./lib/pagination');
+const { toDayRange } = require('./lib/dateRange');
+const { resolveTimeZone, withZonedTimestamps } = require('./lib/timezones');
+const { parseIndicators, attachIndicators } = require('./lib/indicators');
+const { addPriceChanges } = require('./lib/priceChanges');
+const {
+    createLruCache,
+    createResponseEntry,
+    newestTimestamp,
+    sendCachedResponse,
+    requestCacheKey,
+} = require('./lib/cache');
+const {
+    WILDCARD,
+    handleSubscriptionMessage,
+    filterRowsForClient,
+    getClientCurrency,
+    setClientCurrency,
+    getClientUser,
+    setClientUser,
+    isWatchlistScoped,
+    setClientScope,
+} = require('./lib/subscriptions');
+const { createSnapshotTracker } = require('./lib/snapshots');
+const { parseLastEventId, createSseConnection } = require('./lib/sse');
+const { parseSymbolList } = require('./lib/symbols');
+const { createAlertService } = require('./lib/alerts');
+const { createAlertsRouter } = require('./routes/alerts');
+const { createPortfolioService } = require('./lib/portfolio');
+const { createPortfolioRouter } = require('./routes/portfolio');
+const { createExportRouter } = require('./routes/export');
+const { createCompareRouter } = require('./routes/compare');
+const { createAnomalyService } = require('./lib/anomalies');
+const { createAnomaliesRouter } = require('./routes/anomalies');
+const { maskErrors, createGraphqlService } = require('./lib/graphql');
+const { createGraphqlRouter } = require('./routes/graphql');
+const { createUserService } = require('./lib/users');
+const { createTokenService, createRequireUser } = require('./lib/auth');
+const { createAuthRouter } = require('./routes/auth');
+const { createAccountRouter } = require('./routes/account');
+const { createMetrics } = require('./lib/metrics');
+const { createHealthRouter } = require('./routes/health');
+const { createFrontendRouter } = require('./routes/frontend');
+const { BASE_CURRENCY, createCurrencyService } = require('./lib/currency');
+const { createStorage } = require('./storage');
+const { createMigrator } = require('./storage/migrations');
+const { pickResolution, createRollupService } = require('./lib/rollups');
+const { createProvider, createIngestionService } = require('./ingestion');
+const {
+    captureRawBody,
+    createSignatureVerifier,
+    checkApiKey,
+    getUpgradeApiKey,
+    isDashboardRequest,
+    createApiKeyAuth,
+    rateLimitClient,
+    createRateLimiter,
+    isOriginAllowed,
+    createCorsOptions,
+} = require('./lib/security');
 
+// Port, base path, storage, CORS and every other setting, from the environment and CONFIG_FILE (see config.js)
+let config;
+try {
+    config = loadConfig();
+} catch (err) {
+    console.error(`❌ Error: ${err.message}`);
+    process.exit(1);
+}
+const { port: PORT, host: HOST, basePath: BASE_PATH } = config.server;
+
+// Every route is defined on `app`, which is mounted at BASE_PATH (see the HTTP server below)
 const app = express();
-const PORT = 5000;
+
+// Signed notifications, API keys, rate limits and allowed origins (see lib/security.js)
+const securityConfig = config.security;
+if (!securityConfig.notifySecret) {
+    console.warn('⚠️ NOTIFY_SECRET is not set: /api/notify-update only accepts requests from localhost.');
+}
+if (securityConfig.apiKeys.length === 0) {
+    console.warn('⚠️ API_KEYS is not set: the REST endpoints are open to anyone who can reach this server.');
+}
+
+// Set TRUST_PROXY (e.g. 1) behind a reverse proxy so rate limits use the real client IP
+if (config.server.trustProxy !== null) {
+    app.set('trust proxy', config.server.trustProxy);
+}
+
+// --- Monitoring ---
+// Prometheus metrics (see lib/metrics.js). The gauges are read on every scrape, so they can
+// refer to the storage and WebSocket server set up further down.
+const monitoringConfig = config.monitoring;
+const metrics = createMetrics({
+    getNewestPriceTime: () => prices.getNewestTimestamp(),
+    getWebSocketClientCount: () => wss.clients.size,
+    getSseClientCount: () => sseClients.size,
+});
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-
-// --- NEW: PostgreSQL Database Configuration ---
-// IMPORTANT: For real-world applications, store these credentials in environment variables!
-const PG_CONFIG = {
-    user: process.env.PG_DB_USER,
-    host: process.env.PG_DB_HOST,
-    database: process.env.PG_DB_NAME,
-    password: process.env.PG_DB_PASSWORD,
-    port: parseInt(process.env.PG_DB_PORT, 10), // Ensure port is parsed as an integer
-};
-
-// Add a check to ensure essential variables are loaded
-if (!PG_CONFIG.password || !PG_CONFIG.user || !PG_CONFIG.database || !PG_CONFIG.host || isNaN(PG_CONFIG.port)) {
-    console.error("❌ Error: One or more PostgreSQL environment variables are missing or invalid. Please check your .env file.");
+app.use(metrics.requestTimer); // First, so the latency includes every other middleware
+app.use(cors(createCorsOptions({ origins: securityConfig.corsOrigins })));
+app.use(express.json({ verify: captureRawBody })); // Raw body is kept for notification signatures
+
+// Every /api route needs an API key when API_KEYS is set, except the ingestion
+// notification, which is authenticated by its HMAC signature instead, and the health
+// checks, which load balancers call without credentials. The dashboard's own requests pass
+// without a key (it can't keep one secret) and are limited per IP instead.
+const PUBLIC_API_PATHS = ['/notify-update', '/health', '/ready'];
+const requireApiKey = createApiKeyAuth({ keys: securityConfig.apiKeys });
+const requireApiKeyOrDashboard = createApiKeyAuth({ keys: securityConfig.apiKeys, dashboardOrigins: securityConfig.dashboardOrigins });
+const dashboardRateLimiter = createRateLimiter(securityConfig.dashboardRateLimit);
+app.use('/api', (req, res, next) => (PUBLIC_API_PATHS.includes(req.path) ? next() : requireApiKeyOrDashboard(req, res, next)));
+app.use('/api', (req, res, next) => (req.dashboard ? dashboardRateLimiter(req, res, next) : next()));
+
+// Latest prices and history are the most expensive reads: limit them per API key (or IP)
+app.use('/api/crypto', createRateLimiter(securityConfig.rateLimit));
+
+// --- Storage ---
+// DB_CLIENT picks the backend: PostgreSQL (default, PG_DB_* variables) or SQLite for
+// local development without a database server (SQLITE_FILENAME, see storage/index.js).
+const storageConfig = config.storage;
+let storage;
+try {
+    storage = createStorage(storageConfig, { onQuery: metrics.observeQuery });
+} catch (err) {
+    console.error(`❌ Error: ${err.message}`);
     process.exit(1); // Exit if critical variables are missing
 }
-// NEW: Create a PostgreSQL connection pool
-// Connection pooling is crucial for Node.js applications to manage database connections efficiently.
-const pool = new Pool(PG_CONFIG);
+const { db, prices } = storage;
 
-// Connect to PostgreSQL and log status
-pool.on('connect', () => {
-    console.log('✅ Connected to PostgreSQL database');
+// --- Health Checks and Metrics ---
+// GET /api/health (liveness), GET /api/ready (database reachable, newest data age), see routes/health.js.
+// Readiness queries the database without an API key, so it is limited per IP.
+app.use('/api/ready', createRateLimiter(securityConfig.rateLimit));
+app.use('/api', createHealthRouter({ db, prices, config: monitoringConfig }));
+
+// Prometheus scrape endpoint. Needs an API key like the REST endpoints when API_KEYS is set;
+// Prometheus can pass it with `params: { api_key: [...] }` in the scrape config.
+app.get('/metrics', requireApiKey, async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.render());
+    } catch (err) {
+        console.error('Error collecting metrics:', err);
+        res.status(500).json({ error: 'Failed to collect metrics' });
+    }
 });
 
-pool.on('error', (err) => {
-    console.error('❌ Unexpected error on idle client', err);
-    process.exit(-1); // Exit process if critical database error
+// --- Quote Currencies ---
+// Prices are stored in USD and converted on the way out using the rates in `fx_rates`
+const currencyService = createCurrencyService(db);
+
+// Validates a `currency` parameter (case-insensitive, defaults to USD).
+// Returns { currency } or { error } with a message for a 400 response.
+const resolveCurrency = async (value) => {
+    const currency = (value || BASE_CURRENCY).toString().toLowerCase();
+    if (!(await currencyService.isSupported(currency))) {
+        return { error: `Unsupported currency '${value}'. See /api/currencies for the supported list.` };
+    }
+    return { currency };
+};
+
+// API route to list the supported quote currencies with their latest rate per USD
+app.get('/api/currencies', async (req, res) => {
+    try {
+        res.json(await currencyService.listCurrencies());
+    } catch (err) {
+        console.error('DB Query Error (currencies):', err);
+        res.status(500).json({ error: 'Failed to fetch currencies' });
+    }
 });
 
-// Helper function to execute queries
-async function executeQuery(query, params = []) {
-    const client = await pool.connect();
+// --- Response Caches ---
+// Data only changes when new prices are ingested, so the latest snapshot (and its response in
+// each currency) is cached until the next ingestion notification; history responses are kept
+// in an LRU cache (see lib/cache.js).
+const cacheConfig = config.cache;
+const latestCache = createLruCache({ maxEntries: 50, ttlMs: cacheConfig.ttlMs }); // The rows plus one response per currency and time zone
+const historyCache = createLruCache({ maxEntries: cacheConfig.historyMaxEntries, ttlMs: cacheConfig.ttlMs });
+
+// Called when new data was ingested. History ranges that ended before they were cached
+// can't gain rows, so only open-ended ones are dropped.
+const invalidateDataCaches = () => {
+    latestCache.clear();
+    historyCache.deleteWhere(entry => entry.volatile);
+};
+
+// --- Rollups and Retention ---
+// Raw rows are rolled up into hourly and daily buckets and deleted after RAW_RETENTION_DAYS;
+// history reads pick the resolution that fits the requested range (see lib/rollups.js).
+const rollupConfig = config.rollup;
+const rollupService = createRollupService({ prices, config: rollupConfig });
+
+// Called when new prices were stored (ETL notification or in-process ingestion). The newest
+// buckets are rebuilt first, so history reads after the cache invalidation include the new rows.
+const handleNewData = async () => {
     try {
-        const result = await client.query(query, params);
-        // NEW: Map rows to convert numeric strings to numbers
-        return result.rows.map(row => {
-            return {
-                ...row,
-                current_price: parseFloat(row.current_price),
-                market_cap: row.market_cap ? parseFloat(row.market_cap) : null, // Handle potential nulls
-                total_volume: row.total_volume ? parseFloat(row.total_volume) : null, // Handle potential nulls
-                // timestamp does not need parsing, as it's a date string
-            };
-        });
-    } finally {
-        client.release();
+        await rollupService.rollup();
+    } catch (err) {
+        console.error('❌ Rolling up new prices failed:', err.message);
     }
-}
+    invalidateDataCaches(); // New rows are in the database, so cached responses are out of date
+    broadcastLatestCryptoData(); // Call the function to fetch and broadcast
+};
 
+// Latest row per symbol with its 1h/24h/7d change, shared by the REST endpoint and the WebSocket broadcasts
+const getLatestMarketRows = () => latestCache.getOrCompute('rows', async () =>
+    addPriceChanges(prices, await prices.getLatestPrices()));
 
-// API route to get the LATEST data for all cryptocurrencies
+// API route to get the LATEST data for all cryptocurrencies, with change_1h/change_24h/change_7d in percent
+// Example usage: /api/crypto?currency=eur
+// Add `tz` to write the timestamps with that zone's offset (default UTC): &tz=Europe/Berlin
 app.get('/api/crypto', async (req, res) => {
-    const query = `
-        SELECT t1.symbol, t1.name, t1.current_price, t1.market_cap, t1.total_volume, t1.timestamp
-        FROM prices t1
-        INNER JOIN (
-            SELECT symbol, MAX(timestamp) AS max_timestamp
-            FROM prices
-            GROUP BY symbol
-        ) t2
-        ON t1.symbol = t2.symbol AND t1.timestamp = t2.max_timestamp
-        ORDER BY t1.market_cap DESC;
-    `;
-
+    const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+    if (timeZoneError) {
+        return res.status(400).json({ error: timeZoneError });
+    }
     try {
-        const rows = await executeQuery(query);
-        res.json(rows);
+        const { currency, error } = await resolveCurrency(req.query.currency);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const entry = await latestCache.getOrCompute(`response:${currency}:${timeZone}`, async () => {
+            const rows = await getLatestMarketRows();
+            return createResponseEntry(withZonedTimestamps(await currencyService.convertLatest(rows, currency), timeZone), {
+                headers: { 'X-Quote-Currency': currency.toUpperCase(), 'X-Time-Zone': timeZone },
+                lastModified: newestTimestamp(rows),
+            });
+        });
+        sendCachedResponse(req, res, entry);
     } catch (err) {
         console.error('DB Query Error (latest crypto):', err);
         res.status(500).json({ error: 'Failed to fetch data' });
     }
 });
 
+// --- Price Alerts ---
+// Rules are managed through /api/alerts and evaluated on every broadcast (see broadcastLatestCryptoData)
+const alertService = createAlertService(db, prices);
+app.use('/api/alerts', createAlertsRouter(alertService));
+
+// --- Portfolio ---
+// Holdings are valued with the same latest prices as /api/crypto
+const portfolioService = createPortfolioService(db, prices);
+app.use('/api/portfolio', createPortfolioRouter(portfolioService));
+
+// --- User Accounts ---
+// Registration/login hand out JWTs; /api/me holds the user's watchlist and dashboard preferences
+const authConfig = config.auth;
+if (!authConfig.secret) {
+    console.warn('⚠️ JWT_SECRET is not set: using a random secret, so users are logged out whenever the server restarts.');
+}
+const tokenService = createTokenService(authConfig);
+const requireUser = createRequireUser(tokenService);
+const userService = createUserService(db);
+app.use('/api/auth', createRateLimiter(securityConfig.rateLimit)); // Slows down password guessing
+app.use('/api/auth', createAuthRouter({ userService, tokenService, requireUser }));
+app.use('/api/me', requireUser, createAccountRouter({
+    userService,
+    onWatchlistChange: (userId, watchlist) => rescopeUserClients(userId, watchlist),
+}));
+
+// --- Exports ---
+// CSV / JSON Lines / XLSX downloads of the latest prices and of price history
+app.use('/api/crypto', createExportRouter({ prices, currencyService, resolveCurrency, rollupConfig }));
+
+// --- Comparison ---
+// Several coins aligned on one time axis, optionally rebased to percent change
+app.use('/api/crypto', createCompareRouter({ prices, currencyService, resolveCurrency, rollupConfig }));
+
+// --- Anomalies ---
+// Price outliers and ingestion gaps in a coin's raw history, drawn on the coin page's chart.
+// Rate limited like /api/crypto, since every request scans up to a month of rows.
+const anomalyConfig = config.anomaly;
+const anomalyService = createAnomalyService({ prices, config: anomalyConfig });
+app.use('/api/anomalies', createRateLimiter(securityConfig.rateLimit), createAnomaliesRouter({ anomalyService, config: anomalyConfig }));
+
+// --- GraphQL ---
+// Latest prices, history and market totals in one round trip (see lib/graphql.js). Outside /api,
+// so it gets the API key check and rate limit of its own. Subscriptions use the WebSocket below,
+// which checks the same keys when connecting and counts each subscription against this limiter.
+const graphqlService = createGraphqlService({
+    prices,
+    currencyService,
+    resolveCurrency,
+    getLatestRows: () => getLatestMarketRows(),
+    rollupConfig,
+});
+const graphqlRateLimiter = createRateLimiter(securityConfig.rateLimit);
+app.use('/graphql', requireApiKey, graphqlRateLimiter, createGraphqlRouter(graphqlService));
+
 // API route to get historical data for a specific crypto symbol with optional date range
 // Example usage: /api/crypto/history/BTC?startDate=2024-01-01&endDate=2024-01-31
+// Add `interval` (5m, 1h, 4h, 1d, 1w) to get OHLC candles instead of raw rows:
+// /api/crypto/history/BTC?startDate=2024-01-01&endDate=2024-01-31&interval=1h
+// Add `currency` (default usd) to convert prices, market cap and volume: &currency=eur
+// Add `tz` (default UTC) to read startDate/endDate as days in that zone and write the timestamps
+// with its offset: &tz=America/New_York
+// Add `maxPoints` to downsample long ranges of raw rows for charts (LTTB): &maxPoints=800
+// Add `indicators` to get technical indicators on every point (computed from the price, or the
+// candle close with `interval`): &indicators=sma:20,ema:50,rsi:14,bbands:20:2,macd:12:26:9
+// Add `limit` to read a range page by page; pass the X-Next-Cursor header back as `cursor`:
+// /api/crypto/history/BTC?limit=5000 -> /api/crypto/history/BTC?limit=5000&cursor=...
 app.get('/api/crypto/history/:symbol', async (req, res) => {
     const { symbol } = req.params;
-    const { startDate, endDate } = req.query; // Extract startDate and endDate from query parameters
-
-    console.log(`Backend received historical data request for: ${symbol}`);
-    console.log(`Backend startDate: ${startDate}, endDate: ${endDate}`);
-
-    let query = `
-        SELECT symbol, name, current_price, market_cap, total_volume, timestamp
-        FROM prices
-        WHERE symbol = $1
-    `;
-    const params = [symbol.toLowerCase()]; // Always convert symbol to lowercase for DB lookup
+    const { startDate, endDate, interval } = req.query; // Extract startDate, endDate and interval from query parameters
 
-    // PostgreSQL's TIMESTAMPTZ can directly compare ISO 8601 strings
-    // like 'YYYY-MM-DDTHH:MM:SS.SSSZ' or 'YYYY-MM-DDTHH:MM:SS.SSS'
-    let paramIndex = 2; // Start from $2 for date parameters
+    if (interval && !isInterval(interval)) {
+        return res.status(400).json({
+            error: `Invalid interval '${interval}'. Supported intervals: ${Object.keys(INTERVALS).join(', ')}`,
+        });
+    }
 
-    if (startDate) {
-        query += ` AND timestamp >= $${paramIndex}`;
-        params.push(`${startDate}T00:00:00.000Z`); // Assuming ETL saves with Z for UTC
-        paramIndex++;
+    const paging = parsePagingParams(req.query);
+    if (paging.error) {
+        return res.status(400).json({ error: paging.error });
+    }
+    // Candles are built from every row of a bucket, so a page boundary would split buckets
+    if (interval && paging.limit !== null) {
+        return res.status(400).json({ error: "'limit'/'cursor' cannot be combined with 'interval'." });
     }
-    if (endDate) {
-        // For the end date, to ensure we include all data up to the very last millisecond
-        // of the `endDate`, it's more robust to query for timestamps strictly *less than*
-        // the beginning of the *next* day.
-        const nextDay = new Date(endDate);
-        nextDay.setDate(nextDay.getDate() + 1); // Increment day to get the next day
-        const nextDayFormatted = nextDay.toISOString().split('T')[0];
 
-        query += ` AND timestamp < $${paramIndex}`; // Use '<' (strictly less than)
-        params.push(`${nextDayFormatted}T00:00:00.000Z`); // Again, assuming Z for UTC
-        paramIndex++;
+    let indicators = null;
+    if (req.query.indicators !== undefined) {
+        const parsed = parseIndicators(req.query.indicators);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        // Indicators need the points before each one, which a single page doesn't have
+        if (paging.limit !== null) {
+            return res.status(400).json({ error: "'indicators' cannot be combined with 'limit'/'cursor'." });
+        }
+        indicators = parsed.indicators;
     }
 
-    query += ` ORDER BY timestamp ASC;`; // Always order by timestamp for charting
+    const { timeZone, error: timeZoneError } = resolveTimeZone(req.query.tz);
+    if (timeZoneError) {
+        return res.status(400).json({ error: timeZoneError });
+    }
 
-    console.log('SQL Query:', query);
-    console.log('SQL Params:', params);
+    // Timestamps are stored in UTC; the range is [startDate 00:00, day after endDate 00:00) in `tz`
+    const range = toDayRange(startDate, endDate, timeZone);
+    if (!range) {
+        return res.status(400).json({ error: "'startDate' and 'endDate' must use the YYYY-MM-DD format." });
+    }
 
     try {
-        const rows = await executeQuery(query, params);
-        console.log(`Backend sent ${rows.length} historical data rows for ${symbol} between ${startDate} and ${endDate}.`);
-        if (rows.length > 0) {
-            console.log('First row timestamp in response:', rows[0].timestamp);
-            console.log('Last row timestamp in response:', rows[rows.length - 1].timestamp);
+        const { currency, error } = await resolveCurrency(req.query.currency);
+        if (error) {
+            return res.status(400).json({ error });
         }
-        res.json(rows);
+        const entry = await historyCache.getOrCompute(requestCacheKey(req), async () => {
+            // Raw rows for short ranges, hourly or daily buckets for longer ones (see lib/rollups.js)
+            const resolution = pickResolution({ ...range, interval }, rollupConfig);
+            const headers = { 'X-Quote-Currency': currency.toUpperCase(), 'X-Resolution': resolution, 'X-Time-Zone': timeZone };
+            // A range that ends in the past can't change when new prices arrive
+            const volatile = !range.end || new Date(range.end).getTime() > Date.now();
+
+            // One extra row tells whether another page follows
+            const pageRows = await prices.getHistory(symbol.toLowerCase(), {
+                ...range,
+                after: paging.after,
+                limit: paging.limit !== null ? paging.limit + 1 : null,
+                resolution,
+            });
+            if (paging.limit !== null && pageRows.length > paging.limit) {
+                pageRows.length = paging.limit;
+                headers['X-Next-Cursor'] = encodeCursor(pageRows[pageRows.length - 1]);
+            }
+            // Each row is converted with the exchange rate in effect at its own timestamp
+            const rows = await currencyService.convertHistory(pageRows, currency);
+            const lastModified = newestTimestamp(rows);
+            if (interval) {
+                const candles = aggregateCandles(rows, interval);
+                const body = indicators ? attachIndicators(candles, indicators, candle => candle.close) : candles;
+                return createResponseEntry(withZonedTimestamps(body, timeZone), { headers, lastModified, volatile });
+            }
+            // Indicators are computed on the full series, before downsampling drops points
+            const points = indicators ? attachIndicators(rows, indicators, row => row.current_price) : rows;
+            if (paging.maxPoints !== null && points.length > paging.maxPoints) {
+                // Raw rows only: candles are already reduced by their interval
+                const sampled = lttb(points, paging.maxPoints);
+                headers['X-Total-Count'] = String(rows.length);
+                return createResponseEntry(withZonedTimestamps(sampled, timeZone), { headers, lastModified, volatile });
+            }
+            return createResponseEntry(withZonedTimestamps(points, timeZone), { headers, lastModified, volatile });
+        });
+        sendCachedResponse(req, res, entry);
     } catch (err) {
         console.error(`DB Query Error for history of ${symbol} with range ${startDate}-${endDate}:`, err);
         res.status(500).json({ error: 'Failed to fetch historical data' });
@@ -143,14 +403,122 @@ app.get('/api/crypto/history/:symbol', async (req, res) => {
 });
 
 // --- WebSocket Server Setup ---
-const server = http.createServer(app); // Create an HTTP server using your Express app
-const wss = new WebSocket.Server({ server }); // Attach WebSocket server to the HTTP server
+// Create an HTTP server using your Express app, mounted at BASE_PATH when one is set
+const server = http.createServer(BASE_PATH ? express().use(BASE_PATH, app) : app);
+const wss = new WebSocket.Server({ noServer: true }); // Live price updates (any path but /graphql)
+const graphqlWss = new WebSocket.Server({ noServer: true }); // GraphQL subscriptions (graphql-transport-ws)
+
+// Answers an upgrade request with an HTTP error instead of switching protocols
+const rejectUpgrade = (socket, status, message) => {
+    socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${message}`);
+    socket.destroy();
+};
+
+// Both WebSocket servers share the HTTP server; the path picks the one that takes the connection.
+// Browsers send cross-origin WebSocket upgrades without any CORS check, so CORS_ORIGINS is
+// enforced here. The live price socket needs an API key like REST and /api/stream when API_KEYS
+// is set (api_key query parameter or X-API-Key header), except from the dashboard, whose
+// connections count against its per-IP limit; GraphQL checks its key in onConnect below.
+server.on('upgrade', (req, socket, head) => {
+    if (!isOriginAllowed(securityConfig.corsOrigins, req.headers.origin)) {
+        return rejectUpgrade(socket, 403, 'Origin not allowed.');
+    }
+    const isGraphql = new URL(req.url, 'http://localhost').pathname === `${BASE_PATH}/graphql`;
+    if (!isGraphql) {
+        const key = getUpgradeApiKey(req);
+        if (securityConfig.apiKeys.length > 0 && !key && isDashboardRequest(req, securityConfig.dashboardOrigins)) {
+            const { limited, retryAfterSeconds } = dashboardRateLimiter.hit(rateLimitClient(null, req.socket.remoteAddress));
+            if (limited) {
+                return rejectUpgrade(socket, 429, `Too many requests. Please slow down and retry in ${retryAfterSeconds} seconds.`);
+            }
+        } else {
+            const { error } = checkApiKey(securityConfig.apiKeys, key);
+            if (error) {
+                return rejectUpgrade(socket, 401, error);
+            }
+        }
+    }
+    const target = isGraphql ? graphqlWss : wss;
+    target.handleUpgrade(req, socket, head, ws => {
+        target.emit('connection', ws, req);
+    });
+});
+
+useGraphqlWebSocketServer({
+    schema: graphqlService.schema,
+    validate: graphqlService.validate, // The same depth and cost limits as POST /graphql
+    // The API key comes in the connection_init payload ({ api_key }), as the upgrade URL's
+    // api_key parameter or in the X-API-Key header. Returning false closes the socket (4403).
+    onConnect: (ctx) => {
+        const params = ctx.connectionParams || {};
+        const key = (typeof params.api_key === 'string' && params.api_key) || getUpgradeApiKey(ctx.extra.request);
+        if (checkApiKey(securityConfig.apiKeys, key).error) {
+            return false;
+        }
+        ctx.extra.rateLimitClient = rateLimitClient(securityConfig.apiKeys.length > 0 ? key : null, ctx.extra.request.socket.remoteAddress);
+        return true;
+    },
+    // Every subscription counts as a request against the key's (or IP's) window, like a POST /graphql
+    onSubscribe: (ctx) => {
+        const { limited, retryAfterSeconds } = graphqlRateLimiter.hit(ctx.extra.rateLimitClient);
+        if (limited) {
+            return [new GraphQLError(`Too many requests. Please slow down and retry in ${retryAfterSeconds} seconds.`)];
+        }
+        return undefined;
+    },
+    context: () => graphqlService.createContext(),
+    onNext: (ctx, id, payload, args, result) => maskErrors(result),
+}, graphqlWss);
 
 wss.on('connection', ws => {
     console.log('WebSocket client connected!');
 
-    ws.on('message', message => {
-        console.log(`Received message from client: ${message}`);
+    ws.on('message', rawMessage => {
+        let message;
+        try {
+            message = JSON.parse(rawMessage.toString());
+        } catch (e) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Messages must be valid JSON.' }));
+            return;
+        }
+        // Only the type is logged: messages can carry credentials (`authenticate` sends the login token)
+        const type = message && typeof message.type === 'string' ? JSON.stringify(message.type.slice(0, 50)) : 'untyped';
+        console.log(`Received ${type} message from client`);
+
+        // Client missed a delta (sequence gap) or just reconnected: send it a full snapshot
+        if (message && message.type === 'resync') {
+            sendSnapshotToClient(ws);
+            return;
+        }
+
+        // Client switched quote currency: acknowledge and resend its coins in the new currency
+        if (message && message.type === 'set_currency') {
+            handleSetCurrency(ws, message.currency);
+            return;
+        }
+
+        // Client logged in or out
+        if (message && message.type === 'authenticate') {
+            handleAuthenticate(ws, message.token);
+            return;
+        }
+
+        // Logged-in client switched between its watchlist and the whole market
+        if (message && message.type === 'set_scope') {
+            handleSetScope(ws, message.scope);
+            return;
+        }
+
+        const result = handleSubscriptionMessage(ws, message);
+        if (!result) {
+            return; // Unknown message type, nothing else to handle yet
+        }
+        ws.send(JSON.stringify(result.reply));
+
+        // Push current prices for newly subscribed coins so the client doesn't wait for the next ETL run
+        if (result.added && result.added.length > 0) {
+            sendSnapshotToClient(ws, result.added);
+        }
     });
 
     ws.on('close', () => {
@@ -162,28 +530,260 @@ wss.on('connection', ws => {
     });
 });
 
-// Function to fetch latest data and broadcast it (DRY principle)
+// --- Server-Sent Events ---
+// GET /api/stream carries the same messages as the WebSocket, for networks whose proxies
+// block WebSocket upgrades (see lib/sse.js). The stream is one-way, so what a WebSocket
+// client would send as messages is given as query parameters instead:
+//   symbols=btc,eth      coins to receive (default: all)
+//   currency=eur         quote currency (default: usd)
+//   access_token=<jwt>   the logged-in user; with scope=watchlist only their watchlist is sent
+//   api_key=<key>        when API_KEYS is set, since EventSource can't send headers
+// Changing any of them means opening a new stream. A client reconnecting with Last-Event-ID
+// gets the deltas it missed, or a full snapshot if they are no longer kept.
+const sseClients = new Set();
+
+app.get('/api/stream', async (req, res) => {
+    const scope = req.query.scope || 'all';
+    if (scope !== 'watchlist' && scope !== 'all') {
+        return res.status(400).json({ error: "'scope' must be 'watchlist' or 'all'." });
+    }
+
+    let user = null;
+    if (req.query.access_token) {
+        user = tokenService.verify(String(req.query.access_token));
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired token. Please log in again.' });
+        }
+    }
+    if (scope === 'watchlist' && !user) {
+        return res.status(400).json({ error: "'scope=watchlist' requires an 'access_token'." });
+    }
+
+    let currency;
+    let watchlist = null;
+    try {
+        const resolved = await resolveCurrency(req.query.currency);
+        if (resolved.error) {
+            return res.status(400).json({ error: resolved.error });
+        }
+        currency = resolved.currency;
+        if (scope === 'watchlist') {
+            watchlist = await userService.getWatchlist(user.id);
+        }
+    } catch (err) {
+        console.error('DB Query Error (stream):', err);
+        return res.status(500).json({ error: 'Failed to open the price stream' });
+    }
+
+    const client = createSseConnection(req, res, {
+        onClose: (connection) => {
+            sseClients.delete(connection);
+            console.log('SSE client disconnected.');
+        },
+    });
+    const symbols = parseSymbolList(req.query.symbols);
+    if (symbols.length > 0) {
+        handleSubscriptionMessage(client, { type: 'subscribe', symbols });
+    }
+    setClientCurrency(client, currency);
+    setClientUser(client, user);
+    setClientScope(client, watchlist);
+    sseClients.add(client);
+    console.log('SSE client connected!');
+
+    // Resume after the last event the client saw when every delta since is still known
+    const lastSeq = parseLastEventId(req);
+    const missed = lastSeq === null ? null : snapshotTracker.deltasSince(lastSeq);
+    if (missed) {
+        replayDeltasToClient(client, missed);
+    } else {
+        sendSnapshotToClient(client);
+    }
+});
+
+// --- Live Clients ---
+// WebSocket connections and SSE streams receive the same messages; these helpers let the
+// broadcasts treat them alike
+const isClientOpen = (client) => (client.transport === 'sse' ? client.isOpen() : client.readyState === WebSocket.OPEN);
+
+// Sends `payload` if the client is still connected. Returns whether it was sent.
+const sendToClient = (client, payload) => {
+    if (!isClientOpen(client)) {
+        return false;
+    }
+    client.send(client.transport === 'sse' ? payload : JSON.stringify(payload));
+    return true;
+};
+
+const liveClients = () => [...wss.clients, ...sseClients];
+
+// Tracks the last broadcast snapshot and its sequence number for delta updates
+const snapshotTracker = createSnapshotTracker();
+
+// Returns the last broadcast snapshot, querying the database if nothing was broadcast yet
+const getLatestSnapshot = async () => {
+    if (snapshotTracker.isEmpty()) {
+        snapshotTracker.update(await getLatestMarketRows());
+    }
+    return snapshotTracker.current();
+};
+
+// Converts rows to each client's quote currency, querying each currency's rate only once
+const createClientConverter = () => {
+    const conversions = new Map(); // currency -> Promise of converted rows
+    return (client, rows) => {
+        const currency = getClientCurrency(client, BASE_CURRENCY);
+        if (!conversions.has(currency)) {
+            conversions.set(currency, currencyService.convertLatest(rows, currency));
+        }
+        return conversions.get(currency);
+    };
+};
+
+const handleSetCurrency = async (ws, value) => {
+    try {
+        const { currency, error } = await resolveCurrency(typeof value === 'string' ? value : '');
+        if (error) {
+            ws.send(JSON.stringify({ type: 'error', message: error }));
+            return;
+        }
+        setClientCurrency(ws, currency);
+        ws.send(JSON.stringify({ type: 'currency_ack', currency }));
+        sendSnapshotToClient(ws);
+    } catch (err) {
+        console.error('Error changing WebSocket client currency:', err.message);
+    }
+};
+
+// Associates the connection with the user of `token`, or logs it out when the token is null
+const handleAuthenticate = (ws, token) => {
+    if (token === null || token === undefined) {
+        setClientUser(ws, null);
+        ws.send(JSON.stringify({ type: 'auth_ack', user: null }));
+        sendSnapshotToClient(ws); // Coins outside the watchlist are back in scope
+        return;
+    }
+    const user = tokenService.verify(token);
+    if (!user) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Invalid or expired token. Please log in again.' }));
+        return;
+    }
+    setClientUser(ws, user);
+    ws.send(JSON.stringify({ type: 'auth_ack', user }));
+};
+
+const handleSetScope = async (ws, scope) => {
+    const user = getClientUser(ws);
+    if (scope !== 'watchlist' && scope !== 'all') {
+        ws.send(JSON.stringify({ type: 'error', message: "'scope' must be 'watchlist' or 'all'." }));
+        return;
+    }
+    if (scope === 'watchlist' && !user) {
+        ws.send(JSON.stringify({ type: 'error', message: "Send an 'authenticate' message before scoping to a watchlist." }));
+        return;
+    }
+    try {
+        setClientScope(ws, scope === 'watchlist' ? await userService.getWatchlist(user.id) : null);
+        ws.send(JSON.stringify({ type: 'scope_ack', scope }));
+        sendSnapshotToClient(ws);
+    } catch (err) {
+        console.error('Error changing WebSocket client scope:', err.message);
+    }
+};
+
+// Applies a changed watchlist to the user's watchlist-scoped connections (one per open dashboard)
+const rescopeUserClients = (userId, watchlist) => {
+    liveClients().forEach(client => {
+        const user = getClientUser(client);
+        if (user && user.id === userId && isWatchlistScoped(client)) {
+            setClientScope(client, watchlist);
+            sendSnapshotToClient(client);
+        }
+    });
+};
+
+// Sends a full snapshot of the client's subscribed coins, optionally narrowed to `symbols`.
+// Full snapshots carry the current sequence number so the client can apply later deltas.
+const sendSnapshotToClient = async (client, symbols = null) => {
+    try {
+        const { seq, rows } = await getLatestSnapshot();
+        let clientRows = filterRowsForClient(client, rows);
+        if (symbols && !symbols.includes(WILDCARD)) {
+            clientRows = clientRows.filter(row => symbols.includes(row.symbol));
+        }
+        const currency = getClientCurrency(client, BASE_CURRENCY);
+        clientRows = await currencyService.convertLatest(clientRows, currency);
+        sendToClient(client, { type: 'latest_crypto_update', seq, currency, data: clientRows });
+    } catch (err) {
+        console.error('Error fetching snapshot for live client:', err.message);
+    }
+};
+
+// Sends a resuming client the deltas it missed (from snapshotTracker.deltasSince), in order
+const replayDeltasToClient = async (client, deltas) => {
+    try {
+        const currency = getClientCurrency(client, BASE_CURRENCY);
+        for (const { seq, changed } of deltas) {
+            const clientRows = filterRowsForClient(client, await currencyService.convertLatest(changed, currency));
+            sendToClient(client, { type: 'latest_crypto_delta', seq, currency, data: clientRows });
+        }
+    } catch (err) {
+        console.error('Error replaying missed deltas:', err.message);
+    }
+};
+
+// Sends a message to every connected client, regardless of its symbol subscriptions
+const broadcastToAll = (payload) => {
+    let sentCount = 0;
+    liveClients().forEach(client => {
+        if (sendToClient(client, payload)) {
+            sentCount++;
+        }
+    });
+    metrics.recordBroadcast(payload.type, sentCount);
+};
+
+// Evaluates alert rules against the latest rows and pushes an alert_triggered message per fired alert
+const checkAlerts = async (rows) => {
+    try {
+        const fired = await alertService.evaluate(rows);
+        fired.forEach(entry => {
+            broadcastToAll({ type: 'alert_triggered', data: entry });
+            console.log(`🔔 Alert #${entry.alert_id} triggered: ${entry.message}`);
+        });
+    } catch (err) {
+        console.error('Error evaluating price alerts:', err.message);
+    }
+};
+
+// Function to fetch latest data and broadcast only the rows that changed (DRY principle).
+// Every client receives every delta, even an empty one, so the sequence numbers it sees
+// stay contiguous and a missing number reliably means a missed update.
 const broadcastLatestCryptoData = async () => {
-    const queryLatest = `
-        SELECT t1.symbol, t1.name, t1.current_price, t1.market_cap, t1.total_volume, t1.timestamp
-        FROM prices t1
-        INNER JOIN (
-            SELECT symbol, MAX(timestamp) AS max_timestamp
-            FROM prices
-            GROUP BY symbol
-        ) t2
-        ON t1.symbol = t2.symbol AND t1.timestamp = t2.max_timestamp
-        ORDER BY t1.market_cap DESC;
-    `;
     try {
-        const rows = await executeQuery(queryLatest);
+        const rows = await getLatestMarketRows();
         if (rows.length > 0) {
-            wss.clients.forEach(client => {
-                if (client.readyState === WebSocket.OPEN) {
-                    client.send(JSON.stringify({ type: 'latest_crypto_update', data: rows }));
+            const { seq, changed } = snapshotTracker.update(rows);
+            checkAlerts(rows); // Window-based alerts can fire even when the latest prices didn't change
+            if (changed.length === 0) {
+                console.log('Latest crypto data unchanged since last broadcast, nothing sent.');
+                return;
+            }
+            graphqlService.publish({ seq, changed }); // GraphQL priceUpdates subscriptions
+            // Change detection runs on USD values; each client gets the changed rows in its own currency
+            const convertForClient = createClientConverter();
+            let sentCount = 0;
+            for (const client of liveClients()) {
+                if (isClientOpen(client)) {
+                    const currency = getClientCurrency(client, BASE_CURRENCY);
+                    const clientRows = filterRowsForClient(client, await convertForClient(client, changed));
+                    if (sendToClient(client, { type: 'latest_crypto_delta', seq, currency, data: clientRows })) {
+                        sentCount++;
+                    }
                 }
-            });
-            console.log('Broadcasted latest crypto data to WebSocket clients.');
+            }
+            metrics.recordBroadcast('latest_crypto_delta', sentCount);
+            console.log(`Broadcasted delta #${seq} (${changed.length} changed row(s)) to ${sentCount} live client(s).`);
         } else {
             console.warn('No data fetched for broadcast (database might be empty or query failed).');
         }
@@ -192,15 +792,92 @@ const broadcastLatestCryptoData = async () => {
     }
 };
 
-// API endpoint for ETL script to trigger a broadcast
-app.post('/api/notify-update', (req, res) => {
+// API endpoint for ETL script to trigger a broadcast.
+// Requests must be signed with NOTIFY_SECRET (see createSignatureVerifier in lib/security.js).
+const verifyNotifySignature = createSignatureVerifier({
+    secret: securityConfig.notifySecret,
+    toleranceSeconds: securityConfig.notifyToleranceSeconds,
+});
+app.post('/api/notify-update', verifyNotifySignature, (req, res) => {
     console.log('Received notification from ETL script. Broadcasting latest data...');
-    broadcastLatestCryptoData(); // Call the function to fetch and broadcast
+    handleNewData();
     res.status(200).json({ message: 'Broadcast triggered successfully' });
 });
 
+// --- Ingestion ---
+// With INGESTION_PROVIDER set, the API fetches and stores prices itself and broadcasts
+// in-process after each run; otherwise the Python ETL writes and calls /api/notify-update.
+const ingestionConfig = config.ingestion;
+let ingestionService = null;
+if (ingestionConfig.provider) {
+    try {
+        ingestionService = createIngestionService({
+            provider: createProvider(ingestionConfig),
+            prices,
+            currencyService,
+            intervalMs: ingestionConfig.intervalMs,
+            retries: ingestionConfig.retries,
+            retryDelayMs: ingestionConfig.retryDelayMs,
+            onIngested: () => {
+                handleNewData();
+            },
+        });
+    } catch (err) {
+        console.error(`❌ Error: ${err.message}`);
+        process.exit(1);
+    }
+}
+
+// Brings the schema up to date (see storage/migrations.js). With MIGRATE_ON_START=false the
+// migrations are left to `npm run migrate`, and pending ones are only reported.
+const prepareSchema = async () => {
+    const migrator = createMigrator(db);
+    if (storageConfig.migrateOnStart) {
+        const applied = await migrator.migrate();
+        if (applied.length > 0) {
+            console.log(`✅ Applied ${applied.length} schema migration(s).`);
+        }
+        return;
+    }
+    const pending = await migrator.pending();
+    if (pending.length > 0) {
+        console.warn(`⚠️ ${pending.length} schema migration(s) pending: run \`npm run migrate\` before relying on this server.`);
+    }
+};
+
+// --- Dashboard ---
+// With FRONTEND_BUILD_DIR set, the dashboard's production build is served next to the API, so
+// one process can be deployed on its own. Registered last: API routes take precedence.
+if (config.server.frontendBuildDir) {
+    try {
+        app.use(createFrontendRouter({ buildDir: config.server.frontendBuildDir, basePath: BASE_PATH }));
+    } catch (err) {
+        console.error(`❌ Error: ${err.message}`);
+        process.exit(1);
+    }
+}
+
 // Start server (listen on the HTTP server, which also handles WebSockets)
-server.listen(PORT, () => {
-    console.log(`🚀 Server is running at http://localhost:${PORT}`);
-    console.log(`WebSocket server also running on ws://localhost:${PORT}`);
-});
\ No newline at end of file
+// The schema is migrated first so every endpoint works from the first request.
+prepareSchema()
+    .catch(err => {
+        console.error('❌ Failed to migrate the database schema:', err.message);
+        process.exit(1);
+    })
+    .then(() => {
+        server.listen(PORT, HOST, () => {
+            const { port } = server.address(); // The actual port, also when PORT=0 picked a free one
+            const origin = `localhost:${port}${BASE_PATH}`;
+            console.log(`🚀 Server is running at http://${origin}`);
+            console.log(`WebSocket server also running on ws://${origin}`);
+            console.log(`GraphQL endpoint at http://${origin}/graphql (subscriptions on ws://${origin}/graphql)`);
+            console.log(`Server-Sent Events stream available at http://${origin}/api/stream`);
+            if (config.server.frontendBuildDir) {
+                console.log(`Dashboard served from ${config.server.frontendBuildDir} at http://${origin}/`);
+            }
+            rollupService.start();
+            if (ingestionService) {
+                ingestionService.start();
+            }
+        });
+    });
\ No newline at end of file
@@ -0,0 +1,69 @@
+// storage/index.js
+// Picks the storage backend from config and wires the repositories on top of it.
+//
+//   DB_CLIENT=postgres (default)  uses the PG_DB_* variables
+//   DB_CLIENT=sqlite              uses SQLITE_FILENAME (default crypto.db, or ':memory:')
+//   MIGRATE_ON_START=false        don't apply pending schema migrations on startup (run `npm run migrate` instead)
+const { createPostgresClient } = require('./postgres');
+const { createSqliteClient } = require('./sqlite');
+const { createPriceRepository } = require('./priceRepository');
+
+const CLIENTS = {
+    postgres: createPostgresClient,
+    sqlite: createSqliteClient,
+};
+
+// Reads the storage settings from environment variables
+function loadStorageConfig(env = process.env) {
+    const client = (env.DB_CLIENT || 'postgres').toLowerCase();
+    const migrateOnStart = (env.MIGRATE_ON_START || '').toLowerCase() !== 'false';
+    if (client === 'sqlite') {
+        return { client, migrateOnStart, sqlite: { filename: env.SQLITE_FILENAME || 'crypto.db' } };
+    }
+    return {
+        client,
+        migrateOnStart,
+        postgres: {
+            user: env.PG_DB_USER,
+            host: env.PG_DB_HOST,
+            database: env.PG_DB_NAME,
+            password: env.PG_DB_PASSWORD,
+            port: parseInt(env.PG_DB_PORT, 10), // Ensure port is parsed as an integer
+        },
+    };
+}
+
+// Wraps the client's query so `onQuery(sql, seconds)` is called after every statement
+function observeQueries(client, onQuery) {
+    return {
+        ...client,
+        query: async (sql, params) => {
+            const started = process.hrtime.bigint();
+            try {
+                return await client.query(sql, params);
+            } finally {
+                onQuery(sql, Number(process.hrtime.bigint() - started) / 1e9);
+            }
+        },
+        ...(client.transaction && {
+            transaction: (work) => client.transaction(tx => work(observeQueries(tx, onQuery))),
+        }),
+    };
+}
+
+// Returns { db, prices }: the raw client (dialect, types, isUniqueViolation, query, close) and the price repository.
+// `onQuery(sql, seconds)`, if given, is told how long each query took (used for metrics).
+function createStorage(config, { onQuery = null } = {}) {
+    const createClient = CLIENTS[config.client];
+    if (!createClient) {
+        throw new Error(`Unknown DB_CLIENT '${config.client}'. Supported clients: ${Object.keys(CLIENTS).join(', ')}.`);
+    }
+    const client = createClient(config[config.client]);
+    const db = onQuery ? observeQueries(client, onQuery) : client;
+    return { db, prices: createPriceRepository(db) };
+}
+
+module.exports = {
+    loadStorageConfig,
+    createStorage,
+};
@@ -0,0 +1,115 @@
+// storage/migrations.js
+// Versioned schema changes. Each file in migrations/ is named <version>_<description>.js
+// and exports `up(db)` and `down(db)`, which get a storage client (dialect, types, query).
+// Applied versions are recorded in `schema_migrations`; each migration runs in its own
+// transaction together with that record, so a failed one leaves nothing half applied.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// The migrations in `directory`, sorted by version
+function loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(directory)
+        .map(file => FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const { up, down } = require(path.join(directory, file));
+            if (typeof up !== 'function' || typeof down !== 'function') {
+                throw new Error(`Migration ${file} must export up(db) and down(db) functions.`);
+            }
+            return { version: parseInt(version, 10), name, up, down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new Error(`Two migrations have version ${migration.version}.`);
+        }
+    });
+    return migrations;
+}
+
+// `db` is a storage client with transaction support (see storage/index.js)
+function createMigrator(db, { migrations = loadMigrations() } = {}) {
+    async function ensureTable() {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at ${db.types.timestamptz} NOT NULL
+            );
+        `);
+    }
+
+    // Map of version -> applied_at for the applied migrations
+    async function getApplied() {
+        await ensureTable();
+        const rows = await db.query('SELECT version, applied_at FROM schema_migrations;');
+        return new Map(rows.map(row => [Number(row.version), row.applied_at]));
+    }
+
+    // Every known migration with whether (and when) it was applied
+    async function status() {
+        const applied = await getApplied();
+        return migrations.map(({ version, name }) => ({
+            version,
+            name,
+            applied: applied.has(version),
+            applied_at: applied.get(version) || null,
+        }));
+    }
+
+    // Migrations not applied yet
+    async function pending() {
+        const applied = await getApplied();
+        return migrations.filter(migration => !applied.has(migration.version));
+    }
+
+    // Applies the pending migrations in order, up to and including version `to` (default: all).
+    // Returns the applied migrations.
+    async function migrate({ to = Infinity } = {}) {
+        const toApply = (await pending()).filter(migration => migration.version <= to);
+        for (const migration of toApply) {
+            console.log(`⬆️ Applying migration ${migration.version}_${migration.name}...`);
+            await db.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.query(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3);',
+                    [migration.version, migration.name, new Date()]
+                );
+            });
+        }
+        return toApply;
+    }
+
+    // Reverts the last `steps` applied migrations, newest first. Returns the reverted migrations.
+    async function rollback({ steps = 1 } = {}) {
+        const applied = await getApplied();
+        const toRevert = migrations
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+        for (const migration of toRevert) {
+            console.log(`⬇️ Reverting migration ${migration.version}_${migration.name}...`);
+            await db.transaction(async (tx) => {
+                await migration.down(tx);
+                await tx.query('DELETE FROM schema_migrations WHERE version = $1;', [migration.version]);
+            });
+        }
+        return toRevert;
+    }
+
+    return {
+        status,
+        pending,
+        migrate,
+        rollback,
+    };
+}
+
+module.exports = {
+    loadMigrations,
+    createMigrator,
+};
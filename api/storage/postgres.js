@@ -0,0 +1,87 @@
+// storage/postgres.js
+// PostgreSQL client for the storage layer (the production backend).
+const { Pool, types: pgTypes, defaults: pgDefaults } = require('pg');
+
+// Every timestamp is stored in UTC, including in TIMESTAMP (without time zone) columns. By
+// default pg reads and writes those in the Node process's local zone, which would shift them
+// by its offset; read them as UTC and send Date parameters in UTC instead.
+pgTypes.setTypeParser(pgTypes.builtins.TIMESTAMP, value => new Date(`${value.replace(' ', 'T')}Z`));
+pgDefaults.parseInputDatesAsUTC = true;
+
+function createPostgresClient(config) {
+    // Add a check to ensure essential variables are loaded
+    if (!config.password || !config.user || !config.database || !config.host || isNaN(config.port)) {
+        throw new Error('One or more PostgreSQL environment variables are missing or invalid. Please check your .env file.');
+    }
+
+    // Connection pooling is crucial for Node.js applications to manage database connections efficiently.
+    const pool = new Pool(config);
+
+    // Connect to PostgreSQL and log status
+    pool.on('connect', () => {
+        console.log('✅ Connected to PostgreSQL database');
+    });
+
+    pool.on('error', (err) => {
+        console.error('❌ Unexpected error on idle client', err);
+        process.exit(-1); // Exit process if critical database error
+    });
+
+    // Runs a query with $1, $2... placeholders and returns the result rows
+    async function query(sql, params = []) {
+        const client = await pool.connect();
+        try {
+            const result = await client.query(sql, params);
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Column types that differ between backends, for CREATE TABLE statements
+    const types = {
+        id: 'SERIAL PRIMARY KEY',
+        timestamp: 'TIMESTAMP',
+        timestamptz: 'TIMESTAMPTZ',
+        numeric: 'NUMERIC',
+    };
+
+    // Whether a query failed on a UNIQUE or PRIMARY KEY constraint (SQLSTATE unique_violation)
+    const isUniqueViolation = (err) => Boolean(err) && err.code === '23505';
+
+    // Runs `work(tx)` in a transaction on one pooled connection; `tx` is a client whose queries
+    // belong to the transaction. Commits when `work` resolves, rolls back when it throws.
+    async function transaction(work) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const tx = {
+                dialect: 'postgres',
+                types,
+                isUniqueViolation,
+                query: async (sql, params = []) => (await client.query(sql, params)).rows,
+            };
+            const result = await work(tx);
+            await client.query('COMMIT');
+            return result;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    return {
+        dialect: 'postgres',
+        types,
+        isUniqueViolation,
+        query,
+        transaction,
+        close: () => pool.end(),
+    };
+}
+
+module.exports = {
+    createPostgresClient,
+};
@@ -0,0 +1,267 @@
+// storage/priceRepository.js
+// All reads and writes of the `prices` table and its hourly/daily rollups go through this
+// repository, so the rest of the API works the same on every storage backend (see storage/index.js).
+
+const PRICE_COLUMNS = 'symbol, name, current_price, market_cap, total_volume, timestamp';
+const ROLLUP_COLUMNS = 'symbol, name, open, high, low, close, market_cap, total_volume, sample_count, timestamp';
+
+// History is kept at three resolutions (see lib/rollups.js). Rollup rows are read with their
+// close as current_price, so they can stand in for raw rows anywhere.
+const RESOLUTION_SOURCES = {
+    raw: { table: 'prices', columns: PRICE_COLUMNS },
+    '1h': { table: 'prices_hourly', columns: `${ROLLUP_COLUMNS}, close AS current_price` },
+    '1d': { table: 'prices_daily', columns: `${ROLLUP_COLUMNS}, close AS current_price` },
+};
+
+// The table and columns of a resolution; throws for unknown ones
+function resolutionSource(resolution) {
+    const source = RESOLUTION_SOURCES[resolution];
+    if (!source) {
+        throw new Error(`Unknown resolution: ${resolution}`);
+    }
+    return source;
+}
+
+// Rows per INSERT statement; keeps the parameter count far below both backends' limits
+const INSERT_CHUNK_SIZE = 500;
+
+// Map rows to convert numeric strings (PostgreSQL NUMERIC) to numbers
+function normalizePriceRow(row) {
+    return {
+        ...row,
+        current_price: parseFloat(row.current_price),
+        // Handle potential nulls; a stored 0 stays 0 so bad data can be told apart from missing data
+        market_cap: row.market_cap === null || row.market_cap === undefined ? null : parseFloat(row.market_cap),
+        total_volume: row.total_volume === null || row.total_volume === undefined ? null : parseFloat(row.total_volume),
+        // timestamp does not need parsing, as it's a date string
+    };
+}
+
+// Rollup rows additionally carry the bucket's open/high/low and how many raw rows it covers
+function normalizeHistoryRow(row) {
+    if (row.close === undefined) {
+        return normalizePriceRow(row);
+    }
+    const { symbol, name, current_price, market_cap, total_volume, timestamp } = normalizePriceRow(row);
+    return {
+        symbol,
+        name,
+        current_price,
+        market_cap,
+        total_volume,
+        timestamp,
+        open: parseFloat(row.open),
+        high: parseFloat(row.high),
+        low: parseFloat(row.low),
+        sample_count: Number(row.sample_count),
+    };
+}
+
+// Returns "$first, $first+1, ..." for `count` parameters
+function placeholders(first, count) {
+    return Array.from({ length: count }, (_, i) => `$${first + i}`).join(', ');
+}
+
+function createPriceRepository(db) {
+    // Latest row per symbol, ordered by market cap. Reads `latest_prices`, which a trigger keeps
+    // current on every insert into `prices` (see migrations/003_latest_prices.js).
+    async function getLatestPrices() {
+        const rows = await db.query(`SELECT ${PRICE_COLUMNS} FROM latest_prices ORDER BY market_cap DESC;`);
+        return rows.map(normalizePriceRow);
+    }
+
+    // The last price of every symbol at or before `time`, as a Map of symbol -> price.
+    // With `notBefore`, symbols whose last price is older than that are left out.
+    async function getPricesAt(time, notBefore = null) {
+        const params = [time];
+        let range = 'timestamp <= $1';
+        if (notBefore) {
+            params.push(notBefore);
+            range += ` AND timestamp >= $${params.length}`;
+        }
+        const rows = await db.query(`
+            SELECT t1.symbol, t1.current_price
+            FROM prices t1
+            INNER JOIN (
+                SELECT symbol, MAX(timestamp) AS ref_timestamp
+                FROM prices
+                WHERE ${range}
+                GROUP BY symbol
+            ) t2
+            ON t1.symbol = t2.symbol AND t1.timestamp = t2.ref_timestamp;
+        `, params);
+        return new Map(rows.map(row => [row.symbol, parseFloat(row.current_price)]));
+    }
+
+    // Rows of one symbol ordered by timestamp, with an optional [start, end) range.
+    // `after` (exclusive timestamp) and `limit` page through the range with a keyset cursor.
+    // `resolution` reads the hourly ('1h') or daily ('1d') rollups instead of raw rows.
+    async function getHistory(symbol, { start = null, end = null, after = null, limit = null, resolution = 'raw' } = {}) {
+        const { table, columns } = resolutionSource(resolution);
+        let sql = `SELECT ${columns} FROM ${table} WHERE symbol = $1`;
+        const params = [symbol];
+        if (start) {
+            params.push(start);
+            sql += ` AND timestamp >= $${params.length}`;
+        }
+        if (end) {
+            params.push(end);
+            sql += ` AND timestamp < $${params.length}`;
+        }
+        if (after) {
+            params.push(after);
+            sql += ` AND timestamp > $${params.length}`;
+        }
+        sql += ' ORDER BY timestamp ASC'; // Always order by timestamp for charting
+        if (limit) {
+            params.push(limit);
+            sql += ` LIMIT $${params.length}`;
+        }
+        return (await db.query(`${sql};`, params)).map(normalizeHistoryRow);
+    }
+
+    // Rows of several symbols in [start, end), ordered by timestamp
+    async function getHistoryForSymbols(symbols, start, end, resolution = 'raw') {
+        if (symbols.length === 0) {
+            return [];
+        }
+        const { table, columns } = resolutionSource(resolution);
+        const rows = await db.query(
+            `SELECT ${columns} FROM ${table}
+             WHERE symbol IN (${placeholders(3, symbols.length)}) AND timestamp >= $1 AND timestamp < $2
+             ORDER BY timestamp ASC;`,
+            [start, end, ...symbols]
+        );
+        return rows.map(normalizeHistoryRow);
+    }
+
+    // Rows of every symbol in [start, end), grouped by symbol and ordered by timestamp (for the rollup job)
+    async function getHistoryForAllSymbols(start, end, resolution = 'raw') {
+        const { table, columns } = resolutionSource(resolution);
+        const rows = await db.query(
+            `SELECT ${columns} FROM ${table} WHERE timestamp >= $1 AND timestamp < $2 ORDER BY symbol, timestamp ASC;`,
+            [start, end]
+        );
+        return rows.map(normalizeHistoryRow);
+    }
+
+    // First price of a symbol at or after `since`, or null
+    async function getFirstPriceSince(symbol, since) {
+        const rows = await db.query(
+            'SELECT current_price FROM prices WHERE symbol = $1 AND timestamp >= $2 ORDER BY timestamp ASC LIMIT 1;',
+            [symbol, since]
+        );
+        return rows.length > 0 ? parseFloat(rows[0].current_price) : null;
+    }
+
+    // Average total_volume of a symbol in [start, end), or null
+    async function getAverageVolume(symbol, start, end) {
+        const rows = await db.query(
+            'SELECT AVG(total_volume) AS average_volume FROM prices WHERE symbol = $1 AND timestamp >= $2 AND timestamp < $3;',
+            [symbol, start, end]
+        );
+        return rows.length > 0 && rows[0].average_volume !== null ? parseFloat(rows[0].average_volume) : null;
+    }
+
+    // Timestamp of the newest row of a resolution, or null when it's empty (for health checks and rollups).
+    // The newest raw row is also the newest of `latest_prices`, which has one row per symbol, so
+    // that is read instead of scanning `prices`, whose index leads with the symbol.
+    async function getNewestTimestamp(resolution = 'raw') {
+        const table = resolution === 'raw' ? 'latest_prices' : resolutionSource(resolution).table;
+        const rows = await db.query(`SELECT MAX(timestamp) AS newest FROM ${table};`);
+        return rows.length > 0 && rows[0].newest ? rows[0].newest : null;
+    }
+
+    // Timestamp of the oldest row of a resolution, or null when it's empty
+    async function getOldestTimestamp(resolution = 'raw') {
+        const rows = await db.query(`SELECT MIN(timestamp) AS oldest FROM ${resolutionSource(resolution).table};`);
+        return rows.length > 0 && rows[0].oldest ? rows[0].oldest : null;
+    }
+
+    // Deletes the rows of a resolution older than `before`. Returns how many were deleted.
+    async function deleteHistoryBefore(resolution, before) {
+        const { table } = resolutionSource(resolution);
+        const rows = await db.query(`SELECT COUNT(*) AS count FROM ${table} WHERE timestamp < $1;`, [before]);
+        const count = Number(rows[0].count);
+        if (count > 0) {
+            await db.query(`DELETE FROM ${table} WHERE timestamp < $1;`, [before]);
+        }
+        return count;
+    }
+
+    // Inserts a batch of { symbol, name, current_price, market_cap, total_volume, timestamp } records.
+    // Returns the number of rows inserted.
+    async function insertPrices(records) {
+        for (let i = 0; i < records.length; i += INSERT_CHUNK_SIZE) {
+            const chunk = records.slice(i, i + INSERT_CHUNK_SIZE);
+            const values = chunk.map((_, index) => `(${placeholders(index * 6 + 1, 6)})`);
+            const params = chunk.flatMap(record => [
+                record.symbol,
+                record.name,
+                record.current_price,
+                record.market_cap,
+                record.total_volume,
+                record.timestamp,
+            ]);
+            await db.query(`INSERT INTO prices (${PRICE_COLUMNS}) VALUES ${values.join(', ')};`, params);
+        }
+        return records.length;
+    }
+
+    // Inserts or replaces hourly ('1h') or daily ('1d') buckets, given as candles from
+    // aggregateCandles (timestamp = bucket start, count = raw rows in the bucket)
+    async function upsertRollups(resolution, candles) {
+        if (resolution === 'raw') {
+            throw new Error('Rollups are stored at 1h or 1d resolution.');
+        }
+        const { table } = resolutionSource(resolution);
+        for (let i = 0; i < candles.length; i += INSERT_CHUNK_SIZE) {
+            const chunk = candles.slice(i, i + INSERT_CHUNK_SIZE);
+            const values = chunk.map((_, index) => `(${placeholders(index * 10 + 1, 10)})`);
+            const params = chunk.flatMap(candle => [
+                candle.symbol,
+                candle.name,
+                candle.open,
+                candle.high,
+                candle.low,
+                candle.close,
+                candle.market_cap,
+                candle.volume,
+                candle.count,
+                new Date(candle.timestamp),
+            ]);
+            await db.query(`
+                INSERT INTO ${table} (${ROLLUP_COLUMNS}) VALUES ${values.join(', ')}
+                ON CONFLICT (symbol, timestamp) DO UPDATE SET
+                    name = excluded.name,
+                    open = excluded.open,
+                    high = excluded.high,
+                    low = excluded.low,
+                    close = excluded.close,
+                    market_cap = excluded.market_cap,
+                    total_volume = excluded.total_volume,
+                    sample_count = excluded.sample_count;
+            `, params);
+        }
+        return candles.length;
+    }
+
+    return {
+        getLatestPrices,
+        getPricesAt,
+        getHistory,
+        getHistoryForSymbols,
+        getHistoryForAllSymbols,
+        getFirstPriceSince,
+        getAverageVolume,
+        getNewestTimestamp,
+        getOldestTimestamp,
+        deleteHistoryBefore,
+        insertPrices,
+        upsertRollups,
+    };
+}
+
+module.exports = {
+    createPriceRepository,
+};
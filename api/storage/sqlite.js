@@ -0,0 +1,74 @@
+// storage/sqlite.js
+// SQLite client for the storage layer, for local development and tests without Postgres.
+// Use a file path (e.g. crypto.db) or ':memory:' for a throwaway database.
+const sqlite3 = require('sqlite3');
+
+// SQLite has no date type: Date parameters are stored as ISO 8601 UTC strings, which
+// compare correctly as text as long as every timestamp uses the same format.
+function toSqliteParam(value) {
+    return value instanceof Date ? value.toISOString() : value;
+}
+
+function createSqliteClient({ filename }) {
+    const database = new sqlite3.Database(filename, (err) => {
+        if (err) {
+            console.error(`❌ Failed to open SQLite database '${filename}':`, err.message);
+            process.exit(1);
+        }
+        console.log(`✅ Connected to SQLite database (${filename})`);
+    });
+    database.run('PRAGMA foreign_keys = ON;');
+
+    // Accepts the same $1, $2... placeholders as PostgreSQL and rewrites them to
+    // SQLite's numbered ?1, ?2... form, so callers can share SQL between backends.
+    function query(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            database.all(sql.replace(/\$(\d+)/g, '?$1'), params.map(toSqliteParam), (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    const client = {
+        dialect: 'sqlite',
+        // Column types that differ between backends, for CREATE TABLE statements
+        types: {
+            id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+            timestamp: 'TEXT',
+            timestamptz: 'TEXT',
+            numeric: 'REAL',
+        },
+        // Whether a query failed on a UNIQUE or PRIMARY KEY constraint
+        isUniqueViolation: (err) => Boolean(err) && err.code === 'SQLITE_CONSTRAINT' && /UNIQUE|PRIMARY KEY/.test(err.message),
+        query,
+    };
+
+    // Runs `work(tx)` in a transaction; commits when it resolves, rolls back when it throws.
+    // There is only one connection, so queries other code runs meanwhile join the transaction:
+    // use it where nothing else is querying yet, like migrations before the server starts.
+    async function transaction(work) {
+        await query('BEGIN;');
+        try {
+            const result = await work(client);
+            await query('COMMIT;');
+            return result;
+        } catch (err) {
+            await query('ROLLBACK;');
+            throw err;
+        }
+    }
+
+    return {
+        ...client,
+        transaction,
+        close: () => new Promise((resolve, reject) => database.close(err => (err ? reject(err) : resolve()))),
+    };
+}
+
+module.exports = {
+    createSqliteClient,
+};
@@ -0,0 +1,78 @@
+// test/alerts.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAlertInput, createAlertService } = require('../lib/alerts');
+const { createStorage } = require('../storage');
+const { createMigrator } = require('../storage/migrations');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+test('validates and normalizes a new alert', () => {
+    assert.deepEqual(validateAlertInput({ symbol: ' BTC ', type: 'percent_change', threshold: '-5' }), {
+        values: { symbol: 'btc', type: 'percent_change', threshold: -5, window_minutes: 60 },
+    });
+});
+
+test('reports every invalid field of a new alert', () => {
+    const { errors } = validateAlertInput({ type: 'price_sideways', threshold: 'abc', window_minutes: 0 });
+    assert.equal(errors.length, 4);
+});
+
+test('rejects rules that can never fire', () => {
+    assert.ok(validateAlertInput({ symbol: 'btc', type: 'volume_spike', threshold: 0 }).errors);
+    assert.ok(validateAlertInput({ symbol: 'btc', type: 'percent_change', threshold: 0 }).errors);
+});
+
+test('partial updates need at least one field', () => {
+    assert.deepEqual(validateAlertInput({ enabled: false }, { partial: true }), { values: { enabled: false } });
+    assert.deepEqual(validateAlertInput({}, { partial: true }), { errors: ['Nothing to update.'] });
+});
+
+// A throwaway SQLite database with the alert and price tables
+async function createTestServices() {
+    const { db, prices } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    const alerts = createAlertService(db, prices);
+    await createMigrator(db).migrate();
+    return { db, prices, alerts };
+}
+
+const latest = (price) => [{ symbol: 'btc', current_price: price, total_volume: 1000, timestamp: new Date('2024-03-01T12:00:00.000Z') }];
+
+test('alerts fire once when their condition becomes true and re-arm after it clears', async () => {
+    const { db, alerts } = await createTestServices();
+    await alerts.create({ symbol: 'btc', type: 'price_above', threshold: 70000, window_minutes: null });
+
+    assert.equal((await alerts.evaluate(latest(69000))).length, 0);
+    const fired = await alerts.evaluate(latest(71000));
+    assert.equal(fired.length, 1);
+    assert.match(fired[0].message, /BTC is above \$70,000/);
+    assert.equal((await alerts.evaluate(latest(72000))).length, 0); // Still above: no repeat
+    await alerts.evaluate(latest(65000));
+    assert.equal((await alerts.evaluate(latest(71000))).length, 1);
+    assert.equal((await alerts.history(10)).length, 2);
+    await db.close();
+});
+
+test('percent_change compares against the first price of the window', async () => {
+    const { db, prices, alerts } = await createTestServices();
+    await prices.insertPrices([
+        { symbol: 'btc', name: 'Bitcoin', current_price: 100, market_cap: 1, total_volume: 1, timestamp: new Date('2024-03-01T10:30:00.000Z') },
+        { symbol: 'btc', name: 'Bitcoin', current_price: 80, market_cap: 1, total_volume: 1, timestamp: new Date('2024-03-01T11:30:00.000Z') },
+    ]);
+    await alerts.create({ symbol: 'btc', type: 'percent_change', threshold: -5, window_minutes: 60 });
+
+    // The window of the 12:00 row starts at 11:00, so the reference price is 80
+    assert.equal((await alerts.evaluate(latest(78))).length, 0);
+    const [entry] = await alerts.evaluate(latest(70));
+    assert.match(entry.message, /BTC dropped 12\.50% within 60 min/);
+    await db.close();
+});
+
+test('disabled alerts and symbols without prices are skipped', async () => {
+    const { db, alerts } = await createTestServices();
+    await alerts.create({ symbol: 'btc', type: 'price_below', threshold: 100000, window_minutes: null, enabled: false });
+    await alerts.create({ symbol: 'eth', type: 'price_below', threshold: 100000, window_minutes: null });
+    assert.deepEqual(await alerts.evaluate(latest(50000)), []);
+    await db.close();
+});
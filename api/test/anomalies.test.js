@@ -0,0 +1,37 @@
+// test/anomalies.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectGaps } = require('../lib/anomalies');
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2024-03-01T00:00:00.000Z');
+const INTERVAL = 5 * MINUTE;
+
+// Rows at the given minutes after START
+const rowsAt = (minutes) => minutes.map(minute => ({ timestamp: new Date(START + minute * MINUTE).toISOString() }));
+const at = (minute) => new Date(START + minute * MINUTE);
+
+test('a regular series has no gaps', () => {
+    assert.deepEqual(detectGaps(rowsAt([0, 5, 10, 15]), { end: at(20), expectedIntervalMs: INTERVAL }), []);
+});
+
+test('steps within 1.5 intervals are not gaps', () => {
+    assert.deepEqual(detectGaps(rowsAt([0, 7, 14]), { end: at(14), expectedIntervalMs: INTERVAL }), []);
+});
+
+test('reports a missing stretch with the number of missed runs', () => {
+    assert.deepEqual(detectGaps(rowsAt([0, 5, 25, 30]), { end: at(30), expectedIntervalMs: INTERVAL }), [
+        { start: at(5).toISOString(), end: at(25).toISOString(), missed_runs: 3 },
+    ]);
+});
+
+test('the time between the last row and the end of the range can be a gap', () => {
+    assert.deepEqual(detectGaps(rowsAt([0, 5]), { end: at(60), expectedIntervalMs: INTERVAL }), [
+        { start: at(5).toISOString(), end: at(60).toISOString(), missed_runs: 10 },
+    ]);
+});
+
+test('the time before the first row and empty ranges are not gaps', () => {
+    assert.deepEqual(detectGaps(rowsAt([55, 60]), { end: at(60), expectedIntervalMs: INTERVAL }), []);
+    assert.deepEqual(detectGaps([], { end: at(60), expectedIntervalMs: INTERVAL }), []);
+});
@@ -0,0 +1,90 @@
+// test/cache.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createLruCache, createResponseEntry, sendCachedResponse, requestCacheKey, loadCacheConfig } = require('../lib/cache');
+
+test('reads the cache settings with defaults', () => {
+    assert.deepEqual(loadCacheConfig({}), { ttlMs: 300000, historyMaxEntries: 100 });
+    assert.deepEqual(loadCacheConfig({ CACHE_TTL_MS: '1000', CACHE_HISTORY_MAX_ENTRIES: '-5' }), { ttlMs: 1000, historyMaxEntries: 100 });
+});
+
+test('evicts the least recently used entry and expired ones', () => {
+    const cache = createLruCache({ maxEntries: 2, ttlMs: 60000 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.size(), 2);
+
+    const expired = createLruCache({ maxEntries: 2, ttlMs: 0 });
+    expired.set('a', 1);
+    assert.equal(expired.get('a'), undefined);
+});
+
+test('shares one computation between concurrent misses and does not cache failures', async () => {
+    const cache = createLruCache({ maxEntries: 10, ttlMs: 60000 });
+    let calls = 0;
+    const compute = async () => ++calls;
+    assert.deepEqual(await Promise.all([cache.getOrCompute('a', compute), cache.getOrCompute('a', compute)]), [1, 1]);
+    assert.equal(await cache.getOrCompute('a', compute), 1);
+
+    await assert.rejects(cache.getOrCompute('b', async () => { throw new Error('db down'); }), /db down/);
+    assert.equal(await cache.getOrCompute('b', compute), 2);
+});
+
+test('does not store results computed before an invalidation', async () => {
+    const cache = createLruCache({ maxEntries: 10, ttlMs: 60000 });
+    let release;
+    const running = cache.getOrCompute('a', () => new Promise(resolve => { release = resolve; }));
+    cache.deleteWhere(() => true);
+    release('stale');
+    assert.equal(await running, 'stale');
+    assert.equal(cache.get('a'), undefined);
+
+    cache.set('keep', { volatile: false });
+    cache.set('drop', { volatile: true });
+    cache.deleteWhere(entry => entry.volatile);
+    assert.deepEqual([cache.get('keep'), cache.get('drop')], [{ volatile: false }, undefined]);
+});
+
+test('cache keys ignore query order and the API key', () => {
+    const key = (query) => requestCacheKey({ path: '/api/crypto/history/btc', query });
+    assert.equal(key({ startDate: '2024-01-01', interval: '1h', api_key: 'secret' }), key({ interval: '1h', startDate: '2024-01-01' }));
+    assert.equal(key({ b: '2', a: ['1', '3'] }), '/api/crypto/history/btc?a=1,3&b=2');
+});
+
+test('answers conditional requests with 304 Not Modified', async () => {
+    const entry = createResponseEntry([{ price: 1 }], {
+        headers: { 'X-Quote-Currency': 'USD' },
+        lastModified: '2024-03-01T00:00:00.000Z',
+    });
+    const app = express();
+    app.get('/latest', (req, res) => sendCachedResponse(req, res, entry));
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/latest`;
+
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), [{ price: 1 }]);
+    assert.equal(res.headers.get('etag'), entry.etag);
+    assert.equal(res.headers.get('last-modified'), 'Fri, 01 Mar 2024 00:00:00 GMT');
+    assert.equal(res.headers.get('x-quote-currency'), 'USD');
+
+    // fetch() adds Cache-Control: no-cache to conditional requests, which never get a 304
+    const statusFor = (headers) => new Promise((resolve, reject) => {
+        http.get(url, { headers }, conditional => {
+            conditional.resume();
+            resolve(conditional.statusCode);
+        }).on('error', reject);
+    });
+    assert.equal(await statusFor({ 'If-None-Match': entry.etag }), 304);
+    assert.equal(await statusFor({ 'If-Modified-Since': 'Sat, 02 Mar 2024 00:00:00 GMT' }), 304);
+    assert.equal(await statusFor({ 'If-None-Match': '"other"' }), 200);
+
+    await new Promise(resolve => server.close(resolve));
+});
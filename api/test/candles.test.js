@@ -0,0 +1,63 @@
+// test/candles.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isInterval, aggregateCandles } = require('../lib/candles');
+
+// A price row at `iso` with the given price and rolling 24h volume
+const row = (iso, price, volume = 1000) => ({ symbol: 'btc', name: 'Bitcoin', timestamp: iso, current_price: price, market_cap: price * 10, total_volume: volume });
+
+test('groups rows into OHLC candles per interval', () => {
+    const candles = aggregateCandles([
+        row('2024-03-01T10:05:00.000Z', 100, 1000),
+        row('2024-03-01T10:20:00.000Z', 120, 1100),
+        row('2024-03-01T10:40:00.000Z', 90, 1200),
+        row('2024-03-01T10:55:00.000Z', 110, 1300),
+        row('2024-03-01T11:10:00.000Z', 105, 1400),
+    ], '1h');
+
+    assert.deepEqual(candles, [
+        { symbol: 'btc', name: 'Bitcoin', timestamp: '2024-03-01T10:00:00.000Z', open: 100, high: 120, low: 90, close: 110, volume: 1300, market_cap: 1100, count: 4 },
+        { symbol: 'btc', name: 'Bitcoin', timestamp: '2024-03-01T11:00:00.000Z', open: 105, high: 105, low: 105, close: 105, volume: 1400, market_cap: 1050, count: 1 },
+    ]);
+});
+
+test('weekly candles start on Monday 00:00 UTC', () => {
+    // 2024-03-07 is a Thursday, 2024-03-11 the next Monday
+    const candles = aggregateCandles([
+        row('2024-03-07T12:00:00.000Z', 100),
+        row('2024-03-10T23:59:00.000Z', 101),
+        row('2024-03-11T00:00:00.000Z', 102),
+    ], '1w');
+    assert.deepEqual(candles.map(candle => candle.timestamp), ['2024-03-04T00:00:00.000Z', '2024-03-11T00:00:00.000Z']);
+    assert.deepEqual(candles.map(candle => candle.count), [2, 1]);
+});
+
+test('keeps the open, high, low and sample count of rolled-up rows', () => {
+    const bucket = (iso, open, high, low, close, samples) => ({ ...row(iso, close), open, high, low, sample_count: samples });
+    const [candle] = aggregateCandles([
+        bucket('2024-03-01T00:00:00.000Z', 100, 130, 95, 120, 12),
+        bucket('2024-03-01T01:00:00.000Z', 120, 125, 80, 90, 11),
+    ], '4h');
+    assert.deepEqual([candle.open, candle.high, candle.low, candle.close, candle.count], [100, 130, 80, 90, 23]);
+});
+
+test('skips rows without a usable time or price', () => {
+    const candles = aggregateCandles([
+        row('not a date', 100),
+        row('2024-03-01T10:05:00.000Z', null),
+        row('2024-03-01T10:06:00.000Z', 50),
+    ], '5m');
+    assert.equal(candles.length, 1);
+    assert.equal(candles[0].timestamp, '2024-03-01T10:05:00.000Z');
+    assert.equal(candles[0].open, 50);
+});
+
+test('rejects unsupported intervals', () => {
+    assert.throws(() => aggregateCandles([], '2h'), /Unsupported interval/);
+    assert.throws(() => aggregateCandles([], 'toString'), /Unsupported interval/);
+});
+
+test('only accepts the names of supported intervals', () => {
+    assert.equal(isInterval('4h'), true);
+    ['toString', 'constructor', '__proto__', '', undefined, ['1h']].forEach(value => assert.equal(isInterval(value), false));
+});
@@ -0,0 +1,69 @@
+// test/compare.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createCompareRouter } = require('../routes/compare');
+const { pickInterval, alignSeries, rebaseSeries } = require('../lib/compare');
+const { parseSymbolList } = require('../lib/symbols');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2024-03-01T00:00:00.000Z');
+
+const row = (symbol, hour, price) => ({
+    symbol,
+    name: symbol.toUpperCase(),
+    timestamp: new Date(START + hour * 60 * 60 * 1000).toISOString(),
+    current_price: price,
+    total_volume: 1,
+});
+
+test('parses symbol lists into unique lowercase symbols', () => {
+    assert.deepEqual(parseSymbolList('btc,ETH, sol,,btc'), ['btc', 'eth', 'sol']);
+    assert.deepEqual(parseSymbolList(undefined), []);
+});
+
+test('picks the smallest interval that keeps the range within 800 points', () => {
+    assert.equal(pickInterval(new Date(START), new Date(START + DAY)), '5m');
+    assert.equal(pickInterval(new Date(START), new Date(START + 30 * DAY)), '1h');
+    assert.equal(pickInterval(new Date(START), new Date(START + 100 * DAY)), '4h');
+    assert.equal(pickInterval(new Date(START), new Date(START + 5 * 365 * DAY)), '1w');
+});
+
+test('aligns series on a shared axis, carrying the last close over missing buckets', () => {
+    const rows = [row('btc', 0, 100), row('btc', 1, 110), row('btc', 2, 120), row('eth', 1, 10), row('sol', 3, 1)];
+    const { timestamps, series } = alignSeries(rows, ['btc', 'eth', 'sol', 'ada'], '1h');
+
+    assert.equal(timestamps.length, 4);
+    assert.deepEqual(series.map(entry => entry.values), [
+        [100, 110, 120, 120],
+        [null, 10, 10, 10], // Nothing before the first row
+        [null, null, null, 1],
+        [null, null, null, null], // No rows at all
+    ]);
+    assert.equal(series[0].change_pct, 20);
+    assert.equal(series[3].name, 'ADA');
+    assert.equal(series[3].change_pct, null);
+});
+
+test('rebases series to percent change from their first price', () => {
+    const { series } = alignSeries([row('btc', 0, 100), row('btc', 1, 150), row('eth', 1, 10), row('eth', 2, 5)], ['btc', 'eth'], '1h');
+    assert.deepEqual(rebaseSeries(series).map(entry => entry.values), [[0, 50, 50], [null, 0, -50]]);
+});
+
+test('rejects unsupported intervals before reading any prices', async () => {
+    const app = express();
+    const prices = { getHistoryForSymbols: async () => assert.fail('no prices should be read') };
+    app.use('/api/crypto', createCompareRouter({ prices, currencyService: null, resolveCurrency: null, rollupConfig: null }));
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/crypto/compare?symbols=btc,eth`;
+
+    for (const interval of ['2h', 'toString', 'constructor']) {
+        const res = await fetch(`${baseUrl}&interval=${interval}`);
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, new RegExp(`Invalid interval '${interval}'`));
+    }
+
+    await new Promise(resolve => server.close(resolve));
+});
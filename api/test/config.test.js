@@ -0,0 +1,39 @@
+// test/config.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadServerConfig, loadConfig } = require('../config');
+
+test('reads the server settings', () => {
+    assert.deepEqual(loadServerConfig({}), { port: 5000, host: undefined, basePath: '', frontendBuildDir: null, trustProxy: null });
+    const config = loadServerConfig({ PORT: '8080', HOST: '127.0.0.1', BASE_PATH: 'apps/crypto/', TRUST_PROXY: '1' });
+    assert.equal(config.port, 8080);
+    assert.equal(config.basePath, '/apps/crypto');
+    assert.equal(config.trustProxy, 1);
+    assert.equal(loadServerConfig({ TRUST_PROXY: 'loopback' }).trustProxy, 'loopback');
+});
+
+test('rejects invalid ports and base paths', () => {
+    assert.throws(() => loadServerConfig({ PORT: '70000' }), /Invalid PORT/);
+    assert.throws(() => loadServerConfig({ BASE_PATH: '/crypto?x=1' }), /Invalid BASE_PATH/);
+});
+
+test('takes settings the environment leaves unset from CONFIG_FILE', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ PORT: 8080, BASE_PATH: '/crypto', CORS_ORIGINS: ['https://a.example', 'https://b.example'] }));
+    try {
+        const config = loadConfig({ CONFIG_FILE: file, PORT: '9090' });
+        assert.equal(config.server.port, 9090);
+        assert.equal(config.server.basePath, '/crypto');
+        assert.deepEqual(config.security.corsOrigins, ['https://a.example', 'https://b.example']);
+
+        fs.writeFileSync(file, '[1, 2]');
+        assert.throws(() => loadConfig({ CONFIG_FILE: file }), /must contain a JSON object/);
+        assert.throws(() => loadConfig({ CONFIG_FILE: path.join(dir, 'missing.json') }), /Could not read CONFIG_FILE/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
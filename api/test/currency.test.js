@@ -0,0 +1,98 @@
+// test/currency.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { convertRows, ratesPerUsd, createCurrencyService } = require('../lib/currency');
+const { createStorage } = require('../storage');
+const { createMigrator } = require('../storage/migrations');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+const row = (timestamp, price) => ({ symbol: 'btc', timestamp, current_price: price, market_cap: price * 10, total_volume: null });
+const RATES = [
+    { units_per_usd: 0.9, timestamp: '2024-03-01T00:00:00.000Z' },
+    { units_per_usd: 0.8, timestamp: '2024-03-02T00:00:00.000Z' },
+];
+
+test('converts each row with the rate in effect at its timestamp', () => {
+    const converted = convertRows([
+        row('2024-02-28T00:00:00.000Z', 100), // Before the first rate: uses the first rate
+        row('2024-03-01T12:00:00.000Z', 100),
+        row('2024-03-02T00:00:00.000Z', 100),
+    ], RATES);
+    assert.deepEqual(converted.map(item => item.current_price), [90, 90, 80]);
+    assert.deepEqual(converted.map(item => item.market_cap), [900, 900, 800]);
+    assert.equal(converted[0].total_volume, null); // Missing values stay missing
+});
+
+test('rows out of time order still get their own rate', () => {
+    const converted = convertRows([row('2024-03-03T00:00:00.000Z', 100), row('2024-03-01T06:00:00.000Z', 100)], RATES);
+    assert.deepEqual(converted.map(item => item.current_price), [80, 90]);
+});
+
+test('rows are returned unchanged without rates', () => {
+    const rows = [row('2024-03-01T00:00:00.000Z', 100)];
+    assert.equal(convertRows(rows, []), rows);
+});
+
+test('turns BTC-based exchange rates into rates per USD', () => {
+    const rates = ratesPerUsd({
+        btc: { name: 'Bitcoin', unit: 'BTC', value: 1, type: 'crypto' },
+        usd: { name: 'US Dollar', unit: '$', value: 50000, type: 'fiat' },
+        eur: { name: 'Euro', unit: '€', value: 45000, type: 'fiat' },
+        xyz: { name: 'Unknown', value: null, type: 'fiat' },
+    });
+    assert.deepEqual(rates, [
+        { currency: 'btc', name: 'Bitcoin', type: 'crypto', units_per_usd: 1 / 50000 },
+        { currency: 'usd', name: 'US Dollar', type: 'fiat', units_per_usd: 1 },
+        { currency: 'eur', name: 'Euro', type: 'fiat', units_per_usd: 0.9 },
+    ]);
+    assert.deepEqual(ratesPerUsd({ eur: { value: 1 } }), []); // No USD rate to divide by
+});
+
+// A throwaway SQLite database with the fx_rates table
+async function createTestCurrencyService() {
+    const { db } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    const currencyService = createCurrencyService(db);
+    await createMigrator(db).migrate();
+    return { db, currencyService };
+}
+
+const insertRate = (db, currency, unitsPerUsd, timestamp) => db.query(
+    'INSERT INTO fx_rates (currency, name, type, units_per_usd, timestamp) VALUES ($1, $2, $3, $4, $5);',
+    [currency, currency.toUpperCase(), 'fiat', unitsPerUsd, new Date(timestamp)]
+);
+
+test('USD is always supported and needs no conversion', async () => {
+    const { db, currencyService } = await createTestCurrencyService();
+    const rows = [row('2024-03-01T00:00:00.000Z', 100)];
+    assert.equal(await currencyService.isSupported('usd'), true);
+    assert.equal(await currencyService.isSupported('eur'), false);
+    assert.equal(await currencyService.convertLatest(rows, 'usd'), rows);
+    await db.close();
+});
+
+test('lists USD first, then the latest rate of each stored currency', async () => {
+    const { db, currencyService } = await createTestCurrencyService();
+    await insertRate(db, 'eur', 0.9, '2024-03-01T00:00:00.000Z');
+    await insertRate(db, 'eur', 0.8, '2024-03-02T00:00:00.000Z');
+    await insertRate(db, 'gbp', 0.7, '2024-03-01T00:00:00.000Z');
+
+    const currencies = await currencyService.listCurrencies();
+    assert.deepEqual(currencies.map(item => [item.currency, item.units_per_usd]), [['usd', 1], ['eur', 0.8], ['gbp', 0.7]]);
+    await db.close();
+});
+
+test('converts history with the rate in effect before and during the range', async () => {
+    const { db, currencyService } = await createTestCurrencyService();
+    await insertRate(db, 'eur', 0.9, '2024-02-01T00:00:00.000Z');
+    await insertRate(db, 'eur', 0.8, '2024-03-02T00:00:00.000Z');
+    await insertRate(db, 'eur', 0.5, '2024-04-01T00:00:00.000Z'); // After the range
+
+    const converted = await currencyService.convertHistory([
+        row('2024-03-01T00:00:00.000Z', 100),
+        row('2024-03-03T00:00:00.000Z', 100),
+    ], 'eur');
+    assert.deepEqual(converted.map(item => item.current_price), [90, 80]);
+    await db.close();
+});
@@ -0,0 +1,72 @@
+// test/dateRange.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDay, parseDayEnd, toDayRange } = require('../lib/dateRange');
+const { resolveTimeZone, startOfDay, dayInZone, formatTimestamp, wallClockDate, withZonedTimestamps } = require('../lib/timezones');
+
+const HOUR = 60 * 60 * 1000;
+
+test('days default to UTC', () => {
+    assert.equal(parseDay('2024-03-01').toISOString(), '2024-03-01T00:00:00.000Z');
+    assert.equal(parseDayEnd('2024-03-01').toISOString(), '2024-03-02T00:00:00.000Z');
+});
+
+test('the spring-forward day in Berlin is 23 hours long', () => {
+    const start = parseDay('2024-03-31', 'Europe/Berlin');
+    const end = parseDayEnd('2024-03-31', 'Europe/Berlin');
+    assert.equal(start.toISOString(), '2024-03-30T23:00:00.000Z');
+    assert.equal(end.toISOString(), '2024-03-31T22:00:00.000Z');
+    assert.equal(end - start, 23 * HOUR);
+});
+
+test('the fall-back day in New York is 25 hours long', () => {
+    const start = parseDay('2024-11-03', 'America/New_York');
+    const end = parseDayEnd('2024-11-03', 'America/New_York');
+    assert.equal(start.toISOString(), '2024-11-03T04:00:00.000Z');
+    assert.equal(end.toISOString(), '2024-11-04T05:00:00.000Z');
+    assert.equal(end - start, 25 * HOUR);
+});
+
+test('a day that skips midnight starts at its first moment', () => {
+    // Santiago moved its clocks from 00:00 to 01:00 on 2024-09-08
+    assert.equal(formatTimestamp(startOfDay('2024-09-08', 'America/Santiago'), 'America/Santiago'), '2024-09-08T01:00:00.000-03:00');
+});
+
+test('timestamps around the change keep their local day and offset', () => {
+    const beforeChange = new Date('2024-03-31T00:59:59.000Z');
+    const afterChange = new Date('2024-03-31T01:00:00.000Z');
+    assert.equal(formatTimestamp(beforeChange, 'Europe/Berlin'), '2024-03-31T01:59:59.000+01:00');
+    assert.equal(formatTimestamp(afterChange, 'Europe/Berlin'), '2024-03-31T03:00:00.000+02:00');
+    assert.equal(dayInZone(new Date('2024-03-30T23:30:00.000Z'), 'Europe/Berlin'), '2024-03-31');
+});
+
+test('toDayRange spans whole days in the zone, end exclusive', () => {
+    assert.deepEqual(toDayRange('2024-03-30', '2024-03-31', 'Europe/Berlin'), {
+        start: '2024-03-29T23:00:00.000Z',
+        end: '2024-03-31T22:00:00.000Z',
+    });
+    assert.deepEqual(toDayRange(undefined, undefined), {});
+});
+
+test('invalid days are rejected', () => {
+    assert.equal(parseDay('2024-02-30'), null);
+    assert.equal(parseDayEnd('03/01/2024'), null);
+    assert.equal(toDayRange('2024-13-01', '2024-03-01'), null);
+});
+
+test('time zone names are validated and canonicalized', () => {
+    assert.deepEqual(resolveTimeZone(undefined), { timeZone: 'UTC' });
+    assert.deepEqual(resolveTimeZone('europe/berlin'), { timeZone: 'Europe/Berlin' });
+    assert.deepEqual(resolveTimeZone('Etc/UTC'), { timeZone: 'UTC' });
+    assert.match(resolveTimeZone('Mars/Olympus_Mons').error, /Unknown time zone/);
+});
+
+test('rows get their timestamps written in the zone', () => {
+    const rows = [{ symbol: 'btc', timestamp: '2024-07-01T12:00:00.000Z', executed_at: new Date('2024-01-01T12:00:00.000Z') }];
+    assert.deepEqual(withZonedTimestamps(rows, 'Europe/Berlin', ['timestamp', 'executed_at', 'missing']), [
+        { symbol: 'btc', timestamp: '2024-07-01T14:00:00.000+02:00', executed_at: '2024-01-01T13:00:00.000+01:00' },
+    ]);
+    assert.equal(formatTimestamp(null, 'Europe/Berlin'), null);
+    assert.equal(formatTimestamp('2024-07-01T12:00:00.000Z'), '2024-07-01T12:00:00.000+00:00');
+    assert.equal(wallClockDate('2024-07-01T12:00:00.000Z', 'Asia/Kolkata').toISOString(), '2024-07-01T17:30:00.000Z');
+});
@@ -0,0 +1,44 @@
+// test/downsample.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lttb } = require('../lib/downsample');
+
+const START = Date.parse('2024-03-01T00:00:00.000Z');
+
+// One row per minute with the given prices
+const series = (prices) => prices.map((price, index) => ({
+    timestamp: new Date(START + index * 60000).toISOString(),
+    current_price: price,
+}));
+
+test('returns the rows unchanged when they already fit', () => {
+    const rows = series([1, 2, 3, 4]);
+    assert.equal(lttb(rows, 4), rows);
+    assert.equal(lttb(rows, 10), rows);
+    assert.equal(lttb(rows, 2), rows); // Below the minimum of 3
+});
+
+test('keeps the first and last row and returns maxPoints rows in order', () => {
+    const rows = series(Array.from({ length: 1000 }, (_, index) => Math.sin(index / 20) * 100 + 1000));
+    const sampled = lttb(rows, 50);
+    assert.equal(sampled.length, 50);
+    assert.equal(sampled[0], rows[0]);
+    assert.equal(sampled[sampled.length - 1], rows[rows.length - 1]);
+    for (let i = 1; i < sampled.length; i++) {
+        assert.ok(sampled[i].timestamp > sampled[i - 1].timestamp);
+    }
+});
+
+test('keeps a spike that a flat series would otherwise lose', () => {
+    const prices = Array(100).fill(10);
+    prices[37] = 500;
+    prices[71] = -200;
+    const sampled = lttb(series(prices), 10);
+    assert.ok(sampled.some(row => row.current_price === 500));
+    assert.ok(sampled.some(row => row.current_price === -200));
+});
+
+test('plots the value picked by valueOf', () => {
+    const rows = series(Array(50).fill(10)).map((row, index) => ({ ...row, market_cap: index === 20 ? 9e12 : 1e12 }));
+    assert.ok(lttb(rows, 5, row => row.market_cap).includes(rows[20]));
+});
@@ -0,0 +1,104 @@
+// test/export.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PassThrough } = require('stream');
+const express = require('express');
+const { createExportWriter } = require('../lib/export');
+const { createExportRouter } = require('../routes/export');
+const { createCurrencyService } = require('../lib/currency');
+const { loadRollupConfig } = require('../lib/rollups');
+const { createStorage } = require('../storage');
+const { createMigrator } = require('../storage/migrations');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+const ROWS = [
+    { symbol: 'btc', name: 'Bitcoin', current_price: 65000, market_cap: 1.2e12, total_volume: null, timestamp: new Date('2024-03-01T00:00:00.000Z') },
+    { symbol: 'abc', name: 'A "quoted", coin', current_price: 0.5, market_cap: 10, total_volume: 2, timestamp: new Date('2024-03-01T00:05:00.000Z') },
+];
+
+// Everything a writer writes to its stream, once it ended
+async function writeAll(format, batches, options) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise(resolve => stream.on('end', resolve));
+    const writer = createExportWriter(format, stream, options);
+    for (const rows of batches) {
+        await writer.write(rows);
+    }
+    await writer.end();
+    await finished;
+    return Buffer.concat(chunks);
+}
+
+test('CSV exports have one header row and quote fields that need it', async () => {
+    const csv = (await writeAll('csv', [ROWS.slice(0, 1), ROWS.slice(1)])).toString();
+    assert.equal(csv, [
+        'symbol,name,current_price,market_cap,total_volume,timestamp',
+        'btc,Bitcoin,65000,1200000000000,,2024-03-01T00:00:00.000+00:00',
+        'abc,"A ""quoted"", coin",0.5,10,2,2024-03-01T00:05:00.000+00:00',
+        '',
+    ].join('\n'));
+});
+
+test('empty CSV exports still have the header row', async () => {
+    assert.equal((await writeAll('csv', [])).toString(), 'symbol,name,current_price,market_cap,total_volume,timestamp\n');
+});
+
+test('JSON Lines exports write one object per row', async () => {
+    const lines = (await writeAll('jsonl', [ROWS])).toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines[0], { symbol: 'btc', name: 'Bitcoin', current_price: 65000, market_cap: 1.2e12, total_volume: null, timestamp: '2024-03-01T00:00:00.000+00:00' });
+    assert.equal(lines.length, 2);
+});
+
+test('timestamps are written in the export time zone', async () => {
+    const lines = (await writeAll('jsonl', [ROWS], { timeZone: 'America/New_York' })).toString().trim().split('\n');
+    assert.equal(JSON.parse(lines[0]).timestamp, '2024-02-29T19:00:00.000-05:00');
+});
+
+test('XLSX exports are zip files', async () => {
+    const xlsx = await writeAll('xlsx', [ROWS]);
+    assert.equal(xlsx.subarray(0, 2).toString(), 'PK');
+});
+
+test('history exports page through every row of every symbol', async () => {
+    const { db, prices } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    const currencyService = createCurrencyService(db);
+    await createMigrator(db).migrate();
+    // More rows than one export page, plus one outside the range
+    const start = Date.parse('2024-03-01T00:00:00.000Z');
+    await prices.insertPrices(Array.from({ length: 1500 }, (_, index) => ({
+        symbol: 'btc', name: 'Bitcoin', current_price: index, market_cap: 1, total_volume: 1, timestamp: new Date(start + index * 60000),
+    })));
+    await prices.insertPrices([
+        { symbol: 'eth', name: 'Ethereum', current_price: 3000, market_cap: 1, total_volume: 1, timestamp: new Date('2024-03-01T12:00:00.000Z') },
+        { symbol: 'eth', name: 'Ethereum', current_price: 3100, market_cap: 1, total_volume: 1, timestamp: new Date('2024-03-05T12:00:00.000Z') },
+    ]);
+
+    const app = express();
+    // Long enough raw retention that the 2024 rows are still read raw
+    const rollupConfig = loadRollupConfig({ RAW_RETENTION_DAYS: '36500' });
+    app.use('/api/crypto', createExportRouter({ prices, currencyService, resolveCurrency: async () => ({ currency: 'usd' }), rollupConfig }));
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/crypto`;
+
+    const res = await fetch(`${baseUrl}/history/btc,ETH/export?format=jsonl&startDate=2024-03-01&endDate=2024-03-02`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /btc-eth-history-2024-03-01_2024-03-02\.jsonl/);
+    const lines = (await res.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, 1501);
+    assert.deepEqual(lines.slice(-2).map(line => line.current_price), [1499, 3000]);
+
+    for (const format of ['pdf', 'constructor', '__proto__']) {
+        const rejected = await fetch(`${baseUrl}/history/btc/export?format=${format}`);
+        assert.equal(rejected.status, 400);
+        assert.match((await rejected.json()).error, /Supported formats: csv, jsonl, xlsx/);
+    }
+
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+});
@@ -0,0 +1,62 @@
+// test/frontend.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { createFrontendRouter } = require('../routes/frontend');
+
+async function listen(app) {
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('serves the build under the base path with index.html for every page', async () => {
+    const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'frontend-test-'));
+    fs.mkdirSync(path.join(buildDir, 'static', 'js'), { recursive: true });
+    fs.writeFileSync(path.join(buildDir, 'index.html'), '<html><head><title>Dashboard</title></head><body></body></html>');
+    fs.writeFileSync(path.join(buildDir, 'static', 'js', 'main.abc123.js'), 'console.log(1);');
+    fs.writeFileSync(path.join(buildDir, 'favicon.ico'), '');
+
+    const app = express();
+    app.use('/crypto', createFrontendRouter({ buildDir, basePath: '/crypto' }));
+    app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+    const { server, baseUrl } = await listen(app);
+
+    try {
+        const page = await fetch(`${baseUrl}/crypto/coin/btc`, { headers: { Accept: 'text/html' } });
+        assert.equal(page.status, 200);
+        assert.equal(page.headers.get('cache-control'), 'no-cache');
+        assert.match(await page.text(), /<head><base href="\/crypto\/"><script>window.__APP_CONFIG__ = \{"basePath":"\/crypto"\};<\/script><title>/);
+
+        const script = await fetch(`${baseUrl}/crypto/static/js/main.abc123.js`);
+        assert.equal(script.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+        assert.equal(await script.text(), 'console.log(1);');
+        const favicon = await fetch(`${baseUrl}/crypto/favicon.ico`);
+        assert.notEqual(favicon.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+        await favicon.arrayBuffer();
+
+        // API calls and requests that don't want a page fall through
+        const api = await fetch(`${baseUrl}/crypto/api/nothing`, { headers: { Accept: 'text/html' } });
+        assert.equal(api.status, 404);
+        assert.deepEqual(await api.json(), { error: 'Not found' });
+        const json = await fetch(`${baseUrl}/crypto/somewhere`, { headers: { Accept: 'application/json' } });
+        assert.equal(json.status, 404);
+        await json.arrayBuffer();
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(buildDir, { recursive: true, force: true });
+    }
+});
+
+test('refuses a build directory without index.html', () => {
+    const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'frontend-test-'));
+    try {
+        assert.throws(() => createFrontendRouter({ buildDir, basePath: '' }), /has no index.html/);
+    } finally {
+        fs.rmSync(buildDir, { recursive: true, force: true });
+    }
+});
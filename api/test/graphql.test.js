@@ -0,0 +1,212 @@
+// test/graphql.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { parse, subscribe } = require('graphql');
+const { createGraphqlService, maskErrors } = require('../lib/graphql');
+const { createGraphqlRouter } = require('../routes/graphql');
+const { createCurrencyService } = require('../lib/currency');
+const { loadRollupConfig } = require('../lib/rollups');
+const { createStorage } = require('../storage');
+const { createMigrator } = require('../storage/migrations');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+const NOW = Date.now();
+const MINUTE = 60 * 1000;
+
+// A GraphQL service over an in-memory database with two coins and an hour of btc/eth history.
+// `historyCalls` counts the history statements the service runs.
+async function createTestGraphql() {
+    const { db, prices } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    await createMigrator(db).migrate();
+    const currencyService = createCurrencyService(db);
+    const rows = [];
+    for (let minutes = 60; minutes >= 0; minutes -= 5) {
+        const timestamp = new Date(NOW - minutes * MINUTE);
+        rows.push({ symbol: 'btc', name: 'Bitcoin', current_price: 60000 + minutes, market_cap: 750, total_volume: 10, timestamp });
+        rows.push({ symbol: 'eth', name: 'Ethereum', current_price: 3000 + minutes, market_cap: 250, total_volume: 5, timestamp });
+    }
+    await prices.insertPrices(rows);
+
+    const historyCalls = [];
+    const getHistoryForSymbols = prices.getHistoryForSymbols;
+    prices.getHistoryForSymbols = (...args) => {
+        historyCalls.push(args);
+        return getHistoryForSymbols(...args);
+    };
+    const service = createGraphqlService({
+        prices,
+        currencyService,
+        resolveCurrency: async (value) => ((value || 'usd') === 'usd' ? { currency: 'usd' } : { error: `Unsupported currency '${value}'.` }),
+        getLatestRows: () => prices.getLatestPrices(),
+        rollupConfig: loadRollupConfig({}),
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/graphql', createGraphqlRouter(service));
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/graphql`;
+
+    return {
+        service,
+        historyCalls,
+        query: async (query, variables) => {
+            const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ query, variables }) });
+            return { status: res.status, body: await res.json() };
+        },
+        get: (params) => fetch(`${url}?${new URLSearchParams(params)}`),
+        close: async () => {
+            await new Promise(resolve => server.close(resolve));
+            await db.close();
+        },
+    };
+}
+
+test('loads the history of every coin in one statement', async () => {
+    const graphql = await createTestGraphql();
+    const { status, body } = await graphql.query(`{
+        coins { symbol current_price history { timestamp current_price } }
+    }`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.coins.map(coin => [coin.symbol, coin.current_price, coin.history.length]), [
+        ['btc', 60000, 13],
+        ['eth', 3000, 13],
+    ]);
+    assert.equal(body.data.coins[0].history[0].timestamp, new Date(NOW - 60 * MINUTE).toISOString());
+    assert.equal(graphql.historyCalls.length, 1);
+    assert.deepEqual(graphql.historyCalls[0][0], ['btc', 'eth']);
+
+    await graphql.close();
+});
+
+test('computes market totals and narrows coins by symbol', async () => {
+    const graphql = await createTestGraphql();
+    const { body } = await graphql.query(`query Market($symbols: [String!]) {
+        market { coin_count total_market_cap btc_dominance coins(symbols: $symbols) { symbol } }
+        coin(symbol: "ETH") { name }
+    }`, { symbols: [' ETH '] });
+
+    assert.deepEqual(body.data, {
+        market: { coin_count: 2, total_market_cap: 1000, btc_dominance: 75, coins: [{ symbol: 'eth' }] },
+        coin: { name: 'Ethereum' },
+    });
+
+    const get = await graphql.get({ query: '{ coins(limit: 1) { symbol } }' });
+    assert.deepEqual(await get.json(), { data: { coins: [{ symbol: 'btc' }] } });
+
+    await graphql.close();
+});
+
+test('reports invalid input as BAD_USER_INPUT errors', async () => {
+    const graphql = await createTestGraphql();
+
+    let { status, body } = await graphql.query('{ coins(currency: "xyz") { symbol } }');
+    assert.equal(status, 200);
+    assert.equal(body.errors[0].extensions.code, 'BAD_USER_INPUT');
+    assert.match(body.errors[0].message, /Unsupported currency/);
+
+    ({ body } = await graphql.query('{ coins { history(start: "yesterday-ish") { timestamp } } }'));
+    assert.match(body.errors[0].message, /'start' must be an ISO 8601 date/);
+
+    ({ body } = await graphql.query('{ coins { history(start: "2024-03-02", end: "2024-03-01") { timestamp } } }'));
+    assert.match(body.errors[0].message, /'start' must be before 'end'/);
+
+    await graphql.close();
+});
+
+test('limits explicit resolutions to the range they are read at', async () => {
+    const graphql = await createTestGraphql();
+
+    let { body } = await graphql.query('{ coins { history(start: "2021-01-01", end: "2024-12-31", resolution: RAW) { timestamp } } }');
+    assert.equal(body.errors[0].extensions.code, 'BAD_USER_INPUT');
+    assert.match(body.errors[0].message, /RAW history can cover at most 7 days/);
+    ({ body } = await graphql.query('{ coins { history(start: "2024-01-01", end: "2024-06-01", resolution: HOURLY) { timestamp } } }'));
+    assert.match(body.errors[0].message, /HOURLY history can cover at most 90 days/);
+
+    ({ body } = await graphql.query('{ coins { history(start: "2021-01-01", end: "2024-12-31", resolution: DAILY) { timestamp } } }'));
+    assert.equal(body.errors, undefined);
+    ({ body } = await graphql.query('{ coin(symbol: "btc") { history(resolution: RAW) { timestamp } } }'));
+    assert.equal(body.data.coin.history.length, 13);
+
+    await graphql.close();
+});
+
+test('rejects operations beyond the depth and cost limits', async () => {
+    const graphql = await createTestGraphql();
+
+    // Aliases and fragment spreads count every time they appear
+    const aliases = Array.from({ length: 10 }, (_, i) => `h${i}: history { timestamp }`).join(' ');
+    let { status, body } = await graphql.query(`{ coins { ${aliases} } }`);
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /costs \d+, more than the 1000 allowed/);
+    ({ status } = await graphql.query(`{ a: coins { ...h } b: coins { ...h } } fragment h on Coin { ${aliases.slice(0, aliases.indexOf('h5:'))} }`));
+    assert.equal(status, 400);
+    assert.equal(graphql.historyCalls.length, 0);
+
+    ({ status } = await graphql.query(`{ coins { ${aliases.slice(0, aliases.indexOf('h5:'))} } }`));
+    assert.equal(status, 200);
+
+    // Introspection nests deepest; the usual type references fit, endless ones don't
+    const typeRef = (depth) => (depth === 0 ? 'name' : `name ofType { ${typeRef(depth - 1)} }`);
+    ({ status } = await graphql.query(`{ __schema { types { fields { type { ${typeRef(7)} } } } } }`));
+    assert.equal(status, 200);
+    ({ status, body } = await graphql.query(`{ __schema { types { fields { type { ${typeRef(12)} } } } } }`));
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /at most 15 are allowed/);
+
+    // A fragment cycle is reported as one, not measured forever
+    ({ status, body } = await graphql.query('{ coins { ...a } } fragment a on Coin { ...b } fragment b on Coin { ...a }'));
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /Cannot spread fragment/);
+
+    await graphql.close();
+});
+
+test('answers requests that cannot run with 400', async () => {
+    const graphql = await createTestGraphql();
+
+    assert.equal((await graphql.query('{ coins { symbol ')).status, 400);
+    assert.equal((await graphql.query('{ coins { price } }')).status, 400);
+    assert.equal((await graphql.query('')).status, 400);
+    const { status, body } = await graphql.query('subscription { priceUpdates { seq } }');
+    assert.equal(status, 400);
+    assert.match(body.errors[0].message, /not supported over HTTP/);
+    assert.equal((await (await graphql.get({ query: '{ coins { symbol } }', variables: 'not json' })).json()).errors[0].message, "'variables' must be a JSON object.");
+
+    await graphql.close();
+});
+
+test('publishes each delta to price update subscriptions', async () => {
+    const graphql = await createTestGraphql();
+    const iterator = await subscribe({
+        schema: graphql.service.schema,
+        document: parse('subscription { priceUpdates(symbols: ["eth"]) { seq currency coins { symbol current_price } } }'),
+        contextValue: graphql.service.createContext(),
+    });
+
+    const next = iterator.next();
+    graphql.service.publish({ seq: 7, changed: [{ symbol: 'btc', name: 'Bitcoin', current_price: 1, timestamp: new Date() }, { symbol: 'eth', name: 'Ethereum', current_price: 2, timestamp: new Date() }] });
+    // Execution results are null-prototype objects; compare them as the JSON a client receives
+    const { value } = await next;
+    assert.deepEqual(JSON.parse(JSON.stringify(value.data.priceUpdates)), { seq: 7, currency: 'usd', coins: [{ symbol: 'eth', current_price: 2 }] });
+
+    await iterator.return();
+    await graphql.close();
+});
+
+test('hides the details of unexpected errors', () => {
+    mock.method(console, 'error', () => {});
+    const { GraphQLError } = require('graphql');
+    const internal = new GraphQLError('connection refused', { path: ['coins'], originalError: new Error('connection refused') });
+    const input = new GraphQLError('bad start', { originalError: new GraphQLError('bad start') });
+
+    const { errors } = maskErrors({ data: null, errors: [internal, input] });
+    assert.deepEqual(errors.map(error => error.message), ['Internal server error', 'bad start']);
+    assert.deepEqual(errors[0].path, ['coins']);
+});
@@ -0,0 +1,91 @@
+// test/health.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createHealthRouter } = require('../routes/health');
+const { createMetrics, ageSeconds, loadMonitoringConfig } = require('../lib/metrics');
+const { createStorage } = require('../storage');
+const { createMigrator } = require('../storage/migrations');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+async function listen(app) {
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('computes data ages in seconds', () => {
+    assert.equal(ageSeconds(null), null);
+    assert.equal(ageSeconds('2024-03-01T00:00:00.000Z', Date.parse('2024-03-01T00:01:30.000Z')), 90);
+    assert.equal(ageSeconds('2024-03-01T00:00:00.000Z', Date.parse('2024-02-01T00:00:00.000Z')), 0);
+    assert.deepEqual(loadMonitoringConfig({ STALE_DATA_AFTER_SECONDS: '60' }), { staleAfterSeconds: 60, readyTimeoutMs: 2000 });
+});
+
+test('reports readiness with the age of the newest price', async () => {
+    const statements = [];
+    const { db, prices } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } }, { onQuery: sql => statements.push(sql) });
+    await createMigrator(db).migrate();
+    const app = express();
+    app.use('/api', createHealthRouter({ db, prices, config: { staleAfterSeconds: 600, readyTimeoutMs: 2000 } }));
+    const { server, baseUrl } = await listen(app);
+
+    assert.equal((await (await fetch(`${baseUrl}/api/health`)).json()).status, 'ok');
+    let body = await (await fetch(`${baseUrl}/api/ready`)).json();
+    assert.equal(body.status, 'ready');
+    assert.deepEqual(body.data, { newest_timestamp: null, age_seconds: null, stale_after_seconds: 600, stale: true });
+
+    const timestamp = new Date(Date.now() - 60 * 1000);
+    await prices.insertPrices([{ symbol: 'btc', name: 'Bitcoin', current_price: 1, market_cap: 1, total_volume: 1, timestamp }]);
+    statements.length = 0;
+    body = await (await fetch(`${baseUrl}/api/ready`)).json();
+    assert.equal(body.data.newest_timestamp, timestamp.toISOString());
+    assert.equal(body.data.stale, false);
+    // The newest price comes from the one-row-per-symbol table, not a scan of every price
+    assert.deepEqual(statements.filter(sql => /MAX\(timestamp\)/.test(sql)), ['SELECT MAX(timestamp) AS newest FROM latest_prices;']);
+
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+});
+
+test('is unready while the database does not answer', async () => {
+    mock.method(console, 'error', () => {});
+    const db = { query: () => new Promise(() => {}) };
+    const app = express();
+    app.use('/api', createHealthRouter({ db, prices: {}, config: { staleAfterSeconds: 600, readyTimeoutMs: 20 } }));
+    const { server, baseUrl } = await listen(app);
+
+    const res = await fetch(`${baseUrl}/api/ready`);
+    assert.equal(res.status, 503);
+    assert.deepEqual((await res.json()).checks.database, { status: 'error', error: 'No response within 20 ms' });
+
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('exposes request, query and live client metrics', async () => {
+    const metrics = createMetrics({ getNewestPriceTime: async () => null, getWebSocketClientCount: () => 3, getSseClientCount: () => 1 });
+    const app = express();
+    app.use(metrics.requestTimer);
+    app.get('/api/crypto/history/:symbol', (req, res) => res.json([]));
+    const { server, baseUrl } = await listen(app);
+
+    await (await fetch(`${baseUrl}/api/crypto/history/btc`)).arrayBuffer();
+    await (await fetch(`${baseUrl}/nowhere`)).arrayBuffer();
+    metrics.observeQuery('  SELECT * FROM prices', 0.002);
+    metrics.observeQuery('PRAGMA journal_mode', 0.001);
+    metrics.recordBroadcast('delta', 2);
+
+    const text = await metrics.render();
+    assert.match(text, /crypto_api_http_request_duration_seconds_count\{method="GET",route="\/api\/crypto\/history\/:symbol",status_code="200"\} 1/);
+    assert.match(text, /route="unmatched",status_code="404"\} 1/);
+    assert.match(text, /crypto_api_db_query_duration_seconds_count\{operation="select"\} 1/);
+    assert.match(text, /crypto_api_db_query_duration_seconds_count\{operation="other"\} 1/);
+    assert.match(text, /crypto_api_websocket_clients 3/);
+    assert.match(text, /crypto_api_sse_clients 1/);
+    assert.match(text, /crypto_api_websocket_messages_sent_total\{type="delta"\} 2/);
+    assert.match(text, /crypto_api_newest_price_age_seconds -1/);
+
+    await new Promise(resolve => server.close(resolve));
+});
@@ -0,0 +1,64 @@
+// test/indicators.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sma, ema, rsi, bbands, macd, parseIndicators, attachIndicators } = require('../lib/indicators');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+
+test('computes moving averages with null until the period is filled', () => {
+    assert.deepEqual(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    // Seeded with the SMA of the first 3 values, then k = 0.5
+    assert.deepEqual(ema([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    assert.deepEqual(ema([null, 2, 4, 6, 8], 2), [null, null, 3, 5, 7]);
+});
+
+test('computes RSI with Wilder smoothing', () => {
+    assert.deepEqual(rsi([1, 2, 3, 4], 2), [null, null, 100, 100]);
+    const values = rsi([10, 11, 10, 11, 10], 2);
+    assert.deepEqual(values.slice(0, 2), [null, null]);
+    close(values[2], 50);
+    close(values[3], 75);
+    close(values[4], 37.5);
+});
+
+test('computes Bollinger Bands around the SMA', () => {
+    const [first, , third] = bbands([1, 3, 5], 2, 2);
+    assert.equal(first, null);
+    assert.deepEqual(third, { middle: 4, upper: 6, lower: 2 });
+});
+
+test('computes the MACD line, signal and histogram', () => {
+    const values = macd([1, 2, 3, 4, 5, 6], 2, 3, 2);
+    assert.equal(values[1], null);
+    assert.deepEqual(values[2], { macd: 0.5, signal: null, histogram: null });
+    assert.deepEqual(values[3], { macd: 0.5, signal: 0.5, histogram: 0 });
+});
+
+test('parses indicator lists into canonical keys with defaults', () => {
+    const { indicators } = parseIndicators('SMA:20, ema:50,rsi,bbands:20:2.5,macd,sma:20');
+    assert.deepEqual(indicators.map(indicator => indicator.key), ['sma:20', 'ema:50', 'rsi:14', 'bbands:20:2.5', 'macd:12:26:9']);
+    assert.deepEqual(indicators[3].params, { period: 20, stdDev: 2.5 });
+});
+
+test('rejects unknown indicators and invalid parameters', () => {
+    assert.match(parseIndicators('vwap').error, /Unknown indicator 'vwap'/);
+    assert.match(parseIndicators('constructor').error, /Unknown indicator 'constructor'/);
+    assert.match(parseIndicators('sma,__proto__:2').error, /Unknown indicator '__proto__'/);
+    assert.match(parseIndicators('').error, /between 1 and 10/);
+    assert.match(parseIndicators(Array(11).fill('sma').join(',')).error, /between 1 and 10/);
+    assert.match(parseIndicators('sma:20:5').error, /Too many parameters/);
+    assert.match(parseIndicators('sma:0').error, /Invalid period/);
+    assert.match(parseIndicators('sma:1.5').error, /Invalid period/);
+    assert.match(parseIndicators('bbands:20:0').error, /Invalid stdDev/);
+    assert.match(parseIndicators('macd:26:12').error, /fast period must be shorter/);
+});
+
+test('attaches indicator values to every point', () => {
+    const points = [{ close: 1 }, { close: 2 }, { close: 3 }];
+    const { indicators } = parseIndicators('sma:2');
+    assert.deepEqual(attachIndicators(points, indicators, point => point.close), [
+        { close: 1, indicators: { 'sma:2': null } },
+        { close: 2, indicators: { 'sma:2': 1.5 } },
+        { close: 3, indicators: { 'sma:2': 2.5 } },
+    ]);
+});
@@ -0,0 +1,40 @@
+// test/ingestion.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateMarketItems } = require('../ingestion/validate');
+const { createMockProvider } = require('../ingestion/providers/mock');
+
+const TIMESTAMP = new Date('2024-03-01T12:00:00.000Z');
+
+test('turns market items into price records', () => {
+    const { records, skipped } = validateMarketItems([
+        { symbol: ' BTC ', name: 'Bitcoin', current_price: '65000.5', market_cap: 1e12, total_volume: '' },
+    ], TIMESTAMP);
+    assert.deepEqual(records, [
+        { symbol: 'btc', name: 'Bitcoin', current_price: 65000.5, market_cap: 1e12, total_volume: null, timestamp: TIMESTAMP },
+    ]);
+    assert.deepEqual(skipped, []);
+});
+
+test('skips items without a symbol, name or price', () => {
+    const items = [
+        { symbol: 'btc', name: 'Bitcoin', current_price: null },
+        { symbol: '', name: 'Nothing', current_price: 1 },
+        { symbol: 'eth', current_price: 3000 },
+        null,
+    ];
+    const { records, skipped } = validateMarketItems(items, TIMESTAMP);
+    assert.deepEqual(records, []);
+    assert.equal(skipped.length, 4);
+});
+
+test('the mock provider repeats the same prices for the same seed', async () => {
+    const first = createMockProvider({ seed: 7 });
+    const second = createMockProvider({ seed: 7 });
+    for (let run = 0; run < 3; run++) {
+        assert.deepEqual(await first.fetchMarkets(), await second.fetchMarkets());
+    }
+    const other = await createMockProvider({ seed: 8 }).fetchMarkets();
+    const again = await createMockProvider({ seed: 7 }).fetchMarkets();
+    assert.notDeepEqual(other, again);
+});
@@ -0,0 +1,83 @@
+// test/migrations.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMigrations, createMigrator } = require('../storage/migrations');
+const { createStorage } = require('../storage');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+const createDb = () => createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+
+const tableNames = async (db) =>
+    (await db.query("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name;")).map(row => row.name);
+
+test('loads the migrations in version order', () => {
+    const versions = loadMigrations().map(migration => migration.version);
+    assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+    assert.deepEqual(versions.slice(0, 3), [1, 2, 3]);
+});
+
+test('applies pending migrations once and rolls them back newest first', async () => {
+    const { db } = createDb();
+    const migrator = createMigrator(db);
+    const all = loadMigrations();
+
+    assert.equal((await migrator.migrate({ to: 1 })).length, 1);
+    assert.deepEqual((await migrator.pending()).map(migration => migration.version), all.slice(1).map(migration => migration.version));
+    assert.equal((await migrator.migrate()).length, all.length - 1);
+    assert.deepEqual(await migrator.migrate(), []);
+    assert.ok((await migrator.status()).every(migration => migration.applied && migration.applied_at));
+    assert.ok((await tableNames(db)).includes('latest_prices'));
+
+    const reverted = await migrator.rollback({ steps: all.length - 2 });
+    assert.deepEqual(reverted.map(migration => migration.version), all.slice(2).map(migration => migration.version).reverse());
+    assert.ok(!(await tableNames(db)).includes('latest_prices'));
+    assert.equal((await migrator.pending()).length, all.length - 2);
+
+    await db.close();
+});
+
+test('a failed migration leaves nothing half applied', async () => {
+    const { db } = createDb();
+    const migrator = createMigrator(db, {
+        migrations: [
+            { version: 1, name: 'good', up: tx => tx.query('CREATE TABLE good (id INTEGER);'), down: async () => {} },
+            {
+                version: 2,
+                name: 'bad',
+                up: async (tx) => {
+                    await tx.query('CREATE TABLE half (id INTEGER);');
+                    await tx.query('SELECT * FROM missing_table;');
+                },
+                down: async () => {},
+            },
+        ],
+    });
+
+    await assert.rejects(migrator.migrate());
+    assert.deepEqual((await migrator.status()).map(migration => migration.applied), [true, false]);
+    const tables = await tableNames(db);
+    assert.ok(tables.includes('good'));
+    assert.ok(!tables.includes('half'));
+
+    await db.close();
+});
+
+test('latest_prices keeps the newest row per symbol, whatever the insert order', async () => {
+    const { db, prices } = createDb();
+    const row = (price, timestamp) => ({ symbol: 'btc', name: 'Bitcoin', current_price: price, market_cap: 1, total_volume: 1, timestamp: new Date(timestamp) });
+
+    // Rows that exist before the migration are copied into the table
+    await createMigrator(db).migrate({ to: 2 });
+    await prices.insertPrices([row(100, '2024-03-01T00:00:00.000Z'), row(110, '2024-03-01T00:05:00.000Z')]);
+    await createMigrator(db).migrate();
+    assert.deepEqual((await prices.getLatestPrices()).map(latest => latest.current_price), [110]);
+
+    // Later rows go through the trigger; a late, older row doesn't replace a newer one
+    await prices.insertPrices([row(120, '2024-03-01T00:10:00.000Z')]);
+    await prices.insertPrices([row(90, '2024-03-01T00:02:00.000Z')]);
+    assert.deepEqual((await prices.getLatestPrices()).map(latest => latest.current_price), [120]);
+
+    await db.close();
+});
@@ -0,0 +1,32 @@
+// test/pagination.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, parsePagingParams } = require('../lib/pagination');
+
+test('a cursor decodes to the timestamp of the row it was made from', () => {
+    const cursor = encodeCursor({ timestamp: '2024-03-01T12:05:00.000Z' });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/); // base64url, safe in a query string
+    assert.equal(decodeCursor(cursor), '2024-03-01T12:05:00.000Z');
+});
+
+test('cursors of Date timestamps are normalized to ISO strings', () => {
+    assert.equal(decodeCursor(encodeCursor({ timestamp: new Date(Date.UTC(2024, 2, 1)) })), '2024-03-01T00:00:00.000Z');
+});
+
+test('malformed cursors decode to null', () => {
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(Buffer.from('{"after":"yesterday"}').toString('base64url')), null);
+    assert.equal(decodeCursor(Buffer.from('{"after":42}').toString('base64url')), null);
+});
+
+test('parsePagingParams reads a cursor together with a limit', () => {
+    const cursor = encodeCursor({ timestamp: '2024-03-01T12:05:00.000Z' });
+    assert.deepEqual(parsePagingParams({ limit: '500', cursor }), { maxPoints: null, limit: 500, after: '2024-03-01T12:05:00.000Z' });
+});
+
+test('parsePagingParams rejects invalid combinations', () => {
+    assert.ok(parsePagingParams({ cursor: 'abc' }).error); // No limit
+    assert.ok(parsePagingParams({ limit: '10', cursor: 'abc' }).error); // Malformed cursor
+    assert.ok(parsePagingParams({ limit: '10', maxPoints: '100' }).error);
+    assert.ok(parsePagingParams({ maxPoints: '2' }).error);
+});
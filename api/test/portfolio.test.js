@@ -0,0 +1,82 @@
+// test/portfolio.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTransactionInput, replayTransactions, createPortfolioService } = require('../lib/portfolio');
+const { createStorage } = require('../storage');
+const { createMigrator } = require('../storage/migrations');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+let nextId = 1;
+const tx = (symbol, side, quantity, price, date) => ({ id: nextId++, symbol, side, quantity, price, executed_at: `${date}T00:00:00.000Z` });
+
+const TRANSACTIONS = [
+    tx('btc', 'buy', 1, 30000, '2024-01-01'),
+    tx('btc', 'buy', 1, 50000, '2024-02-01'),
+    tx('btc', 'sell', 0.5, 60000, '2024-03-01'), // Average cost 40000: realizes 10000
+    tx('eth', 'buy', 10, 2000, '2024-01-15'),
+    tx('eth', 'sell', 10, 1500, '2024-02-15'), // Realizes -5000 and closes the position
+];
+
+test('replays transactions with average-cost P&L', () => {
+    const { positions } = replayTransactions(TRANSACTIONS);
+    assert.deepEqual(positions.get('btc'), { quantity: 1.5, costBasis: 60000, realizedPnl: 10000 });
+    assert.deepEqual(positions.get('eth'), { quantity: 0, costBasis: 0, realizedPnl: -5000 });
+});
+
+test('replays only up to `until`', () => {
+    const { positions } = replayTransactions(TRANSACTIONS, Date.parse('2024-01-31T00:00:00.000Z'));
+    assert.equal(positions.get('btc').quantity, 1);
+    assert.equal(positions.get('eth').quantity, 10);
+});
+
+test('rejects selling more than was held at the time', () => {
+    const { error } = replayTransactions([
+        tx('btc', 'sell', 1, 60000, '2024-01-01'),
+        tx('btc', 'buy', 1, 30000, '2024-02-01'),
+    ]);
+    assert.match(error, /Cannot sell 1 BTC: only 0 held on 2024-01-01/);
+});
+
+test('validates transaction input', () => {
+    const { values } = validateTransactionInput({ symbol: 'BTC', side: 'buy', quantity: '2', price: 30000, date: '2024-01-01' });
+    assert.deepEqual(values, { symbol: 'btc', side: 'buy', quantity: 2, price: 30000, executed_at: new Date('2024-01-01') });
+    assert.equal(validateTransactionInput({ symbol: '', side: 'hold', quantity: 0, price: -1, date: 'soon' }).errors.length, 5);
+    assert.ok(validateTransactionInput({ symbol: 'btc', side: 'buy', quantity: 1, price: 1, date: '2999-01-01' }).errors);
+});
+
+test('summarizes holdings with unrealized and realized P&L at the latest prices', async () => {
+    const { db, prices } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    const portfolio = createPortfolioService(db, prices);
+    await createMigrator(db).migrate();
+    await prices.insertPrices([
+        { symbol: 'btc', name: 'Bitcoin', current_price: 50000, market_cap: 1e12, total_volume: 1e10, timestamp: new Date('2024-04-01T00:00:00.000Z') },
+    ]);
+    for (const { symbol, side, quantity, price, executed_at } of TRANSACTIONS) {
+        const { error } = await portfolio.addTransaction({ symbol, side, quantity, price, executed_at: new Date(executed_at) });
+        assert.equal(error, undefined);
+    }
+
+    const { holdings, totals } = await portfolio.getSummary();
+    assert.equal(holdings.length, 1); // ETH was sold completely
+    assert.equal(holdings[0].symbol, 'btc');
+    assert.equal(holdings[0].average_cost, 40000);
+    assert.equal(holdings[0].market_value, 75000);
+    assert.equal(holdings[0].unrealized_pnl, 15000);
+    assert.equal(holdings[0].unrealized_pnl_pct, 25);
+    assert.equal(holdings[0].allocation_pct, 100);
+    assert.deepEqual(totals, { market_value: 75000, cost_basis: 60000, unrealized_pnl: 15000, realized_pnl: 5000 });
+    await db.close();
+});
+
+test('refuses a sell that exceeds the holdings', async () => {
+    const { db, prices } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    const portfolio = createPortfolioService(db, prices);
+    await createMigrator(db).migrate();
+    await portfolio.addTransaction({ symbol: 'btc', side: 'buy', quantity: 1, price: 100, executed_at: new Date('2024-01-01') });
+    const { error } = await portfolio.addTransaction({ symbol: 'btc', side: 'sell', quantity: 2, price: 100, executed_at: new Date('2024-01-02') });
+    assert.match(error, /only 1 held/);
+    assert.equal((await portfolio.listTransactions()).length, 1);
+    await db.close();
+});
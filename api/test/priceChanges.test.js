@@ -0,0 +1,34 @@
+// test/priceChanges.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { addPriceChanges } = require('../lib/priceChanges');
+
+const NOW = Date.parse('2024-03-08T12:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+test('computes changes against the price at each look-back time', async () => {
+    const calls = [];
+    const prices = {
+        getPricesAt: async (at, notBefore) => {
+            calls.push([NOW - at.getTime(), NOW - notBefore.getTime()]);
+            // Only 1h and 24h of history for btc, none for eth
+            return new Map(at.getTime() >= NOW - 24 * HOUR ? [['btc', at.getTime() === NOW - HOUR ? 80 : 200]] : []);
+        },
+    };
+    const rows = await addPriceChanges(prices, [
+        { symbol: 'btc', current_price: 100, timestamp: new Date(NOW).toISOString() },
+        { symbol: 'eth', current_price: 10, timestamp: new Date(NOW - HOUR).toISOString() },
+    ]);
+
+    // Look-backs are taken from the newest row, each no more than one extra period older
+    assert.deepEqual(calls, [[HOUR, 2 * HOUR], [24 * HOUR, 48 * HOUR], [168 * HOUR, 336 * HOUR]]);
+    assert.deepEqual(rows.map(({ change_1h, change_24h, change_7d }) => [change_1h, change_24h, change_7d]), [
+        [25, -50, null],
+        [null, null, null],
+    ]);
+});
+
+test('skips the lookups when there are no rows', async () => {
+    const prices = { getPricesAt: async () => assert.fail('no lookup expected') };
+    assert.deepEqual(await addPriceChanges(prices, []), []);
+});
@@ -0,0 +1,88 @@
+// test/rollups.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRollupConfig, pickResolution, finestResolution, createRollupService } = require('../lib/rollups');
+const { createStorage } = require('../storage');
+const { createMigrator } = require('../storage/migrations');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-06-01T00:00:00.000Z');
+const config = loadRollupConfig({}); // 30 days of raw rows, 730 of hourly ones
+
+const daysAgo = (days) => new Date(NOW - days * DAY).toISOString();
+
+test('short ranges read raw rows, longer ones hourly and then daily buckets', () => {
+    assert.equal(pickResolution({ start: daysAgo(7) }, config, NOW), 'raw');
+    assert.equal(pickResolution({ start: daysAgo(8) }, config, NOW), '1h');
+    assert.equal(pickResolution({ start: daysAgo(90) }, config, NOW), '1h');
+    assert.equal(pickResolution({ start: daysAgo(91) }, config, NOW), '1d');
+});
+
+test('the span ends at `end` when there is one', () => {
+    assert.equal(pickResolution({ start: daysAgo(20), end: daysAgo(15) }, config, NOW), 'raw');
+});
+
+test('a range without a start covers all history', () => {
+    assert.equal(pickResolution({}, config, NOW), '1d');
+});
+
+test('retention moves a short range to a coarser resolution', () => {
+    // Raw rows older than 30 days are gone, hourly ones after 730
+    assert.equal(pickResolution({ start: daysAgo(40), end: daysAgo(38) }, config, NOW), '1h');
+    assert.equal(pickResolution({ start: daysAgo(800), end: daysAgo(799) }, config, NOW), '1d');
+});
+
+test('candle intervals read the coarsest resolution that still gives exact candles', () => {
+    assert.equal(pickResolution({ start: daysAgo(1), interval: '5m' }, config, NOW), 'raw');
+    assert.equal(pickResolution({ start: daysAgo(1), interval: '4h' }, config, NOW), '1h');
+    assert.equal(pickResolution({ start: daysAgo(1), interval: '1w' }, config, NOW), '1d');
+    assert.equal(pickResolution({ start: daysAgo(40), interval: '5m' }, config, NOW), '1h');
+});
+
+test('exports read the finest resolution retention still has', () => {
+    assert.equal(finestResolution(daysAgo(10), config, NOW), 'raw');
+    assert.equal(finestResolution(daysAgo(40), config, NOW), '1h');
+    assert.equal(finestResolution(null, config, NOW), '1d');
+});
+
+test('short retention settings are raised so the 7d change keeps its rows', () => {
+    assert.equal(loadRollupConfig({ RAW_RETENTION_DAYS: '1' }).rawRetentionDays, 8);
+    assert.equal(loadRollupConfig({ HOURLY_RETENTION_DAYS: '0' }).hourlyRetentionDays, 0);
+});
+
+test('rolls raw rows into hourly and daily buckets and deletes them past retention', async () => {
+    const { db, prices } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    await createMigrator(db).migrate();
+    const rollups = createRollupService({ prices, config });
+    const start = Date.parse('2024-03-01T00:00:00.000Z');
+    const row = (symbol, minutes, price) => ({
+        symbol, name: symbol.toUpperCase(), current_price: price, market_cap: 1, total_volume: 1, timestamp: new Date(start + minutes * 60000),
+    });
+    await prices.insertPrices([row('btc', 0, 10), row('btc', 20, 30), row('btc', 40, 5), row('btc', 65, 20), row('eth', 10, 1)]);
+
+    assert.deepEqual(await rollups.rollup(), { '1h': 3, '1d': 2 });
+    const hourly = await prices.getHistory('btc', { resolution: '1h' });
+    // The bucket's close is read as its current_price
+    assert.deepEqual(hourly.map(({ open, high, low, current_price, sample_count }) => [open, high, low, current_price, sample_count]), [
+        [10, 30, 5, 5, 3],
+        [20, 20, 20, 20, 1],
+    ]);
+    const [daily] = await prices.getHistory('btc', { resolution: '1d' });
+    assert.deepEqual([daily.open, daily.high, daily.low, daily.current_price], [10, 30, 5, 20]);
+
+    // A new row rebuilds the open bucket instead of adding another one
+    await prices.insertPrices([row('btc', 70, 40)]);
+    await rollups.rollup();
+    assert.deepEqual((await prices.getHistory('btc', { resolution: '1h' })).map(bucket => bucket.current_price), [5, 40]);
+
+    // Raw rows go once they are past retention, except those of the newest (still open) bucket
+    const deleted = await rollups.applyRetention(start + 60 * DAY);
+    assert.deepEqual(deleted, { raw: 4, '1h': 0 });
+    assert.deepEqual((await prices.getHistory('btc')).map(raw => raw.current_price), [20, 40]);
+    assert.equal((await prices.getHistory('btc', { resolution: '1h' })).length, 2);
+
+    await db.close();
+});
@@ -0,0 +1,187 @@
+// test/security.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    computeSignature,
+    createSignatureVerifier,
+    checkApiKey,
+    getUpgradeApiKey,
+    isDashboardRequest,
+    createApiKeyAuth,
+    rateLimitClient,
+    createRateLimiter,
+    isOriginAllowed,
+} = require('../lib/security');
+
+const SECRET = 'test-secret';
+
+// Just enough of Express's req/res for the middleware
+const createRequest = ({ headers = {}, query = {}, body = '', remoteAddress = '203.0.113.7' } = {}) => ({
+    rawBody: Buffer.from(body),
+    socket: { remoteAddress },
+    ip: remoteAddress,
+    query,
+    headers,
+    get: name => headers[name.toLowerCase()],
+});
+
+const createResponse = () => ({
+    statusCode: 200,
+    body: null,
+    headers: {},
+    set(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+// Runs a middleware and returns the response, with `passed` set when it called next()
+const run = (middleware, req) => {
+    const res = createResponse();
+    middleware(req, res, () => {
+        res.passed = true;
+    });
+    return res;
+};
+
+const signedRequest = (body, timestamp = Math.floor(Date.now() / 1000)) => createRequest({
+    body,
+    headers: {
+        'x-signature-timestamp': String(timestamp),
+        'x-signature': `sha256=${computeSignature(SECRET, timestamp, body)}`,
+    },
+});
+
+test('accepts a correctly signed notification', () => {
+    const res = run(createSignatureVerifier({ secret: SECRET }), signedRequest('{"inserted":8}'));
+    assert.equal(res.passed, true);
+});
+
+test('rejects a replayed notification with 409', () => {
+    const verifier = createSignatureVerifier({ secret: SECRET });
+    const timestamp = Math.floor(Date.now() / 1000);
+    assert.equal(run(verifier, signedRequest('{"inserted":8}', timestamp)).passed, true);
+
+    const replay = run(verifier, signedRequest('{"inserted":8}', timestamp));
+    assert.equal(replay.passed, undefined);
+    assert.equal(replay.statusCode, 409);
+});
+
+test('rejects a signature over a different body', () => {
+    const req = signedRequest('{"inserted":8}');
+    req.rawBody = Buffer.from('{"inserted":9}');
+    const res = run(createSignatureVerifier({ secret: SECRET }), req);
+    assert.equal(res.statusCode, 401);
+});
+
+test('rejects timestamps outside the tolerance', () => {
+    const stale = Math.floor(Date.now() / 1000) - 301;
+    const res = run(createSignatureVerifier({ secret: SECRET, toleranceSeconds: 300 }), signedRequest('{}', stale));
+    assert.equal(res.statusCode, 401);
+});
+
+test('rejects requests without signature headers', () => {
+    const res = run(createSignatureVerifier({ secret: SECRET }), createRequest({ body: '{}' }));
+    assert.equal(res.statusCode, 401);
+});
+
+test('accepts only loopback clients without a secret', () => {
+    const verifier = createSignatureVerifier({ secret: null });
+    assert.equal(run(verifier, createRequest({ remoteAddress: '127.0.0.1' })).passed, true);
+    assert.equal(run(verifier, createRequest({ remoteAddress: '203.0.113.7' })).statusCode, 401);
+});
+
+test('checkApiKey passes everything without configured keys', () => {
+    assert.deepEqual(checkApiKey([], null), {});
+    assert.deepEqual(checkApiKey(['k1'], 'k1'), {});
+    assert.match(checkApiKey(['k1'], null).error, /API key is required/);
+    assert.equal(checkApiKey(['k1'], 'k2').error, 'Invalid API key.');
+});
+
+test('the API key middleware reads the header or the api_key parameter', () => {
+    const auth = createApiKeyAuth({ keys: ['k1'] });
+    const fromHeader = createRequest({ headers: { 'x-api-key': 'k1' } });
+    assert.equal(run(auth, fromHeader).passed, true);
+    assert.equal(fromHeader.apiKey, 'k1');
+    assert.equal(run(auth, createRequest({ query: { api_key: 'k1' } })).passed, true);
+    assert.equal(run(auth, createRequest({ query: { api_key: 'nope' } })).statusCode, 401);
+});
+
+test('recognises dashboard requests by their browser headers', () => {
+    const origins = ['http://localhost:3000'];
+    const request = (headers) => ({ headers: { host: 'api.example.com', ...headers } });
+    assert.equal(isDashboardRequest(request({ 'sec-fetch-site': 'same-origin' }), []), true);
+    assert.equal(isDashboardRequest(request({ origin: 'https://api.example.com' }), []), true); // WebSocket upgrades
+    assert.equal(isDashboardRequest(request({ origin: 'http://localhost:3000' }), origins), true);
+    assert.equal(isDashboardRequest(request({ referer: 'http://localhost:3000/coin/btc' }), origins), true); // Download links
+
+    assert.equal(isDashboardRequest(request({ 'sec-fetch-site': 'cross-site', origin: 'https://evil.example' }), origins), false);
+    assert.equal(isDashboardRequest(request({ origin: 'null' }), origins), false);
+    assert.equal(isDashboardRequest(request({}), origins), false);
+});
+
+test('dashboard requests pass without a key only where allowed', () => {
+    const dashboardRequest = () => createRequest({ headers: { 'sec-fetch-site': 'same-origin' } });
+    const keyOnly = createApiKeyAuth({ keys: ['k1'] });
+    assert.equal(run(keyOnly, dashboardRequest()).statusCode, 401);
+
+    const auth = createApiKeyAuth({ keys: ['k1'], dashboardOrigins: [] });
+    const req = dashboardRequest();
+    assert.equal(run(auth, req).passed, true);
+    assert.equal(req.dashboard, true);
+    assert.equal(req.apiKey, undefined); // Rate limited per IP
+    assert.equal(run(auth, createRequest({ headers: { 'sec-fetch-site': 'same-origin', 'x-api-key': 'nope' } })).statusCode, 401);
+    assert.equal(run(auth, createRequest()).statusCode, 401);
+
+    // Without configured keys nothing is marked, since nothing needs the exception
+    const open = dashboardRequest();
+    assert.equal(run(createApiKeyAuth({ keys: [], dashboardOrigins: [] }), open).passed, true);
+    assert.equal(open.dashboard, undefined);
+});
+
+test('upgrade requests carry the key in the header or the query', () => {
+    assert.equal(getUpgradeApiKey({ url: '/', headers: { 'x-api-key': 'k1' } }), 'k1');
+    assert.equal(getUpgradeApiKey({ url: '/?api_key=k2', headers: {} }), 'k2');
+    assert.equal(getUpgradeApiKey({ url: '/', headers: {} }), null);
+});
+
+test('origins are checked against the allowlist', () => {
+    assert.equal(isOriginAllowed([], 'https://evil.example'), true);
+    assert.equal(isOriginAllowed(['https://app.example'], 'https://app.example'), true);
+    assert.equal(isOriginAllowed(['https://app.example'], 'https://evil.example'), false);
+    assert.equal(isOriginAllowed(['https://app.example'], undefined), true); // Not a browser request
+});
+
+test('the rate limiter answers 429 once a client used up its window', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+    const req = createRequest({ remoteAddress: '198.51.100.1' });
+    assert.equal(run(limiter, req).passed, true);
+    const second = run(limiter, req);
+    assert.equal(second.passed, true);
+    assert.equal(second.headers['X-RateLimit-Remaining'], '0');
+
+    const limited = run(limiter, req);
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.headers['Retry-After'], '60');
+    // Other clients have windows of their own
+    assert.equal(run(limiter, createRequest({ remoteAddress: '198.51.100.2' })).passed, true);
+});
+
+test('requests outside Express count against the same windows', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+    const client = rateLimitClient(null, '198.51.100.1');
+    assert.equal(client, 'ip:198.51.100.1');
+    assert.equal(rateLimitClient('k1', '198.51.100.1'), 'key:k1');
+
+    assert.equal(limiter.hit(client).limited, false);
+    assert.equal(run(limiter, createRequest({ remoteAddress: '198.51.100.1' })).passed, true);
+    assert.deepEqual(limiter.hit(client), { limited: true, retryAfterSeconds: 60 });
+});
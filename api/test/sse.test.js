@@ -0,0 +1,57 @@
+// test/sse.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { parseLastEventId, createSseConnection } = require('../lib/sse');
+const { createSnapshotTracker } = require('../lib/snapshots');
+
+// A fake request with the given Last-Event-ID header and query
+const fakeReq = (header, query = {}) => ({ get: () => header, query });
+
+test('keeps recent deltas for resuming clients', () => {
+    const tracker = createSnapshotTracker();
+    tracker.update([{ symbol: 'btc', current_price: 1 }]);
+    tracker.update([{ symbol: 'btc', current_price: 2 }]);
+    tracker.update([{ symbol: 'btc', current_price: 2 }]); // Unchanged: no new sequence number
+
+    assert.deepEqual(tracker.deltasSince(1).map(delta => delta.seq), [2]);
+    assert.deepEqual(tracker.deltasSince(2), []);
+    assert.equal(tracker.deltasSince(3), null);
+
+    for (let price = 3; price < 60; price++) {
+        tracker.update([{ symbol: 'btc', current_price: price }]);
+    }
+    assert.equal(tracker.deltasSince(1), null); // Too old to replay
+});
+
+test('streams messages as named events with resumable ids', async () => {
+    let closed = null;
+    const app = express();
+    app.get('/stream', (req, res) => {
+        const connection = createSseConnection(req, res, { onClose: c => { closed = c; } });
+        connection.send({ type: 'alert_triggered', alert_id: 1 });
+        connection.send({ type: 'latest_crypto_delta', seq: 42, data: [] });
+        connection.close();
+    });
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/stream`);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    const events = (await res.text()).trim().split('\n\n');
+    assert.equal(events[0], 'retry: 3000');
+    assert.equal(events[1], 'event: alert_triggered\ndata: {"type":"alert_triggered","alert_id":1}');
+    const [idLine, ...rest] = events[2].split('\n');
+    assert.deepEqual(rest, ['event: latest_crypto_delta', 'data: {"type":"latest_crypto_delta","seq":42,"data":[]}']);
+
+    // The id is resumable in this server run only
+    const id = idLine.replace('id: ', '');
+    assert.equal(parseLastEventId(fakeReq(id)), 42);
+    assert.equal(parseLastEventId(fakeReq('', { lastEventId: id })), 42);
+    assert.equal(parseLastEventId(fakeReq('zzz:42')), null);
+    assert.equal(parseLastEventId(fakeReq('')), null);
+
+    await new Promise(resolve => server.close(resolve));
+    assert.equal(closed.isOpen(), false);
+});
@@ -0,0 +1,141 @@
+// test/users.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { validateCredentials, validatePreferences, createUserService } = require('../lib/users');
+const { createTokenService, createRequireUser } = require('../lib/auth');
+const { createAuthRouter } = require('../routes/auth');
+const { createAccountRouter } = require('../routes/account');
+const { createStorage } = require('../storage');
+const { createMigrator } = require('../storage/migrations');
+
+// Keeps the storage clients' connection messages out of the test output
+mock.method(console, 'log', () => {});
+
+async function createUsers() {
+    const { db } = createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    const userService = createUserService(db);
+    await createMigrator(db).migrate();
+    return { db, userService };
+}
+
+test('validates credentials and lowercases usernames', () => {
+    assert.deepEqual(validateCredentials({ username: ' Alice ', password: 'correct horse' }).values, { username: 'alice', password: 'correct horse' });
+    assert.equal(validateCredentials({ username: 'al', password: 'short' }).errors.length, 2);
+    assert.equal(validateCredentials({ username: 'a b c', password: 'long enough' }).errors.length, 1);
+    assert.equal(validateCredentials(undefined).errors.length, 2);
+});
+
+test('validates preference updates', () => {
+    assert.deepEqual(validatePreferences({ default_symbol: ' BTC ', range_days: '30', chart_type: null }).values, {
+        default_symbol: 'btc', range_days: 30, chart_type: null,
+    });
+    assert.deepEqual(validatePreferences({}).errors, ['Nothing to update.']);
+    assert.equal(validatePreferences({ default_symbol: '', range_days: 0, chart_type: 'pie' }).errors.length, 3);
+});
+
+test('registers users with hashed passwords and rejects taken usernames', async () => {
+    const { db, userService } = await createUsers();
+
+    const user = await userService.register('alice', 'correct horse');
+    assert.equal(user.username, 'alice');
+    assert.equal(user.password_hash, undefined);
+    const [stored] = await db.query('SELECT password_hash FROM users WHERE id = $1;', [user.id]);
+    assert.match(stored.password_hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+
+    assert.equal(await userService.register('alice', 'another one'), null);
+    assert.deepEqual(await userService.authenticate('alice', 'correct horse'), user);
+    assert.equal(await userService.authenticate('alice', 'wrong password'), null);
+    assert.equal(await userService.authenticate('bob', 'correct horse'), null);
+
+    await db.close();
+});
+
+test('concurrent registrations of one username create a single user', async () => {
+    const { db, userService } = await createUsers();
+
+    // Both pass the taken-username check before either inserts
+    const results = await Promise.all([userService.register('carol', 'correct horse'), userService.register('carol', 'battery staple')]);
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(results.filter(result => result === null).length, 1);
+    assert.equal((await db.query("SELECT COUNT(*) AS count FROM users WHERE username = 'carol';"))[0].count, 1);
+
+    assert.equal(db.isUniqueViolation(new Error('SQLITE_BUSY: database is locked')), false);
+    await db.close();
+});
+
+test('keeps watchlists in insertion order and merges preferences', async () => {
+    const { db, userService } = await createUsers();
+    const { id } = await userService.register('alice', 'correct horse');
+
+    await userService.addToWatchlist(id, 'eth');
+    await new Promise(resolve => setTimeout(resolve, 5)); // Same-millisecond additions sort by symbol
+    await userService.addToWatchlist(id, 'btc');
+    assert.deepEqual(await userService.addToWatchlist(id, 'eth'), ['eth', 'btc']);
+    assert.deepEqual(await userService.removeFromWatchlist(id, 'eth'), ['btc']);
+
+    assert.deepEqual(await userService.getPreferences(id), { default_symbol: null, range_days: null, chart_type: null });
+    await userService.updatePreferences(id, { default_symbol: 'btc', range_days: 30 });
+    assert.deepEqual(await userService.updatePreferences(id, { range_days: null, chart_type: 'bar' }), {
+        default_symbol: 'btc', range_days: null, chart_type: 'bar',
+    });
+
+    await db.close();
+});
+
+test('issues tokens that verify until they are tampered with or expire', () => {
+    const tokenService = createTokenService({ secret: 'test-secret', expiresIn: '1h' });
+    const token = tokenService.issue({ id: 7, username: 'alice' });
+    assert.deepEqual(tokenService.verify(token), { id: 7, username: 'alice' });
+    assert.equal(tokenService.verify(`${token}x`), null);
+    assert.equal(createTokenService({ secret: 'other-secret', expiresIn: '1h' }).verify(token), null);
+    assert.equal(createTokenService({ secret: 'test-secret', expiresIn: -1 }).verify(createTokenService({ secret: 'test-secret', expiresIn: -1 }).issue({ id: 7 })), null);
+    assert.equal(tokenService.verify(undefined), null);
+});
+
+test('registers, logs in and manages the account over HTTP', async () => {
+    const { db, userService } = await createUsers();
+    const tokenService = createTokenService({ secret: 'test-secret', expiresIn: '1h' });
+    const requireUser = createRequireUser(tokenService);
+    const changes = [];
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', createAuthRouter({ userService, tokenService, requireUser }));
+    app.use('/api/me', requireUser, createAccountRouter({ userService, onWatchlistChange: (...args) => changes.push(args) }));
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    const send = (method, path, body, token) => fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: body && JSON.stringify(body),
+    });
+
+    const registered = await send('POST', '/auth/register', { username: 'Alice', password: 'correct horse' });
+    assert.equal(registered.status, 201);
+    const { user } = await registered.json();
+    assert.equal((await send('POST', '/auth/register', { username: 'alice', password: 'correct horse' })).status, 409);
+    assert.equal((await send('POST', '/auth/register', { username: 'alice', password: 'short' })).status, 400);
+
+    assert.equal((await send('POST', '/auth/login', { username: 'alice', password: 'wrong password' })).status, 401);
+    const { token } = await (await send('POST', '/auth/login', { username: 'alice', password: 'correct horse' })).json();
+
+    assert.equal((await send('GET', '/me/watchlist')).status, 401);
+    assert.equal((await send('GET', '/me/watchlist', undefined, 'not-a-token')).status, 401);
+    assert.deepEqual(await (await send('POST', '/me/watchlist', { symbol: 'BTC' }, token)).json(), ['btc']);
+    assert.equal((await send('POST', '/me/watchlist', { symbol: 'not a symbol' }, token)).status, 400);
+    assert.deepEqual(changes, [[user.id, ['btc']]]);
+    assert.equal((await send('PATCH', '/me/preferences', { chart_type: 'pie' }, token)).status, 400);
+    await send('PATCH', '/me/preferences', { chart_type: 'bar' }, token);
+
+    assert.deepEqual(await (await send('GET', '/auth/me', undefined, token)).json(), {
+        user,
+        watchlist: ['btc'],
+        preferences: { default_symbol: null, range_days: null, chart_type: 'bar' },
+    });
+
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+});
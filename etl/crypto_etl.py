@@ -4,7 +4,9 @@ import requests
 import json
 import time
 import os
-from datetime import datetime
+import hmac
+import hashlib
+from datetime import datetime, timezone
 import psycopg2 # Import the PostgreSQL driver
 import sys # Import the sys module for sys.exit()
 from dotenv import load_dotenv
@@ -21,6 +23,10 @@ PARAMS = {
     "sparkline": "false"
 }
 
+# Exchange rates for quote currency conversion (EUR, GBP, BTC, ETH, ...).
+# CoinGecko returns every rate relative to 1 BTC; we store them relative to 1 USD.
+COINGECKO_EXCHANGE_RATES_URL = "https://api.coingecko.com/api/v3/exchange_rates"
+
 # --- PostgreSQL Database Configuration (NOW READING FROM .env FILE) ---
 DB_HOST = os.getenv('PG_DB_HOST')
 DB_NAME = os.getenv('PG_DB_NAME')
@@ -34,8 +40,12 @@ if not all([DB_HOST, DB_NAME, DB_USER, DB_PASSWORD, DB_PORT]):
     sys.exit(1) # Exit if critical variables are missing
 
 
-# Node.js API endpoint for broadcasting updates
-NODE_API_NOTIFY_URL = "http://localhost:5000/api/notify-update"
+# Node.js API endpoint for broadcasting updates; set NODE_API_NOTIFY_URL when the API runs
+# elsewhere, on another PORT or under a BASE_PATH (e.g. http://api:8080/crypto/api/notify-update)
+NODE_API_NOTIFY_URL = os.getenv('NODE_API_NOTIFY_URL', "http://localhost:5000/api/notify-update")
+# Shared secret for signing notifications; must match NOTIFY_SECRET in the API's .env.
+# Without it the API only accepts notifications from localhost.
+NOTIFY_SECRET = os.getenv('NOTIFY_SECRET')
 
 def get_crypto_data():
     """Fetches cryptocurrency data from CoinGecko API."""
@@ -51,6 +61,16 @@ def get_crypto_data():
         print(f"Error fetching data from CoinGecko API: {e}")
         return None
 
+def get_exchange_rates():
+    """Fetches BTC-based exchange rates from CoinGecko API."""
+    try:
+        response = requests.get(COINGECKO_EXCHANGE_RATES_URL, timeout=10)
+        response.raise_for_status()
+        return response.json().get('rates')
+    except requests.exceptions.RequestException as e:
+        print(f"Error fetching exchange rates from CoinGecko API: {e}")
+        return None
+
 def connect_db():
     """Establishes a connection to the PostgreSQL database."""
     try:
@@ -67,6 +87,12 @@ def connect_db():
         sys.exit(1) # Exit if connection fails
 
 
+def utc_timestamp():
+    """The current time in UTC with millisecond precision and an explicit offset.
+    The API reads every stored timestamp as UTC, so local time would shift all data by the host's offset."""
+    return datetime.now(timezone.utc).isoformat(timespec='milliseconds')
+
+
 def insert_data(data):
     """Inserts fetched cryptocurrency data into the PostgreSQL database."""
     if not data:
@@ -78,8 +104,8 @@ def insert_data(data):
         conn = connect_db() # Use the helper function to get connection
         cur = conn.cursor() # Use 'cur' for cursor
         
-        # Get current timestamp with millisecond precision
-        current_timestamp = datetime.now().isoformat(timespec='milliseconds')
+        # Get current timestamp with millisecond precision, in UTC like every stored timestamp
+        current_timestamp = utc_timestamp()
         
         # Use executemany for efficient batch insertion
         # Prepare a list of tuples for insertion
@@ -126,10 +152,60 @@ def insert_data(data):
             cur.close() # Close cursor
             conn.close() # Close connection
 
+def insert_exchange_rates(rates):
+    """Inserts exchange rates (as units of each currency per 1 USD) into the 'fx_rates' table.
+    The table is created by the Node.js API on startup."""
+    usd_rate = (rates or {}).get('usd', {}).get('value')
+    if not usd_rate:
+        print("No USD rate in exchange rate data, skipping exchange rate insert.")
+        return
+
+    current_timestamp = utc_timestamp()
+    records_to_insert = [
+        (code.lower(), rate.get('name'), rate.get('type'), rate['value'] / usd_rate, current_timestamp)
+        for code, rate in rates.items()
+        if rate.get('value') is not None
+    ]
+
+    conn = None
+    try:
+        conn = connect_db()
+        cur = conn.cursor()
+        insert_query = """
+            INSERT INTO fx_rates (currency, name, type, units_per_usd, timestamp)
+            VALUES (%s, %s, %s, %s, %s)
+            ON CONFLICT (currency, timestamp) DO NOTHING
+        """
+        cur.executemany(insert_query, records_to_insert)
+        conn.commit()
+        print(f"✅ Successfully inserted {len(records_to_insert)} exchange rates into 'fx_rates' table at {current_timestamp}.")
+    except psycopg2.Error as e:
+        print(f"❌ Error inserting exchange rates into PostgreSQL: {e}")
+        if conn:
+            conn.rollback()
+    finally:
+        if conn:
+            cur.close()
+            conn.close()
+
+def sign_notification(body):
+    """Returns the signature headers for a notification body: an HMAC-SHA256 of
+    "<unix seconds>.<body>" with NOTIFY_SECRET, which the API checks for authenticity and freshness."""
+    if not NOTIFY_SECRET:
+        return {}
+    timestamp = str(int(time.time()))
+    signature = hmac.new(NOTIFY_SECRET.encode(), timestamp.encode() + b"." + body, hashlib.sha256).hexdigest()
+    return {
+        "X-Signature-Timestamp": timestamp,
+        "X-Signature": f"sha256={signature}",
+    }
+
 def notify_frontend_update():
-    """Notifies the Node.js frontend server about new data via an HTTP POST request."""
+    """Notifies the Node.js frontend server about new data via a signed HTTP POST request."""
     try:
-        response = requests.post(NODE_API_NOTIFY_URL)
+        body = json.dumps({"source": "etl"}).encode()
+        headers = {"Content-Type": "application/json", **sign_notification(body)}
+        response = requests.post(NODE_API_NOTIFY_URL, data=body, headers=headers, timeout=10)
         response.raise_for_status() # Raise an exception for HTTP errors
         print(f"✅ Successfully notified frontend API: {response.status_code} - {response.json().get('message', 'No message')}")
     except requests.exceptions.RequestException as e:
@@ -142,6 +218,9 @@ def main():
     crypto_data = get_crypto_data()
     if crypto_data:
         insert_data(crypto_data) # This function now handles PostgreSQL connection and insertion
+        exchange_rates = get_exchange_rates()
+        if exchange_rates:
+            insert_exchange_rates(exchange_rates) # Rates are optional: prices are still usable in USD without them
         notify_frontend_update() # Notify frontend AFTER data is inserted
     else:
         print("ETL process finished without new data due to API error (no crypto_data fetched).")
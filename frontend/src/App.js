@@ -1,11 +1,12 @@
 // src/App.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
-import { Line, Bar, Doughnut } from 'react-chartjs-2'; // Import Doughnut
+import { Link, Navigate, Route, Routes, matchPath, useLocation } from 'react-router-dom';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
+  LogarithmicScale, // Used by the comparison chart for absolute prices
   PointElement,
   LineElement,
   BarElement,
@@ -13,13 +14,27 @@ import {
   Tooltip,
   Legend,
   ArcElement, // Import ArcElement for Doughnut/Pie charts
+  Filler, // Shaded areas (Bollinger Bands, portfolio value)
 } from 'chart.js';
+import AlertToasts from './components/AlertToasts';
+import AccountPanel from './components/AccountPanel';
+import StaleDataBanner from './components/StaleDataBanner';
+import MarketOverview from './views/MarketOverview';
+import CoinDetail from './views/CoinDetail';
+import { DEFAULT_QUOTE } from './utils/currency';
+import { loadStoredToken, setSessionToken, daysBetween } from './utils/session';
+import { readChartState } from './utils/chartState';
+import { newestTimestamp } from './utils/timestamps';
+import { LOCAL_TIME_ZONE, NAMED_TIME_ZONES, browserTimeZone, loadStoredTimeZone, resolveTimeZone, storeTimeZone } from './utils/timeZone';
+import { LIVE_STATUS_LABELS, createLiveConnection } from './utils/liveConnection';
+import { apiUrl } from './utils/config';
 import './App.css';
 
 // Register Chart.js components
 ChartJS.register(
   CategoryScale,
   LinearScale,
+  LogarithmicScale,
   PointElement,
   LineElement,
   BarElement,
@@ -27,129 +42,80 @@ ChartJS.register(
   Tooltip,
   Legend,
   ArcElement, // Register ArcElement
+  Filler,
 );
 
+// Merges live rows into the current table by symbol, keeping the existing order.
+// Unchanged rows keep their object identity so memoized table rows skip re-rendering.
+const mergeRowsBySymbol = (currentRows, updatedRows) => {
+  if (updatedRows.length === 0) {
+    return currentRows;
+  }
+  const uniqueDataMap = new Map(currentRows.map(item => [item.symbol, item]));
+  updatedRows.forEach(item => {
+    uniqueDataMap.set(item.symbol, item);
+  });
+  return Array.from(uniqueDataMap.values());
+};
+
 function App() {
   const [latestCryptoData, setLatestCryptoData] = useState([]);
-  const [historicalData, setHistoricalData] = useState(null);
-  const [selectedSymbol, setSelectedSymbol] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [chartType, setChartType] = useState('line'); // Default to line chart
-
-  // State for date range
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
-
-  // NEW: State for Doughnut Chart data
-  const [marketCapDoughnutData, setMarketCapDoughnutData] = useState(null);
-
-  // Helper function to format timestamp correctly
-  const formatTimestampForDisplay = (timestamp) => {
-    if (!timestamp) return 'N/A';
-
-    let cleanTimestamp = timestamp;
-    try {
-        const dateObj = new Date(cleanTimestamp.replace(' ', 'T') + 'Z'); // Convert to ISO format if space is present, assume UTC
-        if (isNaN(dateObj.getTime())) {
-            console.warn("Invalid Date object from timestamp, trying direct parse:", cleanTimestamp);
-            return new Date(cleanTimestamp).toLocaleString(); // Fallback to direct parse
-        }
-        return dateObj.toLocaleString(); // Use local string for user-friendly display
-    } catch (e) {
-        console.error("Error parsing timestamp in formatTimestampForDisplay:", e);
-        return timestamp; // Return original if parsing fails
-    }
-  };
-
-  // Helper to format date for input type="date" (YYYY-MM-DD)
-  const formatDateForInput = (date) => {
-    if (!date) return '';
-    const d = new Date(date);
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-  };
-
-  // Set default date range to last 30 days on initial load
+  const location = useLocation();
+
+  // Quote currency for every price, market cap and volume on the dashboard
+  const [currency, setCurrency] = useState(DEFAULT_QUOTE.currency);
+  const [currencies, setCurrencies] = useState([DEFAULT_QUOTE]);
+  const currencyRef = useRef(DEFAULT_QUOTE.currency); // Read by live connection handlers, which outlive renders
+
+  // Display time zone for every timestamp and date picker: 'local', 'UTC' or a named zone (kept across visits)
+  const [timeZoneSetting, setTimeZoneSetting] = useState(() => loadStoredTimeZone());
+  const timeZone = resolveTimeZone(timeZoneSetting);
+
+  // Logged-in user: the token is kept across visits, the account details are loaded from /api/auth/me
+  const [authToken, setAuthToken] = useState(() => loadStoredToken());
+  const [user, setUser] = useState(null);
+  const [watchlist, setWatchlist] = useState([]);
+  const [preferences, setPreferences] = useState(null);
+  const [watchlistOnly, setWatchlistOnly] = useState(false); // Also limits live updates to the watchlist
+  const authTokenRef = useRef(authToken);
+  const watchlistOnlyRef = useRef(false);
+
+  // Live-update subscriptions: each page reports the coins it shows (table rows on screen, the open coin)
+  const [liveSymbols, setLiveSymbols] = useState([]);
+  const liveRef = useRef(null); // See utils/liveConnection.js
+  const [liveStatus, setLiveStatus] = useState('connecting');
+  const subscribedSymbolsRef = useRef(new Set());
+  const lastSeqRef = useRef(null); // Sequence number of the last applied snapshot/delta
+  const resyncPendingRef = useRef(false);
+
+  // Price alerts: triggered-alert history (newest first) and the toasts currently shown
+  const [alertHistory, setAlertHistory] = useState([]);
+  const [alertToasts, setAlertToasts] = useState([]);
+
+  // --- Fetch the supported quote currencies for the currency selector ---
   useEffect(() => {
-    const today = new Date();
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(today.getDate() - 30);
-    setEndDate(formatDateForInput(today));
-    setStartDate(formatDateForInput(thirtyDaysAgo));
-  }, []);
-
-
-  // --- NEW: Function to prepare data for the Doughnut Chart ---
-  // Wrapped in useCallback with no dependencies to ensure it's a stable function reference
-  const prepareMarketCapDoughnutData = useCallback((data) => {
-    if (!data || data.length === 0) {
-      setMarketCapDoughnutData(null);
-      return;
-    }
-
-    // Filter out items without market_cap or zero/null market_cap
-    const validData = data.filter(item => item.market_cap && item.market_cap > 0);
-
-    // Sort by market_cap descending
-    const sortedData = [...validData].sort((a, b) => b.market_cap - a.market_cap);
-
-    // Take top 7 cryptocurrencies for clarity
-    const topN = 7; // You can adjust this number
-    const topCryptos = sortedData.slice(0, topN);
-    const otherCryptos = sortedData.slice(topN);
-
-    let otherMarketCap = 0;
-    if (otherCryptos.length > 0) {
-      otherMarketCap = otherCryptos.reduce((sum, item) => sum + item.market_cap, 0);
-    }
-
-    const labels = topCryptos.map(crypto => crypto.symbol.toUpperCase());
-    const dataValues = topCryptos.map(crypto => crypto.market_cap);
-    const backgroundColors = [
-      '#00bcd4', // Cyan/Teal
-      '#8bc34a', // Light Green
-      '#ffeb3b', // Yellow
-      '#ff9800', // Orange
-      '#f44336', // Red
-      '#9c27b0', // Purple
-      '#2196f3', // Blue
-      '#e91e63', // Pink
-      '#03a9f4', // Light Blue
-      '#4caf50', // Green
-      // Add more colors if your topN is higher
-    ];
-
-    if (otherMarketCap > 0) {
-      labels.push('Other');
-      dataValues.push(otherMarketCap);
-      backgroundColors.push('#607d8b'); // Grey for 'Other'
-    }
+    const fetchCurrencies = async () => {
+      try {
+        const response = await axios.get(apiUrl('/api/currencies'));
+        setCurrencies(response.data);
+      } catch (err) {
+        console.error('Error fetching currencies, only USD will be available:', err);
+      }
+    };
 
-    setMarketCapDoughnutData({
-      labels: labels,
-      datasets: [
-        {
-          data: dataValues,
-          backgroundColor: backgroundColors.slice(0, labels.length), // Ensure colors match labels count
-          borderColor: '#1a1a2e', // Border color for segments
-          borderWidth: 1,
-        },
-      ],
-    });
-  }, []); // No dependencies for useCallback as it operates on data passed to it
+    fetchCurrencies();
+  }, []);
 
 
   // --- Initial Fetch for Latest Crypto Data (for initial table load and Doughnut chart) ---
+  // Runs again when the quote currency changes, replacing every row with converted values
   useEffect(() => {
     const fetchInitialLatestCrypto = async () => {
       try {
-        setLoading(true);
-        const response = await axios.get('http://localhost:5000/api/crypto');
+        const response = await axios.get(apiUrl('/api/crypto'), { params: { currency } });
         setLatestCryptoData(response.data);
-        prepareMarketCapDoughnutData(response.data); // Prepare Doughnut data on initial fetch
         setLoading(false);
       } catch (err) {
         setError('Failed to fetch initial crypto data. Is your Node.js API running?');
@@ -159,322 +125,237 @@ function App() {
     };
 
     fetchInitialLatestCrypto();
-  }, [prepareMarketCapDoughnutData]); // Added prepareMarketCapDoughnutData as a dependency
-
+  }, [currency]);
 
-  // --- WebSocket for Real-time Latest Data Updates ---
+  // --- Initial Fetch for recently triggered alerts (live ones arrive over the live connection) ---
   useEffect(() => {
-    let ws;
-
-    const connectWebSocket = () => {
-      console.log('Attempting to connect WebSocket...');
-      ws = new WebSocket('ws://localhost:5000');
-
-      ws.onopen = () => {
-        console.log('WebSocket connected');
-        setError(null);
-      };
-
-      ws.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          if (message.type === 'latest_crypto_update') {
-            const uniqueDataMap = new Map();
-            message.data.forEach(item => {
-              uniqueDataMap.set(item.symbol, item);
-            });
-            const updatedLatestData = Array.from(uniqueDataMap.values());
-            setLatestCryptoData(updatedLatestData);
-            prepareMarketCapDoughnutData(updatedLatestData); // Update Doughnut data on real-time update
-            console.log('Received real-time update for latest crypto prices. Data processed for uniqueness.');
-          }
-        } catch (e) {
-          console.error('Error parsing WebSocket message:', e);
-        }
-      };
-
-      ws.onclose = () => {
-        console.log('WebSocket disconnected. Attempting to reconnect in 3 seconds...');
-        setTimeout(connectWebSocket, 3000);
-      };
-
-      ws.onerror = (error) => {
-        console.error('WebSocket error:', error);
-        setError('WebSocket connection error. Real-time updates may be interrupted.');
-      };
+    const fetchAlertHistory = async () => {
+      try {
+        const response = await axios.get(apiUrl('/api/alerts/history?limit=20'));
+        setAlertHistory(response.data);
+      } catch (err) {
+        console.error('Error fetching alert history:', err);
+      }
     };
 
-    connectWebSocket();
+    fetchAlertHistory();
+  }, []);
+
+  // --- Load the logged-in user's account, watchlist and saved defaults ---
+  useEffect(() => {
+    setSessionToken(authToken);
+    if (!authToken) {
+      setUser(null);
+      setWatchlist([]);
+      setPreferences(null);
+      setWatchlistOnly(false);
+      return;
+    }
 
-    return () => {
-      if (ws && ws.readyState === WebSocket.OPEN) {
-        console.log('Closing WebSocket connection during component unmount/cleanup.');
-        ws.close();
+    const fetchAccount = async () => {
+      try {
+        const response = await axios.get(apiUrl('/api/auth/me'));
+        setUser(response.data.user);
+        setWatchlist(response.data.watchlist);
+        setPreferences(response.data.preferences); // Coin pages use them for settings missing from the URL
+      } catch (err) {
+        console.error('Error loading account, logging out:', err);
+        if (err.response && err.response.status === 401) {
+          setAuthToken(null); // Expired or revoked token
+        }
       }
     };
-  }, [prepareMarketCapDoughnutData]); // Added prepareMarketCapDoughnutData as a dependency
 
+    fetchAccount();
+  }, [authToken]);
 
-  // --- Effect to fetch Historical Data for selected symbol and date range ---
-  const fetchHistoricalData = useCallback(async () => {
-    if (selectedSymbol) {
-      try {
-        let url = `http://localhost:5000/api/crypto/history/${selectedSymbol}`;
-        const params = new URLSearchParams();
+  const handleLogin = useCallback(({ token }) => setAuthToken(token), []);
+  const handleLogout = useCallback(() => setAuthToken(null), []);
 
-        if (startDate) {
-          params.append('startDate', startDate); // Use 'startDate' as per backend
-        }
-        if (endDate) {
-          params.append('endDate', endDate);     // Use 'endDate' as per backend
-        }
+  const toggleWatchlist = useCallback(async (symbol) => {
+    try {
+      const response = watchlist.includes(symbol)
+        ? await axios.delete(apiUrl(`/api/me/watchlist/${symbol}`))
+        : await axios.post(apiUrl('/api/me/watchlist'), { symbol });
+      setWatchlist(response.data); // The server also rescopes our live feed
+    } catch (err) {
+      console.error(`Error updating watchlist for ${symbol}:`, err);
+    }
+  }, [watchlist]);
 
-        if (params.toString()) {
-          url += `?${params.toString()}`;
-        }
+  const dismissAlertToast = useCallback((id) => {
+    setAlertToasts(prevToasts => prevToasts.filter(toast => toast.id !== id));
+  }, []);
 
-        console.log(`Attempting to fetch historical data for: ${selectedSymbol} with URL: ${url}`);
-        const response = await axios.get(url);
-        setHistoricalData(response.data);
-        console.log('Fetched historical data:', response.data);
-      } catch (err) {
-        console.error(`Error fetching historical data for ${selectedSymbol}:`, err);
-        if (err.response) {
-          console.error('Data:', err.response.data);
-          console.error('Status:', err.response.status);
-          console.error('Headers:', err.response.headers);
-          setError(`Failed to fetch historical data for ${selectedSymbol}. Server responded with status: ${err.response.status}`);
-        } else if (err.request) {
-          console.error('Request:', err.request);
-          setError(`Failed to fetch historical data for ${selectedSymbol}. No response received from server.`);
-        } else {
-          console.error('Error message:', err.message);
-          setError(`Failed to fetch historical data for ${selectedSymbol}. Error: ${err.message}`);
-        }
-        setHistoricalData([]); // Set to empty array on error to prevent indefinite loading state
+  // --- Live Updates (WebSocket, or Server-Sent Events where WebSockets are blocked) ---
+  useEffect(() => {
+    const requestResync = (reason) => {
+      if (resyncPendingRef.current) {
+        return; // A snapshot is already on its way
       }
-    } else {
-      setHistoricalData(null);
-    }
-  }, [selectedSymbol, startDate, endDate]);
+      console.warn(`${reason} Requesting a full snapshot...`);
+      resyncPendingRef.current = true;
+      liveRef.current.send({ type: 'resync' });
+    };
 
-  useEffect(() => {
-    // This effect now depends on fetchHistoricalData, which itself depends on selectedSymbol, startDate, endDate.
-    // This ensures fetching only happens when these relevant dependencies change.
-    fetchHistoricalData();
-  }, [fetchHistoricalData]); // This effect now depends on fetchHistoricalData
-
-
-  // Chart data for historical price (common for both line and bar)
-  const commonHistoricalChartData = historicalData ? {
-    labels: historicalData.map(data => formatTimestampForDisplay(data.timestamp)),
-    datasets: [
-      {
-        label: `${selectedSymbol} Price (USD)`,
-        data: historicalData.map(data => data.current_price),
-      },
-    ],
-  } : {};
-
-  // --- Options for LINE Chart ---
-  const historicalLineChartOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: {
-        position: 'top',
-        labels: {
-          color: '#e0e0e0',
-        }
-      },
-      title: {
-        display: true,
-        text: `Historical Price for ${selectedSymbol || 'Selected Crypto'} (Line Chart)`,
-        color: '#00bcd4',
-      },
-      tooltip: {
-        backgroundColor: 'rgba(26, 26, 46, 0.9)',
-        titleColor: '#00bcd4',
-        bodyColor: '#e0e0e0',
-        borderColor: 'rgba(0, 188, 212, 0.5)',
-        borderWidth: 1,
-        callbacks: {
-          title: function(tooltipItems) {
-            return `Time: ${tooltipItems[0].label}`;
-          },
-          label: function(tooltipItem) {
-            return `Price: $${tooltipItem.raw.toFixed(4)}`;
-          }
-        }
+    const handleOpen = ({ transport, resumed }) => {
+      if (resumed) {
+        return; // The stream picks up after the last update we applied
       }
-    },
-    scales: {
-      x: {
-        title: {
-          display: true,
-          text: 'Time',
-          color: '#e0e0e0',
-        },
-        ticks: {
-          color: '#e0e0e0',
-        },
-        grid: {
-          color: 'rgba(0, 188, 212, 0.1)',
-        }
-      },
-      y: {
-        title: {
-          display: true,
-          text: 'Price (USD)',
-          color: '#e0e0e0',
-        },
-        ticks: {
-          color: '#e0e0e0',
-          callback: function(value) {
-            return `$${value.toLocaleString()}`;
-          }
-        },
-        grid: {
-          color: 'rgba(0, 188, 212, 0.1)',
-        },
-        beginAtZero: false,
-      },
-    },
-    elements: {
-      line: {
-        borderColor: 'rgb(0, 188, 212)',
-        backgroundColor: 'rgba(0, 188, 212, 0.3)',
-        fill: true,
-        tension: 0.4,
-      },
-      point: {
-        backgroundColor: 'rgb(0, 188, 212)',
-        borderColor: '#e0e0e0',
-        borderWidth: 1,
-        radius: 3,
-        hoverRadius: 5,
+      lastSeqRef.current = null;
+      resyncPendingRef.current = true;
+      if (transport !== 'websocket') {
+        return; // The stream URL carries the settings and the server starts it with a snapshot
       }
-    }
-  };
-
-  // --- Options for HORIZONTAL BAR Chart ---
-  const historicalBarChartOptions = {
-    indexAxis: 'y',
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: {
-        position: 'top',
-        labels: {
-          color: '#e0e0e0',
-        }
-      },
-      title: {
-        display: true,
-        text: `Historical Price for ${selectedSymbol || 'Selected Crypto'} (Bar Chart)`,
-        color: '#00bcd4',
-      },
-      tooltip: {
-        backgroundColor: 'rgba(26, 26, 46, 0.9)',
-        titleColor: '#00bcd4',
-        bodyColor: '#e0e0e0',
-        borderColor: 'rgba(0, 188, 212, 0.5)',
-        borderWidth: 1,
-        callbacks: {
-          title: function(tooltipItems) {
-            return `Time: ${tooltipItems[0].label}`;
-          },
-          label: function(tooltipItem) {
-            return `Price: $${tooltipItem.raw.toFixed(4)}`;
-          }
+      const live = liveRef.current;
+      if (currencyRef.current !== DEFAULT_QUOTE.currency) {
+        live.send({ type: 'set_currency', currency: currencyRef.current });
+      }
+      // Authentication and watchlist scope are per connection too
+      if (authTokenRef.current) {
+        live.send({ type: 'authenticate', token: authTokenRef.current });
+        if (watchlistOnlyRef.current) {
+          live.send({ type: 'set_scope', scope: 'watchlist' });
         }
       }
-    },
-    scales: {
-      x: {
-        title: {
-          display: true,
-          text: 'Price (USD)',
-          color: '#e0e0e0',
-        },
-        ticks: {
-          color: '#e0e0e0',
-          callback: function(value) {
-            return `$${value.toLocaleString()}`;
-          }
-        },
-        grid: {
-          color: 'rgba(0, 188, 212, 0.1)',
-        },
-        beginAtZero: true,
-      },
-      y: {
-        title: {
-          display: true,
-          text: 'Time',
-          color: '#e0e0e0',
-        },
-        ticks: {
-          color: '#e0e0e0',
-        },
-        grid: {
-          color: 'rgba(0, 188, 212, 0.1)',
-        },
-      },
-    },
-    elements: {
-      bar: {
-        backgroundColor: 'rgba(0, 188, 212, 0.7)',
-        borderColor: 'rgb(0, 188, 212)',
-        borderWidth: 1,
-        borderRadius: 4,
+      // Subscriptions are per connection, so restore them after a reconnect.
+      // Subscribing answers with a full snapshot of those coins; without subscriptions ask for one explicitly.
+      const symbols = Array.from(subscribedSymbolsRef.current);
+      if (symbols.length > 0) {
+        live.send({ type: 'subscribe', symbols });
+      } else {
+        live.send({ type: 'resync' });
       }
-    }
-  };
-
-  // --- NEW: Options for Doughnut Chart ---
-  const marketCapDoughnutOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: {
-        position: 'right', // Positioning legend to the right is common for doughnut
-        labels: {
-          color: '#e0e0e0',
-          font: {
-            size: 14
-          }
+    };
+
+    const handleMessage = (message) => {
+      if (message.type === 'latest_crypto_update') {
+        if (message.currency !== currencyRef.current) {
+          return; // Sent before the server applied our currency change; the converted snapshot follows
         }
-      },
-      title: {
-        display: true,
-        text: 'Live Cryptocurrency Market Cap Distribution (Top 7 + Other)',
-        color: '#00bcd4',
-        font: {
-          size: 20
+        // Full snapshot of the subscribed coins; merge by symbol so other rows stay in place
+        setLatestCryptoData(prevData => mergeRowsBySymbol(prevData, message.data));
+        lastSeqRef.current = message.seq;
+        resyncPendingRef.current = false;
+        console.log(`Received snapshot #${message.seq} with ${message.data.length} crypto price(s).`);
+      } else if (message.type === 'latest_crypto_delta') {
+        if (message.currency !== currencyRef.current) {
+          requestResync(`Live update in ${message.currency} while showing ${currencyRef.current}.`);
+          return;
         }
-      },
-      tooltip: {
-        backgroundColor: 'rgba(26, 26, 46, 0.9)',
-        titleColor: '#00bcd4',
-        bodyColor: '#e0e0e0',
-        borderColor: 'rgba(0, 188, 212, 0.5)',
-        borderWidth: 1,
-        callbacks: {
-          label: function(tooltipItem) {
-            // Display label and percentage
-            const total = tooltipItem.dataset.data.reduce((sum, val) => sum + val, 0);
-            const currentValue = tooltipItem.raw;
-            const percentage = ((currentValue / total) * 100).toFixed(2);
-            return `${tooltipItem.label}: $${currentValue.toLocaleString()} (${percentage}%)`;
-          }
+        if (resyncPendingRef.current || (lastSeqRef.current !== null && message.seq <= lastSeqRef.current)) {
+          return; // Already covered by a snapshot that is pending or newer
         }
+        if (lastSeqRef.current === null || message.seq !== lastSeqRef.current + 1) {
+          requestResync(`Missed live update(s): expected #${lastSeqRef.current === null ? '?' : lastSeqRef.current + 1}, got #${message.seq}.`);
+          return;
+        }
+        setLatestCryptoData(prevData => mergeRowsBySymbol(prevData, message.data));
+        lastSeqRef.current = message.seq;
+        console.log(`Applied delta #${message.seq} with ${message.data.length} changed crypto price(s).`);
+      } else if (message.type === 'alert_triggered') {
+        setAlertHistory(prevHistory => [message.data, ...prevHistory].slice(0, 50));
+        setAlertToasts(prevToasts => [...prevToasts, message.data]);
+        console.log(`Price alert triggered: ${message.data.message}`);
+      } else if (message.type === 'auth_ack') {
+        console.log(message.user ? `WebSocket authenticated as ${message.user.username}.` : 'WebSocket logged out.');
+      } else if (message.type === 'scope_ack') {
+        console.log(`WebSocket live updates scoped to: ${message.scope}`);
+      } else if (message.type === 'subscription_ack') {
+        console.log(`WebSocket ${message.action} acknowledged. Subscribed to: ${message.symbols.join(', ') || 'nothing'}`);
+      } else if (message.type === 'error') {
+        console.error('WebSocket server error:', message.message);
       }
-    },
-    cutout: '70%', // Makes it a doughnut chart
-  };
+    };
+
+    const live = createLiveConnection({
+      getSettings: () => ({
+        currency: currencyRef.current,
+        token: authTokenRef.current,
+        watchlistOnly: watchlistOnlyRef.current,
+      }),
+      onOpen: handleOpen,
+      onMessage: handleMessage,
+      onStatusChange: setLiveStatus,
+    });
+    liveRef.current = live;
+
+    return () => {
+      console.log('Closing live connection during component unmount/cleanup.');
+      live.close();
+      liveRef.current = null;
+    };
+  }, []);
+
+
+  // --- Keep the server-side subscription in sync with what the dashboard shows ---
+  useEffect(() => {
+    const wanted = new Set(liveSymbols);
+    const current = subscribedSymbolsRef.current;
+
+    const toSubscribe = [...wanted].filter(symbol => !current.has(symbol));
+    const toUnsubscribe = [...current].filter(symbol => !wanted.has(symbol));
+    subscribedSymbolsRef.current = wanted;
+
+    const live = liveRef.current;
+    if (!live || !live.isOpen()) {
+      return; // The open handler will send the full subscription list once connected
+    }
+    if (toSubscribe.length > 0) {
+      live.send({ type: 'subscribe', symbols: toSubscribe });
+    }
+    if (toUnsubscribe.length > 0) {
+      live.send({ type: 'unsubscribe', symbols: toUnsubscribe });
+    }
+  }, [liveSymbols]);
+
+
+  // --- Remember the display time zone for the next visit ---
+  useEffect(() => {
+    storeTimeZone(timeZoneSetting);
+  }, [timeZoneSetting]);
 
 
+  // --- Tell the server which currency live updates should use ---
+  useEffect(() => {
+    const previous = currencyRef.current;
+    currencyRef.current = currency;
+    if (previous !== currency && liveRef.current) {
+      liveRef.current.send({ type: 'set_currency', currency });
+    }
+  }, [currency]);
+
+
+  // --- Authenticate the live connection and scope it to the watchlist when asked ---
+  useEffect(() => {
+    const previous = authTokenRef.current;
+    authTokenRef.current = authToken;
+    if (previous !== authToken && liveRef.current) {
+      liveRef.current.send({ type: 'authenticate', token: authToken });
+    }
+  }, [authToken]);
+
+  useEffect(() => {
+    const previous = watchlistOnlyRef.current;
+    watchlistOnlyRef.current = watchlistOnly;
+    if (previous !== watchlistOnly && liveRef.current) {
+      liveRef.current.send({ type: 'set_scope', scope: watchlistOnly ? 'watchlist' : 'all' });
+    }
+  }, [watchlistOnly]);
+
+
+  // Selected quote currency entry (from /api/currencies) used by every formatter
+  const quote = currencies.find(entry => entry.currency === currency) || DEFAULT_QUOTE;
+
+  // "Save Current View as Default" saves the open coin page's settings
+  const coinMatch = matchPath('/coin/:symbol', location.pathname);
+  const coinChartState = coinMatch && readChartState(new URLSearchParams(location.search), preferences, timeZone);
+  const currentView = coinMatch ? {
+    default_symbol: coinMatch.params.symbol.toLowerCase(),
+    range_days: daysBetween(coinChartState.startDate, coinChartState.endDate),
+    chart_type: coinChartState.chartType,
+  } : null;
+
   if (loading) {
     return (
       <div className="App">
@@ -522,115 +403,95 @@ function App() {
 
   return (
     <div className="App">
+      <AlertToasts toasts={alertToasts} onDismiss={dismissAlertToast} />
       <header className="App-header">
         <h1>Crypto Price Tracker Dashboard</h1>
+        <p className={`live-status live-status-${liveStatus}`}>
+          Live updates: {LIVE_STATUS_LABELS[liveStatus]}
+        </p>
       </header>
       <div className="dashboard-container">
         <main>
-          {/* Section for Latest Crypto Data */}
-          <h2>Latest Crypto Data</h2>
-          <div className="table-container">
-            <table>
-              <thead>
-                <tr>
-                  <th>Symbol</th>
-                  <th>Name</th>
-                  <th>Price (USD)</th>
-                  <th>Market Cap</th>
-                  <th>Total Volume</th>
-                  <th>Timestamp</th>
-                </tr>
-              </thead>
-              <tbody>
-                {latestCryptoData.map((data) => (
-                  <tr key={`${data.symbol}-${data.timestamp}`}>
-                    <td>{data.symbol.toUpperCase()}</td>
-                    <td>{data.name}</td>
-                    <td>${data.current_price ? data.current_price.toFixed(4) : 'N/A'}</td>
-                    <td>${data.market_cap ? data.market_cap.toLocaleString() : 'N/A'}</td>
-                    <td>${data.total_volume ? data.total_volume.toLocaleString() : 'N/A'}</td>
-                    <td>{formatTimestampForDisplay(data.timestamp)}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+          <StaleDataBanner newestTimestamp={newestTimestamp(latestCryptoData)} timeZone={timeZone} />
+
+          <AccountPanel
+            user={user}
+            preferences={preferences}
+            currentView={currentView}
+            onLogin={handleLogin}
+            onLogout={handleLogout}
+            onPreferencesSaved={setPreferences}
+          />
+
+          <nav className="app-nav">
+            <Link to="/">Market Overview</Link>
+            {preferences && preferences.default_symbol && (
+              <Link to={`/coin/${preferences.default_symbol}`}>My Coin: {preferences.default_symbol.toUpperCase()}</Link>
+            )}
+          </nav>
 
-          {/* Section for Historical Data Chart */}
-          <h2 style={{ marginTop: '40px' }}>Historical Price Chart</h2>
           <div className="select-container">
-            <label htmlFor="crypto-select">Select Cryptocurrency:</label>
+            <label htmlFor="currency-select">Quote Currency:</label>
             <select
-              id="crypto-select"
-              value={selectedSymbol}
-              onChange={(e) => setSelectedSymbol(e.target.value)}
+              id="currency-select"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
             >
-              <option value="">-- Select a Symbol --</option>
-              {Array.from(new Set(latestCryptoData.map(crypto => crypto.symbol)))
-                      .sort()
-                      .map(symbol => (
-                        <option key={symbol} value={symbol}>{symbol.toUpperCase()}</option> // Display uppercase
+              {currencies.map(entry => (
+                <option key={entry.currency} value={entry.currency}>
+                  {entry.currency.toUpperCase()}{entry.name ? ` - ${entry.name}` : ''}
+                </option>
               ))}
             </select>
-          </div>
 
-          <div className="date-range-picker">
-            <label htmlFor="start-date">From:</label>
-            <input
-              type="date"
-              id="start-date"
-              value={startDate}
-              onChange={(e) => setStartDate(e.target.value)}
-            />
-            <label htmlFor="end-date">To:</label>
-            <input
-              type="date"
-              id="end-date"
-              value={endDate}
-              onChange={(e) => setEndDate(e.target.value)}
-              
-           />
-          </div>
-
-         {/* Chart Type Selector */}
-          <div className="chart-type-selector">
-            <button
-              onClick={() => { setChartType('line'); /* REMOVED: setSelectedSymbol('') */ }} // Now only sets chart type
-              className={chartType === 'line' ? 'active' : ''}
-            >
-              Historical Price (Line)
-            </button>
-            <button
-              onClick={() => { setChartType('bar'); /* REMOVED: setSelectedSymbol('') */ }} // Now only sets chart type
-              className={chartType === 'bar' ? 'active' : ''}
-            >
-              Historical Price (Bar)
-            </button>
-            <button
-              onClick={() => { setChartType('doughnut-market-cap'); setSelectedSymbol('') }} // Keep clearing symbol for market-wide view
-              className={chartType === 'doughnut-market-cap' ? 'active' : ''}
+            <label htmlFor="time-zone-select">Time Zone:</label>
+            <select
+              id="time-zone-select"
+              value={timeZoneSetting}
+              onChange={(e) => setTimeZoneSetting(e.target.value)}
             >
-              Market Share (Live)
-            </button>
+              <option value={LOCAL_TIME_ZONE}>Local ({browserTimeZone()})</option>
+              <option value="UTC">UTC</option>
+              {NAMED_TIME_ZONES.map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
           </div>
 
-          {/* Conditional Chart Rendering */}
-          <div className="chart-container">
-            {chartType === 'doughnut-market-cap' && marketCapDoughnutData ? (
-              <Doughnut data={marketCapDoughnutData} options={marketCapDoughnutOptions} />
-            ) : chartType === 'line' && selectedSymbol && historicalData && historicalData.length > 0 ? (
-              <Line data={commonHistoricalChartData} options={historicalLineChartOptions} />
-            ) : chartType === 'bar' && selectedSymbol && historicalData && historicalData.length > 0 ? (
-              <Bar data={commonHistoricalChartData} options={historicalBarChartOptions} />
-            ) : (
-              <p>
-                {selectedSymbol && (chartType === 'line' || chartType === 'bar') ?
-                  `No historical data available for ${selectedSymbol} in the selected date range.` :
-                  `Select a cryptocurrency and a chart type above to view its historical chart, or select "Market Share (Live)" for an overall view.`
-                }
-              </p>
-            )}
-          </div>
+          <Routes>
+            <Route
+              path="/"
+              element={(
+                <MarketOverview
+                  latestCryptoData={latestCryptoData}
+                  currency={currency}
+                  quote={quote}
+                  timeZone={timeZone}
+                  user={user}
+                  watchlist={watchlist}
+                  onToggleWatchlist={toggleWatchlist}
+                  watchlistOnly={watchlistOnly}
+                  onWatchlistOnlyChange={setWatchlistOnly}
+                  onLiveSymbolsChange={setLiveSymbols}
+                  alertHistory={alertHistory}
+                />
+              )}
+            />
+            <Route
+              path="/coin/:symbol"
+              element={(
+                <CoinDetail
+                  latestCryptoData={latestCryptoData}
+                  currency={currency}
+                  quote={quote}
+                  timeZone={timeZone}
+                  preferences={preferences}
+                  onLiveSymbolsChange={setLiveSymbols}
+                />
+              )}
+            />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
         </main>
       </div>
     </div>
@@ -0,0 +1,93 @@
+// src/components/AccountPanel.js
+import React, { useState } from 'react';
+import axios from 'axios';
+import { apiUrl } from '../utils/config';
+
+const AUTH_URL = apiUrl('/api/auth');
+const PREFERENCES_URL = apiUrl('/api/me/preferences');
+
+const CHART_TYPE_LABELS = {
+  line: 'Line',
+  bar: 'Bar',
+  candlestick: 'Candlestick',
+};
+
+// Login / registration form, or the logged-in user with their saved dashboard defaults.
+// `currentView` holds the preferences matching the open coin page (null on other pages).
+function AccountPanel({ user, preferences, currentView, onLogin, onLogout, onPreferencesSaved }) {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ username: '', password: '' });
+  const [formError, setFormError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${AUTH_URL}/${mode}`, form);
+      setFormError(null);
+      setForm({ username: '', password: '' });
+      onLogin(response.data);
+    } catch (err) {
+      setFormError(err.response ? err.response.data.error : err.message);
+    }
+  };
+
+  const saveCurrentView = async () => {
+    try {
+      const response = await axios.patch(PREFERENCES_URL, currentView);
+      onPreferencesSaved(response.data);
+      setSaveMessage('Saved. The dashboard will open with this view.');
+    } catch (err) {
+      setSaveMessage(err.response ? err.response.data.error : err.message);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="account-panel">
+        <form className="inline-form" onSubmit={handleSubmit}>
+          <input name="username" placeholder="Username" autoComplete="username" value={form.username} onChange={handleChange} required />
+          <input
+            type="password"
+            name="password"
+            placeholder="Password"
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            value={form.password}
+            onChange={handleChange}
+            required
+          />
+          <button type="submit">{mode === 'login' ? 'Log In' : 'Create Account'}</button>
+          <button type="button" className="link-button" onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setFormError(null); }}>
+            {mode === 'login' ? 'New here? Register' : 'Have an account? Log in'}
+          </button>
+        </form>
+        {formError && <p className="error-message">{formError}</p>}
+        <p className="account-hint">Log in to keep a watchlist and open the dashboard on your favourite coin, range and chart.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="account-panel">
+      <div className="inline-form">
+        <span>Signed in as <strong>{user.username}</strong></span>
+        {currentView && <button type="button" onClick={saveCurrentView}>Save Current View as Default</button>}
+        <button type="button" onClick={onLogout}>Log Out</button>
+      </div>
+      {preferences && (
+        <p className="account-hint">
+          Defaults: {preferences.default_symbol ? preferences.default_symbol.toUpperCase() : 'no coin'},{' '}
+          {preferences.range_days ? `last ${preferences.range_days} days` : 'last 30 days'},{' '}
+          {CHART_TYPE_LABELS[preferences.chart_type] || CHART_TYPE_LABELS.line} chart
+        </p>
+      )}
+      {saveMessage && <p className="account-hint">{saveMessage}</p>}
+    </div>
+  );
+}
+
+export default AccountPanel;
@@ -0,0 +1,36 @@
+// src/components/AlertToasts.js
+import React, { useEffect } from 'react';
+
+const TOAST_DURATION_MS = 8000;
+
+// A single toast that dismisses itself after TOAST_DURATION_MS
+function AlertToast({ toast, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(toast.id), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [toast.id, onDismiss]);
+
+  return (
+    <div className="alert-toast" role="alert">
+      <strong>🔔 Price Alert</strong>
+      <span>{toast.message}</span>
+      <button onClick={() => onDismiss(toast.id)} aria-label="Dismiss alert">×</button>
+    </div>
+  );
+}
+
+// Stack of toasts for alerts that triggered while the dashboard is open
+function AlertToasts({ toasts, onDismiss }) {
+  if (toasts.length === 0) {
+    return null;
+  }
+  return (
+    <div className="alert-toasts">
+      {toasts.map(toast => (
+        <AlertToast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
+
+export default AlertToasts;
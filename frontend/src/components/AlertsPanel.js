@@ -0,0 +1,180 @@
+// src/components/AlertsPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { formatTimestampForDisplay } from '../utils/timestamps';
+import { apiUrl } from '../utils/config';
+
+const ALERTS_URL = apiUrl('/api/alerts');
+
+// Labels and input hints for each alert rule type supported by the API
+const ALERT_TYPE_OPTIONS = {
+  price_above: { label: 'Price above', thresholdLabel: 'Price (USD)', usesWindow: false },
+  price_below: { label: 'Price below', thresholdLabel: 'Price (USD)', usesWindow: false },
+  percent_change: { label: 'Percent change', thresholdLabel: 'Change % (negative = drop)', usesWindow: true },
+  volume_spike: { label: 'Volume spike', thresholdLabel: 'Multiple of average', usesWindow: true },
+};
+
+const describeAlert = (alert) => {
+  const symbol = alert.symbol.toUpperCase();
+  switch (alert.type) {
+    case 'price_above':
+      return `${symbol} above $${alert.threshold.toLocaleString()}`;
+    case 'price_below':
+      return `${symbol} below $${alert.threshold.toLocaleString()}`;
+    case 'percent_change':
+      return `${symbol} ${alert.threshold < 0 ? 'drops' : 'rises'} ${Math.abs(alert.threshold)}% within ${alert.window_minutes} min`;
+    case 'volume_spike':
+      return `${symbol} volume > ${alert.threshold}x its ${alert.window_minutes}-min average`;
+    default:
+      return `${symbol} ${alert.type} ${alert.threshold}`;
+  }
+};
+
+// Manages alert rules (create, enable/disable, delete) and lists recently triggered alerts.
+// `history` is owned by App, which also receives live alert_triggered messages.
+function AlertsPanel({ symbols, history, timeZone }) {
+  const [alerts, setAlerts] = useState([]);
+  const [formError, setFormError] = useState(null);
+  const [form, setForm] = useState({ symbol: '', type: 'price_above', threshold: '', window_minutes: '' });
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await axios.get(ALERTS_URL);
+      setAlerts(response.data);
+    } catch (err) {
+      console.error('Error fetching alerts:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  // Refresh the rule list when an alert fires, so its "triggered" state is current
+  useEffect(() => {
+    if (history.length > 0) {
+      fetchAlerts();
+    }
+  }, [history, fetchAlerts]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = { symbol: form.symbol, type: form.type, threshold: Number(form.threshold) };
+    if (ALERT_TYPE_OPTIONS[form.type].usesWindow && form.window_minutes) {
+      body.window_minutes = Number(form.window_minutes);
+    }
+
+    try {
+      await axios.post(ALERTS_URL, body);
+      setFormError(null);
+      setForm({ ...form, threshold: '', window_minutes: '' });
+      fetchAlerts();
+    } catch (err) {
+      setFormError(err.response ? err.response.data.error : err.message);
+    }
+  };
+
+  const toggleAlert = async (alert) => {
+    try {
+      await axios.patch(`${ALERTS_URL}/${alert.id}`, { enabled: !alert.enabled });
+      fetchAlerts();
+    } catch (err) {
+      console.error(`Error updating alert ${alert.id}:`, err);
+    }
+  };
+
+  const deleteAlert = async (alert) => {
+    try {
+      await axios.delete(`${ALERTS_URL}/${alert.id}`);
+      fetchAlerts();
+    } catch (err) {
+      console.error(`Error deleting alert ${alert.id}:`, err);
+    }
+  };
+
+  const typeOptions = ALERT_TYPE_OPTIONS[form.type];
+
+  return (
+    <div className="alerts-panel">
+      <form className="inline-form" onSubmit={handleSubmit}>
+        <select name="symbol" value={form.symbol} onChange={handleChange} required>
+          <option value="">-- Symbol --</option>
+          {symbols.map(symbol => (
+            <option key={symbol} value={symbol}>{symbol.toUpperCase()}</option>
+          ))}
+        </select>
+        <select name="type" value={form.type} onChange={handleChange}>
+          {Object.entries(ALERT_TYPE_OPTIONS).map(([type, option]) => (
+            <option key={type} value={type}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          name="threshold"
+          step="any"
+          placeholder={typeOptions.thresholdLabel}
+          value={form.threshold}
+          onChange={handleChange}
+          required
+        />
+        {typeOptions.usesWindow && (
+          <input
+            type="number"
+            name="window_minutes"
+            min="1"
+            placeholder="Window (minutes)"
+            value={form.window_minutes}
+            onChange={handleChange}
+          />
+        )}
+        <button type="submit">Add Alert</button>
+      </form>
+      {formError && <p className="error-message">{formError}</p>}
+
+      <div className="alerts-columns">
+        <div>
+          <h3>Rules</h3>
+          {alerts.length === 0 ? (
+            <p>No alert rules yet.</p>
+          ) : (
+            <ul className="item-list">
+              {alerts.map(alert => (
+                <li key={alert.id} className={alert.enabled ? '' : 'disabled'}>
+                  <span>
+                    {describeAlert(alert)}
+                    {alert.triggered && <span className="alert-badge">triggered</span>}
+                  </span>
+                  <span className="item-actions">
+                    <button onClick={() => toggleAlert(alert)}>{alert.enabled ? 'Disable' : 'Enable'}</button>
+                    <button onClick={() => deleteAlert(alert)}>Delete</button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h3>History</h3>
+          {history.length === 0 ? (
+            <p>No alerts have triggered yet.</p>
+          ) : (
+            <ul className="item-list">
+              {history.map(entry => (
+                <li key={entry.id}>
+                  <span>{entry.message}</span>
+                  <span className="alert-time">{formatTimestampForDisplay(entry.triggered_at, timeZone)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AlertsPanel;
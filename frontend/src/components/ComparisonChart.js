@@ -0,0 +1,165 @@
+// src/components/ComparisonChart.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Line } from 'react-chartjs-2';
+import { DOUGHNUT_COLORS } from '../utils/chartData';
+import { formatMoney } from '../utils/currency';
+import { formatTimestampForDisplay } from '../utils/timestamps';
+import { apiUrl } from '../utils/config';
+
+const COMPARE_URL = apiUrl('/api/crypto/compare');
+const MAX_COMPARE_SYMBOLS = 10;
+
+const formatPercent = (value) =>
+  value === null || value === undefined ? 'N/A' : `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+// Overlaid line chart of several coins over the dashboard's date range.
+// `symbols` is ordered by market cap; the top three are compared until the user picks others.
+function ComparisonChart({ symbols, startDate, endDate, currency, quote, timeZone }) {
+  const [selected, setSelected] = useState([]);
+  const [touched, setTouched] = useState(false);
+  const [rebase, setRebase] = useState(true);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!touched && selected.length === 0 && symbols.length > 0) {
+      setSelected(symbols.slice(0, 3));
+    }
+  }, [symbols, selected.length, touched]);
+
+  useEffect(() => {
+    if (selected.length === 0) {
+      setComparison(null);
+      return;
+    }
+    const params = { symbols: selected.join(','), rebase, currency, tz: timeZone };
+    if (startDate) {
+      params.startDate = startDate;
+    }
+    if (endDate) {
+      params.endDate = endDate;
+    }
+    axios.get(COMPARE_URL, { params })
+      .then(response => {
+        setComparison(response.data);
+        setError(null);
+      })
+      .catch(err => {
+        console.error('Error fetching comparison data:', err);
+        setError(err.response ? err.response.data.error : err.message);
+      });
+  }, [selected, rebase, startDate, endDate, currency, timeZone]);
+
+  const toggleSymbol = (symbol) => {
+    setTouched(true);
+    setSelected(current => (
+      current.includes(symbol)
+        ? current.filter(item => item !== symbol)
+        : current.length < MAX_COMPARE_SYMBOLS ? [...current, symbol] : current
+    ));
+  };
+
+  const formatValue = (value) => (rebase ? formatPercent(value) : formatMoney(value, quote, 4));
+
+  const chartData = comparison && {
+    labels: comparison.timestamps.map(timestamp => formatTimestampForDisplay(timestamp, timeZone)),
+    datasets: comparison.series.map((entry, index) => ({
+      label: entry.symbol.toUpperCase(),
+      data: entry.values,
+      borderColor: DOUGHNUT_COLORS[index % DOUGHNUT_COLORS.length],
+      backgroundColor: DOUGHNUT_COLORS[index % DOUGHNUT_COLORS.length],
+      pointRadius: 0,
+      borderWidth: 2,
+      tension: 0.2,
+      spanGaps: true,
+    })),
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: { color: '#e0e0e0' },
+      },
+      title: {
+        display: true,
+        text: rebase ? 'Performance Since Range Start (%)' : `Price (${quote.currency.toUpperCase()}, log scale)`,
+        color: '#00bcd4',
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 26, 46, 0.9)',
+        titleColor: '#00bcd4',
+        bodyColor: '#e0e0e0',
+        callbacks: {
+          label: function(tooltipItem) {
+            return `${tooltipItem.dataset.label}: ${formatValue(tooltipItem.raw)}`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        ticks: { color: '#e0e0e0', maxTicksLimit: 12 },
+        grid: { color: 'rgba(0, 188, 212, 0.1)' },
+      },
+      y: {
+        // Absolute prices differ by orders of magnitude between coins, so they share a log axis
+        type: rebase ? 'linear' : 'logarithmic',
+        ticks: {
+          color: '#e0e0e0',
+          callback: function(value) {
+            return formatValue(value);
+          }
+        },
+        grid: { color: 'rgba(0, 188, 212, 0.1)' },
+      },
+    },
+  };
+
+  return (
+    <div className="comparison-panel">
+      <div className="compare-symbols">
+        {symbols.map(symbol => (
+          <button
+            key={symbol}
+            className={selected.includes(symbol) ? 'active' : ''}
+            onClick={() => toggleSymbol(symbol)}
+          >
+            {symbol.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      <label className="compare-rebase">
+        <input type="checkbox" checked={rebase} onChange={(e) => setRebase(e.target.checked)} />
+        Show % change from start of range
+      </label>
+      {error && <p className="error-message">{error}</p>}
+
+      {comparison && comparison.timestamps.length > 0 ? (
+        <>
+          <div className="chart-container">
+            <Line data={chartData} options={chartOptions} />
+          </div>
+          <ul className="item-list compare-summary">
+            {comparison.series.map(entry => (
+              <li key={entry.symbol}>
+                <span>{entry.name} ({entry.symbol.toUpperCase()})</span>
+                <span className={entry.change_pct > 0 ? 'pnl-positive' : entry.change_pct < 0 ? 'pnl-negative' : ''}>
+                  {formatPercent(entry.change_pct)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p>{selected.length === 0 ? 'Pick one or more coins to compare.' : 'No price history for the selected coins in this date range.'}</p>
+      )}
+    </div>
+  );
+}
+
+export default ComparisonChart;
@@ -0,0 +1,26 @@
+// src/components/DownloadButtons.js
+import React from 'react';
+import { apiUrl } from '../utils/config';
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'jsonl', label: 'JSON Lines' },
+  { format: 'xlsx', label: 'Excel' },
+];
+
+// Download links for an export endpoint (e.g. /api/crypto/export), one per format.
+// Plain links let the browser stream the file to disk instead of buffering it in memory.
+function DownloadButtons({ path, params = {} }) {
+  const hrefFor = (format) => `${apiUrl(path)}?${new URLSearchParams({ ...params, format }).toString()}`;
+
+  return (
+    <div className="download-actions">
+      <span>Download:</span>
+      {EXPORT_FORMATS.map(({ format, label }) => (
+        <a key={format} className="download-button" href={hrefFor(format)} download>{label}</a>
+      ))}
+    </div>
+  );
+}
+
+export default DownloadButtons;
@@ -0,0 +1,45 @@
+// src/components/IndicatorPanels.js
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+import { buildOscillatorPanels } from '../utils/indicators';
+
+// RSI / MACD sub-charts under the price chart, sharing its time labels
+function IndicatorPanels({ labels, points, selectedKeys }) {
+  const panels = buildOscillatorPanels(points, selectedKeys);
+  if (panels.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="indicator-panels">
+      {panels.map(panel => (
+        <div key={panel.key} className="chart-container indicator-panel">
+          <Line
+            data={{ labels, datasets: panel.datasets }}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              interaction: { mode: 'index', intersect: false },
+              plugins: {
+                legend: { position: 'top', labels: { color: '#e0e0e0', boxWidth: 12 } },
+                title: { display: true, text: panel.title, color: '#00bcd4' },
+                tooltip: {
+                  backgroundColor: 'rgba(26, 26, 46, 0.9)',
+                  titleColor: '#00bcd4',
+                  bodyColor: '#e0e0e0',
+                },
+              },
+              scales: {
+                x: { ticks: { display: false }, grid: { color: 'rgba(0, 188, 212, 0.1)' } },
+                y: { ...panel.range, ticks: { color: '#e0e0e0' }, grid: { color: 'rgba(0, 188, 212, 0.1)' } },
+              },
+            }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default IndicatorPanels;
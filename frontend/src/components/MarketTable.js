@@ -0,0 +1,209 @@
+// src/components/MarketTable.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { formatMoney } from '../utils/currency';
+
+const PAGE_SIZES = [10, 25, 50, 100];
+
+// Sortable columns: `key` is the row field, numeric columns sort largest first on the first click
+const COLUMNS = [
+  { key: 'symbol', label: 'Symbol', numeric: false },
+  { key: 'name', label: 'Name', numeric: false },
+  { key: 'current_price', label: 'Price', numeric: true },
+  { key: 'change_1h', label: '1h %', numeric: true },
+  { key: 'change_24h', label: '24h %', numeric: true },
+  { key: 'change_7d', label: '7d %', numeric: true },
+  { key: 'market_cap', label: 'Market Cap', numeric: true },
+  { key: 'total_volume', label: 'Total Volume', numeric: true },
+  { key: 'timestamp', label: 'Timestamp', numeric: false },
+];
+
+// Rows without a value (e.g. no 7d history yet) always go to the bottom
+const compareRows = (key, direction) => (a, b) => {
+  const valueA = a[key];
+  const valueB = b[key];
+  if (valueA === null || valueA === undefined) return valueB === null || valueB === undefined ? 0 : 1;
+  if (valueB === null || valueB === undefined) return -1;
+  const order = typeof valueA === 'number' ? valueA - valueB : String(valueA).localeCompare(String(valueB));
+  return direction === 'asc' ? order : -order;
+};
+
+function ChangeCell({ value }) {
+  if (value === null || value === undefined) {
+    return <td>N/A</td>;
+  }
+  const className = value > 0 ? 'change-positive' : value < 0 ? 'change-negative' : '';
+  return (
+    <td className={className}>
+      {value > 0 ? '▲' : value < 0 ? '▼' : ''} {Math.abs(value).toFixed(2)}%
+    </td>
+  );
+}
+
+// A single row of the table; memoized so delta updates only re-render changed coins.
+// `watched` is undefined when nobody is logged in, which hides the watchlist star.
+const MarketTableRow = React.memo(function MarketTableRow({ data, quote, formatTimestamp, watched, onToggleWatchlist }) {
+  return (
+    <tr data-symbol={data.symbol}>
+      {watched !== undefined && (
+        <td>
+          <button
+            className={`watch-toggle${watched ? ' active' : ''}`}
+            onClick={() => onToggleWatchlist(data.symbol)}
+            title={watched ? 'Remove from watchlist' : 'Add to watchlist'}
+          >
+            {watched ? '★' : '☆'}
+          </button>
+        </td>
+      )}
+      <td><Link to={`/coin/${data.symbol}`}>{data.symbol.toUpperCase()}</Link></td>
+      <td><Link to={`/coin/${data.symbol}`}>{data.name}</Link></td>
+      <td>{formatMoney(data.current_price, quote, 4)}</td>
+      <ChangeCell value={data.change_1h} />
+      <ChangeCell value={data.change_24h} />
+      <ChangeCell value={data.change_7d} />
+      <td>{data.market_cap ? formatMoney(data.market_cap, quote, 0) : 'N/A'}</td>
+      <td>{data.total_volume ? formatMoney(data.total_volume, quote, 0) : 'N/A'}</td>
+      <td>{formatTimestamp(data.timestamp)}</td>
+    </tr>
+  );
+});
+
+// "Latest Crypto Data" table with search, column sorting and pagination.
+// Sorting happens on every render from the live rows, so WebSocket updates move coins to their
+// new position without resetting the user's sort, search or page.
+// `onVisibleSymbolsChange` receives the symbols of the rows currently on screen.
+// `watchlist` is the logged-in user's symbols (null when logged out); with `watchlistOnly`
+// the table shows just those coins.
+function MarketTable({
+  rows,
+  quote,
+  formatTimestamp,
+  onVisibleSymbolsChange,
+  watchlist = null,
+  onToggleWatchlist,
+  watchlistOnly = false,
+  onWatchlistOnlyChange,
+}) {
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState({ key: 'market_cap', direction: 'desc' });
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(25);
+  const containerRef = useRef(null);
+
+  const query = search.trim().toLowerCase();
+  const scopedRows = watchlist && watchlistOnly ? rows.filter(row => watchlist.includes(row.symbol)) : rows;
+  const filteredRows = query
+    ? scopedRows.filter(row => row.symbol.toLowerCase().includes(query) || (row.name || '').toLowerCase().includes(query))
+    : scopedRows;
+  const sortedRows = [...filteredRows].sort(compareRows(sort.key, sort.direction));
+  const pageCount = Math.max(1, Math.ceil(sortedRows.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1); // The list can shrink under a live update or a search
+  const pageRows = sortedRows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+  const pageKey = pageRows.map(row => row.symbol).join(',');
+
+  const toggleSort = (column) => {
+    setSort(current => (
+      current.key === column.key
+        ? { key: column.key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+        : { key: column.key, direction: column.numeric ? 'desc' : 'asc' }
+    ));
+  };
+
+  // --- Track which rows are on screen, so only those coins get live updates ---
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const onScreen = new Set();
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const { symbol } = entry.target.dataset;
+        if (entry.isIntersecting) {
+          onScreen.add(symbol);
+        } else {
+          onScreen.delete(symbol);
+        }
+      });
+      onVisibleSymbolsChange(Array.from(onScreen).sort());
+    }, { root: container });
+
+    container.querySelectorAll('tr[data-symbol]').forEach(row => observer.observe(row));
+    return () => observer.disconnect();
+  }, [pageKey, onVisibleSymbolsChange]); // Re-observe when the displayed rows change
+
+  return (
+    <div className="market-table">
+      <div className="market-table-controls">
+        <input
+          type="search"
+          placeholder="Search symbol or name..."
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+        />
+        {watchlist && (
+          <label className="watchlist-only">
+            <input
+              type="checkbox"
+              checked={watchlistOnly}
+              onChange={(e) => { onWatchlistOnlyChange(e.target.checked); setPage(0); }}
+            />
+            My watchlist only ({watchlist.length})
+          </label>
+        )}
+        <span>{sortedRows.length} coin{sortedRows.length === 1 ? '' : 's'}</span>
+      </div>
+
+      <div className="table-container" ref={containerRef}>
+        <table>
+          <thead>
+            <tr>
+              {watchlist && <th aria-label="Watchlist"></th>}
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  className="sortable"
+                  onClick={() => toggleSort(column)}
+                  aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  {column.key === 'current_price' ? `Price (${quote.currency.toUpperCase()})` : column.label}
+                  {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(data => (
+              <MarketTableRow
+                key={data.symbol}
+                data={data}
+                quote={quote}
+                formatTimestamp={formatTimestamp}
+                watched={watchlist ? watchlist.includes(data.symbol) : undefined}
+                onToggleWatchlist={onToggleWatchlist}
+              />
+            ))}
+          </tbody>
+        </table>
+        {pageRows.length === 0 && (
+          <p>{query ? `No coins match "${search}".` : 'Your watchlist is empty. Star coins to add them.'}</p>
+        )}
+      </div>
+
+      <div className="pagination">
+        <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0}>Previous</button>
+        <span>Page {currentPage + 1} of {pageCount}</span>
+        <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1}>Next</button>
+        <select value={pageSize} onChange={(e) => { setPageSize(Number(e.target.value)); setPage(0); }}>
+          {PAGE_SIZES.map(size => (
+            <option key={size} value={size}>{size} per page</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+export default MarketTable;
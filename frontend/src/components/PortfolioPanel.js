@@ -0,0 +1,295 @@
+// src/components/PortfolioPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Line, Doughnut } from 'react-chartjs-2';
+import { buildTopNDoughnutData } from '../utils/chartData';
+import { formatDateForDisplay } from '../utils/timestamps';
+import { todayInZone } from '../utils/timeZone';
+import { apiUrl } from '../utils/config';
+
+const PORTFOLIO_URL = apiUrl('/api/portfolio');
+
+const formatUsd = (value, digits = 2) =>
+  value === null || value === undefined ? 'N/A' : `$${value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+
+// Green for gains, red for losses
+const pnlClassName = (value) => (value > 0 ? 'pnl-positive' : value < 0 ? 'pnl-negative' : '');
+
+const allocationDoughnutOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: {
+      position: 'right',
+      labels: {
+        color: '#e0e0e0',
+      }
+    },
+    title: {
+      display: true,
+      text: 'Allocation by Market Value',
+      color: '#00bcd4',
+    },
+    tooltip: {
+      backgroundColor: 'rgba(26, 26, 46, 0.9)',
+      titleColor: '#00bcd4',
+      bodyColor: '#e0e0e0',
+      callbacks: {
+        label: function(tooltipItem) {
+          const total = tooltipItem.dataset.data.reduce((sum, val) => sum + val, 0);
+          const percentage = ((tooltipItem.raw / total) * 100).toFixed(2);
+          return `${tooltipItem.label}: ${formatUsd(tooltipItem.raw)} (${percentage}%)`;
+        }
+      }
+    }
+  },
+  cutout: '70%',
+};
+
+const valueHistoryOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: {
+      position: 'top',
+      labels: {
+        color: '#e0e0e0',
+      }
+    },
+    title: {
+      display: true,
+      text: 'Portfolio Value Over Time',
+      color: '#00bcd4',
+    },
+    tooltip: {
+      backgroundColor: 'rgba(26, 26, 46, 0.9)',
+      titleColor: '#00bcd4',
+      bodyColor: '#e0e0e0',
+      callbacks: {
+        label: function(tooltipItem) {
+          return `${tooltipItem.dataset.label}: ${formatUsd(tooltipItem.raw)}`;
+        }
+      }
+    }
+  },
+  scales: {
+    x: {
+      ticks: { color: '#e0e0e0' },
+      grid: { color: 'rgba(0, 188, 212, 0.1)' },
+    },
+    y: {
+      title: {
+        display: true,
+        text: 'Value (USD)',
+        color: '#e0e0e0',
+      },
+      ticks: {
+        color: '#e0e0e0',
+        callback: function(value) {
+          return `$${value.toLocaleString()}`;
+        }
+      },
+      grid: { color: 'rgba(0, 188, 212, 0.1)' },
+    },
+  },
+};
+
+// Portfolio section: P&L summary, holdings, allocation, value over time and transactions.
+// `dataTimestamp` is the newest price timestamp on the dashboard; valuations refresh when it changes.
+// Dates (the value history, transaction dates and the date picker) are days in `timeZone`.
+function PortfolioPanel({ symbols, dataTimestamp, timeZone }) {
+  const [summary, setSummary] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [valueHistory, setValueHistory] = useState([]);
+  const [formError, setFormError] = useState(null);
+  const [form, setForm] = useState({ symbol: '', side: 'buy', quantity: '', price: '', date: todayInZone(timeZone) });
+
+  const fetchPortfolio = useCallback(async () => {
+    try {
+      const [summaryResponse, transactionsResponse, historyResponse] = await Promise.all([
+        axios.get(PORTFOLIO_URL),
+        axios.get(`${PORTFOLIO_URL}/transactions`, { params: { tz: timeZone } }),
+        axios.get(`${PORTFOLIO_URL}/history`, { params: { tz: timeZone } }),
+      ]);
+      setSummary(summaryResponse.data);
+      setTransactions(transactionsResponse.data);
+      setValueHistory(historyResponse.data);
+    } catch (err) {
+      console.error('Error fetching portfolio:', err);
+    }
+  }, [timeZone]);
+
+  useEffect(() => {
+    fetchPortfolio();
+  }, [fetchPortfolio, dataTimestamp]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(`${PORTFOLIO_URL}/transactions`, {
+        symbol: form.symbol,
+        side: form.side,
+        quantity: Number(form.quantity),
+        price: Number(form.price),
+        date: form.date,
+      }, { params: { tz: timeZone } });
+      setFormError(null);
+      setForm({ ...form, quantity: '', price: '' });
+      fetchPortfolio();
+    } catch (err) {
+      setFormError(err.response ? err.response.data.error : err.message);
+    }
+  };
+
+  const deleteTransaction = async (transaction) => {
+    try {
+      await axios.delete(`${PORTFOLIO_URL}/transactions/${transaction.id}`);
+      setFormError(null);
+      fetchPortfolio();
+    } catch (err) {
+      setFormError(err.response ? err.response.data.error : err.message);
+    }
+  };
+
+  const allocationData = summary ? buildTopNDoughnutData(
+    summary.holdings.map(holding => ({ label: holding.symbol.toUpperCase(), value: holding.market_value })),
+    7
+  ) : null;
+
+  const valueHistoryData = {
+    labels: valueHistory.map(point => formatDateForDisplay(point.timestamp, timeZone)),
+    datasets: [
+      {
+        label: 'Market Value',
+        data: valueHistory.map(point => point.market_value),
+        borderColor: 'rgb(0, 188, 212)',
+        backgroundColor: 'rgba(0, 188, 212, 0.3)',
+        fill: true,
+        tension: 0.3,
+      },
+      {
+        label: 'Cost Basis',
+        data: valueHistory.map(point => point.cost_basis),
+        borderColor: '#ff9800',
+        borderDash: [6, 4],
+        pointRadius: 0,
+      },
+    ],
+  };
+
+  return (
+    <div className="portfolio-panel">
+      {summary && (
+        <div className="portfolio-summary">
+          <div>
+            <span>Current Value</span>
+            <strong>{formatUsd(summary.totals.market_value)}</strong>
+          </div>
+          <div>
+            <span>Cost Basis</span>
+            <strong>{formatUsd(summary.totals.cost_basis)}</strong>
+          </div>
+          <div>
+            <span>Unrealized P&amp;L</span>
+            <strong className={pnlClassName(summary.totals.unrealized_pnl)}>{formatUsd(summary.totals.unrealized_pnl)}</strong>
+          </div>
+          <div>
+            <span>Realized P&amp;L</span>
+            <strong className={pnlClassName(summary.totals.realized_pnl)}>{formatUsd(summary.totals.realized_pnl)}</strong>
+          </div>
+        </div>
+      )}
+
+      {summary && summary.holdings.length > 0 ? (
+        <>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Symbol</th>
+                  <th>Quantity</th>
+                  <th>Avg Cost</th>
+                  <th>Price</th>
+                  <th>Value</th>
+                  <th>Unrealized P&amp;L</th>
+                  <th>Allocation</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.holdings.map(holding => (
+                  <tr key={holding.symbol}>
+                    <td>{holding.symbol.toUpperCase()}</td>
+                    <td>{holding.quantity.toLocaleString()}</td>
+                    <td>{formatUsd(holding.average_cost, 4)}</td>
+                    <td>{formatUsd(holding.current_price, 4)}</td>
+                    <td>{formatUsd(holding.market_value)}</td>
+                    <td className={pnlClassName(holding.unrealized_pnl)}>
+                      {formatUsd(holding.unrealized_pnl)}
+                      {holding.unrealized_pnl_pct !== null && ` (${holding.unrealized_pnl_pct.toFixed(2)}%)`}
+                    </td>
+                    <td>{holding.allocation_pct !== null ? `${holding.allocation_pct.toFixed(2)}%` : 'N/A'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="portfolio-charts">
+            <div className="chart-container">
+              {allocationData && <Doughnut data={allocationData} options={allocationDoughnutOptions} />}
+            </div>
+            <div className="chart-container">
+              {valueHistory.length > 0 ? (
+                <Line data={valueHistoryData} options={valueHistoryOptions} />
+              ) : (
+                <p>No price history available for your holdings yet.</p>
+              )}
+            </div>
+          </div>
+        </>
+      ) : (
+        <p>No open positions. Record a buy below to start tracking your portfolio.</p>
+      )}
+
+      <h3>Transactions</h3>
+      <form className="inline-form" onSubmit={handleSubmit}>
+        <select name="symbol" value={form.symbol} onChange={handleChange} required>
+          <option value="">-- Symbol --</option>
+          {symbols.map(symbol => (
+            <option key={symbol} value={symbol}>{symbol.toUpperCase()}</option>
+          ))}
+        </select>
+        <select name="side" value={form.side} onChange={handleChange}>
+          <option value="buy">Buy</option>
+          <option value="sell">Sell</option>
+        </select>
+        <input type="number" name="quantity" step="any" min="0" placeholder="Quantity" value={form.quantity} onChange={handleChange} required />
+        <input type="number" name="price" step="any" min="0" placeholder="Price (USD)" value={form.price} onChange={handleChange} required />
+        <input type="date" name="date" value={form.date} max={todayInZone(timeZone)} onChange={handleChange} required />
+        <button type="submit">Record</button>
+      </form>
+      {formError && <p className="error-message">{formError}</p>}
+
+      {transactions.length > 0 && (
+        <ul className="item-list">
+          {transactions.map(transaction => (
+            <li key={transaction.id}>
+              <span>
+                {formatDateForDisplay(transaction.executed_at, timeZone)}: {transaction.side.toUpperCase()} {transaction.quantity.toLocaleString()} {transaction.symbol.toUpperCase()} @ {formatUsd(transaction.price, 4)}
+              </span>
+              <span className="item-actions">
+                <button onClick={() => deleteTransaction(transaction)}>Delete</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PortfolioPanel;
@@ -0,0 +1,40 @@
+// src/components/StaleDataBanner.js
+import React, { useEffect, useState } from 'react';
+import { formatTimestampForDisplay, parseTimestamp } from '../utils/timestamps';
+
+// Prices older than this many minutes count as stale (REACT_APP_STALE_AFTER_MINUTES, default 15:
+// three missed runs of the 5-minute ETL)
+const STALE_AFTER_MINUTES = Number(process.env.REACT_APP_STALE_AFTER_MINUTES) > 0
+  ? Number(process.env.REACT_APP_STALE_AFTER_MINUTES)
+  : 15;
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Warns when the newest price on the dashboard is older than the threshold, i.e. the ETL has
+// stopped writing. Re-checks on a timer, since a dead ETL sends no updates that would re-render.
+function StaleDataBanner({ newestTimestamp, timeZone }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const newest = parseTimestamp(newestTimestamp);
+  if (!newest) {
+    return null;
+  }
+  const ageMinutes = Math.floor((now - newest.getTime()) / 60000);
+  if (ageMinutes < STALE_AFTER_MINUTES) {
+    return null;
+  }
+
+  return (
+    <div className="stale-data-banner" role="status">
+      ⚠️ Data is stale: the newest prices are from {formatTimestampForDisplay(newestTimestamp, timeZone)} ({ageMinutes} minutes ago).
+      The ETL may have stopped running.
+    </div>
+  );
+}
+
+export default StaleDataBanner;
@@ -0,0 +1,112 @@
+// src/utils/anomalies.js
+// Draws the data quality report of /api/anomalies on the history line chart: a marker on the
+// point nearest to each anomaly and a shaded band over each ingestion gap. The chart's x axis
+// is one category per history point, so both are placed by the nearest point in time.
+import { parseTimestamp } from './timestamps';
+
+const ANOMALY_COLOR = '#f44336';
+const GAP_COLOR = 'rgba(255, 152, 0, 0.18)';
+const MIN_GAP_WIDTH_PX = 4; // Gaps shorter than the spacing of the points still show
+
+// Index of the point whose time is closest to `time` (`times` ascending, not empty)
+const nearestIndex = (times, time) => {
+  let low = 0;
+  let high = times.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (times[middle] < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low > 0 && time - times[low - 1] < times[low] - time ? low - 1 : low;
+};
+
+const pointTimes = (points) => points.map(point => parseTimestamp(point.timestamp).getTime());
+
+// A point-only dataset marking the anomalies on the price line. Several anomalies at one point
+// share its marker; `messages[index]` lists them for the tooltip.
+export const buildAnomalyDataset = (points, anomalies) => {
+  if (points.length === 0 || anomalies.length === 0) {
+    return null;
+  }
+  const times = pointTimes(points);
+  const messages = points.map(() => []);
+  anomalies.forEach(anomaly => {
+    messages[nearestIndex(times, parseTimestamp(anomaly.timestamp).getTime())].push(anomaly.message);
+  });
+  return {
+    label: 'Anomalies',
+    data: points.map((point, index) => (messages[index].length > 0 ? point.current_price : null)),
+    messages,
+    showLine: false,
+    fill: false,
+    pointStyle: 'triangle',
+    pointRadius: 8,
+    pointHoverRadius: 10,
+    pointBackgroundColor: ANOMALY_COLOR,
+    pointBorderColor: '#ffffff',
+    borderColor: ANOMALY_COLOR,
+    backgroundColor: ANOMALY_COLOR,
+  };
+};
+
+// Gaps as { from, to } point indexes for gapShadingPlugin
+export const buildGapRanges = (points, gaps) => {
+  if (points.length === 0) {
+    return [];
+  }
+  const times = pointTimes(points);
+  return gaps.map(gap => ({
+    from: nearestIndex(times, parseTimestamp(gap.start).getTime()),
+    to: nearestIndex(times, parseTimestamp(gap.end).getTime()),
+  }));
+};
+
+export const hasDataQualityIssues = (report) => report.anomalies.length + report.gaps.length > 0;
+
+// One-line summary of a report for under the chart. A truncated report (ranges over 31 days)
+// only covers the end of the range, from `report.start`.
+export const describeDataQuality = (report) => {
+  const scope = report.truncated ? `since ${report.start.slice(0, 10)} (only the last 31 days are checked)` : 'in this range';
+  if (!hasDataQualityIssues(report)) {
+    return `✅ No anomalies or ingestion gaps ${scope}.`;
+  }
+  const anomalyCount = report.anomalies.length;
+  const gapCount = report.gaps.length;
+  const missedRuns = report.gaps.reduce((sum, gap) => sum + gap.missed_runs, 0);
+  return `⚠️ ${anomalyCount} ${anomalyCount === 1 ? 'anomaly' : 'anomalies'} (red markers) and `
+    + `${gapCount} ingestion ${gapCount === 1 ? 'gap' : 'gaps'} (shaded, ${missedRuns} missed ${missedRuns === 1 ? 'run' : 'runs'}) ${scope}.`;
+};
+
+// Chart.js plugin shading the `ranges` of options.plugins.gapShading behind the datasets
+export const gapShadingPlugin = {
+  id: 'gapShading',
+  beforeDatasetsDraw(chart, args, options) {
+    const ranges = (options && options.ranges) || [];
+    const xScale = chart.scales.x;
+    const { top, bottom, left, right } = chart.chartArea;
+    if (!xScale || ranges.length === 0) {
+      return;
+    }
+    const { ctx } = chart;
+    ctx.save();
+    ctx.fillStyle = GAP_COLOR;
+    ranges.forEach(({ from, to }) => {
+      let start = xScale.getPixelForValue(from);
+      let end = xScale.getPixelForValue(to);
+      if (end - start < MIN_GAP_WIDTH_PX) {
+        const middle = (start + end) / 2;
+        start = middle - MIN_GAP_WIDTH_PX / 2;
+        end = middle + MIN_GAP_WIDTH_PX / 2;
+      }
+      start = Math.max(left, start);
+      end = Math.min(right, end);
+      if (end > start) {
+        ctx.fillRect(start, top, end - start, bottom - top);
+      }
+    });
+    ctx.restore();
+  },
+};
@@ -0,0 +1,44 @@
+import { buildAnomalyDataset, buildGapRanges, describeDataQuality, hasDataQualityIssues } from './anomalies';
+
+const points = [
+  { timestamp: '2024-03-01T10:00:00.000+00:00', current_price: 100 },
+  { timestamp: '2024-03-01T10:05:00.000+00:00', current_price: 101 },
+  { timestamp: '2024-03-01T10:30:00.000+00:00', current_price: 150 },
+  { timestamp: '2024-03-01T10:35:00.000+00:00', current_price: 102 },
+];
+
+describe('buildAnomalyDataset', () => {
+  it('marks the point nearest to each anomaly', () => {
+    const dataset = buildAnomalyDataset(points, [
+      { timestamp: '2024-03-01T10:29:00.000Z', message: 'Price spike' },
+      { timestamp: '2024-03-01T10:31:00.000Z', message: 'Volume spike' },
+      { timestamp: '2024-03-01T09:00:00.000Z', message: 'Stale price' },
+    ]);
+    expect(dataset.data).toEqual([100, null, 150, null]);
+    expect(dataset.messages).toEqual([['Stale price'], [], ['Price spike', 'Volume spike'], []]);
+  });
+
+  it('returns null when there is nothing to mark', () => {
+    expect(buildAnomalyDataset(points, [])).toBeNull();
+    expect(buildAnomalyDataset([], [{ timestamp: '2024-03-01T10:00:00.000Z', message: 'x' }])).toBeNull();
+  });
+});
+
+describe('buildGapRanges', () => {
+  it('places gaps by the nearest points', () => {
+    expect(buildGapRanges(points, [{ start: '2024-03-01T10:06:00.000Z', end: '2024-03-01T10:29:00.000Z' }])).toEqual([{ from: 1, to: 2 }]);
+    expect(buildGapRanges([], [{ start: '2024-03-01T10:06:00.000Z', end: '2024-03-01T10:29:00.000Z' }])).toEqual([]);
+  });
+});
+
+describe('describeDataQuality', () => {
+  it('summarises anomalies, gaps and missed runs', () => {
+    const clean = { anomalies: [], gaps: [] };
+    expect(hasDataQualityIssues(clean)).toBe(false);
+    expect(describeDataQuality(clean)).toMatch(/No anomalies/);
+
+    const report = { anomalies: [{}], gaps: [{ missed_runs: 2 }, { missed_runs: 3 }] };
+    expect(hasDataQualityIssues(report)).toBe(true);
+    expect(describeDataQuality(report)).toBe('⚠️ 1 anomaly (red markers) and 2 ingestion gaps (shaded, 5 missed runs) in this range.');
+  });
+});
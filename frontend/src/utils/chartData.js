@@ -0,0 +1,60 @@
+// src/utils/chartData.js
+
+// Segment colors shared by the doughnut charts
+export const DOUGHNUT_COLORS = [
+  '#00bcd4', // Cyan/Teal
+  '#8bc34a', // Light Green
+  '#ffeb3b', // Yellow
+  '#ff9800', // Orange
+  '#f44336', // Red
+  '#9c27b0', // Purple
+  '#2196f3', // Blue
+  '#e91e63', // Pink
+  '#03a9f4', // Light Blue
+  '#4caf50', // Green
+  // Add more colors if your topN is higher
+];
+
+// Builds Doughnut chart data from [{ label, value }] entries: the largest `topN`
+// entries get their own segment and the rest are summed into a grey 'Other' segment.
+// Returns null when there is nothing to plot.
+export const buildTopNDoughnutData = (entries, topN = 7) => {
+  // Filter out entries without a positive value, then sort descending
+  const sortedEntries = entries
+    .filter(entry => entry.value && entry.value > 0)
+    .sort((a, b) => b.value - a.value);
+
+  if (sortedEntries.length === 0) {
+    return null;
+  }
+
+  const topEntries = sortedEntries.slice(0, topN);
+  const otherValue = sortedEntries.slice(topN).reduce((sum, entry) => sum + entry.value, 0);
+
+  const labels = topEntries.map(entry => entry.label);
+  const dataValues = topEntries.map(entry => entry.value);
+  const backgroundColors = [...DOUGHNUT_COLORS];
+
+  if (otherValue > 0) {
+    labels.push('Other');
+    dataValues.push(otherValue);
+    backgroundColors.push('#607d8b'); // Grey for 'Other'
+  }
+
+  return {
+    labels: labels,
+    datasets: [
+      {
+        data: dataValues,
+        backgroundColor: backgroundColors.slice(0, labels.length), // Ensure colors match labels count
+        borderColor: '#1a1a2e', // Border color for segments
+        borderWidth: 1,
+      },
+    ],
+  };
+};
+
+// Number of history points worth requesting for a chart `width` pixels wide: about one per
+// 2px, rounded to steps of 100 so small resizes don't trigger a refetch
+export const pointBudgetForWidth = (width, { min = 100, max = 2000 } = {}) =>
+  Math.min(max, Math.max(min, Math.round(width / 2 / 100) * 100));
@@ -0,0 +1,25 @@
+import { buildTopNDoughnutData } from './chartData';
+
+describe('buildTopNDoughnutData', () => {
+  it('keeps the largest entries and sums the rest into Other', () => {
+    const data = buildTopNDoughnutData([
+      { label: 'A', value: 10 },
+      { label: 'B', value: 50 },
+      { label: 'C', value: 5 },
+      { label: 'D', value: 20 },
+    ], 2);
+    expect(data.labels).toEqual(['B', 'D', 'Other']);
+    expect(data.datasets[0].data).toEqual([50, 20, 15]);
+    expect(data.datasets[0].backgroundColor).toHaveLength(3);
+  });
+
+  it('leaves out Other when every entry fits', () => {
+    const data = buildTopNDoughnutData([{ label: 'A', value: 1 }, { label: 'B', value: 2 }]);
+    expect(data.labels).toEqual(['B', 'A']);
+  });
+
+  it('returns null without positive values', () => {
+    expect(buildTopNDoughnutData([{ label: 'A', value: 0 }, { label: 'B', value: null }])).toBeNull();
+    expect(buildTopNDoughnutData([])).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+// src/utils/chartState.js
+// The coin page keeps its chart settings in the URL query, so a link such as
+// /coin/eth?chart=bar&start=2024-03-01&end=2024-03-31 reopens exactly that view:
+//   chart       line, bar or candlestick
+//   start, end  date range (YYYY-MM-DD, days in the display time zone)
+//   interval    candle size for the candlestick chart
+//   indicators  comma-separated INDICATOR_OPTIONS keys for the line chart
+// Missing parameters fall back to the user's saved preferences, then to the defaults below.
+import { INDICATOR_OPTIONS } from './indicators';
+import { todayInZone } from './timeZone';
+
+// The same keys as CHART_TYPES in api/lib/users.js, which validates the saved chart_type
+export const CHART_TYPES = [
+  { key: 'line', label: 'Historical Price (Line)' },
+  { key: 'bar', label: 'Historical Price (Bar)' },
+  { key: 'candlestick', label: 'Candlestick' },
+];
+
+export const CANDLE_INTERVALS = [
+  { key: '5m', label: '5 Minutes' },
+  { key: '1h', label: '1 Hour' },
+  { key: '4h', label: '4 Hours' },
+  { key: '1d', label: '1 Day' },
+  { key: '1w', label: '1 Week' },
+];
+
+const DEFAULT_CHART_TYPE = 'line';
+const DEFAULT_CANDLE_INTERVAL = '1h';
+export const DEFAULT_RANGE_DAYS = 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The last `days` days up to today in `timeZone`
+const recentRange = (days, timeZone) => {
+  const endDate = todayInZone(timeZone);
+  const rangeStart = new Date(`${endDate}T00:00:00Z`);
+  rangeStart.setUTCDate(rangeStart.getUTCDate() - days);
+  return { startDate: rangeStart.toISOString().slice(0, 10), endDate };
+};
+
+// Reads the chart settings from URLSearchParams; invalid values are ignored like missing ones.
+// The default range ends today in `timeZone`.
+export const readChartState = (searchParams, preferences = null, timeZone = 'UTC') => {
+  const saved = preferences || {};
+  const chartKeys = CHART_TYPES.map(type => type.key);
+  const chartParam = searchParams.get('chart');
+  const chartType = chartKeys.includes(chartParam) ? chartParam
+    : chartKeys.includes(saved.chart_type) ? saved.chart_type
+      : DEFAULT_CHART_TYPE;
+
+  const defaults = recentRange(saved.range_days || DEFAULT_RANGE_DAYS, timeZone);
+  const startParam = searchParams.get('start');
+  const endParam = searchParams.get('end');
+
+  const intervalParam = searchParams.get('interval');
+  const indicatorKeys = INDICATOR_OPTIONS.map(option => option.key);
+
+  return {
+    chartType,
+    startDate: DATE_PATTERN.test(startParam || '') ? startParam : defaults.startDate,
+    endDate: DATE_PATTERN.test(endParam || '') ? endParam : defaults.endDate,
+    candleInterval: CANDLE_INTERVALS.some(interval => interval.key === intervalParam) ? intervalParam : DEFAULT_CANDLE_INTERVAL,
+    indicators: (searchParams.get('indicators') || '').split(',').filter(key => indicatorKeys.includes(key)),
+  };
+};
+
+// The query parameters for a chart state; settings that don't apply to the chart type are left out
+export const writeChartState = ({ chartType, startDate, endDate, candleInterval, indicators }) => {
+  const params = new URLSearchParams({ chart: chartType });
+  if (startDate) {
+    params.set('start', startDate);
+  }
+  if (endDate) {
+    params.set('end', endDate);
+  }
+  if (chartType === 'candlestick') {
+    params.set('interval', candleInterval);
+  }
+  if (chartType === 'line' && indicators.length > 0) {
+    params.set('indicators', indicators.join(','));
+  }
+  return params;
+};
@@ -0,0 +1,51 @@
+import { DEFAULT_RANGE_DAYS, readChartState, writeChartState } from './chartState';
+import { todayInZone } from './timeZone';
+
+const daysBefore = (endDate, startDate) => Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000));
+
+describe('readChartState', () => {
+  it('reads every setting from the query', () => {
+    const state = readChartState(new URLSearchParams('chart=candlestick&start=2024-03-01&end=2024-03-31&interval=4h&indicators=sma:20,rsi:14'));
+    expect(state).toEqual({
+      chartType: 'candlestick',
+      startDate: '2024-03-01',
+      endDate: '2024-03-31',
+      candleInterval: '4h',
+      indicators: ['sma:20', 'rsi:14'],
+    });
+  });
+
+  it('falls back to saved preferences, then to the defaults', () => {
+    const saved = readChartState(new URLSearchParams(), { chart_type: 'bar', range_days: 7 }, 'Asia/Tokyo');
+    expect(saved.chartType).toBe('bar');
+    expect(saved.endDate).toBe(todayInZone('Asia/Tokyo'));
+    expect(daysBefore(saved.endDate, saved.startDate)).toBe(7);
+
+    const defaults = readChartState(new URLSearchParams());
+    expect(defaults.chartType).toBe('line');
+    expect(defaults.candleInterval).toBe('1h');
+    expect(daysBefore(defaults.endDate, defaults.startDate)).toBe(DEFAULT_RANGE_DAYS);
+  });
+
+  it('ignores invalid values', () => {
+    const state = readChartState(new URLSearchParams('chart=pie&start=March&interval=2m&indicators=vwap,ema:50'), { chart_type: 'doughnut-market-cap' });
+    expect(state.chartType).toBe('line');
+    expect(state.startDate).not.toBe('March');
+    expect(state.candleInterval).toBe('1h');
+    expect(state.indicators).toEqual(['ema:50']);
+  });
+});
+
+describe('writeChartState', () => {
+  it('only writes the settings of the chart type', () => {
+    const state = { startDate: '2024-03-01', endDate: '2024-03-31', candleInterval: '1d', indicators: ['sma:20'] };
+    expect(writeChartState({ ...state, chartType: 'candlestick' }).toString()).toBe('chart=candlestick&start=2024-03-01&end=2024-03-31&interval=1d');
+    expect(writeChartState({ ...state, chartType: 'line' }).toString()).toBe('chart=line&start=2024-03-01&end=2024-03-31&indicators=sma%3A20');
+    expect(writeChartState({ ...state, chartType: 'bar', startDate: '' }).toString()).toBe('chart=bar&end=2024-03-31');
+  });
+
+  it('round-trips through readChartState', () => {
+    const state = { chartType: 'line', startDate: '2024-03-01', endDate: '2024-03-31', candleInterval: '1h', indicators: ['macd:12:26:9'] };
+    expect(readChartState(writeChartState(state))).toEqual(state);
+  });
+});
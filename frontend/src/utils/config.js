@@ -0,0 +1,40 @@
+// src/utils/config.js
+// Where the API is, decided when the dashboard loads rather than when it is built:
+//   1. window.__APP_CONFIG__, which the API adds to index.html when it serves the build
+//      (FRONTEND_BUILD_DIR, see api/routes/frontend.js): { basePath: '/crypto' }, or an
+//      apiBaseUrl set by other hosting
+//   2. REACT_APP_API_URL at build time, for an API on another origin (which needs the
+//      dashboard's origin in its DASHBOARD_ORIGINS when it requires API keys)
+//   3. the development server's API at http://localhost:5000 with `npm start`
+//   4. otherwise the dashboard's own origin and base path
+const runtimeConfig = window.__APP_CONFIG__ || {};
+
+// Sub-path the dashboard is served under ('' or e.g. '/crypto'), the router's basename
+export const BASE_PATH = (runtimeConfig.basePath || '').replace(/\/+$/, '');
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+const resolveApiBaseUrl = () => {
+  if (runtimeConfig.apiBaseUrl) {
+    return trimTrailingSlash(runtimeConfig.apiBaseUrl);
+  }
+  if (window.__APP_CONFIG__) {
+    return `${window.location.origin}${BASE_PATH}`;
+  }
+  if (process.env.REACT_APP_API_URL) {
+    return trimTrailingSlash(process.env.REACT_APP_API_URL);
+  }
+  if (process.env.NODE_ENV === 'development') {
+    return 'http://localhost:5000';
+  }
+  return `${window.location.origin}${BASE_PATH}`;
+};
+
+// e.g. https://example.com/crypto; every REST path starts with /api
+export const API_BASE_URL = resolveApiBaseUrl();
+
+// The same address over ws:// or wss:// for the WebSocket connections
+export const WS_BASE_URL = API_BASE_URL.replace(/^http/, 'ws');
+
+// Full URL of an API path, e.g. apiUrl('/api/crypto')
+export const apiUrl = (path) => `${API_BASE_URL}${path}`;
@@ -0,0 +1,38 @@
+// Each test loads config.js afresh, since it reads its settings when the module loads
+const loadConfig = () => {
+  let config;
+  jest.isolateModules(() => {
+    config = require('./config');
+  });
+  return config;
+};
+
+describe('API location', () => {
+  afterEach(() => {
+    delete window.__APP_CONFIG__;
+    delete process.env.REACT_APP_API_URL;
+  });
+
+  it('follows the runtime config of the serving API', () => {
+    window.__APP_CONFIG__ = { basePath: '/crypto/' };
+    const config = loadConfig();
+    expect(config.BASE_PATH).toBe('/crypto');
+    expect(config.apiUrl('/api/crypto')).toBe(`${window.location.origin}/crypto/api/crypto`);
+    expect(config.WS_BASE_URL).toBe(`${window.location.origin.replace(/^http/, 'ws')}/crypto`);
+  });
+
+  it('prefers an API base URL from the runtime config', () => {
+    window.__APP_CONFIG__ = { apiBaseUrl: 'https://api.example.com/' };
+    process.env.REACT_APP_API_URL = 'https://build.example.com';
+    const config = loadConfig();
+    expect(config.API_BASE_URL).toBe('https://api.example.com');
+    expect(config.WS_BASE_URL).toBe('wss://api.example.com');
+  });
+
+  it('uses REACT_APP_API_URL without a runtime config', () => {
+    process.env.REACT_APP_API_URL = 'https://build.example.com/';
+    const config = loadConfig();
+    expect(config.BASE_PATH).toBe('');
+    expect(config.apiUrl('/api/stream')).toBe('https://build.example.com/api/stream');
+  });
+});
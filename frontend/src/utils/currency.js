@@ -0,0 +1,33 @@
+// src/utils/currency.js
+
+// Default quote currency, matching what the API stores
+export const DEFAULT_QUOTE = { currency: 'usd', name: 'US Dollar', type: 'fiat' };
+
+// Formats an amount in the selected quote currency (an entry from /api/currencies).
+// Fiat currencies use the locale's currency format with `digits` decimals. Crypto and other
+// non-ISO quotes (BTC, ETH, sats...) get a unit suffix and keep significant digits for
+// small amounts, since a cheap coin can be worth 0.00000012 BTC.
+export const formatMoney = (value, quote = DEFAULT_QUOTE, digits = 2) => {
+  if (value === null || value === undefined || isNaN(value)) {
+    return 'N/A';
+  }
+
+  const code = quote.currency.toUpperCase();
+  if (quote.type === 'fiat') {
+    try {
+      return value.toLocaleString(undefined, {
+        style: 'currency',
+        currency: code,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      });
+    } catch (e) {
+      // Not an ISO 4217 code the browser knows, fall through to the suffix format
+    }
+  }
+
+  const options = value !== 0 && Math.abs(value) < 1
+    ? { maximumSignificantDigits: 6 }
+    : { maximumFractionDigits: digits };
+  return `${value.toLocaleString(undefined, options)} ${code}`;
+};
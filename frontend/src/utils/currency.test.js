@@ -0,0 +1,23 @@
+import { formatMoney } from './currency';
+
+describe('formatMoney', () => {
+  it('formats fiat amounts in the currency', () => {
+    const formatted = formatMoney(1234.5, { currency: 'eur', type: 'fiat' });
+    expect(formatted).toMatch(/€/);
+    expect(formatted).toMatch(/1,234\.50/);
+  });
+
+  it('writes crypto amounts with a unit suffix and significant digits', () => {
+    expect(formatMoney(0.000001234567, { currency: 'btc', type: 'crypto' })).toBe('0.00000123457 BTC');
+    expect(formatMoney(2.5, { currency: 'eth', type: 'crypto' })).toBe('2.5 ETH');
+  });
+
+  it('falls back to the suffix format for codes the browser does not know', () => {
+    expect(formatMoney(3, { currency: 'sats', type: 'fiat' })).toBe('3 SATS');
+  });
+
+  it('shows N/A for missing values', () => {
+    expect(formatMoney(null)).toBe('N/A');
+    expect(formatMoney(NaN)).toBe('N/A');
+  });
+});
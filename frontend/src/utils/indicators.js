@@ -0,0 +1,109 @@
+// src/utils/indicators.js
+
+// Indicators the history chart offers. Keys are the canonical names the API returns on each
+// point's `indicators` object. Overlays share the price axis; oscillators get their own panel.
+export const INDICATOR_OPTIONS = [
+  { key: 'sma:20', label: 'SMA 20', kind: 'overlay', color: '#ffeb3b' },
+  { key: 'ema:50', label: 'EMA 50', kind: 'overlay', color: '#ff9800' },
+  { key: 'bbands:20:2', label: 'Bollinger 20/2', kind: 'bands', color: '#9c27b0' },
+  { key: 'rsi:14', label: 'RSI 14', kind: 'rsi', color: '#8bc34a' },
+  { key: 'macd:12:26:9', label: 'MACD 12/26/9', kind: 'macd', color: '#2196f3' },
+];
+
+const valueOf = (point, key, field) => {
+  const value = point.indicators ? point.indicators[key] : null;
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return field ? value[field] : value;
+};
+
+// Line datasets drawn over the price: moving averages, and Bollinger Bands as a shaded
+// channel (the lower band fills up to the upper band, which is the dataset before it)
+export const buildOverlayDatasets = (points, selectedKeys) => {
+  const datasets = [];
+  INDICATOR_OPTIONS.filter(option => selectedKeys.includes(option.key)).forEach(option => {
+    if (option.kind === 'overlay') {
+      datasets.push({
+        label: option.label,
+        data: points.map(point => valueOf(point, option.key)),
+        borderColor: option.color,
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: false,
+      });
+    } else if (option.kind === 'bands') {
+      datasets.push({
+        label: `${option.label} Upper`,
+        data: points.map(point => valueOf(point, option.key, 'upper')),
+        borderColor: option.color,
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      });
+      datasets.push({
+        label: `${option.label} Lower`,
+        data: points.map(point => valueOf(point, option.key, 'lower')),
+        borderColor: option.color,
+        borderWidth: 1,
+        pointRadius: 0,
+        backgroundColor: 'rgba(156, 39, 176, 0.12)',
+        fill: '-1',
+      });
+    }
+  });
+  return datasets;
+};
+
+// Datasets of the RSI and MACD panels under the price chart, one entry per selected oscillator
+export const buildOscillatorPanels = (points, selectedKeys) =>
+  INDICATOR_OPTIONS.filter(option => selectedKeys.includes(option.key) && (option.kind === 'rsi' || option.kind === 'macd'))
+    .map(option => {
+      if (option.kind === 'rsi') {
+        return {
+          key: option.key,
+          title: option.label,
+          range: { min: 0, max: 100 },
+          datasets: [
+            {
+              label: option.label,
+              data: points.map(point => valueOf(point, option.key)),
+              borderColor: option.color,
+              borderWidth: 1.5,
+              pointRadius: 0,
+            },
+            // Overbought / oversold guides
+            { label: '70', data: points.map(() => 70), borderColor: 'rgba(244, 67, 54, 0.6)', borderDash: [4, 4], borderWidth: 1, pointRadius: 0 },
+            { label: '30', data: points.map(() => 30), borderColor: 'rgba(139, 195, 74, 0.6)', borderDash: [4, 4], borderWidth: 1, pointRadius: 0 },
+          ],
+        };
+      }
+      const histogram = points.map(point => valueOf(point, option.key, 'histogram'));
+      return {
+        key: option.key,
+        title: option.label,
+        range: {},
+        datasets: [
+          {
+            label: 'MACD',
+            data: points.map(point => valueOf(point, option.key, 'macd')),
+            borderColor: option.color,
+            borderWidth: 1.5,
+            pointRadius: 0,
+          },
+          {
+            label: 'Signal',
+            data: points.map(point => valueOf(point, option.key, 'signal')),
+            borderColor: '#ff9800',
+            borderWidth: 1.5,
+            pointRadius: 0,
+          },
+          {
+            type: 'bar',
+            label: 'Histogram',
+            data: histogram,
+            backgroundColor: histogram.map(value => (value !== null && value < 0 ? 'rgba(244, 67, 54, 0.6)' : 'rgba(139, 195, 74, 0.6)')),
+          },
+        ],
+      };
+    });
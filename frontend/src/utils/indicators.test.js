@@ -0,0 +1,45 @@
+import { buildOscillatorPanels, buildOverlayDatasets } from './indicators';
+
+const points = [
+  { indicators: { 'sma:20': null, 'bbands:20:2': null, 'rsi:14': null, 'macd:12:26:9': null } },
+  {
+    indicators: {
+      'sma:20': 10,
+      'bbands:20:2': { middle: 10, upper: 12, lower: 8 },
+      'rsi:14': 55,
+      'macd:12:26:9': { macd: 1, signal: 1.5, histogram: -0.5 },
+    },
+  },
+];
+
+describe('buildOverlayDatasets', () => {
+  it('builds a line per moving average and two filled lines for Bollinger Bands', () => {
+    const datasets = buildOverlayDatasets(points, ['bbands:20:2', 'sma:20']);
+    expect(datasets.map(dataset => dataset.label)).toEqual(['SMA 20', 'Bollinger 20/2 Upper', 'Bollinger 20/2 Lower']);
+    expect(datasets[0].data).toEqual([null, 10]);
+    expect(datasets[1].data).toEqual([null, 12]);
+    expect(datasets[2].data).toEqual([null, 8]);
+    expect(datasets[2].fill).toBe('-1');
+  });
+
+  it('ignores oscillators and points without indicators', () => {
+    expect(buildOverlayDatasets([{}], ['rsi:14', 'ema:50'])[0].data).toEqual([null]);
+    expect(buildOverlayDatasets(points, ['rsi:14'])).toEqual([]);
+  });
+});
+
+describe('buildOscillatorPanels', () => {
+  it('builds an RSI panel with overbought and oversold guides', () => {
+    const [panel] = buildOscillatorPanels(points, ['rsi:14']);
+    expect(panel.range).toEqual({ min: 0, max: 100 });
+    expect(panel.datasets.map(dataset => dataset.data)).toEqual([[null, 55], [70, 70], [30, 30]]);
+  });
+
+  it('builds a MACD panel with a histogram coloured by sign', () => {
+    const [panel] = buildOscillatorPanels(points, ['macd:12:26:9', 'sma:20']);
+    expect(panel.datasets.map(dataset => dataset.label)).toEqual(['MACD', 'Signal', 'Histogram']);
+    expect(panel.datasets[0].data).toEqual([null, 1]);
+    expect(panel.datasets[2].data).toEqual([null, -0.5]);
+    expect(panel.datasets[2].backgroundColor[1]).toBe('rgba(244, 67, 54, 0.6)');
+  });
+});
@@ -0,0 +1,194 @@
+// src/utils/liveConnection.js
+// The dashboard's live price connection. It uses the WebSocket when it can and falls back to
+// the Server-Sent Events stream (/api/stream) when WebSocket upgrades never get through,
+// e.g. behind proxies that block them. Both deliver the same messages.
+//
+// SSE is one-way, so the connection settings (currency, login, watchlist scope) go in the
+// stream URL, and messages that change them reopen the stream. The stream carries every
+// coin, so subscribe/unsubscribe messages are only sent over the WebSocket.
+
+import { WS_BASE_URL, apiUrl } from './config';
+
+const WEBSOCKET_URL = `${WS_BASE_URL}/`;
+const STREAM_URL = apiUrl('/api/stream');
+
+const RECONNECT_DELAY_MS = 3000;
+
+// WebSocket attempts that closed without ever opening before switching to SSE
+const MAX_WEBSOCKET_FAILURES = 2;
+
+// Message types a stream can't receive but that change what it should send
+const STREAM_SETTING_MESSAGES = ['set_currency', 'authenticate', 'set_scope', 'resync'];
+
+// Events the stream sends (named after the message type)
+const STREAM_EVENTS = ['latest_crypto_update', 'latest_crypto_delta', 'alert_triggered'];
+
+// Header labels for the `status` passed to onStatusChange
+export const LIVE_STATUS_LABELS = {
+  connecting: 'Connecting…',
+  websocket: 'WebSocket',
+  sse: 'Server-Sent Events',
+  reconnecting: 'Reconnecting…',
+};
+
+const streamUrl = ({ currency, token, watchlistOnly }, lastEventId) => {
+  const params = new URLSearchParams({ currency });
+  if (token) {
+    params.append('access_token', token);
+    if (watchlistOnly) {
+      params.append('scope', 'watchlist');
+    }
+  }
+  if (lastEventId) {
+    params.append('lastEventId', lastEventId);
+  }
+  return `${STREAM_URL}?${params.toString()}`;
+};
+
+// Opens the live connection. Callbacks:
+//   getSettings()           current { currency, token, watchlistOnly }, read whenever the stream (re)opens
+//   onOpen(details)         connected; details = { transport, resumed }. A resumed stream continues
+//                           where it left off, anything else starts with a full snapshot request.
+//   onMessage(message)      a parsed server message
+//   onStatusChange(status)  'connecting', 'websocket', 'sse' or 'reconnecting'
+// Returns { send(message), isOpen(), close() }.
+export const createLiveConnection = ({ getSettings, onOpen, onMessage, onStatusChange }) => {
+  let transport = 'websocket';
+  let ws = null;
+  let stream = null;
+  let lastEventId = null;
+  let websocketFailures = 0;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const scheduleReconnect = (connect) => {
+    onStatusChange('reconnecting');
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+
+  const handleData = (data) => {
+    try {
+      onMessage(JSON.parse(data));
+    } catch (e) {
+      console.error('Error parsing live update message:', e);
+    }
+  };
+
+  const connectWebSocket = () => {
+    console.log('Attempting to connect WebSocket...');
+    let opened = false;
+    ws = new WebSocket(WEBSOCKET_URL);
+
+    ws.onopen = () => {
+      opened = true;
+      websocketFailures = 0;
+      console.log('WebSocket connected');
+      onStatusChange('websocket');
+      onOpen({ transport: 'websocket', resumed: false });
+    };
+
+    ws.onmessage = (event) => handleData(event.data);
+
+    ws.onclose = () => {
+      if (closed) {
+        return;
+      }
+      websocketFailures = opened ? 0 : websocketFailures + 1;
+      if (websocketFailures >= MAX_WEBSOCKET_FAILURES) {
+        console.warn(`WebSocket failed to connect ${websocketFailures} times. Falling back to Server-Sent Events...`);
+        transport = 'sse';
+        ws = null;
+        connectStream(true);
+        return;
+      }
+      console.log('WebSocket disconnected. Attempting to reconnect in 3 seconds...');
+      scheduleReconnect(connectWebSocket);
+    };
+
+    ws.onerror = (error) => {
+      console.error('WebSocket error:', error);
+    };
+  };
+
+  // Opens the event stream. A fresh stream starts with a snapshot; otherwise it resumes after
+  // the last event received, and the server replays what was missed if it still can.
+  const connectStream = (fresh) => {
+    if (stream) {
+      stream.close();
+    }
+    if (fresh) {
+      lastEventId = null;
+    }
+    const resumeFrom = lastEventId;
+    console.log('Opening Server-Sent Events stream...');
+    stream = new EventSource(streamUrl(getSettings(), resumeFrom));
+    let reopened = false;
+
+    stream.onopen = () => {
+      console.log('Server-Sent Events stream connected');
+      onStatusChange('sse');
+      // The browser reconnects dropped streams itself, sending Last-Event-ID to resume
+      onOpen({ transport: 'sse', resumed: reopened || resumeFrom !== null });
+      reopened = true;
+    };
+
+    STREAM_EVENTS.forEach(type => {
+      stream.addEventListener(type, (event) => {
+        if (event.lastEventId) {
+          lastEventId = event.lastEventId;
+        }
+        handleData(event.data);
+      });
+    });
+
+    stream.onerror = () => {
+      if (closed) {
+        return;
+      }
+      if (stream.readyState === EventSource.CLOSED) {
+        // Rejected (e.g. an error response): the browser gives up, so retry ourselves
+        console.log('Server-Sent Events stream closed. Attempting to reconnect in 3 seconds...');
+        scheduleReconnect(() => connectStream(false));
+      } else {
+        onStatusChange('reconnecting');
+      }
+    };
+  };
+
+  onStatusChange('connecting');
+  connectWebSocket();
+
+  return {
+    // Sends a client message (see the WebSocket protocol in the API's lib/subscriptions.js)
+    send(message) {
+      if (transport === 'websocket') {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify(message));
+        }
+        return;
+      }
+      if (STREAM_SETTING_MESSAGES.includes(message.type) && stream) {
+        connectStream(true); // Reopened with the new settings, starting with a snapshot
+      }
+    },
+
+    isOpen() {
+      if (transport === 'websocket') {
+        return Boolean(ws && ws.readyState === WebSocket.OPEN);
+      }
+      return Boolean(stream && stream.readyState === EventSource.OPEN);
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (ws) {
+        ws.close();
+      }
+      if (stream) {
+        stream.close();
+      }
+    },
+  };
+};
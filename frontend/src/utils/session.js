@@ -0,0 +1,37 @@
+// src/utils/session.js
+import axios from 'axios';
+
+const TOKEN_STORAGE_KEY = 'cryptoDashboard.token';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The login token kept from a previous visit, if any
+export const loadStoredToken = () => {
+  try {
+    return window.localStorage.getItem(TOKEN_STORAGE_KEY);
+  } catch (e) {
+    return null; // Storage disabled (e.g. private mode): the user logs in again each visit
+  }
+};
+
+// Remembers the token for later visits and sends it with every API request (null = log out)
+export const setSessionToken = (token) => {
+  try {
+    if (token) {
+      window.localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      window.localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  } catch (e) {
+    // Not persisted, but still used for this visit
+  }
+  if (token) {
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+};
+
+// Whole days between two YYYY-MM-DD dates, for saving the selected range as a preference
+export const daysBetween = (startDate, endDate) =>
+  Math.max(1, Math.round((new Date(endDate) - new Date(startDate)) / DAY));
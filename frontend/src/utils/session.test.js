@@ -0,0 +1,29 @@
+import axios from 'axios';
+import { daysBetween, loadStoredToken, setSessionToken } from './session';
+
+// axios ships as an ES module, which Jest doesn't transform; only its defaults are used here
+jest.mock('axios', () => ({ defaults: { headers: { common: {} } } }));
+
+describe('setSessionToken', () => {
+  afterEach(() => setSessionToken(null));
+
+  it('stores the token and sends it with API requests', () => {
+    setSessionToken('abc');
+    expect(loadStoredToken()).toBe('abc');
+    expect(axios.defaults.headers.common.Authorization).toBe('Bearer abc');
+  });
+
+  it('forgets the token on logout', () => {
+    setSessionToken('abc');
+    setSessionToken(null);
+    expect(loadStoredToken()).toBeNull();
+    expect(axios.defaults.headers.common.Authorization).toBeUndefined();
+  });
+});
+
+describe('daysBetween', () => {
+  it('counts whole days, at least one', () => {
+    expect(daysBetween('2024-01-01', '2024-01-31')).toBe(30);
+    expect(daysBetween('2024-01-01', '2024-01-01')).toBe(1);
+  });
+});
@@ -0,0 +1,76 @@
+// src/utils/timeZone.js
+// The dashboard's display time zone: 'local' (the browser's zone), 'UTC' or a named IANA zone.
+// It drives every timestamp label and the date pickers, and is sent as `tz` with date-range
+// requests so the API reads a picked day as the same day the user sees.
+
+const TIME_ZONE_STORAGE_KEY = 'cryptoDashboard.timeZone';
+
+export const LOCAL_TIME_ZONE = 'local';
+
+// Offered when the browser can't list its zones
+const FALLBACK_TIME_ZONES = [
+  'America/Los_Angeles',
+  'America/Chicago',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Berlin',
+  'Europe/Moscow',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+];
+
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Named zones for the selector; UTC has its own entry
+export const NAMED_TIME_ZONES = (typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : FALLBACK_TIME_ZONES).filter(zone => zone !== 'UTC');
+
+const isValidTimeZone = (zone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone }); // eslint-disable-line no-new
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// The IANA zone a setting stands for
+export const resolveTimeZone = (setting) => (setting && setting !== LOCAL_TIME_ZONE ? setting : browserTimeZone());
+
+// The setting kept from a previous visit, or 'local'
+export const loadStoredTimeZone = () => {
+  try {
+    const stored = window.localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+    return stored && (stored === LOCAL_TIME_ZONE || isValidTimeZone(stored)) ? stored : LOCAL_TIME_ZONE;
+  } catch (e) {
+    return LOCAL_TIME_ZONE; // Storage disabled (e.g. private mode)
+  }
+};
+
+export const storeTimeZone = (setting) => {
+  try {
+    window.localStorage.setItem(TIME_ZONE_STORAGE_KEY, setting);
+  } catch (e) {
+    // Not persisted, but still used for this visit
+  }
+};
+
+// The calendar date (YYYY-MM-DD, the format of <input type="date">) of `date` in `timeZone`
+export const formatDateInZone = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(new Date(date))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Today's date in `timeZone`
+export const todayInZone = (timeZone) => formatDateInZone(new Date(), timeZone);
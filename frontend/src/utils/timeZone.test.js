@@ -0,0 +1,45 @@
+import { LOCAL_TIME_ZONE, browserTimeZone, formatDateInZone, loadStoredTimeZone, resolveTimeZone, storeTimeZone } from './timeZone';
+import { formatTimestampForDisplay, newestTimestamp, parseTimestamp } from './timestamps';
+
+describe('time zone settings', () => {
+  afterEach(() => window.localStorage.clear());
+
+  it('resolves local to the browser zone', () => {
+    expect(resolveTimeZone(LOCAL_TIME_ZONE)).toBe(browserTimeZone());
+    expect(resolveTimeZone('Asia/Tokyo')).toBe('Asia/Tokyo');
+  });
+
+  it('keeps valid settings across visits and ignores unknown zones', () => {
+    expect(loadStoredTimeZone()).toBe(LOCAL_TIME_ZONE);
+    storeTimeZone('Europe/Berlin');
+    expect(loadStoredTimeZone()).toBe('Europe/Berlin');
+    storeTimeZone('Mars/Olympus_Mons');
+    expect(loadStoredTimeZone()).toBe(LOCAL_TIME_ZONE);
+  });
+
+  it('gives the calendar date in a zone', () => {
+    const instant = '2024-03-31T23:30:00.000Z';
+    expect(formatDateInZone(instant, 'UTC')).toBe('2024-03-31');
+    expect(formatDateInZone(instant, 'Europe/Berlin')).toBe('2024-04-01');
+    expect(formatDateInZone(instant, 'America/New_York')).toBe('2024-03-31');
+  });
+});
+
+describe('API timestamps', () => {
+  it('reads timestamps with an offset, and those without one as UTC', () => {
+    expect(parseTimestamp('2024-03-31T03:00:00.000+02:00').toISOString()).toBe('2024-03-31T01:00:00.000Z');
+    expect(parseTimestamp('2024-03-31 01:00:00').toISOString()).toBe('2024-03-31T01:00:00.000Z');
+    expect(parseTimestamp('soon')).toBeNull();
+  });
+
+  it('displays timestamps in the selected zone', () => {
+    expect(formatTimestampForDisplay('2024-03-31T01:00:00.000Z', 'Asia/Tokyo')).toMatch(/10:00:00/);
+    expect(formatTimestampForDisplay(null)).toBe('N/A');
+  });
+
+  it('finds the newest timestamp as the rows write it', () => {
+    const rows = [{ timestamp: '2024-03-31T03:00:00.000+02:00' }, { timestamp: '2024-03-31T01:30:00.000+00:00' }];
+    expect(newestTimestamp(rows)).toBe('2024-03-31T01:30:00.000+00:00');
+    expect(newestTimestamp([])).toBeNull();
+  });
+});
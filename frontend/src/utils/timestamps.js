@@ -0,0 +1,31 @@
+// src/utils/timestamps.js
+
+// Formats an API timestamp for display in `timeZone` (an IANA name; the browser's zone if omitted)
+export const formatTimestampForDisplay = (timestamp, timeZone) => {
+  if (!timestamp) return 'N/A';
+  const date = parseTimestamp(timestamp);
+  if (!date) {
+    console.warn("Invalid timestamp, showing it as is:", timestamp);
+    return String(timestamp);
+  }
+  return date.toLocaleString(undefined, { timeZone });
+};
+
+// Formats an API timestamp as a date only (no time of day) in `timeZone`
+export const formatDateForDisplay = (timestamp, timeZone) => {
+  const date = parseTimestamp(timestamp);
+  return date ? date.toLocaleDateString(undefined, { timeZone }) : 'N/A';
+};
+
+// Parses an API timestamp as a Date. Timestamps without a time zone are UTC.
+export const parseTimestamp = (timestamp) => {
+  if (!timestamp) return null;
+  const text = String(timestamp);
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+  const date = new Date(hasZone ? text : `${text.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Newest `timestamp` of a list of rows, as it appears in the rows (null for no rows)
+export const newestTimestamp = (rows) => rows.reduce((newest, row) =>
+  (!newest || parseTimestamp(row.timestamp) > parseTimestamp(newest) ? row.timestamp : newest), null);
@@ -0,0 +1,649 @@
+// src/views/CoinDetail.js
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { Line, Bar } from 'react-chartjs-2';
+import DownloadButtons from '../components/DownloadButtons';
+import IndicatorPanels from '../components/IndicatorPanels';
+import { pointBudgetForWidth } from '../utils/chartData';
+import { formatMoney } from '../utils/currency';
+import { INDICATOR_OPTIONS, buildOverlayDatasets } from '../utils/indicators';
+import { CHART_TYPES, CANDLE_INTERVALS, readChartState, writeChartState } from '../utils/chartState';
+import { formatTimestampForDisplay } from '../utils/timestamps';
+import { todayInZone } from '../utils/timeZone';
+import { buildAnomalyDataset, buildGapRanges, describeDataQuality, gapShadingPlugin, hasDataQualityIssues } from '../utils/anomalies';
+import { apiUrl } from '../utils/config';
+
+// Stored resolutions the API reads history at: raw rows for short ranges, rollups for long ones
+const RESOLUTION_LABELS = {
+  raw: '5-minute prices',
+  '1h': 'hourly',
+  '1d': 'daily',
+};
+
+const formatChange = (value) =>
+  value === null || value === undefined ? 'N/A' : `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+// Detail page of one coin at /coin/:symbol. The chart settings live in the URL query
+// (see utils/chartState.js), so every view can be shared as a link and browser
+// back/forward steps through earlier settings. The date range is days in `timeZone`, which
+// also labels the charts.
+function CoinDetail({ latestCryptoData, currency, quote, timeZone, preferences, onLiveSymbolsChange }) {
+  const { symbol: symbolParam } = useParams();
+  const symbol = symbolParam.toLowerCase();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  const chartState = readChartState(searchParams, preferences, timeZone);
+  const { chartType, startDate, endDate, candleInterval, indicators } = chartState;
+
+  const [historicalData, setHistoricalData] = useState(null);
+  const [candleData, setCandleData] = useState(null);
+  const [chartError, setChartError] = useState(null);
+  // Which stored resolution the API read the shown range at (X-Resolution header)
+  const [historyResolution, setHistoryResolution] = useState(null);
+  const [candleResolution, setCandleResolution] = useState(null);
+  // Anomalies and ingestion gaps in the range (/api/anomalies), drawn on the Line chart
+  const [dataQuality, setDataQuality] = useState(null);
+  const [dataQualityError, setDataQualityError] = useState(null);
+
+  // History is downsampled by the API to about as many points as the chart can show
+  const chartContainerRef = useRef(null);
+  const [pointBudget, setPointBudget] = useState(() => pointBudgetForWidth(window.innerWidth));
+
+  // Every settings change is a new history entry, so the back button undoes it
+  const updateChartState = (changes) => {
+    setSearchParams(writeChartState({ ...chartState, ...changes }));
+  };
+
+  // Switching coins keeps the chart settings
+  const selectSymbol = (nextSymbol) => {
+    navigate({ pathname: `/coin/${nextSymbol}`, search: `?${writeChartState(chartState)}` });
+  };
+
+  // Only this coin needs live updates while its page is open
+  useEffect(() => {
+    onLiveSymbolsChange([symbol]);
+  }, [symbol, onLiveSymbolsChange]);
+
+  useEffect(() => {
+    setChartError(null);
+  }, [symbol, chartType, startDate, endDate]);
+
+
+  // --- Size the history point budget to the chart's width ---
+  useEffect(() => {
+    const container = chartContainerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new ResizeObserver(([entry]) => {
+      setPointBudget(pointBudgetForWidth(entry.contentRect.width)); // Same budget = no state change, no refetch
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+
+  // Indicators are only drawn on the Line chart, so other chart types don't ask for them
+  const historyIndicators = chartType === 'line' ? indicators.join(',') : '';
+
+  // --- Effect to fetch Historical Data for selected symbol and date range ---
+  const fetchHistoricalData = useCallback(async () => {
+    if (symbol) {
+      try {
+        let url = apiUrl(`/api/crypto/history/${symbol}`);
+        const params = new URLSearchParams({ currency, tz: timeZone, maxPoints: pointBudget });
+        if (historyIndicators) {
+          params.append('indicators', historyIndicators);
+        }
+
+        if (startDate) {
+          params.append('startDate', startDate); // Use 'startDate' as per backend
+        }
+        if (endDate) {
+          params.append('endDate', endDate);     // Use 'endDate' as per backend
+        }
+
+        if (params.toString()) {
+          url += `?${params.toString()}`;
+        }
+
+        console.log(`Attempting to fetch historical data for: ${symbol} with URL: ${url}`);
+        const response = await axios.get(url);
+        setHistoricalData(response.data);
+        setHistoryResolution(response.headers['x-resolution'] || null);
+        console.log('Fetched historical data:', response.data);
+      } catch (err) {
+        console.error(`Error fetching historical data for ${symbol}:`, err);
+        if (err.response) {
+          console.error('Data:', err.response.data);
+          console.error('Status:', err.response.status);
+          console.error('Headers:', err.response.headers);
+          setChartError(`Failed to fetch historical data for ${symbol}. Server responded with status: ${err.response.status}`);
+        } else if (err.request) {
+          console.error('Request:', err.request);
+          setChartError(`Failed to fetch historical data for ${symbol}. No response received from server.`);
+        } else {
+          console.error('Error message:', err.message);
+          setChartError(`Failed to fetch historical data for ${symbol}. Error: ${err.message}`);
+        }
+        setHistoricalData([]); // Set to empty array on error to prevent indefinite loading state
+      }
+    } else {
+      setHistoricalData(null);
+    }
+  }, [symbol, startDate, endDate, currency, timeZone, pointBudget, historyIndicators]);
+
+  useEffect(() => {
+    // This effect now depends on fetchHistoricalData, which itself depends on symbol, startDate, endDate.
+    // This ensures fetching only happens when these relevant dependencies change.
+    fetchHistoricalData();
+  }, [fetchHistoricalData]); // This effect now depends on fetchHistoricalData
+
+
+  // --- Effect to fetch OHLC candles, only needed while the Candlestick chart is shown ---
+  const fetchCandleData = useCallback(async () => {
+    if (!symbol || chartType !== 'candlestick') {
+      setCandleData(null);
+      return;
+    }
+
+    const params = new URLSearchParams({ interval: candleInterval, currency, tz: timeZone });
+    if (startDate) {
+      params.append('startDate', startDate);
+    }
+    if (endDate) {
+      params.append('endDate', endDate);
+    }
+
+    try {
+      const response = await axios.get(apiUrl(`/api/crypto/history/${symbol}?${params.toString()}`));
+      setCandleData(response.data);
+      setCandleResolution(response.headers['x-resolution'] || null);
+    } catch (err) {
+      console.error(`Error fetching ${candleInterval} candles for ${symbol}:`, err);
+      setChartError(`Failed to fetch candlestick data for ${symbol}. ${err.response ? `Server responded with status: ${err.response.status}` : err.message}`);
+      setCandleData([]);
+    }
+  }, [symbol, chartType, candleInterval, startDate, endDate, currency, timeZone]);
+
+  useEffect(() => {
+    fetchCandleData();
+  }, [fetchCandleData]);
+
+
+  // --- Effect to fetch the data quality report, only needed while the Line chart is shown ---
+  useEffect(() => {
+    setDataQuality(null);
+    setDataQualityError(null);
+    if (!symbol || chartType !== 'line') {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const params = { symbol, tz: timeZone };
+    if (startDate) {
+      params.startDate = startDate;
+    }
+    if (endDate) {
+      params.endDate = endDate;
+    }
+    axios.get(apiUrl('/api/anomalies'), { params })
+      .then(response => {
+        if (!cancelled) {
+          setDataQuality(response.data);
+        }
+      })
+      .catch(err => {
+        console.error(`Error fetching anomalies for ${symbol}:`, err);
+        if (!cancelled) {
+          setDataQualityError(err.response ? err.response.data.error : err.message);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, chartType, startDate, endDate, timeZone]);
+
+
+  const quoteCode = currency.toUpperCase();
+
+  // Chart data for historical price (common for both line and bar)
+  const commonHistoricalChartData = historicalData ? {
+    labels: historicalData.map(data => formatTimestampForDisplay(data.timestamp, timeZone)),
+    datasets: [
+      {
+        label: `${symbol} Price (${quoteCode})`,
+        data: historicalData.map(data => data.current_price),
+      },
+    ],
+  } : {};
+
+  // Line chart: the price plus any moving average / Bollinger Band overlays and anomaly markers
+  const anomalyDataset = historicalData && dataQuality ? buildAnomalyDataset(historicalData, dataQuality.anomalies) : null;
+  const gapRanges = historicalData && dataQuality ? buildGapRanges(historicalData, dataQuality.gaps) : [];
+  const historicalLineChartData = historicalData ? {
+    ...commonHistoricalChartData,
+    datasets: [
+      ...commonHistoricalChartData.datasets,
+      ...buildOverlayDatasets(historicalData, indicators),
+      ...(anomalyDataset ? [anomalyDataset] : []),
+    ],
+  } : {};
+
+  const toggleIndicator = (key) => {
+    updateChartState({
+      indicators: indicators.includes(key) ? indicators.filter(item => item !== key) : [...indicators, key],
+    });
+  };
+
+  // --- Options for LINE Chart ---
+  const historicalLineChartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: {
+          color: '#e0e0e0',
+        }
+      },
+      title: {
+        display: true,
+        text: `Historical Price for ${symbol.toUpperCase()} (Line Chart)`,
+        color: '#00bcd4',
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 26, 46, 0.9)',
+        titleColor: '#00bcd4',
+        bodyColor: '#e0e0e0',
+        borderColor: 'rgba(0, 188, 212, 0.5)',
+        borderWidth: 1,
+        callbacks: {
+          title: function(tooltipItems) {
+            return `Time: ${tooltipItems[0].label}`;
+          },
+          label: function(tooltipItem) {
+            if (tooltipItem.dataset.messages) {
+              return `⚠️ ${tooltipItem.dataset.messages[tooltipItem.dataIndex].join('; ')}`;
+            }
+            const label = tooltipItem.datasetIndex === 0 ? 'Price' : tooltipItem.dataset.label;
+            return `${label}: ${formatMoney(tooltipItem.raw, quote, 4)}`;
+          }
+        }
+      },
+      gapShading: {
+        ranges: gapRanges,
+      },
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Time',
+          color: '#e0e0e0',
+        },
+        ticks: {
+          color: '#e0e0e0',
+        },
+        grid: {
+          color: 'rgba(0, 188, 212, 0.1)',
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: `Price (${quoteCode})`,
+          color: '#e0e0e0',
+        },
+        ticks: {
+          color: '#e0e0e0',
+          callback: function(value) {
+            return formatMoney(value, quote);
+          }
+        },
+        grid: {
+          color: 'rgba(0, 188, 212, 0.1)',
+        },
+        beginAtZero: false,
+      },
+    },
+    elements: {
+      line: {
+        borderColor: 'rgb(0, 188, 212)',
+        backgroundColor: 'rgba(0, 188, 212, 0.3)',
+        fill: true,
+        tension: 0.4,
+      },
+      point: {
+        backgroundColor: 'rgb(0, 188, 212)',
+        borderColor: '#e0e0e0',
+        borderWidth: 1,
+        radius: 3,
+        hoverRadius: 5,
+      }
+    }
+  };
+
+  // --- Options for HORIZONTAL BAR Chart ---
+  const historicalBarChartOptions = {
+    indexAxis: 'y',
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: {
+          color: '#e0e0e0',
+        }
+      },
+      title: {
+        display: true,
+        text: `Historical Price for ${symbol.toUpperCase()} (Bar Chart)`,
+        color: '#00bcd4',
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 26, 46, 0.9)',
+        titleColor: '#00bcd4',
+        bodyColor: '#e0e0e0',
+        borderColor: 'rgba(0, 188, 212, 0.5)',
+        borderWidth: 1,
+        callbacks: {
+          title: function(tooltipItems) {
+            return `Time: ${tooltipItems[0].label}`;
+          },
+          label: function(tooltipItem) {
+            return `Price: ${formatMoney(tooltipItem.raw, quote, 4)}`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: `Price (${quoteCode})`,
+          color: '#e0e0e0',
+        },
+        ticks: {
+          color: '#e0e0e0',
+          callback: function(value) {
+            return formatMoney(value, quote);
+          }
+        },
+        grid: {
+          color: 'rgba(0, 188, 212, 0.1)',
+        },
+        beginAtZero: true,
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Time',
+          color: '#e0e0e0',
+        },
+        ticks: {
+          color: '#e0e0e0',
+        },
+        grid: {
+          color: 'rgba(0, 188, 212, 0.1)',
+        },
+      },
+    },
+    elements: {
+      bar: {
+        backgroundColor: 'rgba(0, 188, 212, 0.7)',
+        borderColor: 'rgb(0, 188, 212)',
+        borderWidth: 1,
+        borderRadius: 4,
+      }
+    }
+  };
+
+  // --- Candlestick chart data ---
+  // Chart.js has no native candlestick type, so each candle is drawn as two overlapping
+  // floating bars: a thin low-high "wick" and a wider open-close "body".
+  const candleColors = candleData ? candleData.map(candle =>
+    candle.close >= candle.open ? 'rgba(139, 195, 74, 0.9)' : 'rgba(244, 67, 54, 0.9)'
+  ) : [];
+
+  const candlestickChartData = candleData ? {
+    labels: candleData.map(candle => formatTimestampForDisplay(candle.timestamp, timeZone)),
+    datasets: [
+      {
+        label: 'Wick',
+        data: candleData.map(candle => [candle.low, candle.high]),
+        backgroundColor: candleColors,
+        barPercentage: 0.15,
+        grouped: false,
+      },
+      {
+        label: `${symbol} ${candleInterval} Candles (${quoteCode})`,
+        data: candleData.map(candle => [candle.open, candle.close]),
+        backgroundColor: candleColors,
+        borderColor: candleColors,
+        borderWidth: 1,
+        barPercentage: 0.8,
+        grouped: false,
+      },
+    ],
+  } : {};
+
+  // --- Options for CANDLESTICK Chart ---
+  const candlestickChartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false,
+      },
+      title: {
+        display: true,
+        text: `Historical Price for ${symbol.toUpperCase()} (${candleInterval} Candlestick)`,
+        color: '#00bcd4',
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 26, 46, 0.9)',
+        titleColor: '#00bcd4',
+        bodyColor: '#e0e0e0',
+        borderColor: 'rgba(0, 188, 212, 0.5)',
+        borderWidth: 1,
+        filter: function(tooltipItem) {
+          return tooltipItem.datasetIndex === 1; // Only the body dataset; the wick would duplicate it
+        },
+        callbacks: {
+          title: function(tooltipItems) {
+            return `Time: ${tooltipItems[0].label}`;
+          },
+          label: function(tooltipItem) {
+            const candle = candleData[tooltipItem.dataIndex];
+            return [
+              `Open: ${formatMoney(candle.open, quote, 4)}`,
+              `High: ${formatMoney(candle.high, quote, 4)}`,
+              `Low: ${formatMoney(candle.low, quote, 4)}`,
+              `Close: ${formatMoney(candle.close, quote, 4)}`,
+              `Volume (24h): ${formatMoney(candle.volume, quote, 0)}`,
+            ];
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Time',
+          color: '#e0e0e0',
+        },
+        ticks: {
+          color: '#e0e0e0',
+        },
+        grid: {
+          color: 'rgba(0, 188, 212, 0.1)',
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: `Price (${quoteCode})`,
+          color: '#e0e0e0',
+        },
+        ticks: {
+          color: '#e0e0e0',
+          callback: function(value) {
+            return formatMoney(value, quote);
+          }
+        },
+        grid: {
+          color: 'rgba(0, 188, 212, 0.1)',
+        },
+        beginAtZero: false,
+      },
+    },
+  };
+
+  const shownResolution = chartType === 'candlestick' ? candleResolution : historyResolution;
+
+  const coin = latestCryptoData.find(row => row.symbol === symbol);
+  const symbols = Array.from(new Set([symbol, ...latestCryptoData.map(crypto => crypto.symbol)])).sort();
+
+  return (
+    <>
+      <p className="breadcrumb"><Link to="/">&larr; Market Overview</Link></p>
+      <h2>{coin ? `${coin.name} (${symbol.toUpperCase()})` : symbol.toUpperCase()}</h2>
+      {coin ? (
+        <div className="coin-summary">
+          <span className="coin-price">{formatMoney(coin.current_price, quote, 4)}</span>
+          {[['1h', coin.change_1h], ['24h', coin.change_24h], ['7d', coin.change_7d]].map(([label, value]) => (
+            <span key={label} className={value > 0 ? 'change-positive' : value < 0 ? 'change-negative' : ''}>
+              {label}: {formatChange(value)}
+            </span>
+          ))}
+          <span>Market Cap: {coin.market_cap ? formatMoney(coin.market_cap, quote, 0) : 'N/A'}</span>
+        </div>
+      ) : (
+        <p>No latest price for {symbol.toUpperCase()}; it may not be tracked.</p>
+      )}
+
+      <div className="select-container">
+        <label htmlFor="crypto-select">Select Cryptocurrency:</label>
+        <select
+          id="crypto-select"
+          value={symbol}
+          onChange={(e) => selectSymbol(e.target.value)}
+        >
+          {symbols.map(option => (
+            <option key={option} value={option}>{option.toUpperCase()}</option> // Display uppercase
+          ))}
+        </select>
+      </div>
+
+      <div className="date-range-picker">
+        <label htmlFor="start-date">From:</label>
+        <input
+          type="date"
+          id="start-date"
+          value={startDate}
+          max={todayInZone(timeZone)}
+          onChange={(e) => updateChartState({ startDate: e.target.value })}
+        />
+        <label htmlFor="end-date">To:</label>
+        <input
+          type="date"
+          id="end-date"
+          value={endDate}
+          max={todayInZone(timeZone)}
+          onChange={(e) => updateChartState({ endDate: e.target.value })}
+        />
+      </div>
+
+      {/* Chart Type Selector */}
+      <div className="chart-type-selector">
+        {CHART_TYPES.map(type => (
+          <button
+            key={type.key}
+            onClick={() => updateChartState({ chartType: type.key })}
+            className={chartType === type.key ? 'active' : ''}
+          >
+            {type.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Indicator toggles, only relevant for the Line chart */}
+      {chartType === 'line' && (
+        <div className="indicator-selector">
+          <span>Indicators:</span>
+          {INDICATOR_OPTIONS.map(option => (
+            <label key={option.key}>
+              <input
+                type="checkbox"
+                checked={indicators.includes(option.key)}
+                onChange={() => toggleIndicator(option.key)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {/* Candle interval selector, only relevant for the Candlestick chart */}
+      {chartType === 'candlestick' && (
+        <div className="select-container">
+          <label htmlFor="candle-interval">Candle Interval:</label>
+          <select
+            id="candle-interval"
+            value={candleInterval}
+            onChange={(e) => updateChartState({ candleInterval: e.target.value })}
+          >
+            {CANDLE_INTERVALS.map(interval => (
+              <option key={interval.key} value={interval.key}>{interval.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {chartError && <p className="error-message">{chartError}</p>}
+
+      {/* Conditional Chart Rendering */}
+      <div className="chart-container" ref={chartContainerRef}>
+        {chartType === 'line' && historicalData && historicalData.length > 0 ? (
+          <Line data={historicalLineChartData} options={historicalLineChartOptions} plugins={[gapShadingPlugin]} />
+        ) : chartType === 'bar' && historicalData && historicalData.length > 0 ? (
+          <Bar data={commonHistoricalChartData} options={historicalBarChartOptions} />
+        ) : chartType === 'candlestick' && candleData && candleData.length > 0 ? (
+          <Bar data={candlestickChartData} options={candlestickChartOptions} />
+        ) : (
+          <p>No historical data available for {symbol.toUpperCase()} in the selected date range.</p>
+        )}
+      </div>
+      {shownResolution && (
+        <p className="chart-resolution">Data resolution: {RESOLUTION_LABELS[shownResolution] || shownResolution}</p>
+      )}
+      {chartType === 'line' && dataQuality && (
+        <p className={`data-quality${hasDataQualityIssues(dataQuality) ? ' data-quality-issues' : ''}`}>
+          {describeDataQuality(dataQuality)}
+        </p>
+      )}
+      {chartType === 'line' && dataQualityError && (
+        <p className="data-quality">Data quality check unavailable: {dataQualityError}</p>
+      )}
+      {chartType === 'line' && historicalData && historicalData.length > 0 && (
+        <IndicatorPanels
+          labels={commonHistoricalChartData.labels}
+          points={historicalData}
+          selectedKeys={indicators}
+        />
+      )}
+
+      {/* Full-resolution export of the coin's history (the chart itself may be downsampled) */}
+      <DownloadButtons
+        path={`/api/crypto/history/${symbol}/export`}
+        params={{ currency, tz: timeZone, ...(startDate && { startDate }), ...(endDate && { endDate }) }}
+      />
+    </>
+  );
+}
+
+export default CoinDetail;
@@ -0,0 +1,169 @@
+// src/views/MarketOverview.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Doughnut } from 'react-chartjs-2';
+import MarketTable from '../components/MarketTable';
+import DownloadButtons from '../components/DownloadButtons';
+import ComparisonChart from '../components/ComparisonChart';
+import PortfolioPanel from '../components/PortfolioPanel';
+import AlertsPanel from '../components/AlertsPanel';
+import { buildTopNDoughnutData } from '../utils/chartData';
+import { formatMoney } from '../utils/currency';
+import { formatTimestampForDisplay, newestTimestamp } from '../utils/timestamps';
+
+// Landing page: the live market table, market share, comparison, portfolio and alerts.
+// `?chart=market-share` opens the live Market Share chart.
+function MarketOverview({
+  latestCryptoData,
+  currency,
+  quote,
+  timeZone,
+  user,
+  watchlist,
+  onToggleWatchlist,
+  watchlistOnly,
+  onWatchlistOnlyChange,
+  onLiveSymbolsChange,
+  alertHistory,
+}) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const showMarketShare = searchParams.get('chart') === 'market-share';
+  const [visibleSymbols, setVisibleSymbols] = useState([]);
+  const [marketCapDoughnutData, setMarketCapDoughnutData] = useState(null);
+
+  // Live updates for the rows on screen; the Market Share chart summarises the whole market, so it needs every coin
+  useEffect(() => {
+    onLiveSymbolsChange(showMarketShare ? ['*'] : visibleSymbols);
+  }, [showMarketShare, visibleSymbols, onLiveSymbolsChange]);
+
+  // --- Function to prepare data for the Doughnut Chart ---
+  // Wrapped in useCallback with no dependencies to ensure it's a stable function reference
+  const prepareMarketCapDoughnutData = useCallback((data) => {
+    if (!data || data.length === 0) {
+      setMarketCapDoughnutData(null);
+      return;
+    }
+
+    // Take top 7 cryptocurrencies by market cap for clarity, the rest become 'Other'
+    setMarketCapDoughnutData(buildTopNDoughnutData(
+      data.map(crypto => ({ label: crypto.symbol.toUpperCase(), value: crypto.market_cap })),
+      7
+    ));
+  }, []); // No dependencies for useCallback as it operates on data passed to it
+
+  // Keep the Doughnut chart in sync with the table, whether data came from REST or WebSocket
+  useEffect(() => {
+    prepareMarketCapDoughnutData(latestCryptoData);
+  }, [latestCryptoData, prepareMarketCapDoughnutData]);
+
+  // --- Options for Doughnut Chart ---
+  const marketCapDoughnutOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'right', // Positioning legend to the right is common for doughnut
+        labels: {
+          color: '#e0e0e0',
+          font: {
+            size: 14
+          }
+        }
+      },
+      title: {
+        display: true,
+        text: 'Live Cryptocurrency Market Cap Distribution (Top 7 + Other)',
+        color: '#00bcd4',
+        font: {
+          size: 20
+        }
+      },
+      tooltip: {
+        backgroundColor: 'rgba(26, 26, 46, 0.9)',
+        titleColor: '#00bcd4',
+        bodyColor: '#e0e0e0',
+        borderColor: 'rgba(0, 188, 212, 0.5)',
+        borderWidth: 1,
+        callbacks: {
+          label: function(tooltipItem) {
+            // Display label and percentage
+            const total = tooltipItem.dataset.data.reduce((sum, val) => sum + val, 0);
+            const currentValue = tooltipItem.raw;
+            const percentage = ((currentValue / total) * 100).toFixed(2);
+            return `${tooltipItem.label}: ${formatMoney(currentValue, quote, 0)} (${percentage}%)`;
+          }
+        }
+      }
+    },
+    cutout: '70%', // Makes it a doughnut chart
+  };
+
+  // Table timestamps in the display time zone; a stable reference so memoized rows only re-render when it changes
+  const formatTimestamp = useCallback((timestamp) => formatTimestampForDisplay(timestamp, timeZone), [timeZone]);
+
+  // Newest price timestamp on the dashboard; sections that value holdings refresh when it moves
+  const newestDataTimestamp = newestTimestamp(latestCryptoData);
+
+  const symbols = Array.from(new Set(latestCryptoData.map(crypto => crypto.symbol))).sort();
+
+  return (
+    <>
+      {/* Section for Latest Crypto Data */}
+      <h2>Latest Crypto Data</h2>
+      <MarketTable
+        rows={latestCryptoData}
+        quote={quote}
+        formatTimestamp={formatTimestamp}
+        onVisibleSymbolsChange={setVisibleSymbols}
+        watchlist={user ? watchlist : null}
+        onToggleWatchlist={onToggleWatchlist}
+        watchlistOnly={watchlistOnly}
+        onWatchlistOnlyChange={onWatchlistOnlyChange}
+      />
+      <DownloadButtons path="/api/crypto/export" params={{ currency, tz: timeZone }} />
+
+      {/* Section for the live market share chart */}
+      <h2 style={{ marginTop: '40px' }}>Market Share</h2>
+      <div className="chart-type-selector">
+        <button
+          onClick={() => setSearchParams(showMarketShare ? {} : { chart: 'market-share' })}
+          className={showMarketShare ? 'active' : ''}
+        >
+          {showMarketShare ? 'Hide Market Share' : 'Market Share (Live)'}
+        </button>
+      </div>
+      {showMarketShare && marketCapDoughnutData && (
+        <div className="chart-container">
+          <Doughnut data={marketCapDoughnutData} options={marketCapDoughnutOptions} />
+        </div>
+      )}
+
+      {/* Section for comparing several coins */}
+      <h2 style={{ marginTop: '40px' }}>Compare Coins</h2>
+      <ComparisonChart
+        symbols={latestCryptoData.map(crypto => crypto.symbol)}
+        currency={currency}
+        quote={quote}
+        timeZone={timeZone}
+      />
+
+      {/* Section for Portfolio */}
+      <h2 style={{ marginTop: '40px' }}>Portfolio (USD)</h2>
+      <PortfolioPanel
+        symbols={symbols}
+        dataTimestamp={newestDataTimestamp}
+        timeZone={timeZone}
+      />
+
+      {/* Section for Price Alerts */}
+      <h2 style={{ marginTop: '40px' }}>Price Alerts</h2>
+      <AlertsPanel
+        symbols={symbols}
+        history={alertHistory}
+        timeZone={timeZone}
+      />
+    </>
+  );
+}
+
+export default MarketOverview;